@@ -6,10 +6,16 @@
  */
 
 import { loadSettings, getSettings, saveSettings, updateSetting } from './modules/settings.js';
-import { initializeCache, clearCache } from './modules/cache.js';
-import { initializeRequestQueue } from './modules/requestQueue.js';
-import { translateText } from './modules/translator.js';
+import { initializeCache, clearCache, getCacheUsage, exportCache, importCache } from './modules/cache.js';
+import { initializeRequestQueue, configureRequestQueue, enqueueTranslationRequest, updateRequestPriority, getQueueStatus, PRIORITY } from './modules/requestQueue.js';
+import { translateText, saveTranslationCorrection, testProviderConnection, listProviderModels, previewTranslation } from './modules/translator.js';
+import { PROMPT_PRESETS, PROMPT_PLACEHOLDERS } from './modules/prompts.js';
+import { getProviderConfig, isProviderConfigured } from './modules/providers/index.js';
 import { loadStats, saveStats, getStats } from './modules/stats.js';
+import { addChatLine, getChatContext, clearChatContext } from './modules/chatContext.js';
+import { loadGlossary, addGlossaryEntry } from './modules/glossary.js';
+import { parseFallbackEntry } from './modules/fallback.js';
+import { loadPhrasebooks } from './modules/phrasebook.js';
 import logger from './modules/logger.js';
 import errorHandler from './modules/errorHandler.js';
 import utils from './modules/utils.js';
@@ -44,18 +50,21 @@ async function initializeExtension() {
     // キャッシュを初期化
     await initializeCache();
     
+    // 用語集を読み込む
+    await loadGlossary();
+    
+    // フレーズ集を読み込む
+    await loadPhrasebooks();
+    
     // リクエストキューを初期化
-    initializeRequestQueue({
-      maxConcurrentRequests: settings.maxConcurrentRequests,
-      requestDelay: settings.requestDelay
-    });
+    initializeRequestQueue(getRequestQueueConfig(settings));
     
     // 統計情報を読み込む
     await loadStats();
     
     // 翻訳機能の有効状態を設定
     appState.translationEnabled = settings.enabled;
-    appState.apiKeyValid = !!settings.apiKey;
+    appState.apiKeyValid = isProviderConfigured(settings);
     
     // 初期化完了
     appState.initialized = true;
@@ -73,6 +82,11 @@ async function initializeExtension() {
     // タブの更新を監視
     chrome.tabs.onUpdated.addListener(handleTabUpdated);
     
+    // タブが閉じられたらチャット文脈を破棄
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      clearChatContext(tabId);
+    });
+    
     return true;
   } catch (error) {
     appState.initializationError = error;
@@ -90,6 +104,22 @@ async function initializeExtension() {
   }
 }
 
+/**
+ * 設定からリクエストキューの設定を作成
+ * @param {object} settings 設定
+ * @returns {object} リクエストキューの設定
+ */
+function getRequestQueueConfig(settings) {
+  return {
+    maxConcurrentRequests: settings.maxConcurrentRequests,
+    requestDelay: settings.requestDelay,
+    batchMode: settings.batchMode,
+    batchMaxSize: settings.batchMaxSize,
+    batchWindow: settings.batchWindow,
+    maxAge: settings.queueMaxAge * 1000
+  };
+}
+
 /**
  * 定期的な保存処理
  */
@@ -144,10 +174,10 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
       url: changeInfo.url
     });
     
-    // 自動オン/オフ機能が有効かつAPIキーが設定されている場合
+    // 自動オン/オフ機能が有効かつ翻訳プロバイダーが設定されている場合
     const settings = getSettings();
     
-    if (settings.autoToggle && settings.apiKey) {
+    if (settings.autoToggle && isProviderConfigured(settings)) {
       try {
         // 配信視聴ページかチェック
         const isStream = urlUtils.isStreamPage(changeInfo.url);
@@ -213,7 +243,7 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
     // 後からロードされた場合にも状態を確認する
     const settings = getSettings();
     
-    if (settings.autoToggle && settings.apiKey) {
+    if (settings.autoToggle && isProviderConfigured(settings)) {
       try {
         // 配信視聴ページかチェック
         const isStream = urlUtils.isStreamPage(tab.url);
@@ -248,49 +278,29 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
 }
 
 /**
- * APIキーのテスト
- * @param {string} apiKey テストするAPIキー
+ * 翻訳プロバイダーの接続テスト
+ * @param {string} providerId プロバイダーID
+ * @param {object} config テストするプロバイダー設定（apiKey, baseUrl, model）
  * @returns {Promise<object>} テスト結果
  */
-async function testApiKey(apiKey) {
+async function testProvider(providerId, config) {
   try {
-    // 設定からモデル情報を取得
-    const settings = getSettings();
-    const model = settings.geminiModel || 'gemini-2.0-flash-lite';
-    
-    // 簡単なテストを実行
-    // まず自動翻訳テスト用テキストを作成
-    const testText = "Hello, this is a test message for the Twitch Gemini Translator extension.";
-    
-    // 翻訳オプションを設定
-    const translationOptions = {
-      model: model,
-      sourceLanguage: 'auto'
-    };
-    
-    // 実際に翻訳をテスト
-    logger.info(`APIキーのテストを開始します (モデル: ${model})`, 'background');
+    logger.info(`接続テストを開始します (プロバイダー: ${providerId}, モデル: ${config.model || '-'})`, 'background');
     
-    // 設定を一時的に上書き
-    const originalApiKey = settings.apiKey;
-    settings.apiKey = apiKey;
+    // 実際に翻訳をテスト（キャッシュや統計には影響しない）
+    const result = await testProviderConnection(providerId, config);
     
-    // 翻訳を実行
-    const result = await translateText(testText, translationOptions);
-    
-    // 設定を元に戻す
-    settings.apiKey = originalApiKey;
-    
-    if (result.success) {
-      logger.info('APIキーのテストに成功しました', 'background', { 
-        model: model,
-        translation: result.translation
+    if (result.valid) {
+      logger.info('接続テストに成功しました', 'background', { 
+        provider: providerId,
+        model: result.model,
+        translation: result.translatedText
       });
-      return { valid: true, translation: result.translation };
+      return { valid: true, translation: result.translatedText, model: result.model };
     } else {
-      logger.error('APIキーのテストに失敗しました', 'background', { 
-        error: result.error,
-        model: model
+      logger.error('接続テストに失敗しました', 'background', { 
+        provider: providerId,
+        error: result.error
       });
       return { valid: false, error: result.error };
     }
@@ -298,7 +308,7 @@ async function testApiKey(apiKey) {
     const errorInfo = errorHandler.handleError(error, {
       source: 'background',
       code: 'api_test_error',
-      details: 'APIキーのテスト中にエラーが発生しました'
+      details: '接続テスト中にエラーが発生しました'
     });
     
     return { valid: false, error: errorInfo.message };
@@ -320,10 +330,10 @@ async function handleUrlChange(url, tabId) {
       return;
     }
     
-    // 自動オン/オフ機能が有効かつAPIキーが設定されている場合
+    // 自動オン/オフ機能が有効かつ翻訳プロバイダーが設定されている場合
     const settings = getSettings();
     
-    if (settings.autoToggle && settings.apiKey) {
+    if (settings.autoToggle && isProviderConfigured(settings)) {
       // 配信視聴ページかチェック
       const isStream = urlUtils.isStreamPage(url);
       
@@ -384,16 +394,18 @@ const messageHandlers = {
   // 翻訳リクエスト
   'translate': async (request, sender, sendResponse) => {
     try {
-      const settings = getSettings();
+      // チャンネルのプロファイルがある場合はプロファイルの設定を使用
+      const settings = getSettings(request.options?.channel);
       
-      // 翻訳が無効または初期化されていない場合
-      if (!appState.initialized || !settings.enabled) {
+      // 初期化されていない場合、またはチャットの翻訳が無効な場合
+      // 送信メッセージの翻訳（compose）はチャットの翻訳の有効・無効に関わらず使用できる
+      if (!appState.initialized || (!settings.enabled && !request.compose)) {
         return { success: false, error: '翻訳機能が無効です' };
       }
       
-      // APIキーが設定されていない場合
-      if (!settings.apiKey) {
-        return { success: false, error: 'APIキーが設定されていません' };
+      // 翻訳プロバイダーの接続設定がされていない場合
+      if (!isProviderConfigured(settings)) {
+        return { success: false, error: '翻訳プロバイダーの接続設定がされていません' };
       }
       
       // 翻訳を実行
@@ -444,57 +456,217 @@ const messageHandlers = {
         tabId: sender.tab?.id
       });
       
-      const settings = getSettings();
+      // チャンネルのプロファイルがある場合はプロファイルの設定を使用
+      const settings = getSettings(request.channel);
       
       // 翻訳が無効または初期化されていない場合
       if (!appState.initialized || !settings.enabled) {
         return { success: false, error: '翻訳機能が無効です' };
       }
       
-      // APIキーが設定されていない場合
-      if (!settings.apiKey) {
-        return { success: false, error: 'APIキーが設定されていません' };
+      // 翻訳プロバイダーの接続設定がされていない場合
+      if (!isProviderConfigured(settings)) {
+        return { success: false, error: '翻訳プロバイダーの接続設定がされていません' };
+      }
+      
+      // 直近のチャット行を文脈として取得し、今回の行を追加
+      // （リプレイの先読みでは、まだ表示されていない行を文脈に加えない）
+      const tabId = sender.tab?.id ?? null;
+      const context = getChatContext(tabId, request.channel, settings.contextSize);
+      if (!request.prefetch) {
+        addChatLine(tabId, request.channel, request.username, request.contextMessage || request.message);
       }
       
       // 翻訳オプションを設定
       const translationOptions = {
-        model: settings.geminiModel,
         sourceLanguage: request.sourceLanguage || 'auto',
-        targetLanguage: 'ja'
+        targetLanguage: settings.targetLanguage || 'ja',
+        channel: request.channel,
+        context
       };
       
-      // 翻訳を実行
-      const result = await translateText(request.message, translationOptions);
+      // キュー経由で翻訳を実行（バッチモードでは他のメッセージとまとめて送信される）
+      // 画面に表示されているメッセージを優先し、表示状態が変わったら優先度を更新できるようキーを指定する
+      // リプレイの先読みは表示済みのメッセージより後に翻訳する
+      let priority = request.visible ? PRIORITY.VISIBLE : PRIORITY.NORMAL;
+      if (request.prefetch) {
+        priority = PRIORITY.PREFETCH;
+      }
+      
+      const result = await enqueueTranslationRequest(request.message, translationOptions, {
+        key: request.messageId ? `${tabId}:${request.messageId}` : null,
+        priority
+      });
+      
+      // 待ち時間が長すぎて破棄された場合はエラーとして扱わない
+      if (result.expired) {
+        logger.debug('翻訳待ちの期限切れのためメッセージを破棄しました', 'background', {
+          message: utils.truncateString(request.message, 30)
+        });
+        return { success: false, expired: true, error: result.error };
+      }
       
       if (!result.success) {
-        throw new Error(result.error || '翻訳に失敗しました');
+        // レート制限・クォータ超過などの原因をエラーコードとして引き継ぐ
+        throw errorHandler.createError(result.errorCode || 'translation_failed', result.error || '翻訳に失敗しました');
       }
       
       logger.debug('メッセージ翻訳が完了しました', 'background', { 
         original: utils.truncateString(request.message, 30),
         translation: utils.truncateString(result.translation, 30),
-        model: settings.geminiModel
+        engine: result.engine,
+        model: result.model,
+        fallbackLevel: result.fallbackLevel
       });
       
       return { 
         success: true, 
         translation: result.translation,
         sourceLanguage: result.detectedLanguage || 'unknown',
-        model: settings.geminiModel
+        confidence: result.confidence ?? null,
+        isAlreadyTarget: result.isAlreadyTarget === true,
+        targetLanguage: translationOptions.targetLanguage,
+        engine: result.engine,
+        model: result.model,
+        fallbackLevel: result.fallbackLevel || 0
       };
     } catch (error) {
       // エラーを処理
       const errorInfo = errorHandler.handleError(error, {
         source: 'translator',
-        code: 'translation_failed',
+        code: error.code || 'translation_failed',
         details: `メッセージ「${utils.truncateString(request.message, 50)}」の翻訳中にエラーが発生しました`
       });
       
       logger.error('メッセージ翻訳に失敗しました', 'background', { 
         error: errorInfo.message,
+        code: errorInfo.code,
         message: utils.truncateString(request.message, 50)
       });
       
+      return { success: false, error: errorInfo.message, errorCode: errorInfo.code };
+    }
+  },
+  
+  // 表示中の翻訳を再翻訳のモデルで翻訳し直す（キャッシュは使用しない）
+  'retranslateMessage': async (request, sender, sendResponse) => {
+    try {
+      const settings = getSettings(request.channel);
+      
+      // 翻訳が無効または初期化されていない場合
+      if (!appState.initialized || !settings.enabled) {
+        return { success: false, error: '翻訳機能が無効です' };
+      }
+      
+      // 再翻訳のモデルが指定されていない場合は選択中のモデルで翻訳し直す
+      const retranslateModel = parseFallbackEntry(settings.retranslateModel) || {};
+      
+      const result = await translateText(request.message, {
+        provider: retranslateModel.provider,
+        model: retranslateModel.model || undefined,
+        sourceLanguage: request.sourceLanguage || 'auto',
+        targetLanguage: settings.targetLanguage || 'ja',
+        channel: request.channel,
+        context: getChatContext(sender.tab?.id ?? null, request.channel, settings.contextSize),
+        bypassCache: true
+      });
+      
+      if (!result.success) {
+        throw errorHandler.createError(result.errorCode || 'translation_failed', result.error || '再翻訳に失敗しました');
+      }
+      
+      logger.info('メッセージを再翻訳しました', 'background', {
+        original: utils.truncateString(request.message, 30),
+        model: result.model
+      });
+      
+      return {
+        success: true,
+        translation: result.translation,
+        sourceLanguage: result.detectedLanguage || 'unknown',
+        confidence: result.confidence ?? null,
+        isAlreadyTarget: result.isAlreadyTarget === true,
+        engine: result.engine,
+        model: result.model
+      };
+    } catch (error) {
+      const errorInfo = errorHandler.handleError(error, {
+        source: 'translator',
+        code: error.code || 'translation_failed',
+        details: `メッセージ「${utils.truncateString(request.message, 50)}」の再翻訳中にエラーが発生しました`
+      });
+      
+      return { success: false, error: errorInfo.message, errorCode: errorInfo.code };
+    }
+  },
+  
+  // ユーザーによる翻訳の修正を保存（キャッシュを上書きし、指定された場合は用語集にも追加）
+  'submitCorrection': async (request, sender, sendResponse) => {
+    try {
+      if (!request.message || !request.translation || !request.translation.trim()) {
+        throw errorHandler.createError('validation_error', '修正する翻訳が空です');
+      }
+      
+      const settings = getSettings(request.channel);
+      
+      // 用語集が変わるとキャッシュの区分も変わるため、修正の保存より先に用語集を更新する
+      if (request.glossaryEntry) {
+        await addGlossaryEntry(request.glossaryEntry, request.glossaryChannel || null);
+        logger.info('修正した訳語を用語集に追加しました', 'background', {
+          source: request.glossaryEntry.source,
+          channel: request.glossaryChannel || null
+        });
+      }
+      
+      const result = await saveTranslationCorrection(request.message, request.translation, {
+        sourceLanguage: request.sourceLanguage || 'auto',
+        targetLanguage: settings.targetLanguage || 'ja',
+        channel: request.channel
+      });
+      
+      if (!result.success) {
+        throw errorHandler.createError('validation_error', result.error);
+      }
+      
+      logger.info('翻訳の修正を保存しました', 'background', {
+        original: utils.truncateString(request.message, 30),
+        translation: utils.truncateString(result.translation, 30)
+      });
+      
+      return { success: true, translation: result.translation, model: result.model, corrected: true };
+    } catch (error) {
+      const errorInfo = errorHandler.handleError(error, {
+        source: 'background',
+        code: error.code || 'storage_write_error',
+        details: '翻訳の修正の保存中にエラーが発生しました'
+      });
+      
+      return { success: false, error: errorInfo.message };
+    }
+  },
+  
+  // メッセージの表示状態の変更（画面に表示されたメッセージの翻訳を優先）
+  'updateMessagePriority': async (request, sender, sendResponse) => {
+    const updated = updateRequestPriority(
+      `${sender.tab?.id ?? null}:${request.messageId}`,
+      request.visible ? PRIORITY.VISIBLE : PRIORITY.NORMAL
+    );
+    
+    return { success: true, updated };
+  },
+  
+  // 翻訳対象外のチャット行を文脈として記録
+  'recordChatLine': async (request, sender, sendResponse) => {
+    try {
+      addChatLine(sender.tab?.id ?? null, request.channel, request.username, request.message);
+      return { success: true };
+    } catch (error) {
+      const errorInfo = errorHandler.handleError(error, {
+        source: 'background',
+        code: 'internal_error',
+        details: 'チャット文脈の記録中にエラーが発生しました'
+      });
+      
       return { success: false, error: errorInfo.message };
     }
   },
@@ -515,6 +687,38 @@ const messageHandlers = {
     }
   },
   
+  // 設定変更の通知（オプションページなどから）
+  'settingsUpdated': async (request, sender, sendResponse) => {
+    try {
+      // ストレージから設定を再読み込み
+      const settings = await loadSettings();
+      
+      // ロガーとアプリケーションの状態を更新
+      logger.configure({
+        level: settings.debugMode ? logger.LOG_LEVELS.DEBUG : logger.LOG_LEVELS.INFO
+      });
+      appState.translationEnabled = settings.enabled;
+      appState.apiKeyValid = isProviderConfigured(settings);
+      
+      // キューに残っているリクエストを保持したままキュー設定を更新
+      configureRequestQueue(getRequestQueueConfig(settings));
+      
+      logger.info('設定を再読み込みしました', 'background', {
+        targetLanguage: settings.targetLanguage
+      });
+      
+      return { success: true };
+    } catch (error) {
+      const errorInfo = errorHandler.handleError(error, {
+        source: 'background',
+        code: 'storage_read_error',
+        details: '設定の再読み込み中にエラーが発生しました'
+      });
+      
+      return { success: false, error: errorInfo.message };
+    }
+  },
+  
   // 拡張機能の状態を取得
   'getStatus': async (request, sender, sendResponse) => {
     try {
@@ -525,8 +729,9 @@ const messageHandlers = {
         status: {
           initialized: appState.initialized,
           enabled: settings.enabled,
-          apiKeyValid: !!settings.apiKey,
-          debugMode: settings.debugMode
+          apiKeyValid: isProviderConfigured(settings),
+          debugMode: settings.debugMode,
+          queue: getQueueStatus()
         }
       };
     } catch (error) {
@@ -590,7 +795,7 @@ const messageHandlers = {
       await chrome.storage.local.set({ translatorSettings: settings });
       
       // アプリケーションの状態を更新
-      appState.apiKeyValid = !!settings.apiKey;
+      appState.apiKeyValid = isProviderConfigured(settings);
       
       // 他のタブに通知
       chrome.tabs.query({}, (tabs) => {
@@ -638,10 +843,89 @@ const messageHandlers = {
     }
   },
   
+  // キャッシュを書き出す
+  'exportCache': async (request, sender, sendResponse) => {
+    try {
+      const data = await exportCache();
+      
+      logger.info(`キャッシュを書き出しました (${data.entries.length}アイテム)`, 'background');
+      
+      return { success: true, data };
+    } catch (error) {
+      const errorInfo = errorHandler.handleError(error, {
+        source: 'background',
+        code: 'storage_read_error',
+        details: 'キャッシュの書き出し中にエラーが発生しました'
+      });
+      
+      return { success: false, error: errorInfo.message };
+    }
+  },
+  
+  // 書き出したキャッシュを読み込む
+  'importCache': async (request, sender, sendResponse) => {
+    try {
+      const { imported, skipped } = await importCache(request.data);
+      
+      logger.info(`キャッシュを読み込みました (${imported}アイテム, ${skipped}アイテムを無視)`, 'background');
+      
+      return { success: true, imported, skipped };
+    } catch (error) {
+      const errorInfo = errorHandler.handleError(error, {
+        source: 'background',
+        code: 'storage_write_error',
+        details: 'キャッシュの読み込み中にエラーが発生しました'
+      });
+      
+      return { success: false, error: errorInfo.message };
+    }
+  },
+  
+  // フレーズ集の変更の通知（オプションページから）
+  'phrasebookUpdated': async (request, sender, sendResponse) => {
+    try {
+      const phraseCount = await loadPhrasebooks();
+      
+      logger.info(`フレーズ集を読み込み直しました (${phraseCount}フレーズ)`, 'background');
+      
+      return { success: true };
+    } catch (error) {
+      const errorInfo = errorHandler.handleError(error, {
+        source: 'background',
+        code: 'storage_read_error',
+        details: 'フレーズ集の読み込み中にエラーが発生しました'
+      });
+      
+      return { success: false, error: errorInfo.message };
+    }
+  },
+  
+  // 用語集の変更の通知（オプションページから）
+  'glossaryUpdated': async (request, sender, sendResponse) => {
+    try {
+      // 用語集のバージョンが変わるため、古い訳語で翻訳されたキャッシュは使用されなくなる
+      await loadGlossary();
+      
+      logger.info('用語集を読み込み直しました', 'background');
+      
+      return { success: true };
+    } catch (error) {
+      const errorInfo = errorHandler.handleError(error, {
+        source: 'background',
+        code: 'storage_read_error',
+        details: '用語集の読み込み中にエラーが発生しました'
+      });
+      
+      return { success: false, error: errorInfo.message };
+    }
+  },
+  
   // 統計情報を取得
   'getStats': async (request, sender, sendResponse) => {
     try {
-      const stats = await getStats();
+      const cacheUsage = await getCacheUsage();
+      const stats = getStats(cacheUsage.count);
+      stats.cacheBytes = cacheUsage.bytes;
       return { success: true, stats };
     } catch (error) {
       const errorInfo = errorHandler.handleError(error, {
@@ -700,17 +984,26 @@ const messageHandlers = {
     }
   },
   
-  // APIキーのテスト
+  // APIキー（プロバイダーの接続）のテスト
   'testApiKey': async (request, sender, sendResponse) => {
     try {
-      // APIキーが空の場合はエラー
-      if (!request.apiKey) {
+      const settings = getSettings();
+      
+      // プロバイダー指定がない場合はGeminiのAPIキーとしてテスト
+      const providerId = request.provider || 'gemini';
+      const config = request.config || { ...getProviderConfig(settings, providerId) };
+      
+      // リクエストでAPIキーが指定されている場合のみ、保存されているAPIキーの代わりに使用
+      if (!request.config && typeof request.apiKey === 'string' && request.apiKey.trim()) {
+        config.apiKey = request.apiKey;
+      }
+      
+      if (providerId === 'gemini' && !config.apiKey) {
         return { valid: false, error: 'APIキーが指定されていません' };
       }
       
-      // APIキーのテストを実行
-      const result = await testApiKey(request.apiKey);
-      return result;
+      // 接続テストを実行
+      return await testProvider(providerId, config);
     } catch (error) {
       const errorInfo = errorHandler.handleError(error, {
         source: 'background',
@@ -722,19 +1015,18 @@ const messageHandlers = {
     }
   },
   
-  // 現在のAPIキーのチェック
+  // 現在の翻訳プロバイダーのチェック
   'checkApiKey': async (request, sender, sendResponse) => {
     try {
       const settings = getSettings();
       
-      // APIキーが空の場合はエラー
-      if (!settings.apiKey) {
-        return { valid: false, error: 'APIキーが設定されていません' };
+      // 接続設定がされていない場合はエラー
+      if (!isProviderConfigured(settings)) {
+        return { valid: false, error: '翻訳プロバイダーの接続設定がされていません' };
       }
       
-      // APIキーのテストを実行
-      const result = await testApiKey(settings.apiKey);
-      return result;
+      // 接続テストを実行
+      return await testProvider(settings.translationProvider, getProviderConfig(settings));
     } catch (error) {
       const errorInfo = errorHandler.handleError(error, {
         source: 'background',
@@ -744,6 +1036,54 @@ const messageHandlers = {
       
       return { valid: false, error: errorInfo.message };
     }
+  },
+  
+  // 翻訳プロバイダーのモデル一覧を取得
+  'listModels': async (request, sender, sendResponse) => {
+    try {
+      const settings = getSettings();
+      const providerId = request.provider || settings.translationProvider;
+      const config = request.config || getProviderConfig(settings, providerId);
+      
+      return await listProviderModels(providerId, config);
+    } catch (error) {
+      const errorInfo = errorHandler.handleError(error, {
+        source: 'background',
+        code: 'network_error',
+        details: 'モデル一覧の取得中にエラーが発生しました'
+      });
+      
+      return { success: false, error: errorInfo.message };
+    }
+  },
+  
+  // プロンプトのプリセットの取得
+  'getPromptPresets': async (request, sender, sendResponse) => {
+    return { success: true, presets: PROMPT_PRESETS, placeholders: PROMPT_PLACEHOLDERS };
+  },
+  
+  // プロンプトテンプレートのプレビュー（サンプルのメッセージを翻訳）
+  'previewPrompt': async (request, sender, sendResponse) => {
+    try {
+      const settings = getSettings();
+      const providerId = request.provider || settings.translationProvider;
+      
+      return await previewTranslation(request.text, {
+        provider: providerId,
+        config: request.config || getProviderConfig(settings, providerId),
+        promptTemplate: request.promptTemplate,
+        sampling: request.sampling,
+        channel: request.channel
+      });
+    } catch (error) {
+      const errorInfo = errorHandler.handleError(error, {
+        source: 'background',
+        code: 'api_test_error',
+        details: 'プロンプトのプレビュー中にエラーが発生しました'
+      });
+      
+      return { success: false, error: errorInfo.message };
+    }
   }
 };
 
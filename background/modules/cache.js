@@ -1,74 +1,535 @@
 /**
  * キャッシュ管理モジュール
- * 
+ *
  * 翻訳結果のキャッシュの保存、取得、有効期限管理などの機能を提供します。
+ * キャッシュはIndexedDBに保存され、サービスワーカーが再起動しても保持されます。
+ * 容量が上限（MB）を超えた場合は、最後に参照された時刻が古いものから削除します（LRU）。
+ * 完全に一致するキャッシュがない場合は、正規化したテキストや類似したテキストでも検索します。
+ * キャッシュはモデルとプロンプト・用語集のバージョン（ハッシュ）ごとに区別され、
+ * 設定を変更すると以前の設定で翻訳された結果は使用されません。
  */
 
 import { getSettings } from './settings.js';
-import { incrementCacheHits, incrementTotalRequests } from './stats.js';
+import { incrementCacheHits } from './stats.js';
+import { normalizeText, calculateSimilarity, alignPlaceholders } from './textNormalizer.js';
 
 // キャッシュのデフォルト設定
 const DEFAULT_CACHE_EXPIRATION = 24 * 60 * 60 * 1000; // 24時間（ミリ秒）
-const DEFAULT_MAX_CACHE_SIZE = 1000; // 最大キャッシュエントリ数
+const DEFAULT_MAX_CACHE_SIZE_MB = 10; // 最大キャッシュ容量（MB）
 
-// キャッシュオブジェクト
-let translationCache = {};
-let cacheInitialized = false;
+// 容量超過時は上限のこの割合まで削除する（削除処理が頻繁に走らないようにする）
+const EVICTION_TARGET_RATIO = 0.9;
+
+// 参照時刻の更新と期限切れアイテムの削除をまとめて書き込むまでの待ち時間（ミリ秒）
+const ACCESS_FLUSH_DELAY = 2000;
+
+// 類似度による検索の設定
+const FUZZY_MIN_LENGTH = 40;        // 類似度で検索する正規化後の最小文字数（コピペ程度の長さ）
+const FUZZY_LENGTH_TOLERANCE = 0.2; // 候補とする長さの差の割合
+const FUZZY_MAX_CANDIDATES = 200;   // 類似度を計算する最大候補数
+
+// IndexedDBの設定
+const DB_NAME = "twitchTranslatorCache";
+const DB_VERSION = 3;
+const TRANSLATION_STORE = "translations";
+const META_STORE = "meta";
+const USAGE_KEY = "usage";
+
+// 書き出したキャッシュのファイル形式
+const CACHE_EXPORT_FORMAT = "twitch-translator-cache";
+const CACHE_EXPORT_VERSION = 1;
+
+// 以前のバージョンでキャッシュを保存していたchrome.storage.localのキー
+const LEGACY_STORAGE_KEY = "translationCache";
+
+// データベース接続（初回アクセス時に開く）
+let dbPromise = null;
+
+// 書き込み待ちの参照時刻の更新と期限切れアイテムの削除
+// 検索はreadonlyのトランザクションで行い、書き込みはまとめて1つのトランザクションで行う
+const pendingAccess = {
+  accessed: new Map(), // キャッシュキー → 最終アクセス時間
+  expired: new Set(),  // 削除するキャッシュキー
+  timer: null,
+};
+
+/**
+ * モデルを問わないキャッシュキーを生成
+ * @param {string} text 元のテキスト
+ * @param {string} sourceLang ソース言語
+ * @param {string} targetLang 翻訳先言語
+ * @param {string} promptHash プロンプト・用語集のバージョン
+ * @returns {string} キャッシュキー
+ */
+function generateContentKey(text, sourceLang, targetLang, promptHash) {
+  return `${promptHash || ""}|${sourceLang}>${targetLang}:${text}`;
+}
 
 /**
  * キャッシュキーを生成
  * @param {string} text 元のテキスト
  * @param {string} sourceLang ソース言語
+ * @param {string} targetLang 翻訳先言語
+ * @param {object} scope キャッシュの区分（model, promptHash）
  * @returns {string} キャッシュキー
  */
-function generateCacheKey(text, sourceLang) {
-  return `${sourceLang}:${text}`;
+function generateCacheKey(text, sourceLang, targetLang, scope) {
+  return `${scope.model || ""}|${generateContentKey(text, sourceLang, targetLang, scope.promptHash)}`;
+}
+
+/**
+ * IDBRequestをPromiseに変換
+ * @param {IDBRequest} request リクエスト
+ * @returns {Promise<any>} リクエストの結果
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * トランザクションの完了を待つ
+ * @param {IDBTransaction} transaction トランザクション
+ * @returns {Promise<void>}
+ */
+function waitForTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("トランザクションが中断されました"));
+  });
+}
+
+/**
+ * データベースを開く
+ * @returns {Promise<IDBDatabase>} データベース
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+
+      if (event.oldVersion < 1) {
+        // 翻訳結果のストア（キーはgenerateCacheKeyで生成）
+        const store = db.createObjectStore(TRANSLATION_STORE, { keyPath: "key" });
+        store.createIndex("channel", "channel", { unique: false });
+        store.createIndex("model", "model", { unique: false });
+        store.createIndex("lastAccessed", "lastAccessed", { unique: false });
+        store.createIndex("expiresAt", "expiresAt", { unique: false });
+
+        // 使用容量などのメタデータのストア
+        db.createObjectStore(META_STORE);
+      }
+
+      if (event.oldVersion < 2) {
+        // 正規化したテキストによる検索用のインデックス
+        const store = request.transaction.objectStore(TRANSLATION_STORE);
+        store.createIndex("normalizedKey", "normalizedKey", { unique: false });
+        store.createIndex("normalizedLength", "normalizedLength", { unique: false });
+      }
+
+      if (event.oldVersion >= 1 && event.oldVersion < 3) {
+        // キャッシュキーの形式が変わったため、以前のアイテムは破棄する
+        request.transaction.objectStore(TRANSLATION_STORE).clear();
+        request.transaction.objectStore(META_STORE).put({ count: 0, bytes: 0 }, USAGE_KEY);
+      }
+
+      if (event.oldVersion < 3) {
+        // 別のモデルの翻訳結果を検索するためのインデックス
+        const store = request.transaction.objectStore(TRANSLATION_STORE);
+        store.createIndex("contentKey", "contentKey", { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // 開けなかった場合は次回のアクセスで再試行する
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * 使用容量を取得
+ * @param {IDBObjectStore} metaStore メタデータのストア
+ * @returns {Promise<{count: number, bytes: number}>} エントリ数と使用容量（バイト）
+ */
+async function readUsage(metaStore) {
+  const usage = await promisifyRequest(metaStore.get(USAGE_KEY));
+  return usage || { count: 0, bytes: 0 };
+}
+
+/**
+ * キャッシュエントリのサイズを計算
+ * @param {object} entry キャッシュエントリ
+ * @returns {number} サイズ（バイト）
+ */
+function getEntrySize(entry) {
+  return new TextEncoder().encode(JSON.stringify(entry)).length;
+}
+
+/**
+ * キャッシュエントリを削除し、使用容量を更新
+ * 同じトランザクション内で使用します。
+ * @param {IDBObjectStore} store 翻訳結果のストア
+ * @param {object} usage 使用容量（更新される）
+ * @param {object} entry 削除するエントリ
+ */
+function deleteEntry(store, usage, entry) {
+  store.delete(entry.key);
+  usage.count = Math.max(0, usage.count - 1);
+  usage.bytes = Math.max(0, usage.bytes - (entry.size || 0));
+}
+
+/**
+ * 類似したテキストのキャッシュエントリを検索
+ * 正規化後の長さが近いエントリを候補とし、最も類似度が高いものを返します。
+ * @param {IDBObjectStore} store 翻訳結果のストア
+ * @param {string} normalized 正規化されたテキスト
+ * @param {string} sourceLang ソース言語
+ * @param {string} targetLang 翻訳先言語
+ * @param {object} scope キャッシュの区分（model, promptHash）
+ * @param {number} threshold 類似度のしきい値（0〜1）
+ * @returns {Promise<object|null>} キャッシュエントリ、またはnull
+ */
+async function findSimilarEntry(store, normalized, sourceLang, targetLang, scope, threshold) {
+  const range = IDBKeyRange.bound(
+    Math.floor(normalized.length * (1 - FUZZY_LENGTH_TOLERANCE)),
+    Math.ceil(normalized.length * (1 + FUZZY_LENGTH_TOLERANCE))
+  );
+  const candidates = await promisifyRequest(
+    store.index("normalizedLength").getAll(range, FUZZY_MAX_CANDIDATES)
+  );
+
+  let bestEntry = null;
+  let bestSimilarity = threshold;
+
+  for (const candidate of candidates) {
+    if (candidate.sourceLang !== sourceLang || candidate.targetLang !== targetLang ||
+        candidate.model !== (scope.model || "") || candidate.promptHash !== (scope.promptHash || "")) {
+      continue;
+    }
+
+    const similarity = calculateSimilarity(normalized, candidate.normalizedText);
+    if (similarity >= bestSimilarity) {
+      bestEntry = candidate;
+      bestSimilarity = similarity;
+    }
+  }
+
+  return bestEntry;
+}
+
+/**
+ * キャッシュエントリを検索
+ * 完全一致、正規化したテキストでの一致、類似したテキストでの一致、別のモデルでの完全一致の順に検索します。
+ * @param {IDBObjectStore} store 翻訳結果のストア
+ * @param {string} text 元のテキスト
+ * @param {string} sourceLang ソース言語
+ * @param {string} targetLang 翻訳先言語
+ * @param {object} scope キャッシュの区分（model, promptHash, allowOtherModels）
+ * @param {object} settings 設定
+ * @returns {Promise<{entry: object, matchType: string}|null>} キャッシュエントリと一致方法、またはnull
+ */
+async function findCacheEntry(store, text, sourceLang, targetLang, scope, settings) {
+  const entry = await promisifyRequest(store.get(generateCacheKey(text, sourceLang, targetLang, scope)));
+  if (entry) {
+    return { entry, matchType: "exact" };
+  }
+
+  const similarEntry = await findNormalizedEntry(store, text, sourceLang, targetLang, scope, settings);
+  if (similarEntry) {
+    return similarEntry;
+  }
+
+  // 設定で許可されている場合は、同じプロンプトで別のモデルが翻訳した結果を使用する
+  if (!scope.allowOtherModels) {
+    return null;
+  }
+
+  const otherModelEntry = await promisifyRequest(
+    store.index("contentKey").get(generateContentKey(text, sourceLang, targetLang, scope.promptHash))
+  );
+
+  return otherModelEntry ? { entry: otherModelEntry, matchType: "otherModel" } : null;
+}
+
+/**
+ * 正規化したテキストまたは類似したテキストでキャッシュエントリを検索
+ * @param {IDBObjectStore} store 翻訳結果のストア
+ * @param {string} text 元のテキスト
+ * @param {string} sourceLang ソース言語
+ * @param {string} targetLang 翻訳先言語
+ * @param {object} scope キャッシュの区分（model, promptHash）
+ * @param {object} settings 設定
+ * @returns {Promise<{entry: object, matchType: string}|null>} キャッシュエントリと一致方法、またはnull
+ */
+async function findNormalizedEntry(store, text, sourceLang, targetLang, scope, settings) {
+  if (!settings.normalizeCacheKeys) {
+    return null;
+  }
+
+  const normalized = normalizeText(text);
+  if (!normalized) {
+    return null;
+  }
+
+  const normalizedEntry = await promisifyRequest(
+    store.index("normalizedKey").get(generateCacheKey(normalized, sourceLang, targetLang, scope))
+  );
+  if (normalizedEntry) {
+    return { entry: normalizedEntry, matchType: "normalized" };
+  }
+
+  if (!settings.fuzzyCacheMatch || normalized.length < FUZZY_MIN_LENGTH) {
+    return null;
+  }
+
+  const similarEntry = await findSimilarEntry(
+    store,
+    normalized,
+    sourceLang,
+    targetLang,
+    scope,
+    (settings.fuzzyCacheThreshold || 90) / 100
+  );
+
+  return similarEntry ? { entry: similarEntry, matchType: "fuzzy" } : null;
+}
+
+/**
+ * 参照時刻の更新と期限切れアイテムの削除の書き込みを予約
+ * 短時間に続く検索の書き込みをまとめるため、ACCESS_FLUSH_DELAY後に1回だけ書き込みます。
+ */
+function scheduleAccessFlush() {
+  if (pendingAccess.timer) {
+    return;
+  }
+
+  pendingAccess.timer = setTimeout(() => {
+    pendingAccess.timer = null;
+    flushPendingAccess().catch(error => {
+      console.error("キャッシュの参照時刻の更新に失敗:", error);
+    });
+  }, ACCESS_FLUSH_DELAY);
+}
+
+/**
+ * 予約された参照時刻の更新と期限切れアイテムの削除を1つのトランザクションで書き込む
+ * 予約後に上書き・削除されたアイテムは、その時点の状態に合わせて扱います。
+ * @returns {Promise<void>}
+ */
+async function flushPendingAccess() {
+  const accessed = pendingAccess.accessed;
+  const expired = pendingAccess.expired;
+  pendingAccess.accessed = new Map();
+  pendingAccess.expired = new Set();
+
+  if (accessed.size === 0 && expired.size === 0) {
+    return;
+  }
+
+  const db = await openDatabase();
+  const transaction = db.transaction([TRANSLATION_STORE, META_STORE], "readwrite");
+  const store = transaction.objectStore(TRANSLATION_STORE);
+  const metaStore = transaction.objectStore(META_STORE);
+  const now = Date.now();
+  const deleted = new Set();
+
+  if (expired.size > 0) {
+    const usage = await readUsage(metaStore);
+
+    for (const key of expired) {
+      const entry = await promisifyRequest(store.get(key));
+      // 予約後に新しい翻訳結果で上書きされた場合は削除しない
+      if (entry && now > entry.expiresAt) {
+        deleteEntry(store, usage, entry);
+        deleted.add(key);
+      }
+    }
+
+    metaStore.put(usage, USAGE_KEY);
+  }
+
+  for (const [key, lastAccessed] of accessed) {
+    if (deleted.has(key)) {
+      continue;
+    }
+
+    const entry = await promisifyRequest(store.get(key));
+    if (entry && lastAccessed > entry.lastAccessed) {
+      entry.lastAccessed = lastAccessed;
+      store.put(entry);
+    }
+  }
+
+  await waitForTransaction(transaction);
 }
 
 /**
  * キャッシュからの翻訳結果の取得
+ * データベースを開くのを待ってから検索するため、サービスワーカーの再起動直後でもキャッシュを使用できます。
  * @param {string} text 元のテキスト
  * @param {string} sourceLang ソース言語
- * @returns {object|null} キャッシュされた翻訳結果、またはnull
+ * @param {string} targetLang 翻訳先言語 (デフォルト: "ja")
+ * @param {object} scope キャッシュの区分（model: 使用するモデル, promptHash: プロンプト・用語集のバージョン, allowOtherModels: 別のモデルの翻訳結果も使用するか）
+ * @returns {Promise<object|null>} キャッシュされた翻訳結果、またはnull
  */
-export function getCachedTranslation(text, sourceLang) {
+export async function getCachedTranslation(text, sourceLang, targetLang = "ja", scope = {}) {
   if (!text) return null;
-  
+
   const settings = getSettings();
-  
+
   // キャッシュが無効の場合はnullを返す
   if (!settings.useCache) {
     return null;
   }
-  
-  // キャッシュが初期化されていない場合は初期化
-  if (!cacheInitialized) {
-    loadCache();
-    return null; // 初回は常にnullを返す（非同期ロードのため）
-  }
-  
-  const cacheKey = generateCacheKey(text, sourceLang);
-  const cachedItem = translationCache[cacheKey];
-  
-  // キャッシュアイテムが存在しない場合はnullを返す
-  if (!cachedItem) {
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(TRANSLATION_STORE, "readonly");
+    const store = transaction.objectStore(TRANSLATION_STORE);
+    const match = await findCacheEntry(store, text, sourceLang, targetLang, scope, settings);
+    const entry = match?.entry;
+
+    // キャッシュアイテムが存在しない場合はnullを返す
+    if (!entry) {
+      return null;
+    }
+
+    // 有効期限切れの場合は削除を予約してnullを返す
+    if (Date.now() > entry.expiresAt) {
+      console.log(`キャッシュ期限切れ: "${text.substring(0, 20)}..."`);
+      pendingAccess.expired.add(entry.key);
+      scheduleAccessFlush();
+      return null;
+    }
+
+    // 最終アクセス時間の更新を予約（LRUの判定に使用）
+    pendingAccess.accessed.set(entry.key, Date.now());
+    scheduleAccessFlush();
+
+    // キャッシュヒットをカウント
+    incrementCacheHits(match.matchType);
+
+    if (match.matchType === "exact") {
+      return entry.data;
+    }
+
+    // 別のモデルの翻訳結果は同じメッセージのものなので、そのまま使用できる
+    if (match.matchType === "otherModel") {
+      return { ...entry.data, cacheMatch: match.matchType };
+    }
+
+    // 別のメッセージの翻訳結果のため、プレースホルダーをこのメッセージに合わせる
+    return {
+      ...entry.data,
+      translation: alignPlaceholders(entry.data.translation, text),
+      cacheMatch: match.matchType,
+    };
+  } catch (error) {
+    console.error("キャッシュの取得に失敗:", error);
     return null;
   }
-  
-  // 有効期限切れの場合はキャッシュから削除してnullを返す
-  if (Date.now() > cachedItem.expiresAt) {
-    console.log(`キャッシュ期限切れ: "${text.substring(0, 20)}..."`);
-    delete translationCache[cacheKey];
-    return null;
+}
+
+/**
+ * キャッシュの有効期間を取得
+ * @param {object} settings 設定
+ * @returns {number} 有効期間（ミリ秒）
+ */
+function getCacheExpiration(settings) {
+  // 設定は時間単位
+  return settings.maxCacheAge
+    ? settings.maxCacheAge * 60 * 60 * 1000
+    : DEFAULT_CACHE_EXPIRATION;
+}
+
+/**
+ * キャッシュエントリを作成
+ * @param {string} text 元のテキスト
+ * @param {string} sourceLang ソース言語
+ * @param {object} translationResult 翻訳結果
+ * @param {string} targetLang 翻訳先言語
+ * @param {object} metadata キャッシュの区分と検索用の付加情報（model, promptHash, channel）
+ * @param {number} expiresAt 有効期限（UNIX時間、ミリ秒）
+ * @returns {object} キャッシュエントリ
+ */
+function createEntry(text, sourceLang, translationResult, targetLang, metadata, expiresAt) {
+  const now = Date.now();
+  const normalized = normalizeText(text);
+  const scope = {
+    model: metadata.model || translationResult.model || "",
+    promptHash: metadata.promptHash || "",
+  };
+
+  const entry = {
+    key: generateCacheKey(text, sourceLang, targetLang, scope),
+    contentKey: generateContentKey(text, sourceLang, targetLang, scope.promptHash),
+    normalizedKey: generateCacheKey(normalized, sourceLang, targetLang, scope),
+    normalizedText: normalized,
+    normalizedLength: normalized.length,
+    text,
+    sourceLang,
+    targetLang,
+    channel: metadata.channel || "",
+    model: scope.model,
+    promptHash: scope.promptHash,
+    data: translationResult,
+    createdAt: metadata.createdAt || now,
+    lastAccessed: now,
+    expiresAt,
+  };
+  entry.size = getEntrySize(entry);
+
+  return entry;
+}
+
+/**
+ * キャッシュエントリを保存し、容量が上限を超えた場合は古いアイテムを削除
+ * @param {Array<object>} entries 保存するキャッシュエントリ
+ * @param {object} settings 設定
+ * @returns {Promise<void>}
+ */
+async function storeEntries(entries, settings) {
+  const db = await openDatabase();
+  const transaction = db.transaction([TRANSLATION_STORE, META_STORE], "readwrite");
+  const store = transaction.objectStore(TRANSLATION_STORE);
+  const metaStore = transaction.objectStore(META_STORE);
+  const usage = await readUsage(metaStore);
+
+  for (const entry of entries) {
+    // 同じキーのエントリを上書きする場合は古いサイズを差し引く
+    const existing = await promisifyRequest(store.get(entry.key));
+    if (existing) {
+      deleteEntry(store, usage, existing);
+    }
+
+    store.put(entry);
+    usage.count += 1;
+    usage.bytes += entry.size;
+  }
+
+  metaStore.put(usage, USAGE_KEY);
+  await waitForTransaction(transaction);
+
+  // 容量が上限を超えた場合は古いアイテムを削除
+  const maxBytes = (settings.maxCacheSizeMB || DEFAULT_MAX_CACHE_SIZE_MB) * 1024 * 1024;
+  if (usage.bytes > maxBytes) {
+    await evictLeastRecentlyUsed(maxBytes);
   }
-  
-  // キャッシュヒットをカウント
-  incrementCacheHits();
-  
-  // 最終アクセス時間を更新
-  cachedItem.lastAccessed = Date.now();
-  
-  return cachedItem.data;
 }
 
 /**
@@ -76,236 +537,241 @@ export function getCachedTranslation(text, sourceLang) {
  * @param {string} text 元のテキスト
  * @param {string} sourceLang ソース言語
  * @param {object} translationResult 翻訳結果
+ * @param {string} targetLang 翻訳先言語 (デフォルト: "ja")
+ * @param {object} metadata キャッシュの区分と検索用の付加情報（model: 翻訳したモデル, promptHash: プロンプト・用語集のバージョン, channel）
+ * @returns {Promise<void>}
  */
-export function cacheTranslation(text, sourceLang, translationResult) {
+export async function cacheTranslation(text, sourceLang, translationResult, targetLang = "ja", metadata = {}) {
   if (!text || !translationResult || !translationResult.success) {
     return;
   }
-  
+
   const settings = getSettings();
-  
+
   // キャッシュが無効の場合は何もしない
   if (!settings.useCache) {
     return;
   }
-  
-  // キャッシュが初期化されていない場合は初期化
-  if (!cacheInitialized) {
-    loadCache();
-    return; // 初期化中は保存しない
+
+  const expiresAt = Date.now() + getCacheExpiration(settings);
+
+  try {
+    await storeEntries([createEntry(text, sourceLang, translationResult, targetLang, metadata, expiresAt)], settings);
+  } catch (error) {
+    console.error("キャッシュの保存に失敗:", error);
   }
-  
-  const cacheKey = generateCacheKey(text, sourceLang);
-  const now = Date.now();
-  
-  // キャッシュ有効期限を設定（設定から取得、またはデフォルト値を使用）
-  const cacheExpiration = settings.cacheExpiration || DEFAULT_CACHE_EXPIRATION;
-  
-  // キャッシュアイテムを作成
-  translationCache[cacheKey] = {
-    data: translationResult,
-    createdAt: now,
-    lastAccessed: now,
-    expiresAt: now + cacheExpiration,
-  };
-  
-  // キャッシュサイズが上限を超えた場合は古いアイテムを削除
-  pruneCache();
-  
-  // 定期的にキャッシュを保存
-  scheduleCacheSave();
 }
 
 /**
- * キャッシュサイズが上限を超えた場合に古いアイテムを削除
+ * キャッシュを書き出す
+ * 有効期限内のアイテムを、他の環境で読み込めるJSON形式のオブジェクトにします。
+ * @returns {Promise<object>} { format, version, exportedAt, entries: Array<{text, sourceLang, targetLang, channel, model, promptHash, result, createdAt}> }
  */
-function pruneCache() {
-  const settings = getSettings();
-  const maxCacheSize = settings.maxCacheSize || DEFAULT_MAX_CACHE_SIZE;
-  const cacheSize = Object.keys(translationCache).length;
-  
-  if (cacheSize <= maxCacheSize) {
-    return;
-  }
-  
-  console.log(`キャッシュサイズ (${cacheSize}) が上限 (${maxCacheSize}) を超えました。古いアイテムを削除します。`);
-  
-  // キャッシュアイテムを最終アクセス時間でソート
-  const sortedItems = Object.entries(translationCache).sort(
-    ([, a], [, b]) => a.lastAccessed - b.lastAccessed
-  );
-  
-  // 削除する数を計算（上限の20%を削除）
-  const itemsToRemove = Math.ceil((cacheSize - maxCacheSize) + (maxCacheSize * 0.2));
-  
-  // 古いアイテムから順に削除
-  for (let i = 0; i < itemsToRemove && i < sortedItems.length; i++) {
-    const [key] = sortedItems[i];
-    delete translationCache[key];
-  }
-  
-  console.log(`${itemsToRemove}個のキャッシュアイテムを削除しました。新しいサイズ: ${Object.keys(translationCache).length}`);
+export async function exportCache() {
+  const db = await openDatabase();
+  const transaction = db.transaction(TRANSLATION_STORE, "readonly");
+  const entries = await promisifyRequest(transaction.objectStore(TRANSLATION_STORE).getAll());
+  const now = Date.now();
+
+  return {
+    format: CACHE_EXPORT_FORMAT,
+    version: CACHE_EXPORT_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    entries: entries
+      // 元のテキストを保存していない以前のバージョンのアイテムは書き出せない
+      .filter(entry => entry.text && entry.expiresAt > now)
+      .map(entry => ({
+        text: entry.text,
+        sourceLang: entry.sourceLang,
+        targetLang: entry.targetLang,
+        channel: entry.channel,
+        model: entry.model,
+        promptHash: entry.promptHash,
+        result: entry.data,
+        createdAt: entry.createdAt,
+      })),
+  };
 }
 
 /**
- * キャッシュを定期的に保存するスケジューリング
+ * 書き出したキャッシュを読み込む
+ * 読み込んだアイテムの有効期限は読み込んだ時点から数えます。
+ * @param {object} data exportCacheで書き出したオブジェクト
+ * @returns {Promise<{imported: number, skipped: number}>} 読み込んだアイテム数と、形式が正しくないため無視したアイテム数
  */
-let cacheSaveTimeout = null;
-function scheduleCacheSave() {
-  // 既存のタイムアウトをクリア
-  if (cacheSaveTimeout) {
-    clearTimeout(cacheSaveTimeout);
+export async function importCache(data) {
+  if (data?.format !== CACHE_EXPORT_FORMAT || !Array.isArray(data.entries)) {
+    throw new Error("翻訳キャッシュの書き出しファイルではありません");
   }
-  
-  // 30秒後にキャッシュを保存
-  cacheSaveTimeout = setTimeout(() => {
-    saveCache();
-    cacheSaveTimeout = null;
-  }, 30000);
+
+  const settings = getSettings();
+  const expiresAt = Date.now() + getCacheExpiration(settings);
+
+  const entries = data.entries
+    .filter(item =>
+      typeof item?.text === "string" && item.text.length > 0 &&
+      typeof item.sourceLang === "string" &&
+      typeof item.targetLang === "string" &&
+      item.result?.success === true &&
+      typeof item.result.translation === "string"
+    )
+    .map(item => createEntry(
+      item.text,
+      item.sourceLang,
+      item.result,
+      item.targetLang,
+      { channel: item.channel, model: item.model, promptHash: item.promptHash, createdAt: item.createdAt },
+      expiresAt
+    ));
+
+  if (entries.length > 0) {
+    await storeEntries(entries, settings);
+  }
+
+  return { imported: entries.length, skipped: data.entries.length - entries.length };
 }
 
 /**
- * キャッシュサイズを取得
- * @returns {number} キャッシュエントリ数
+ * 容量が上限を超えた場合に最後に参照された時刻が古いアイテムから削除
+ * @param {number} maxBytes 最大容量（バイト）
+ * @returns {Promise<number>} 削除されたアイテム数
  */
-export function getCacheSize() {
-  return Object.keys(translationCache).length;
+async function evictLeastRecentlyUsed(maxBytes) {
+  const db = await openDatabase();
+  const transaction = db.transaction([TRANSLATION_STORE, META_STORE], "readwrite");
+  const store = transaction.objectStore(TRANSLATION_STORE);
+  const metaStore = transaction.objectStore(META_STORE);
+  const usage = await readUsage(metaStore);
+  const targetBytes = maxBytes * EVICTION_TARGET_RATIO;
+  let removed = 0;
+
+  console.log(`キャッシュ容量 (${usage.bytes}バイト) が上限 (${maxBytes}バイト) を超えました。古いアイテムを削除します。`);
+
+  await new Promise((resolve, reject) => {
+    const request = store.index("lastAccessed").openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+
+      if (!cursor || usage.bytes <= targetBytes) {
+        resolve();
+        return;
+      }
+
+      deleteEntry(store, usage, cursor.value);
+      removed++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  metaStore.put(usage, USAGE_KEY);
+  await waitForTransaction(transaction);
+
+  console.log(`${removed}個のキャッシュアイテムを削除しました。新しい容量: ${usage.bytes}バイト`);
+
+  return removed;
 }
 
 /**
- * キャッシュをクリア
- * @returns {number} クリア前のキャッシュサイズ
+ * 有効期限切れのアイテムを削除
+ * @returns {Promise<number>} 削除されたアイテム数
  */
-export function clearCache() {
-  const previousSize = getCacheSize();
-  
-  // キャッシュをクリア
-  translationCache = {};
-  
-  // キャッシュの保存
-  saveCache(true);
-  
-  return previousSize;
+async function removeExpiredEntries() {
+  const db = await openDatabase();
+  const transaction = db.transaction([TRANSLATION_STORE, META_STORE], "readwrite");
+  const store = transaction.objectStore(TRANSLATION_STORE);
+  const metaStore = transaction.objectStore(META_STORE);
+  const usage = await readUsage(metaStore);
+  let removed = 0;
+
+  await new Promise((resolve, reject) => {
+    const request = store.index("expiresAt").openCursor(IDBKeyRange.upperBound(Date.now()));
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+
+      if (!cursor) {
+        resolve();
+        return;
+      }
+
+      deleteEntry(store, usage, cursor.value);
+      removed++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  metaStore.put(usage, USAGE_KEY);
+  await waitForTransaction(transaction);
+
+  return removed;
 }
 
 /**
- * キャッシュを保存
- * @param {boolean} force 強制保存フラグ
+ * キャッシュの使用状況を取得
+ * @returns {Promise<{count: number, bytes: number}>} エントリ数と使用容量（バイト）
  */
-export async function saveCache(force = false) {
-  const settings = getSettings();
-  
-  // キャッシュが無効で、強制保存でない場合は何もしない
-  if (!settings.useCache && !force) {
-    return 0;
-  }
-  
-  // 保存するキャッシュアイテムを準備
-  const cacheData = {};
-  let count = 0;
-  
-  // 有効期限内のアイテムのみを保存
-  const now = Date.now();
-  Object.entries(translationCache).forEach(([key, item]) => {
-    if (now < item.expiresAt) {
-      cacheData[key] = item;
-      count++;
-    }
-  });
-  
-  // キャッシュが空の場合は何もしない
-  if (count === 0 && !force) {
-    return 0;
-  }
-  
+export async function getCacheUsage() {
   try {
-    // キャッシュをストレージに保存（オブジェクトとして直接保存）
-    await chrome.storage.local.set({ translationCache: cacheData });
-    console.log(`キャッシュを保存しました (${count}アイテム)`);
-    return count;
+    const db = await openDatabase();
+    const transaction = db.transaction(META_STORE, "readonly");
+    return await readUsage(transaction.objectStore(META_STORE));
   } catch (error) {
-    console.error("キャッシュの保存に失敗:", error);
-    return 0;
+    console.error("キャッシュの使用状況の取得に失敗:", error);
+    return { count: 0, bytes: 0 };
   }
 }
 
 /**
- * キャッシュをロード
- * @returns {Promise<number>} ロードされたキャッシュエントリ数
+ * キャッシュサイズを取得
+ * @returns {Promise<number>} キャッシュエントリ数
  */
-export async function loadCache() {
-  try {
-    const settings = getSettings();
-    
-    // キャッシュが無効の場合は空のキャッシュを設定
-    if (!settings.useCache) {
-      translationCache = {};
-      cacheInitialized = true;
-      return 0;
-    }
-    
-    // ストレージからキャッシュを読み込み
-    const data = await chrome.storage.local.get(["translationCache"]);
-    
-    // キャッシュデータが存在しない場合は空のキャッシュを設定
-    if (!data.translationCache) {
-      translationCache = {};
-      cacheInitialized = true;
-      return 0;
-    }
-    
-    // キャッシュデータを取得（文字列の場合はパース、オブジェクトの場合はそのまま使用）
-    let storedCache;
-    if (typeof data.translationCache === 'string') {
-      try {
-        storedCache = JSON.parse(data.translationCache);
-      } catch (parseError) {
-        console.error("キャッシュのパースに失敗:", parseError);
-        translationCache = {};
-        cacheInitialized = true;
-        return 0;
-      }
-    } else {
-      storedCache = data.translationCache;
-    }
-    
-    // 有効期限内のアイテムのみを読み込み
-    const now = Date.now();
-    let count = 0;
-    
-    translationCache = {};
-    Object.entries(storedCache).forEach(([key, item]) => {
-      if (now < item.expiresAt) {
-        translationCache[key] = item;
-        count++;
-      }
-    });
-    
-    cacheInitialized = true;
-    console.log(`キャッシュを読み込みました (${count}アイテム)`);
-    
-    return count;
-  } catch (error) {
-    console.error("キャッシュの読み込みに失敗:", error);
-    translationCache = {};
-    cacheInitialized = true;
-    return 0;
-  }
+export async function getCacheSize() {
+  const usage = await getCacheUsage();
+  return usage.count;
+}
+
+/**
+ * キャッシュをクリア
+ * @returns {Promise<number>} クリア前のキャッシュサイズ
+ */
+export async function clearCache() {
+  const previousSize = await getCacheSize();
+
+  // 書き込み待ちの更新はクリアしたアイテムに対するものなので破棄する
+  pendingAccess.accessed.clear();
+  pendingAccess.expired.clear();
+
+  const db = await openDatabase();
+  const transaction = db.transaction([TRANSLATION_STORE, META_STORE], "readwrite");
+  transaction.objectStore(TRANSLATION_STORE).clear();
+  transaction.objectStore(META_STORE).put({ count: 0, bytes: 0 }, USAGE_KEY);
+  await waitForTransaction(transaction);
+
+  return previousSize;
 }
 
 /**
  * キャッシュの初期化
+ * データベースを開き、有効期限切れのアイテムと以前のバージョンのキャッシュを削除します。
  * @returns {Promise<boolean>} 初期化が成功したかどうか
  */
 export async function initializeCache() {
   try {
-    const count = await loadCache();
-    console.log(`キャッシュを初期化しました (${count}アイテム)`);
+    await openDatabase();
+
+    const removed = await removeExpiredEntries();
+    const usage = await getCacheUsage();
+
+    // 以前のバージョンでchrome.storage.localに保存していたキャッシュを削除
+    await chrome.storage.local.remove(LEGACY_STORAGE_KEY);
+
+    console.log(`キャッシュを初期化しました (${usage.count}アイテム, ${usage.bytes}バイト, 期限切れ${removed}アイテムを削除)`);
     return true;
   } catch (error) {
     console.error("キャッシュの初期化に失敗:", error);
-    translationCache = {};
-    cacheInitialized = true;
     return false;
   }
 }
@@ -0,0 +1,88 @@
+/**
+ * チャット文脈モジュール
+ *
+ * タブとチャンネルごとに直近のチャット行を保持し、
+ * 会話の流れを考慮した翻訳のための文脈情報を提供します。
+ */
+
+// 保持する行数の上限（設定値に関わらず適用）
+const MAX_CONTEXT_LINES = 20;
+
+// 1行あたりの最大文字数（プロンプトの肥大化を防ぐ）
+const MAX_LINE_LENGTH = 200;
+
+// 文脈ストア: "タブID:チャンネル名" -> チャット行の配列（古い順）
+const contextStore = new Map();
+
+/**
+ * ストアのキーを生成
+ * @param {number|null} tabId タブID
+ * @param {string} channel チャンネル名
+ * @returns {string} ストアのキー
+ */
+function generateContextKey(tabId, channel) {
+  return `${tabId ?? 'unknown'}:${(channel || '').toLowerCase()}`;
+}
+
+/**
+ * チャット行を文脈に追加
+ * @param {number|null} tabId タブID
+ * @param {string} channel チャンネル名
+ * @param {string} username ユーザー名
+ * @param {string} text メッセージ本文
+ */
+export function addChatLine(tabId, channel, username, text) {
+  if (!text || text.trim().length === 0) {
+    return;
+  }
+
+  const key = generateContextKey(tabId, channel);
+  const lines = contextStore.get(key) || [];
+
+  lines.push({
+    username: username || 'unknown',
+    text: text.length > MAX_LINE_LENGTH ? text.substring(0, MAX_LINE_LENGTH) : text,
+    timestamp: Date.now()
+  });
+
+  // 上限を超えた古い行を削除
+  if (lines.length > MAX_CONTEXT_LINES) {
+    lines.splice(0, lines.length - MAX_CONTEXT_LINES);
+  }
+
+  contextStore.set(key, lines);
+}
+
+/**
+ * 直近のチャット行を取得
+ * @param {number|null} tabId タブID
+ * @param {string} channel チャンネル名
+ * @param {number} count 取得する行数
+ * @returns {Array<{username: string, text: string, timestamp: number}>} チャット行の配列（古い順）
+ */
+export function getChatContext(tabId, channel, count) {
+  if (!count || count <= 0) {
+    return [];
+  }
+
+  const lines = contextStore.get(generateContextKey(tabId, channel)) || [];
+  return lines.slice(-count);
+}
+
+/**
+ * タブの文脈をすべて削除
+ * @param {number} tabId タブID
+ * @returns {number} 削除されたチャンネル数
+ */
+export function clearChatContext(tabId) {
+  let removed = 0;
+
+  for (const key of contextStore.keys()) {
+    if (key.startsWith(`${tabId}:`)) {
+      contextStore.delete(key);
+      removed++;
+    }
+  }
+
+  return removed;
+}
@@ -0,0 +1,182 @@
+/**
+ * フォールバックモジュール
+ *
+ * レート制限・クォータ超過・サーバーエラー時に、指数バックオフで再試行し、
+ * それでも失敗した場合は設定されたモデルの順に切り替えて翻訳を試みます。
+ */
+
+import { getProvider, getProviderConfig } from './providers/index.js';
+
+// 再試行の待機時間の上限（ミリ秒）
+const MAX_BACKOFF_DELAY = 10000;
+
+/**
+ * プロバイダーの失敗した結果からエラーコードを判定
+ * 再試行やフォールバックの対象とならないエラーの場合はnullを返します。
+ * @param {object} result プロバイダーの結果（status: HTTPステータス, networkError: 通信自体に失敗したか,
+ *   quotaExhausted: 日次上限や残高不足をAPIの構造化されたエラーで示されたか）
+ * @returns {string|null} errorHandlerのエラーコード
+ */
+export function getErrorCodeForResult(result) {
+  if (result.networkError) {
+    return "network_error";
+  }
+
+  const status = result.status;
+
+  if (status === 429) {
+    // 日次上限や残高不足はしばらく待っても回復しない
+    return result.quotaExhausted ? "api_quota_exceeded" : "api_rate_limited";
+  }
+
+  if (status === 402) {
+    return "api_quota_exceeded";
+  }
+
+  if (status >= 500) {
+    return "api_server_error";
+  }
+
+  // 応答の解析に失敗した場合（応答のJSONやスキーマが不正など）は再試行せず、次のモデルを試す
+  if (status === undefined || status < 400) {
+    return "translation_failed";
+  }
+
+  return null;
+}
+
+/**
+ * 再試行までの待機時間を計算（指数バックオフ + ジッター）
+ * @param {number} attempt 再試行回数（0から）
+ * @param {number} baseDelay 基準となる待機時間（ミリ秒）
+ * @param {number} [retryAfter] サーバーが指定した待機時間（秒）
+ * @returns {number} 待機時間（ミリ秒）
+ */
+function getBackoffDelay(attempt, baseDelay, retryAfter) {
+  const exponential = Math.min(MAX_BACKOFF_DELAY, baseDelay * Math.pow(2, attempt));
+  const jitter = Math.random() * baseDelay;
+  const delay = Math.max(exponential + jitter, (retryAfter || 0) * 1000);
+
+  return Math.min(MAX_BACKOFF_DELAY, Math.round(delay));
+}
+
+/**
+ * 指定時間待機
+ * @param {number} ms 待機時間（ミリ秒）
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * フォールバックチェーンの項目を解析
+ * "プロバイダーID:モデル名" の形式で、モデル名を省略するとプロバイダーの設定値を使用します。
+ * @param {string} entry チェーンの項目
+ * @returns {{provider: string, model: string}|null} 解析結果（不正な形式の場合はnull）
+ */
+export function parseFallbackEntry(entry) {
+  if (typeof entry !== "string" || entry.trim().length === 0) {
+    return null;
+  }
+
+  // モデル名に":"が含まれる場合があるため（例: llama3.1:8b）、最初の区切りだけで分割
+  const separatorIndex = entry.indexOf(":");
+  const provider = (separatorIndex === -1 ? entry : entry.substring(0, separatorIndex)).trim();
+  const model = separatorIndex === -1 ? "" : entry.substring(separatorIndex + 1).trim();
+
+  return provider ? { provider, model } : null;
+}
+
+/**
+ * 翻訳に使用するモデルの順序を作成
+ * 先頭は呼び出し元の指定または選択中のプロバイダーで、その後にフォールバックチェーンが続きます。
+ * 接続設定がないプロバイダーと重複する項目は除外されます。
+ * @param {object} settings 現在の設定
+ * @param {object} options 翻訳オプション（provider, model）
+ * @returns {Array<{provider: object, model: string, config: object}>} 試行する順のモデル
+ */
+export function buildFallbackChain(settings, options = {}) {
+  const entries = [
+    { provider: options.provider || settings.translationProvider, model: options.model || "" },
+    ...(Array.isArray(settings.fallbackChain) ? settings.fallbackChain : []).map(parseFallbackEntry),
+  ];
+
+  const chain = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    if (!entry) continue;
+
+    const provider = getProvider(entry.provider);
+    const config = getProviderConfig(settings, provider.PROVIDER_ID);
+    const model = entry.model || config.model || "";
+    const key = `${provider.PROVIDER_ID}:${model}`;
+
+    if (seen.has(key) || !provider.isConfigured({ ...config, model })) {
+      continue;
+    }
+
+    seen.add(key);
+    chain.push({ provider, model, config: { ...config, model } });
+  }
+
+  return chain;
+}
+
+/**
+ * フォールバックチェーンに沿ってリクエストを実行
+ * @param {Array<{provider: object, model: string, config: object}>} chain 試行する順のモデル
+ * @param {object} settings 現在の設定（maxRetries, retryBaseDelay）
+ * @param {function(object, string, object): Promise<object>} request 1回分のリクエスト (provider, model, config) => 結果
+ * @returns {Promise<object>} 成功した結果、または最後の失敗結果（errorCodeを含む）
+ */
+export async function runWithFallback(chain, settings, request) {
+  const maxRetries = settings.maxRetries ?? 2;
+  const baseDelay = settings.retryBaseDelay ?? 500;
+  let lastResult = { success: false, error: "利用可能な翻訳モデルがありません", errorCode: "api_key_missing" };
+
+  for (let index = 0; index < chain.length; index++) {
+    const { provider, model, config } = chain[index];
+
+    for (let attempt = 0; ; attempt++) {
+      const result = await request(provider, model, config);
+
+      if (result.success) {
+        if (index > 0) {
+          console.log(`フォールバック先のモデルで翻訳しました: ${provider.PROVIDER_ID}:${result.model}`);
+        }
+        return { ...result, fallbackLevel: index };
+      }
+
+      const errorCode = getErrorCodeForResult(result);
+      lastResult = { ...result, errorCode };
+
+      // 再試行しても解決しないエラー（リクエスト内容や認証の問題など）
+      if (!errorCode) {
+        return lastResult;
+      }
+
+      // クォータ超過は待っても回復せず、応答の解析の失敗は同じモデルでは繰り返しやすいため、すぐに次のモデルへ
+      if (errorCode === "api_quota_exceeded" || errorCode === "translation_failed" || attempt >= maxRetries) {
+        break;
+      }
+
+      // サーバー指定の待機時間が長すぎる場合も次のモデルへ
+      if (result.retryAfter && result.retryAfter * 1000 > MAX_BACKOFF_DELAY) {
+        break;
+      }
+
+      const delay = getBackoffDelay(attempt, baseDelay, result.retryAfter);
+      console.warn(`${provider.PROVIDER_ID}:${model} でエラー (${errorCode})。${delay}ms後に再試行します (${attempt + 1}/${maxRetries})`);
+      await sleep(delay);
+    }
+
+    if (index < chain.length - 1) {
+      const next = chain[index + 1];
+      console.warn(`${provider.PROVIDER_ID}:${model} が利用できないため ${next.provider.PROVIDER_ID}:${next.model} にフォールバックします`);
+    }
+  }
+
+  return lastResult;
+}
@@ -0,0 +1,197 @@
+/**
+ * 用語集モジュール
+ *
+ * 配信者名・ゲーム用語・コミュニティ内のネタなど、決まった訳語を使いたい用語を管理します。
+ * 用語集は全チャンネル共通のものとチャンネルごとのものがあり、chrome.storage.localに保存されます。
+ * 翻訳するメッセージに含まれる用語はプロンプトに埋め込まれ、翻訳後にも訳語が適用されます。
+ */
+
+import { hashString } from './utils.js';
+
+// ストレージのキー
+const GLOSSARY_STORAGE_KEY = "glossary";
+
+// 用語集（global: 全チャンネル共通, channels: チャンネル名 -> 用語の配列）
+let glossary = createEmptyGlossary();
+
+// 用語集のバージョン（内容のハッシュ、キャッシュの区別に使用）
+let glossaryVersion = hashString(JSON.stringify(glossary));
+
+/**
+ * 空の用語集を作成
+ * @returns {{global: Array<{source: string, target: string}>, channels: object}} 空の用語集
+ */
+function createEmptyGlossary() {
+  return { global: [], channels: {} };
+}
+
+/**
+ * 用語の配列を正規化（空の用語を除外）
+ * @param {Array} entries 用語の配列
+ * @returns {Array<{source: string, target: string}>} 正規化された用語の配列
+ */
+function normalizeEntries(entries) {
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  return entries
+    .filter(entry => entry && typeof entry.source === "string" && typeof entry.target === "string")
+    .map(entry => ({ source: entry.source.trim(), target: entry.target.trim() }))
+    .filter(entry => entry.source.length > 0 && entry.target.length > 0);
+}
+
+/**
+ * 保存されている用語集を正規化
+ * @param {object} data ストレージから読み込んだ用語集
+ * @returns {object} 正規化された用語集
+ */
+function normalizeGlossary(data) {
+  const normalized = createEmptyGlossary();
+
+  if (!data || typeof data !== "object") {
+    return normalized;
+  }
+
+  normalized.global = normalizeEntries(data.global);
+
+  for (const [channel, entries] of Object.entries(data.channels || {})) {
+    const channelEntries = normalizeEntries(entries);
+    if (channelEntries.length > 0) {
+      normalized.channels[channel.toLowerCase()] = channelEntries;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * 用語集をストレージから読み込む
+ * @returns {Promise<object>} 読み込まれた用語集
+ */
+export async function loadGlossary() {
+  try {
+    const result = await chrome.storage.local.get([GLOSSARY_STORAGE_KEY]);
+    glossary = normalizeGlossary(result[GLOSSARY_STORAGE_KEY]);
+    glossaryVersion = hashString(JSON.stringify(glossary));
+
+    const channelCount = Object.keys(glossary.channels).length;
+    console.log(`用語集を読み込みました: 共通${glossary.global.length}件, チャンネル別${channelCount}チャンネル`);
+
+    return glossary;
+  } catch (error) {
+    console.error("用語集の読み込み中にエラーが発生しました:", error);
+    glossary = createEmptyGlossary();
+    glossaryVersion = hashString(JSON.stringify(glossary));
+    return glossary;
+  }
+}
+
+/**
+ * 用語集に用語を追加して保存
+ * 同じ用語がすでにある場合は訳語を上書きします。
+ * @param {{source: string, target: string}} entry 追加する用語
+ * @param {string|null} channel チャンネル名（指定しない場合は全チャンネル共通）
+ * @returns {Promise<object>} 更新された用語集
+ */
+export async function addGlossaryEntry(entry, channel = null) {
+  const [newEntry] = normalizeEntries([entry]);
+  if (!newEntry) {
+    throw new Error("用語と訳語を指定してください");
+  }
+
+  const result = await chrome.storage.local.get([GLOSSARY_STORAGE_KEY]);
+  const stored = normalizeGlossary(result[GLOSSARY_STORAGE_KEY]);
+  const key = channel ? channel.toLowerCase() : null;
+  const entries = key ? (stored.channels[key] || []) : stored.global;
+
+  const updated = [
+    ...entries.filter(existing => existing.source.toLowerCase() !== newEntry.source.toLowerCase()),
+    newEntry,
+  ];
+
+  if (key) {
+    stored.channels[key] = updated;
+  } else {
+    stored.global = updated;
+  }
+
+  await chrome.storage.local.set({ [GLOSSARY_STORAGE_KEY]: stored });
+  return loadGlossary();
+}
+
+/**
+ * 用語集のバージョンを取得
+ * 用語集の内容が変わるとバージョンも変わります。
+ * @returns {string} 用語集の内容のハッシュ
+ */
+export function getGlossaryVersion() {
+  return glossaryVersion;
+}
+
+/**
+ * 指定したチャンネルで有効な用語を取得
+ * チャンネル別の用語は同じ用語の共通の訳語より優先されます。
+ * @param {string|null} channel チャンネル名
+ * @returns {Array<{source: string, target: string}>} 用語の配列
+ */
+export function getGlossaryEntries(channel) {
+  const channelEntries = (channel && glossary.channels[channel.toLowerCase()]) || [];
+  const overridden = new Set(channelEntries.map(entry => entry.source.toLowerCase()));
+
+  return [
+    ...channelEntries,
+    ...glossary.global.filter(entry => !overridden.has(entry.source.toLowerCase())),
+  ];
+}
+
+/**
+ * 用語に一致する正規表現を作成
+ * 英数字の用語は単語の一部に一致しないよう単語境界を考慮します。
+ * @param {string} term 用語
+ * @returns {RegExp} 大文字小文字を区別しない正規表現
+ */
+function createTermPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const start = /^\w/.test(term) ? "\\b" : "";
+  const end = /\w$/.test(term) ? "\\b" : "";
+
+  return new RegExp(`${start}${escaped}${end}`, "gi");
+}
+
+/**
+ * テキストに含まれる用語を検索
+ * @param {string} text 翻訳するテキスト
+ * @param {string|null} channel チャンネル名
+ * @returns {Array<{source: string, target: string}>} テキストに含まれる用語
+ */
+export function findGlossaryMatches(text, channel) {
+  if (!text) {
+    return [];
+  }
+
+  return getGlossaryEntries(channel).filter(entry => createTermPattern(entry.source).test(text));
+}
+
+/**
+ * 翻訳結果に用語集の訳語を適用
+ * モデルが用語を翻訳せずに残した場合、その部分を訳語に置き換えます。
+ * @param {string} translation 翻訳結果
+ * @param {Array<{source: string, target: string}>} entries 翻訳元のテキストに含まれていた用語
+ * @returns {string} 訳語を適用した翻訳結果
+ */
+export function applyGlossary(translation, entries) {
+  if (!translation || !Array.isArray(entries) || entries.length === 0) {
+    return translation;
+  }
+
+  // 長い用語を先に適用し、短い用語が長い用語の一部を置き換えないようにする
+  return [...entries]
+    .sort((a, b) => b.source.length - a.source.length)
+    .reduce((result, entry) => {
+      if (result.includes(entry.target)) {
+        return result;
+      }
+      return result.replace(createTermPattern(entry.source), () => entry.target);
+    }, translation);
+}
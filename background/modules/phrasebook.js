@@ -0,0 +1,180 @@
+/**
+ * フレーズ集モジュール
+ *
+ * Twitchでよく使われるスラングなど、決まった訳を持つ短いメッセージのフレーズ集を管理します。
+ * フレーズ集は翻訳APIやキャッシュより先に参照され、キャッシュとは別に保持されるため削除されません。
+ * 組み込みのフレーズ集に加えて、オプションページから読み込んだフレーズ集（chrome.storage.local）を使用します。
+ */
+
+import { normalizeText, alignPlaceholders } from './textNormalizer.js';
+
+// ストレージのキー
+const PHRASEBOOK_STORAGE_KEY = "phrasebooks";
+
+// フレーズ集の結果に設定するエンジン・モデル名
+const PHRASEBOOK_ENGINE = "phrasebook";
+
+// 正規化後のプレースホルダー（textNormalizerで番号を取り除いたもの）
+const NORMALIZED_PLACEHOLDER_PATTERN = /⟦⟧/g;
+
+// 組み込みのフレーズ集（英語のTwitchスラング → 日本語）
+export const DEFAULT_PHRASEBOOK = {
+  name: "組み込み",
+  sourceLanguage: "en",
+  targetLanguage: "ja",
+  entries: [
+    { text: "lol", translation: "笑" },
+    { text: "lmao", translation: "爆笑" },
+    { text: "lmfao", translation: "爆笑" },
+    { text: "rofl", translation: "大爆笑" },
+    { text: "kekw", translation: "爆笑" },
+    { text: "omegalul", translation: "大爆笑" },
+    { text: "lul", translation: "笑" },
+    { text: "gg", translation: "GG（ナイスゲーム）" },
+    { text: "ggs", translation: "GG（ナイスゲーム）" },
+    { text: "gg wp", translation: "GG、ナイスプレイ" },
+    { text: "wp", translation: "ナイスプレイ" },
+    { text: "ez", translation: "楽勝" },
+    { text: "pog", translation: "すごい！" },
+    { text: "poggers", translation: "すごい！" },
+    { text: "pogchamp", translation: "すごい！" },
+    { text: "monkas", translation: "ヒヤヒヤ" },
+    { text: "sadge", translation: "悲しい" },
+    { text: "pepehands", translation: "悲しい" },
+    { text: "copium", translation: "現実逃避" },
+    { text: "hopium", translation: "希望的観測" },
+    { text: "o7", translation: "o7（敬礼）" },
+    { text: "hype", translation: "盛り上がってきた" },
+    { text: "lets go", translation: "よっしゃ！" },
+    { text: "let's go", translation: "よっしゃ！" },
+    { text: "letsgo", translation: "よっしゃ！" },
+    { text: "clutch", translation: "土壇場の逆転！" },
+    { text: "sus", translation: "怪しい" },
+    { text: "based", translation: "分かってる" },
+    { text: "cringe", translation: "痛々しい" },
+    { text: "hi", translation: "こんにちは" },
+    { text: "hello", translation: "こんにちは" },
+    { text: "hey", translation: "やあ" },
+    { text: "bye", translation: "またね" },
+    { text: "gm", translation: "おはよう" },
+    { text: "gn", translation: "おやすみ" },
+    { text: "ty", translation: "ありがとう" },
+    { text: "thx", translation: "ありがとう" },
+    { text: "thanks", translation: "ありがとう" },
+    { text: "np", translation: "どういたしまして" },
+    { text: "brb", translation: "すぐ戻る" },
+    { text: "afk", translation: "離席中" },
+    { text: "omg", translation: "まじか" },
+    { text: "wtf", translation: "は？" },
+    { text: "idk", translation: "わからない" },
+    { text: "nvm", translation: "気にしないで" },
+    { text: "first", translation: "一番乗り" },
+  ],
+};
+
+// フレーズの検索用の索引（"翻訳先言語:正規化したフレーズ" -> { translation, sourceLanguage, name }）
+let phraseIndex = new Map();
+
+/**
+ * 検索用にフレーズを正規化
+ * プレースホルダー（エモートなど）は検索時に無視します。
+ * @param {string} text フレーズまたはメッセージ
+ * @returns {string} 正規化されたフレーズ
+ */
+function normalizePhrase(text) {
+  return normalizeText(text)
+    .replace(NORMALIZED_PLACEHOLDER_PATTERN, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * フレーズ集を索引に追加
+ * 後から追加したフレーズ集が同じフレーズの訳を上書きします。
+ * @param {Map} index 索引
+ * @param {object} phrasebook フレーズ集
+ */
+function addToIndex(index, phrasebook) {
+  if (!phrasebook || !Array.isArray(phrasebook.entries)) {
+    return;
+  }
+
+  const targetLanguage = phrasebook.targetLanguage || "ja";
+
+  for (const entry of phrasebook.entries) {
+    if (typeof entry?.text !== "string" || typeof entry.translation !== "string") {
+      continue;
+    }
+
+    const phrase = normalizePhrase(entry.text);
+    const translation = entry.translation.trim();
+    if (!phrase || !translation) {
+      continue;
+    }
+
+    index.set(`${targetLanguage}:${phrase}`, {
+      translation,
+      sourceLanguage: phrasebook.sourceLanguage || null,
+      name: phrasebook.name || "",
+    });
+  }
+}
+
+/**
+ * フレーズ集をストレージから読み込む
+ * @returns {Promise<number>} 読み込まれたフレーズ数
+ */
+export async function loadPhrasebooks() {
+  const index = new Map();
+  addToIndex(index, DEFAULT_PHRASEBOOK);
+
+  try {
+    const result = await chrome.storage.local.get([PHRASEBOOK_STORAGE_KEY]);
+    const phrasebooks = Array.isArray(result[PHRASEBOOK_STORAGE_KEY]) ? result[PHRASEBOOK_STORAGE_KEY] : [];
+
+    phrasebooks.forEach(phrasebook => addToIndex(index, phrasebook));
+
+    console.log(`フレーズ集を読み込みました: ${phrasebooks.length + 1}冊, ${index.size}フレーズ`);
+  } catch (error) {
+    console.error("フレーズ集の読み込み中にエラーが発生しました:", error);
+  }
+
+  phraseIndex = index;
+  return phraseIndex.size;
+}
+
+/**
+ * フレーズ集から翻訳を検索
+ * メッセージ全体が1つのフレーズ（表記ゆれやエモートを除く）の場合のみ一致します。
+ * @param {string} text 翻訳するテキスト
+ * @param {string} sourceLanguage ソース言語（"auto"の場合は言語を問わない）
+ * @param {string} targetLanguage 翻訳先言語
+ * @returns {object|null} 翻訳結果、またはnull
+ */
+export function findPhrase(text, sourceLanguage, targetLanguage) {
+  const phrase = normalizePhrase(text);
+  if (!phrase) {
+    return null;
+  }
+
+  const match = phraseIndex.get(`${targetLanguage}:${phrase}`);
+  if (!match) {
+    return null;
+  }
+
+  if (sourceLanguage && sourceLanguage !== "auto" && match.sourceLanguage && match.sourceLanguage !== sourceLanguage) {
+    return null;
+  }
+
+  return {
+    success: true,
+    translation: alignPlaceholders(match.translation, text),
+    detectedLanguage: match.sourceLanguage || "auto-detected",
+    confidence: null,
+    isAlreadyTarget: false,
+    engine: PHRASEBOOK_ENGINE,
+    model: PHRASEBOOK_ENGINE,
+    phrasebook: match.name,
+    targetLanguage,
+  };
+}
@@ -0,0 +1,314 @@
+/**
+ * 翻訳プロンプトモジュール
+ *
+ * LLMベースの翻訳プロバイダーで共通して使用するプロンプトの生成と、
+ * 構造化された（JSON形式の）翻訳レスポンスの解析を提供します。
+ */
+
+// 翻訳先言語コードと表示名の対応
+export const TARGET_LANGUAGE_NAMES = {
+  ja: "Japanese",
+  en: "English",
+  ko: "Korean",
+  zh: "Chinese",
+  es: "Spanish",
+  fr: "French",
+  de: "German",
+  pt: "Portuguese",
+};
+
+// サンプリングパラメータの既定値
+export const DEFAULT_SAMPLING = {
+  temperature: 0.3,
+  topP: 0.9,
+  topK: 40,
+};
+
+// 接続テストに使用するテキスト
+export const TEST_TRANSLATION_TEXT = "Hello, this is a test message for the Twitch Gemini Translator extension.";
+
+// 既定のプロンプトプリセット
+export const DEFAULT_PROMPT_PRESET = "casual";
+
+// プロンプトテンプレートで使用できるプレースホルダー
+export const PROMPT_PLACEHOLDERS = ["{{TEXT}}", "{{SOURCE_LANG}}", "{{TARGET_LANG}}", "{{CHANNEL}}", "{{CONTEXT}}"];
+
+// プロンプトのプリセット（テンプレートとサンプリングパラメータ）
+export const PROMPT_PRESETS = {
+  casual: {
+    name: "カジュアル",
+    template: `Translate the following {{SOURCE_LANG}} to {{TARGET_LANG}}. This is a message from the chat of the Twitch channel "{{CHANNEL}}" and may contain internet slang, gaming terms, emotes, abbreviations, and stream-specific expressions.
+
+Please consider:
+- Preserve memes, jokes, and cultural references when possible
+- Keep emotes and symbols as they are
+- Use equivalent {{TARGET_LANG}} internet/streaming slang where appropriate
+- Maintain the casual, conversational tone of streaming culture
+- Translate abbreviations to their {{TARGET_LANG}} equivalents when possible
+{{CONTEXT}}
+Message:
+{{TEXT}}`,
+    sampling: { ...DEFAULT_SAMPLING },
+  },
+  polite: {
+    name: "丁寧",
+    template: `Translate the following {{SOURCE_LANG}} to {{TARGET_LANG}}. This is a message from the chat of the Twitch channel "{{CHANNEL}}" and may contain internet slang, gaming terms, emotes, and abbreviations.
+
+Please consider:
+- Use a polite, respectful register (for Japanese, use the desu/masu form)
+- Rephrase slang and crude expressions into their polite equivalents while keeping the meaning
+- Keep emotes and symbols as they are
+- Expand abbreviations into their full meaning
+{{CONTEXT}}
+Message:
+{{TEXT}}`,
+    sampling: { temperature: 0.3, topP: 0.9, topK: 40 },
+  },
+  literal: {
+    name: "直訳",
+    template: `Translate the following {{SOURCE_LANG}} to {{TARGET_LANG}} as literally as possible. This is a message from the chat of the Twitch channel "{{CHANNEL}}".
+
+Please consider:
+- Keep the original word order and sentence structure where the {{TARGET_LANG}} grammar allows
+- Do not localize slang, memes, or idioms; translate their literal meaning instead
+- Keep emotes, usernames, and symbols as they are
+- Do not add or omit any information
+{{CONTEXT}}
+Message:
+{{TEXT}}`,
+    sampling: { temperature: 0.1, topP: 0.8, topK: 20 },
+  },
+};
+
+// 翻訳結果の各項目の説明（単体翻訳とバッチ翻訳で共通）
+const RESULT_FIELDS_DESCRIPTION = `- "translation": the {{TARGET_LANG}} translation only, without any explanations or notes. Keep placeholders such as ⟦0⟧ (emotes, mentions, links) exactly as they are, at the appropriate position
+- "sourceLanguage": the ISO 639-1 code of the language the message is written in (e.g. "en")
+- "confidence": your confidence in the detected language, from 0 to 1
+- "isAlreadyTarget": true if the message is already written in {{TARGET_LANG}} and needs no translation`;
+
+// 単体翻訳の出力形式の指示（テンプレートの後に追加される）
+const RESULT_FORMAT_SECTION = `
+Return a JSON object with the following fields:
+${RESULT_FIELDS_DESCRIPTION}`;
+
+// バッチ翻訳の出力形式の指示（テンプレートの後に追加される）
+const BATCH_RESULT_FORMAT_SECTION = `
+The messages above are consecutive chat messages given as a JSON array of objects with "id" and "text". Translate each of them separately and return a JSON array with exactly one object per message, containing the same "id" and the following fields. Do not merge, split or omit messages:
+${RESULT_FIELDS_DESCRIPTION}`;
+
+// 用語集セクションのテンプレート（テンプレートの後に追加される）
+const GLOSSARY_SECTION_TEMPLATE = `
+Use the following glossary. Whenever a term on the left appears in the message, always translate it as the term on the right:
+{{TERMS}}
+`;
+
+// 文脈セクションのテンプレート
+const CONTEXT_SECTION_TEMPLATE = `
+The following recent chat messages are provided as read-only context to help you understand replies and references. Do not translate them or include them in your answer:
+{{LINES}}
+`;
+
+/**
+ * 設定から使用するプロンプトテンプレートを取得
+ * カスタムテンプレートに{{TEXT}}が含まれていない場合は既定のプリセットを使用します。
+ * @param {object} settings 現在の設定
+ * @returns {string} プロンプトテンプレート
+ */
+export function getPromptTemplate(settings) {
+  if (settings.promptPreset === "custom") {
+    const template = settings.promptTemplate || "";
+    return template.includes("{{TEXT}}") ? template : PROMPT_PRESETS[DEFAULT_PROMPT_PRESET].template;
+  }
+
+  return (PROMPT_PRESETS[settings.promptPreset] || PROMPT_PRESETS[DEFAULT_PROMPT_PRESET]).template;
+}
+
+/**
+ * 設定からサンプリングパラメータを取得
+ * @param {object} settings 現在の設定
+ * @returns {{temperature: number, topP: number, topK: number}} サンプリングパラメータ
+ */
+export function getSamplingParameters(settings) {
+  return {
+    temperature: typeof settings.temperature === "number" ? settings.temperature : DEFAULT_SAMPLING.temperature,
+    topP: typeof settings.topP === "number" ? settings.topP : DEFAULT_SAMPLING.topP,
+    topK: typeof settings.topK === "number" ? settings.topK : DEFAULT_SAMPLING.topK,
+  };
+}
+
+/**
+ * 文脈セクションを作成
+ * @param {Array<{username: string, text: string}>} context 直近のチャット行（古い順）
+ * @returns {string} プロンプトに埋め込む文脈セクション（文脈がない場合は空文字）
+ */
+function createContextSection(context) {
+  if (!Array.isArray(context) || context.length === 0) {
+    return "";
+  }
+
+  const lines = context
+    .map(line => `[${line.username}]: ${line.text}`)
+    .join("\n");
+
+  return CONTEXT_SECTION_TEMPLATE.replace('{{LINES}}', () => lines);
+}
+
+/**
+ * 用語集セクションを作成
+ * @param {Array<{source: string, target: string}>} glossary メッセージに含まれる用語
+ * @returns {string} プロンプトに追加する用語集セクション（用語がない場合は空文字）
+ */
+function createGlossarySection(glossary) {
+  if (!Array.isArray(glossary) || glossary.length === 0) {
+    return "";
+  }
+
+  const terms = glossary
+    .map(entry => `- ${entry.source} => ${entry.target}`)
+    .join("\n");
+
+  return GLOSSARY_SECTION_TEMPLATE.replace('{{TERMS}}', () => terms);
+}
+
+/**
+ * テンプレートのプレースホルダーを置換
+ * @param {string} template プロンプトテンプレート
+ * @param {string} text {{TEXT}}に埋め込むテキスト
+ * @param {object} options 翻訳オプション
+ * @returns {string} 置換後のテンプレート
+ */
+function fillPlaceholders(template, text, options) {
+  const sourceLang = options.sourceLanguage || "auto";
+  const langDisplay = sourceLang === "auto" ? "text" : `${sourceLang} text`;
+  const targetDisplay = TARGET_LANGUAGE_NAMES[options.targetLanguage] || TARGET_LANGUAGE_NAMES.ja;
+  const values = {
+    TEXT: text,
+    SOURCE_LANG: langDisplay,
+    TARGET_LANG: targetDisplay,
+    CHANNEL: options.channel || "unknown",
+    CONTEXT: createContextSection(options.context),
+  };
+
+  // 埋め込んだチャット本文に含まれるプレースホルダーが再度置換されないよう、1回の走査で置換する
+  return template.replace(/{{(TEXT|SOURCE_LANG|TARGET_LANG|CHANNEL|CONTEXT)}}/g, (match, key) => values[key]);
+}
+
+/**
+ * 単体翻訳用のプロンプト本文を作成
+ * @param {string} text 翻訳するテキスト
+ * @param {object} options 翻訳オプション（sourceLanguage, targetLanguage, channel, context, promptTemplate, glossary）
+ * @returns {string} プロンプト本文
+ */
+export function buildTranslationPrompt(text, options = {}) {
+  const template = options.promptTemplate || PROMPT_PRESETS[DEFAULT_PROMPT_PRESET].template;
+  const instructions = fillPlaceholders(template, text, options);
+  const resultFormat = fillPlaceholders(RESULT_FORMAT_SECTION, text, options);
+
+  // 用語はユーザーが登録した文字列のため、プレースホルダーの置換対象に含めない
+  return `${instructions}\n${createGlossarySection(options.glossary)}${resultFormat}`;
+}
+
+/**
+ * バッチ翻訳用のプロンプト本文を作成
+ * {{TEXT}}にはメッセージのJSON配列が埋め込まれます。
+ * @param {Array<{id: string, text: string}>} items 翻訳するメッセージ
+ * @param {object} options 翻訳オプション（sourceLanguage, targetLanguage, channel, context, promptTemplate, glossary）
+ * @returns {string} プロンプト本文
+ */
+export function buildBatchTranslationPrompt(items, options = {}) {
+  const template = options.promptTemplate || PROMPT_PRESETS[DEFAULT_PROMPT_PRESET].template;
+  const messages = JSON.stringify(items.map(item => ({ id: item.id, text: item.text })));
+  const instructions = fillPlaceholders(template, messages, options);
+  const resultFormat = fillPlaceholders(BATCH_RESULT_FORMAT_SECTION, messages, options);
+
+  return `${instructions}\n${createGlossarySection(options.glossary)}${resultFormat}`;
+}
+
+/**
+ * JSON形式のレスポンス本文をパース
+ * @param {string} responseText モデルが返したテキスト
+ * @returns {any} パース結果（パースできない場合はnull）
+ */
+function parseJsonResponse(responseText) {
+  if (typeof responseText !== "string") {
+    return null;
+  }
+
+  // コードブロックで囲まれて返される場合に備えて除去
+  const jsonText = responseText
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  try {
+    return JSON.parse(jsonText);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 構造化された翻訳結果を正規化
+ * @param {object} entry モデルが返した翻訳結果オブジェクト
+ * @returns {{translation: string, sourceLanguage: string|null, confidence: number|null, isAlreadyTarget: boolean}|null} 正規化された結果（翻訳文がない場合はnull）
+ */
+function normalizeStructuredResult(entry) {
+  if (!entry || typeof entry.translation !== "string") {
+    return null;
+  }
+
+  const sourceLanguage = typeof entry.sourceLanguage === "string" && /^[a-z]{2,3}(-[a-z0-9]+)?$/i.test(entry.sourceLanguage.trim())
+    ? entry.sourceLanguage.trim().toLowerCase()
+    : null;
+  const confidence = typeof entry.confidence === "number" && isFinite(entry.confidence)
+    ? Math.max(0, Math.min(1, entry.confidence))
+    : null;
+
+  return {
+    translation: entry.translation.trim(),
+    sourceLanguage,
+    confidence,
+    isAlreadyTarget: entry.isAlreadyTarget === true,
+  };
+}
+
+/**
+ * 単体翻訳のレスポンス本文を解析
+ * JSONで返されなかった場合は、本文全体を翻訳文として扱います。
+ * @param {string} responseText モデルが返したテキスト
+ * @returns {{translation: string, sourceLanguage: string|null, confidence: number|null, isAlreadyTarget: boolean}} 翻訳結果
+ */
+export function parseStructuredTranslation(responseText) {
+  const result = normalizeStructuredResult(parseJsonResponse(responseText));
+
+  if (result) {
+    return result;
+  }
+
+  return {
+    translation: (responseText || "").trim(),
+    sourceLanguage: null,
+    confidence: null,
+    isAlreadyTarget: false,
+  };
+}
+
+/**
+ * バッチ翻訳のレスポンス本文を解析
+ * @param {string} responseText モデルが返したテキスト（JSON配列）
+ * @returns {Map<string, object>|null} メッセージIDと翻訳結果の対応（解析できない場合はnull）
+ */
+export function parseBatchTranslations(responseText) {
+  const translations = parseJsonResponse(responseText);
+
+  if (!Array.isArray(translations)) {
+    return null;
+  }
+
+  return new Map(
+    translations
+      .filter(entry => entry && entry.id !== undefined)
+      .map(entry => [String(entry.id), normalizeStructuredResult(entry)])
+      .filter(([, result]) => result !== null)
+  );
+}
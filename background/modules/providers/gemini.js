@@ -0,0 +1,318 @@
+/**
+ * Gemini翻訳プロバイダー
+ *
+ * Google Gemini APIを使用した翻訳機能を提供します。
+ */
+
+import {
+  buildTranslationPrompt,
+  buildBatchTranslationPrompt,
+  parseBatchTranslations,
+  parseStructuredTranslation,
+  DEFAULT_SAMPLING,
+  TEST_TRANSLATION_TEXT,
+} from '../prompts.js';
+
+// プロバイダー情報
+export const PROVIDER_ID = "gemini";
+export const PROVIDER_NAME = "Gemini";
+
+// Gemini API関連の定数
+const GEMINI_API_MODELS = "https://generativelanguage.googleapis.com/v1beta/models";
+const GEMINI_API_GENERATE = ":generateContent";
+const DEFAULT_MODEL = "gemini-2.0-flash-lite";
+
+// 翻訳結果の各項目のスキーマ
+const RESULT_PROPERTIES = {
+  translation: { type: "STRING" },
+  sourceLanguage: { type: "STRING" },
+  confidence: { type: "NUMBER" },
+  isAlreadyTarget: { type: "BOOLEAN" },
+};
+
+// 単体翻訳のレスポンススキーマ
+const TRANSLATION_RESPONSE_SCHEMA = {
+  type: "OBJECT",
+  properties: RESULT_PROPERTIES,
+  required: ["translation", "sourceLanguage", "confidence", "isAlreadyTarget"],
+};
+
+// バッチ翻訳のレスポンススキーマ
+const BATCH_RESPONSE_SCHEMA = {
+  type: "ARRAY",
+  items: {
+    type: "OBJECT",
+    properties: {
+      id: { type: "STRING" },
+      ...RESULT_PROPERTIES,
+    },
+    required: ["id", "translation", "sourceLanguage", "confidence", "isAlreadyTarget"],
+  },
+};
+
+/**
+ * 接続設定が揃っているかを確認
+ * @param {object} config プロバイダー設定（apiKey, model）
+ * @returns {boolean} 翻訳に必要な設定があるかどうか
+ */
+export function isConfigured(config) {
+  return !!config?.apiKey;
+}
+
+/**
+ * エラーレスポンスを解析
+ * クォータ超過（RESOURCE_EXHAUSTED）のうち、日ごとの上限に達した場合はdetailsのQuotaFailureで判定します。
+ * 待機時間はRetry-Afterヘッダー、なければdetailsのRetryInfoから取得します。
+ * @param {Response} response fetchのレスポンス
+ * @returns {Promise<{message: string, quotaExhausted: boolean, retryAfter: number|undefined}>} エラーの内容
+ */
+async function readErrorResponse(response) {
+  const result = {
+    message: `エラーステータス: ${response.status}`,
+    quotaExhausted: false,
+    retryAfter: getRetryAfter(response),
+  };
+
+  try {
+    const error = (await response.json()).error || {};
+    const details = Array.isArray(error.details) ? error.details : [];
+
+    result.message = error.message || result.message;
+
+    if (error.status === "RESOURCE_EXHAUSTED") {
+      const violations = details
+        .filter(detail => detail?.["@type"]?.endsWith("google.rpc.QuotaFailure"))
+        .flatMap(detail => detail.violations || []);
+      result.quotaExhausted = violations.some(violation => /PerDay/i.test(violation.quotaId || violation.quotaMetric || ""));
+    }
+
+    if (result.retryAfter === undefined) {
+      const retryInfo = details.find(detail => detail?.["@type"]?.endsWith("google.rpc.RetryInfo"));
+      const retryDelay = parseFloat(retryInfo?.retryDelay);
+      result.retryAfter = isNaN(retryDelay) ? undefined : retryDelay;
+    }
+  } catch (e) {
+    // エラーレスポンスのパースに失敗した場合は無視
+    console.warn("エラーレスポンスのパースに失敗:", e);
+  }
+
+  return result;
+}
+
+/**
+ * Retry-Afterヘッダーから待機時間を取得
+ * @param {Response} response fetchのレスポンス
+ * @returns {number|undefined} 待機時間（秒）
+ */
+function getRetryAfter(response) {
+  const value = parseFloat(response.headers?.get("Retry-After"));
+  return isNaN(value) ? undefined : value;
+}
+
+/**
+ * generateContentを呼び出す
+ * @param {string} model モデル名
+ * @param {string} apiKey APIキー
+ * @param {string} promptText プロンプト本文
+ * @param {object} extraConfig generationConfigに追加する設定（サンプリングパラメータを含む）
+ * @returns {Promise<object>} { ok, status, text, error, retryAfter, quotaExhausted, networkError }
+ */
+async function generateContent(model, apiKey, promptText, extraConfig = {}) {
+  const apiUrl = `${GEMINI_API_MODELS}/${model}${GEMINI_API_GENERATE}?key=${apiKey}`;
+
+  console.log(`Gemini API リクエスト送信先: ${GEMINI_API_MODELS}/${model}${GEMINI_API_GENERATE}`);
+
+  let response;
+  try {
+    response = await fetch(apiUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        contents: [
+          {
+            role: "user",
+            parts: [{ text: promptText }],
+          },
+        ],
+        generationConfig: {
+          ...DEFAULT_SAMPLING,
+          ...extraConfig,
+        },
+      }),
+    });
+  } catch (error) {
+    // 通信自体に失敗した場合（オフラインなど）
+    console.error("Gemini API 通信エラー:", error);
+    return { ok: false, networkError: true, error: `通信に失敗しました: ${error.message}` };
+  }
+
+  console.log(`Gemini API レスポンスステータス: ${response.status}`);
+
+  if (!response.ok) {
+    const errorResponse = await readErrorResponse(response);
+    console.error("Gemini API エラー:", errorResponse.message);
+    return {
+      ok: false,
+      status: response.status,
+      error: errorResponse.message,
+      retryAfter: errorResponse.retryAfter,
+      quotaExhausted: errorResponse.quotaExhausted,
+    };
+  }
+
+  const data = await response.json();
+  const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+
+  if (typeof text !== "string") {
+    console.error("Gemini API から有効な翻訳結果が返されませんでした:", data);
+    return { ok: false, status: response.status, error: "翻訳結果の取得に失敗しました" };
+  }
+
+  return { ok: true, status: response.status, text };
+}
+
+/**
+ * テキストを翻訳
+ * @param {string} text 翻訳するテキスト
+ * @param {object} options 翻訳オプション（model, sourceLanguage, targetLanguage, channel, context, promptTemplate, sampling）
+ * @param {object} config プロバイダー設定（apiKey, model）
+ * @returns {Promise<object>} 翻訳結果
+ */
+export async function translate(text, options, config) {
+  const model = options.model || config.model || DEFAULT_MODEL;
+
+  try {
+    const result = await generateContent(model, config.apiKey, buildTranslationPrompt(text, options), {
+      ...options.sampling,
+      responseMimeType: "application/json",
+      responseSchema: TRANSLATION_RESPONSE_SCHEMA,
+    });
+
+    if (!result.ok) {
+      return {
+        success: false,
+        error: result.error,
+        status: result.status,
+        retryAfter: result.retryAfter,
+        quotaExhausted: result.quotaExhausted,
+        networkError: result.networkError,
+      };
+    }
+
+    const structured = parseStructuredTranslation(result.text);
+
+    return {
+      success: true,
+      translation: structured.translation,
+      detectedLanguage: structured.sourceLanguage || (options.sourceLanguage === "auto" ? "auto-detected" : options.sourceLanguage),
+      confidence: structured.confidence,
+      isAlreadyTarget: structured.isAlreadyTarget,
+      engine: PROVIDER_ID,
+      model,
+    };
+  } catch (error) {
+    console.error("翻訳中のエラー:", error);
+    return {
+      success: false,
+      error: error.message || "翻訳中に予期せぬエラーが発生しました",
+    };
+  }
+}
+
+/**
+ * 複数のメッセージを1回のリクエストで翻訳
+ * @param {Array<{id: string, text: string}>} items 翻訳するメッセージ
+ * @param {object} options 翻訳オプション（model, sourceLanguage, targetLanguage, channel, context, promptTemplate, sampling）
+ * @param {object} config プロバイダー設定（apiKey, model）
+ * @returns {Promise<object>} { success, translations: Map<id, 翻訳結果>, model } または { success: false, error }
+ */
+export async function translateBatch(items, options, config) {
+  const model = options.model || config.model || DEFAULT_MODEL;
+
+  try {
+    console.log(`Gemini API バッチリクエスト送信: ${items.length}件`);
+
+    const result = await generateContent(model, config.apiKey, buildBatchTranslationPrompt(items, options), {
+      ...options.sampling,
+      responseMimeType: "application/json",
+      responseSchema: BATCH_RESPONSE_SCHEMA,
+    });
+
+    if (!result.ok) {
+      return {
+        success: false,
+        error: result.error,
+        status: result.status,
+        retryAfter: result.retryAfter,
+        quotaExhausted: result.quotaExhausted,
+        networkError: result.networkError,
+      };
+    }
+
+    const translations = parseBatchTranslations(result.text);
+    if (!translations) {
+      console.error("Gemini API から有効なバッチ翻訳結果が返されませんでした:", result.text);
+      return { success: false, error: "バッチ翻訳結果の取得に失敗しました" };
+    }
+
+    return { success: true, translations, engine: PROVIDER_ID, model };
+  } catch (error) {
+    console.error("バッチ翻訳中のエラー:", error);
+    return {
+      success: false,
+      error: error.message || "バッチ翻訳中に予期せぬエラーが発生しました",
+    };
+  }
+}
+
+/**
+ * APIキーと接続をテスト
+ * @param {object} config プロバイダー設定（apiKey, model）
+ * @param {string} targetLanguage 翻訳先言語コード
+ * @returns {Promise<object>} { valid, translatedText } または { valid: false, error }
+ */
+export async function testKey(config, targetLanguage = "ja") {
+  if (!isConfigured(config)) {
+    return { valid: false, error: "APIキーが指定されていません" };
+  }
+
+  const result = await translate(TEST_TRANSLATION_TEXT, { sourceLanguage: "auto", targetLanguage }, config);
+
+  return result.success
+    ? { valid: true, translatedText: result.translation, model: result.model }
+    : { valid: false, error: result.error };
+}
+
+/**
+ * 利用可能なモデルの一覧を取得
+ * @param {object} config プロバイダー設定（apiKey）
+ * @returns {Promise<object>} { success, models: Array<{id, name}> } または { success: false, error }
+ */
+export async function listModels(config) {
+  if (!isConfigured(config)) {
+    return { success: false, error: "APIキーが指定されていません" };
+  }
+
+  try {
+    const response = await fetch(`${GEMINI_API_MODELS}?key=${config.apiKey}`);
+
+    if (!response.ok) {
+      return { success: false, error: (await readErrorResponse(response)).message, status: response.status };
+    }
+
+    const data = await response.json();
+    const models = (data.models || [])
+      .filter(model => (model.supportedGenerationMethods || []).includes("generateContent"))
+      .map(model => ({
+        id: model.name.replace(/^models\//, ""),
+        name: model.displayName || model.name,
+      }));
+
+    return { success: true, models };
+  } catch (error) {
+    console.error("モデル一覧の取得中のエラー:", error);
+    return { success: false, error: error.message || "モデル一覧の取得に失敗しました" };
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * 翻訳プロバイダーモジュール
+ *
+ * 翻訳プロバイダーの登録と選択を管理します。
+ * 各プロバイダーは以下の関数を公開します:
+ * - isConfigured(config): 翻訳に必要な設定が揃っているか
+ * - translate(text, options, config): テキストを翻訳
+ * - translateBatch(items, options, config): 複数のメッセージをまとめて翻訳
+ * - testKey(config, targetLanguage): 接続とAPIキーをテスト
+ * - listModels(config): 利用可能なモデルの一覧を取得
+ */
+
+import * as gemini from './gemini.js';
+import * as openaiCompatible from './openaiCompatible.js';
+import * as libreTranslate from './libreTranslate.js';
+
+// 既定のプロバイダー
+export const DEFAULT_PROVIDER = gemini.PROVIDER_ID;
+
+// プロバイダーID -> プロバイダーモジュール
+const PROVIDERS = {
+  [gemini.PROVIDER_ID]: gemini,
+  [openaiCompatible.PROVIDER_ID]: openaiCompatible,
+  [libreTranslate.PROVIDER_ID]: libreTranslate,
+};
+
+/**
+ * プロバイダーを取得
+ * @param {string} providerId プロバイダーID
+ * @returns {object} プロバイダーモジュール（不明なIDの場合は既定のプロバイダー）
+ */
+export function getProvider(providerId) {
+  return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * 設定からプロバイダーの接続設定を取得
+ * @param {object} settings 現在の設定
+ * @param {string} providerId プロバイダーID（省略時は設定の翻訳プロバイダー）
+ * @returns {object} プロバイダー設定（apiKey, baseUrl, model）
+ */
+export function getProviderConfig(settings, providerId = settings.translationProvider) {
+  switch (getProvider(providerId).PROVIDER_ID) {
+    case openaiCompatible.PROVIDER_ID:
+      return {
+        baseUrl: settings.openaiBaseUrl,
+        apiKey: settings.openaiApiKey,
+        model: settings.openaiModel,
+      };
+    case libreTranslate.PROVIDER_ID:
+      return {
+        baseUrl: settings.libreTranslateUrl,
+        apiKey: settings.libreTranslateApiKey,
+      };
+    default:
+      return {
+        apiKey: settings.apiKey,
+        model: settings.geminiModel,
+      };
+  }
+}
+
+/**
+ * 選択中のプロバイダーの接続設定が揃っているかを確認
+ * @param {object} settings 現在の設定
+ * @param {string} providerId プロバイダーID（省略時は設定の翻訳プロバイダー）
+ * @returns {boolean} 翻訳に必要な設定があるかどうか
+ */
+export function isProviderConfigured(settings, providerId = settings.translationProvider) {
+  return getProvider(providerId).isConfigured(getProviderConfig(settings, providerId));
+}
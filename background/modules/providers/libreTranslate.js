@@ -0,0 +1,226 @@
+/**
+ * LibreTranslate翻訳プロバイダー
+ *
+ * LibreTranslate APIを使用した機械翻訳を提供します。
+ * LLMではないため、プロンプトや文脈は使用しません。
+ */
+
+import { TEST_TRANSLATION_TEXT } from '../prompts.js';
+
+// プロバイダー情報
+export const PROVIDER_ID = "libretranslate";
+export const PROVIDER_NAME = "LibreTranslate";
+
+// LibreTranslateにはモデルの選択がないため、固定の識別子を使用
+const MODEL_ID = "libretranslate";
+
+/**
+ * 接続設定が揃っているかを確認
+ * @param {object} config プロバイダー設定（baseUrl, apiKey）
+ * @returns {boolean} 翻訳に必要な設定があるかどうか
+ */
+export function isConfigured(config) {
+  return !!config?.baseUrl;
+}
+
+/**
+ * エンドポイントのURLを作成
+ * @param {string} baseUrl サーバーURL（例: https://libretranslate.com）
+ * @param {string} path パス
+ * @returns {string} エンドポイントURL
+ */
+function buildEndpoint(baseUrl, path) {
+  return `${baseUrl.replace(/\/+$/, "")}${path}`;
+}
+
+/**
+ * 検出された言語情報を翻訳結果の形式に変換
+ * @param {object|undefined} detected LibreTranslateの検出結果 { language, confidence(0-100) }
+ * @param {string} targetLanguage 翻訳先言語コード
+ * @returns {{sourceLanguage: string|null, confidence: number|null, isAlreadyTarget: boolean}} 言語情報
+ */
+function toLanguageInfo(detected, targetLanguage) {
+  const sourceLanguage = detected?.language || null;
+
+  return {
+    sourceLanguage,
+    confidence: typeof detected?.confidence === "number" ? detected.confidence / 100 : null,
+    isAlreadyTarget: sourceLanguage !== null && sourceLanguage === targetLanguage,
+  };
+}
+
+/**
+ * 翻訳APIを呼び出す
+ * @param {string|Array<string>} q 翻訳するテキスト（配列で複数指定可）
+ * @param {object} options 翻訳オプション（sourceLanguage, targetLanguage）
+ * @param {object} config プロバイダー設定
+ * @returns {Promise<object>} { ok, status, data, error, networkError }
+ */
+async function requestTranslation(q, options, config) {
+  const apiUrl = buildEndpoint(config.baseUrl, "/translate");
+  const sourceLang = options.sourceLanguage || "auto";
+
+  console.log(`LibreTranslate リクエスト送信先: ${apiUrl}`);
+
+  let response;
+  try {
+    response = await fetch(apiUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        q,
+        source: sourceLang === "auto" ? "auto" : sourceLang.toLowerCase(),
+        target: options.targetLanguage || "ja",
+        format: "text",
+        ...(config.apiKey ? { api_key: config.apiKey } : {}),
+      }),
+    });
+  } catch (error) {
+    // 通信自体に失敗した場合（サーバーが起動していないなど）
+    console.error("LibreTranslate 通信エラー:", error);
+    return { ok: false, networkError: true, error: `通信に失敗しました: ${error.message}` };
+  }
+
+  console.log(`LibreTranslate レスポンスステータス: ${response.status}`);
+
+  if (!response.ok) {
+    let errorMessage = `エラーステータス: ${response.status}`;
+
+    try {
+      const errorData = await response.json();
+      errorMessage = errorData.error || errorMessage;
+    } catch (e) {
+      // エラーレスポンスのパースに失敗した場合は無視
+    }
+
+    console.error("LibreTranslate エラー:", errorMessage);
+    return { ok: false, status: response.status, error: errorMessage };
+  }
+
+  return { ok: true, status: response.status, data: await response.json() };
+}
+
+/**
+ * テキストを翻訳
+ * @param {string} text 翻訳するテキスト
+ * @param {object} options 翻訳オプション（sourceLanguage, targetLanguage）
+ * @param {object} config プロバイダー設定（baseUrl, apiKey）
+ * @returns {Promise<object>} 翻訳結果
+ */
+export async function translate(text, options, config) {
+  try {
+    const result = await requestTranslation(text, options, config);
+
+    if (!result.ok) {
+      return {
+        success: false,
+        error: result.error,
+        status: result.status,
+        retryAfter: result.retryAfter,
+        networkError: result.networkError,
+      };
+    }
+
+    if (typeof result.data.translatedText !== "string") {
+      console.error("LibreTranslate から有効な翻訳結果が返されませんでした:", result.data);
+      return { success: false, error: "翻訳結果の取得に失敗しました" };
+    }
+
+    const languageInfo = toLanguageInfo(result.data.detectedLanguage, options.targetLanguage);
+
+    return {
+      success: true,
+      translation: result.data.translatedText.trim(),
+      detectedLanguage: languageInfo.sourceLanguage || (options.sourceLanguage === "auto" ? "auto-detected" : options.sourceLanguage),
+      confidence: languageInfo.confidence,
+      isAlreadyTarget: languageInfo.isAlreadyTarget,
+      engine: PROVIDER_ID,
+      model: MODEL_ID,
+    };
+  } catch (error) {
+    console.error("翻訳中のエラー:", error);
+    return {
+      success: false,
+      error: error.message || "翻訳中に予期せぬエラーが発生しました",
+    };
+  }
+}
+
+/**
+ * 複数のメッセージを1回のリクエストで翻訳
+ * @param {Array<{id: string, text: string}>} items 翻訳するメッセージ
+ * @param {object} options 翻訳オプション（sourceLanguage, targetLanguage）
+ * @param {object} config プロバイダー設定（baseUrl, apiKey）
+ * @returns {Promise<object>} { success, translations: Map<id, 翻訳結果>, model } または { success: false, error }
+ */
+export async function translateBatch(items, options, config) {
+  try {
+    console.log(`LibreTranslate バッチリクエスト送信: ${items.length}件`);
+
+    const result = await requestTranslation(items.map(item => item.text), options, config);
+
+    if (!result.ok) {
+      return {
+        success: false,
+        error: result.error,
+        status: result.status,
+        retryAfter: result.retryAfter,
+        networkError: result.networkError,
+      };
+    }
+
+    const translatedTexts = result.data.translatedText;
+    if (!Array.isArray(translatedTexts) || translatedTexts.length !== items.length) {
+      console.error("LibreTranslate から有効なバッチ翻訳結果が返されませんでした:", result.data);
+      return { success: false, error: "バッチ翻訳結果の取得に失敗しました" };
+    }
+
+    // 複数指定の場合、検出結果も配列で返される
+    const detectedLanguages = Array.isArray(result.data.detectedLanguage) ? result.data.detectedLanguage : [];
+
+    const translations = new Map(
+      items.map((item, index) => [item.id, {
+        translation: String(translatedTexts[index]).trim(),
+        ...toLanguageInfo(detectedLanguages[index], options.targetLanguage),
+      }])
+    );
+
+    return { success: true, translations, engine: PROVIDER_ID, model: MODEL_ID };
+  } catch (error) {
+    console.error("バッチ翻訳中のエラー:", error);
+    return {
+      success: false,
+      error: error.message || "バッチ翻訳中に予期せぬエラーが発生しました",
+    };
+  }
+}
+
+/**
+ * 接続とAPIキーをテスト
+ * @param {object} config プロバイダー設定（baseUrl, apiKey）
+ * @param {string} targetLanguage 翻訳先言語コード
+ * @returns {Promise<object>} { valid, translatedText } または { valid: false, error }
+ */
+export async function testKey(config, targetLanguage = "ja") {
+  if (!isConfigured(config)) {
+    return { valid: false, error: "サーバーURLが指定されていません" };
+  }
+
+  const result = await translate(TEST_TRANSLATION_TEXT, { sourceLanguage: "auto", targetLanguage }, config);
+
+  return result.success
+    ? { valid: true, translatedText: result.translation, model: result.model }
+    : { valid: false, error: result.error };
+}
+
+/**
+ * 利用可能なモデルの一覧を取得
+ * LibreTranslateにはモデルの選択がないため、固定の1件を返します。
+ * @param {object} config プロバイダー設定（baseUrl, apiKey）
+ * @returns {Promise<object>} { success, models: Array<{id, name}> }
+ */
+export async function listModels(config) {
+  return { success: true, models: [{ id: MODEL_ID, name: PROVIDER_NAME }] };
+}
@@ -0,0 +1,284 @@
+/**
+ * OpenAI互換翻訳プロバイダー
+ *
+ * OpenAI互換のChat Completions APIを使用した翻訳機能を提供します。
+ * llama.cppのサーバーやOllamaなど、ローカルで動作するLLMサーバーにも対応します。
+ */
+
+import {
+  buildTranslationPrompt,
+  buildBatchTranslationPrompt,
+  parseBatchTranslations,
+  parseStructuredTranslation,
+  DEFAULT_SAMPLING,
+  TEST_TRANSLATION_TEXT,
+} from '../prompts.js';
+
+// プロバイダー情報
+export const PROVIDER_ID = "openai";
+export const PROVIDER_NAME = "OpenAI互換API";
+
+/**
+ * 接続設定が揃っているかを確認
+ * @param {object} config プロバイダー設定（baseUrl, apiKey, model）
+ * @returns {boolean} 翻訳に必要な設定があるかどうか
+ */
+export function isConfigured(config) {
+  return !!config?.baseUrl && !!config?.model;
+}
+
+/**
+ * エンドポイントのURLを作成
+ * @param {string} baseUrl ベースURL（例: http://localhost:11434/v1）
+ * @param {string} path パス
+ * @returns {string} エンドポイントURL
+ */
+function buildEndpoint(baseUrl, path) {
+  return `${baseUrl.replace(/\/+$/, "")}${path}`;
+}
+
+/**
+ * リクエストヘッダーを作成
+ * @param {object} config プロバイダー設定
+ * @returns {object} ヘッダー
+ */
+function buildHeaders(config) {
+  const headers = { "Content-Type": "application/json" };
+
+  // ローカルサーバーではAPIキーが不要な場合がある
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  return headers;
+}
+
+/**
+ * エラーレスポンスを解析
+ * 残高不足はOpenAI形式のエラーコード（insufficient_quota）で判定します。
+ * @param {Response} response fetchのレスポンス
+ * @returns {Promise<{message: string, quotaExhausted: boolean}>} エラーの内容
+ */
+async function readErrorResponse(response) {
+  const result = { message: `エラーステータス: ${response.status}`, quotaExhausted: false };
+
+  try {
+    const errorData = await response.json();
+    // サーバー実装によってerrorが文字列の場合とオブジェクトの場合がある
+    result.message = errorData.error?.message || (typeof errorData.error === "string" ? errorData.error : result.message);
+    result.quotaExhausted = errorData.error?.code === "insufficient_quota" || errorData.error?.type === "insufficient_quota";
+  } catch (e) {
+    // エラーレスポンスのパースに失敗した場合は無視
+  }
+
+  return result;
+}
+
+/**
+ * Retry-Afterヘッダーから待機時間を取得
+ * @param {Response} response fetchのレスポンス
+ * @returns {number|undefined} 待機時間（秒）
+ */
+function getRetryAfter(response) {
+  const value = parseFloat(response.headers?.get("Retry-After"));
+  return isNaN(value) ? undefined : value;
+}
+
+/**
+ * Chat Completions APIを呼び出す
+ * @param {object} config プロバイダー設定
+ * @param {string} model モデル名
+ * @param {string} promptText プロンプト本文
+ * @param {object} sampling サンプリングパラメータ（temperature, topP）
+ * @param {object} extraBody リクエスト本文に追加する項目
+ * @returns {Promise<object>} { ok, status, text, error, retryAfter, quotaExhausted, networkError }
+ */
+async function createChatCompletion(config, model, promptText, sampling = DEFAULT_SAMPLING, extraBody = {}) {
+  const apiUrl = buildEndpoint(config.baseUrl, "/chat/completions");
+
+  console.log(`OpenAI互換API リクエスト送信先: ${apiUrl}`);
+
+  let response;
+  try {
+    response = await fetch(apiUrl, {
+      method: "POST",
+      headers: buildHeaders(config),
+      body: JSON.stringify({
+        model,
+        messages: [{ role: "user", content: promptText }],
+        // top_kはOpenAI互換APIの標準パラメータではないため送信しない
+        temperature: sampling.temperature,
+        top_p: sampling.topP,
+        stream: false,
+        ...extraBody,
+      }),
+    });
+  } catch (error) {
+    // 通信自体に失敗した場合（サーバーが起動していないなど）
+    console.error("OpenAI互換API 通信エラー:", error);
+    return { ok: false, networkError: true, error: `通信に失敗しました: ${error.message}` };
+  }
+
+  console.log(`OpenAI互換API レスポンスステータス: ${response.status}`);
+
+  if (!response.ok) {
+    const errorResponse = await readErrorResponse(response);
+    console.error("OpenAI互換API エラー:", errorResponse.message);
+    return {
+      ok: false,
+      status: response.status,
+      error: errorResponse.message,
+      retryAfter: getRetryAfter(response),
+      quotaExhausted: errorResponse.quotaExhausted,
+    };
+  }
+
+  const data = await response.json();
+  const content = data.choices?.[0]?.message?.content;
+
+  if (typeof content !== "string") {
+    console.error("OpenAI互換API から有効な翻訳結果が返されませんでした:", data);
+    return { ok: false, status: response.status, error: "翻訳結果の取得に失敗しました" };
+  }
+
+  // 推論モデルが出力する思考過程を除去
+  const text = content.replace(/<think>[\s\S]*?<\/think>/g, "").trim();
+
+  return { ok: true, status: response.status, text };
+}
+
+/**
+ * テキストを翻訳
+ * @param {string} text 翻訳するテキスト
+ * @param {object} options 翻訳オプション（model, sourceLanguage, targetLanguage, channel, context, promptTemplate, sampling）
+ * @param {object} config プロバイダー設定（baseUrl, apiKey, model）
+ * @returns {Promise<object>} 翻訳結果
+ */
+export async function translate(text, options, config) {
+  const model = options.model || config.model;
+
+  try {
+    // JSONモード（json_object）は単一のオブジェクトを返す場合のみ指定できる
+    const result = await createChatCompletion(config, model, buildTranslationPrompt(text, options), options.sampling, {
+      response_format: { type: "json_object" },
+    });
+
+    if (!result.ok) {
+      return {
+        success: false,
+        error: result.error,
+        status: result.status,
+        retryAfter: result.retryAfter,
+        quotaExhausted: result.quotaExhausted,
+        networkError: result.networkError,
+      };
+    }
+
+    const structured = parseStructuredTranslation(result.text);
+
+    return {
+      success: true,
+      translation: structured.translation,
+      detectedLanguage: structured.sourceLanguage || (options.sourceLanguage === "auto" ? "auto-detected" : options.sourceLanguage),
+      confidence: structured.confidence,
+      isAlreadyTarget: structured.isAlreadyTarget,
+      engine: PROVIDER_ID,
+      model,
+    };
+  } catch (error) {
+    console.error("翻訳中のエラー:", error);
+    return {
+      success: false,
+      error: error.message || "翻訳中に予期せぬエラーが発生しました",
+    };
+  }
+}
+
+/**
+ * 複数のメッセージを1回のリクエストで翻訳
+ * @param {Array<{id: string, text: string}>} items 翻訳するメッセージ
+ * @param {object} options 翻訳オプション（model, sourceLanguage, targetLanguage, channel, context, promptTemplate, sampling）
+ * @param {object} config プロバイダー設定（baseUrl, apiKey, model）
+ * @returns {Promise<object>} { success, translations: Map<id, 翻訳結果>, model } または { success: false, error }
+ */
+export async function translateBatch(items, options, config) {
+  const model = options.model || config.model;
+
+  try {
+    console.log(`OpenAI互換API バッチリクエスト送信: ${items.length}件`);
+
+    const result = await createChatCompletion(config, model, buildBatchTranslationPrompt(items, options), options.sampling);
+
+    if (!result.ok) {
+      return {
+        success: false,
+        error: result.error,
+        status: result.status,
+        retryAfter: result.retryAfter,
+        quotaExhausted: result.quotaExhausted,
+        networkError: result.networkError,
+      };
+    }
+
+    const translations = parseBatchTranslations(result.text);
+    if (!translations) {
+      console.error("OpenAI互換API から有効なバッチ翻訳結果が返されませんでした:", result.text);
+      return { success: false, error: "バッチ翻訳結果の取得に失敗しました" };
+    }
+
+    return { success: true, translations, engine: PROVIDER_ID, model };
+  } catch (error) {
+    console.error("バッチ翻訳中のエラー:", error);
+    return {
+      success: false,
+      error: error.message || "バッチ翻訳中に予期せぬエラーが発生しました",
+    };
+  }
+}
+
+/**
+ * 接続をテスト
+ * @param {object} config プロバイダー設定（baseUrl, apiKey, model）
+ * @param {string} targetLanguage 翻訳先言語コード
+ * @returns {Promise<object>} { valid, translatedText } または { valid: false, error }
+ */
+export async function testKey(config, targetLanguage = "ja") {
+  if (!isConfigured(config)) {
+    return { valid: false, error: "サーバーURLとモデル名を指定してください" };
+  }
+
+  const result = await translate(TEST_TRANSLATION_TEXT, { sourceLanguage: "auto", targetLanguage }, config);
+
+  return result.success
+    ? { valid: true, translatedText: result.translation, model: result.model }
+    : { valid: false, error: result.error };
+}
+
+/**
+ * 利用可能なモデルの一覧を取得
+ * @param {object} config プロバイダー設定（baseUrl, apiKey）
+ * @returns {Promise<object>} { success, models: Array<{id, name}> } または { success: false, error }
+ */
+export async function listModels(config) {
+  if (!config?.baseUrl) {
+    return { success: false, error: "サーバーURLが指定されていません" };
+  }
+
+  try {
+    const response = await fetch(buildEndpoint(config.baseUrl, "/models"), {
+      headers: buildHeaders(config),
+    });
+
+    if (!response.ok) {
+      return { success: false, error: (await readErrorResponse(response)).message, status: response.status };
+    }
+
+    const data = await response.json();
+    const models = (data.data || []).map(model => ({ id: model.id, name: model.id }));
+
+    return { success: true, models };
+  } catch (error) {
+    console.error("モデル一覧の取得中のエラー:", error);
+    return { success: false, error: error.message || "モデル一覧の取得に失敗しました" };
+  }
+}
@@ -3,23 +3,45 @@
  * 
  * 翻訳リクエストのキューを管理し、API呼び出しの制限を守りながら
  * 効率的に翻訳リクエストを処理します。
+ * 画面に表示されているメッセージのリクエストを優先し、古くなったリクエストは破棄します。
  */
 
-import { getSettings } from './settings.js';
-import { translateText } from './translator.js';
+import { translateText, translateBatch } from './translator.js';
 
 // キューの状態
 const queue = [];
 let isProcessing = false;
+let batchTimer = null;
+let requestCounter = 0;
+
+// 破棄されたリクエスト数
+const droppedCounts = {
+  expired: 0,
+  cleared: 0
+};
+
+// リクエストの優先度
+export const PRIORITY = {
+  PREFETCH: -1, // 再生位置より先のリプレイのメッセージの先読み
+  NORMAL: 0,
+  VISIBLE: 1
+};
 
 // デフォルト設定
 const DEFAULT_MAX_CONCURRENT_REQUESTS = 3;
 const DEFAULT_REQUEST_DELAY = 500; // ミリ秒
+const DEFAULT_BATCH_MAX_SIZE = 10;
+const DEFAULT_BATCH_WINDOW = 500; // ミリ秒
+const DEFAULT_MAX_AGE = 30 * 1000; // ミリ秒
 
 // キューの設定
 let queueConfig = {
   maxConcurrentRequests: DEFAULT_MAX_CONCURRENT_REQUESTS,
-  requestDelay: DEFAULT_REQUEST_DELAY
+  requestDelay: DEFAULT_REQUEST_DELAY,
+  batchMode: false,
+  batchMaxSize: DEFAULT_BATCH_MAX_SIZE,
+  batchWindow: DEFAULT_BATCH_WINDOW,
+  maxAge: DEFAULT_MAX_AGE
 };
 
 /**
@@ -27,13 +49,14 @@ let queueConfig = {
  * @param {object} config キューの設定
  * @param {number} config.maxConcurrentRequests 最大同時リクエスト数
  * @param {number} config.requestDelay リクエスト間の遅延（ミリ秒）
+ * @param {boolean} config.batchMode バッチモードを使用するかどうか
+ * @param {number} config.batchMaxSize 1回のバッチに含める最大メッセージ数
+ * @param {number} config.batchWindow バッチにまとめる待機時間（ミリ秒）
+ * @param {number} config.maxAge リクエストを破棄するまでの時間（ミリ秒）
  * @returns {object} 初期化されたキューの設定
  */
 export function initializeRequestQueue(config = {}) {
-  queueConfig = {
-    maxConcurrentRequests: config.maxConcurrentRequests || DEFAULT_MAX_CONCURRENT_REQUESTS,
-    requestDelay: config.requestDelay || DEFAULT_REQUEST_DELAY
-  };
+  configureRequestQueue(config);
   
   console.log("リクエストキューを初期化しました:", queueConfig);
   
@@ -45,33 +68,199 @@ export function initializeRequestQueue(config = {}) {
   return queueConfig;
 }
 
+/**
+ * キューを保持したまま設定だけを更新
+ * @param {object} config キューの設定（initializeRequestQueueと同じ）
+ * @returns {object} 更新されたキューの設定
+ */
+export function configureRequestQueue(config = {}) {
+  queueConfig = {
+    maxConcurrentRequests: config.maxConcurrentRequests || DEFAULT_MAX_CONCURRENT_REQUESTS,
+    requestDelay: config.requestDelay ?? DEFAULT_REQUEST_DELAY,
+    batchMode: !!config.batchMode,
+    batchMaxSize: config.batchMaxSize || DEFAULT_BATCH_MAX_SIZE,
+    batchWindow: config.batchWindow || DEFAULT_BATCH_WINDOW,
+    maxAge: config.maxAge || DEFAULT_MAX_AGE
+  };
+  
+  return queueConfig;
+}
+
 /**
  * 翻訳リクエストをキューに追加
  * @param {string} text 翻訳するテキスト
- * @param {string} sourceLang ソース言語
- * @returns {Promise<object>} 翻訳結果
+ * @param {object} options 翻訳オプション（translateTextと同じ）
+ * @param {object} queueOptions キューのオプション
+ * @param {string} queueOptions.key 優先度を後から変更するためのキー（タブIDとメッセージIDなど）
+ * @param {number} queueOptions.priority 優先度（PRIORITY）
+ * @returns {Promise<object>} 翻訳結果（期限切れの場合は { success: false, expired: true }）
  */
-export function enqueueTranslationRequest(text, sourceLang) {
+export function enqueueTranslationRequest(text, options = {}, queueOptions = {}) {
   return new Promise((resolve, reject) => {
     if (!text || text.trim().length === 0) {
       reject(new Error("翻訳するテキストが空です"));
       return;
     }
 
+    // 古くなったリクエストを破棄してから追加
+    dropExpiredRequests();
+
     // リクエストをキューに追加
     queue.push({
+      id: String(++requestCounter),
+      key: queueOptions.key || null,
+      priority: queueOptions.priority ?? PRIORITY.NORMAL,
       text,
-      sourceLang,
+      options,
       resolve,
       reject,
       timestamp: Date.now()
     });
 
-    // キューの処理を開始（既に処理中でなければ）
-    if (!isProcessing) {
+    // キューの処理をスケジュール
+    scheduleProcessing();
+  });
+}
+
+/**
+ * キュー内のリクエストの優先度を変更
+ * メッセージが画面に表示された・画面外に出た場合に使用します。
+ * @param {string} key enqueueTranslationRequestで指定したキー
+ * @param {number} priority 新しい優先度（PRIORITY）
+ * @returns {boolean} 対象のリクエストがキューにあったかどうか
+ */
+export function updateRequestPriority(key, priority) {
+  const request = queue.find(item => item.key === key);
+
+  if (!request) {
+    return false;
+  }
+
+  request.priority = priority;
+  return true;
+}
+
+/**
+ * 古くなったリクエストを期限切れとして破棄
+ * 画面から流れてしまったメッセージを翻訳しても表示する意味がないため、翻訳せずに結果を返します。
+ * @returns {number} 破棄されたリクエスト数
+ */
+function dropExpiredRequests() {
+  const deadline = Date.now() - queueConfig.maxAge;
+  let expiredCount = 0;
+
+  for (let i = queue.length - 1; i >= 0; i--) {
+    if (queue[i].timestamp < deadline) {
+      const [request] = queue.splice(i, 1);
+      request.resolve({
+        success: false,
+        expired: true,
+        error: "翻訳待ちの時間が長すぎるためキャンセルされました"
+      });
+      expiredCount++;
+    }
+  }
+
+  if (expiredCount > 0) {
+    droppedCounts.expired += expiredCount;
+    console.log(`期限切れのリクエストを${expiredCount}件破棄しました（残り${queue.length}件）`);
+  }
+
+  return expiredCount;
+}
+
+/**
+ * 優先度の高い順（同じ優先度では古い順）にキューを並べ替え
+ */
+function sortQueue() {
+  queue.sort((a, b) => (b.priority - a.priority) || (a.timestamp - b.timestamp));
+}
+
+/**
+ * キューの処理をスケジュール
+ * バッチモードではウィンドウ時間だけ待ってメッセージを集めてから処理します。
+ */
+function scheduleProcessing() {
+  // 既に処理中の場合は処理完了後に再スケジュールされる
+  if (isProcessing) {
+    return;
+  }
+
+  if (!queueConfig.batchMode) {
+    processQueue();
+    return;
+  }
+
+  // バッチが埋まった場合は待たずに処理
+  if (queue.length >= queueConfig.batchMaxSize) {
+    if (batchTimer) {
+      clearTimeout(batchTimer);
+      batchTimer = null;
+    }
+    processQueue();
+    return;
+  }
+
+  // ウィンドウ時間後に処理
+  if (!batchTimer) {
+    batchTimer = setTimeout(() => {
+      batchTimer = null;
       processQueue();
+    }, queueConfig.batchWindow);
+  }
+}
+
+/**
+ * バッチにまとめられるかどうかを判定するためのキーを取得
+ * @param {object} options 翻訳オプション
+ * @returns {string} バッチキー
+ */
+function getBatchKey(options = {}) {
+  return `${options.provider || ''}|${options.model || ''}|${options.sourceLanguage || 'auto'}|${options.targetLanguage || ''}|${options.channel || ''}`;
+}
+
+/**
+ * バッチモードでキューを処理
+ * 先頭のリクエストと同じ翻訳条件のリクエストを最大数までまとめて翻訳します。
+ */
+async function processBatch() {
+  dropExpiredRequests();
+  if (queue.length === 0) {
+    return;
+  }
+
+  sortQueue();
+  const batchKey = getBatchKey(queue[0].options);
+  const batch = [];
+
+  for (let i = 0; i < queue.length && batch.length < queueConfig.batchMaxSize;) {
+    if (getBatchKey(queue[i].options) === batchKey) {
+      batch.push(queue.splice(i, 1)[0]);
+    } else {
+      i++;
     }
-  });
+  }
+
+  console.log(`バッチ処理: ${batch.length}件をまとめて翻訳します（残り${queue.length}件）`);
+
+  try {
+    // 文脈は先頭のリクエストのものを使用（バッチ内のメッセージ自体も互いの文脈になる）
+    const results = await translateBatch(
+      batch.map(request => ({ id: request.id, text: request.text })),
+      batch[0].options
+    );
+
+    // 結果を各リクエストに振り分ける
+    batch.forEach(request => {
+      request.resolve(results.get(request.id) || {
+        success: false,
+        error: "バッチ翻訳の結果が見つかりません"
+      });
+    });
+  } catch (error) {
+    console.error("バッチ翻訳リクエスト処理エラー:", error);
+    batch.forEach(request => request.reject(error));
+  }
 }
 
 /**
@@ -83,6 +272,9 @@ async function processQueue() {
     return;
   }
 
+  // 古くなったリクエストを破棄
+  dropExpiredRequests();
+
   // キューが空の場合は処理を終了
   if (queue.length === 0) {
     isProcessing = false;
@@ -90,7 +282,17 @@ async function processQueue() {
   }
 
   isProcessing = true;
-  const settings = getSettings();
+
+  // バッチモードの場合
+  if (queueConfig.batchMode) {
+    await processBatch();
+    isProcessing = false;
+
+    if (queue.length > 0) {
+      setTimeout(scheduleProcessing, queueConfig.requestDelay);
+    }
+    return;
+  }
 
   try {
     // 同時実行リクエスト数を設定から取得（デフォルト値を使用）
@@ -103,7 +305,8 @@ async function processQueue() {
     const batchSize = Math.min(maxConcurrentRequests, queue.length);
     console.log(`キュー処理: ${queue.length}件中${batchSize}件を処理します`);
 
-    // バッチ処理するリクエストを取得
+    // 優先度の高いリクエストから取得
+    sortQueue();
     const batch = queue.splice(0, batchSize);
 
     // リクエストを並行処理
@@ -115,11 +318,7 @@ async function processQueue() {
         }
 
         // 翻訳を実行
-        const result = await translateText(
-          request.text,
-          settings.apiKey,
-          request.sourceLang
-        );
+        const result = await translateText(request.text, request.options);
 
         // 結果を返す
         request.resolve(result);
@@ -168,6 +367,12 @@ export function getQueueSize() {
 export function clearQueue() {
   const queueSize = queue.length;
   
+  // バッチの待機をキャンセル
+  if (batchTimer) {
+    clearTimeout(batchTimer);
+    batchTimer = null;
+  }
+  
   // キュー内のすべてのリクエストをキャンセル
   queue.forEach(request => {
     request.reject(new Error("キューがクリアされました"));
@@ -175,6 +380,7 @@ export function clearQueue() {
   
   // キューをクリア
   queue.length = 0;
+  droppedCounts.cleared += queueSize;
   
   return queueSize;
 }
@@ -186,8 +392,13 @@ export function clearQueue() {
 export function getQueueStatus() {
   return {
     size: queue.length,
+    visibleCount: queue.filter(request => request.priority >= PRIORITY.VISIBLE).length,
     isProcessing,
-    oldestRequest: queue.length > 0 ? Date.now() - queue[0].timestamp : null,
+    oldestRequest: queue.length > 0 ? Date.now() - Math.min(...queue.map(request => request.timestamp)) : null,
+    dropped: {
+      ...droppedCounts,
+      total: droppedCounts.expired + droppedCounts.cleared
+    },
     config: { ...queueConfig }
   };
 }
@@ -4,38 +4,102 @@
  * 拡張機能の設定を管理し、設定の読み込み、保存、リセット機能を提供します。
  */
 
+import { getChannelSettings } from '../../utils/channelProfiles.js';
+
 // デフォルト設定
 const DEFAULT_SETTINGS = {
   // 基本設定
   enabled: false,                   // 翻訳機能の有効/無効
   apiKey: "",                       // Gemini APIキー
   autoToggle: true,                 // URLに基づいて自動的にON/OFF
+  languageAutoToggle: true,         // 配信の言語が翻訳先言語と同じチャンネルでは翻訳しない
   
   // 翻訳設定
+  targetLanguage: "ja",             // 翻訳先言語: ja, en, ko, zh, es, fr, de, pt
   translationMode: "selective",      // 翻訳モード: selective（選択的）, all（すべて）, english（英語のみ）
-  japaneseThreshold: 30,            // 日本語判定しきい値（%）
+  sourceLanguages: [],              // 翻訳する言語（空の場合は翻訳先言語以外のすべての言語）
+  japaneseThreshold: 30,            // 翻訳先言語の判定しきい値（%）
   englishThreshold: 50,             // 英語判定しきい値（%）
   processExistingMessages: false,   // 既存メッセージの処理
+  replayChatEnabled: true,          // アーカイブ・クリップのリプレイのチャットを翻訳
+  replayPrefetchSeconds: 10,        // アーカイブの再生位置より先のメッセージを先読みして翻訳する秒数（0で無効）
+  contextSize: 5,                   // 文脈として翻訳に含める直近のチャット行数（0で無効）
+  useGlossary: true,                // 用語集の訳語を翻訳に使用
   
   // 表示設定
   displayPrefix: "🇯🇵",             // 翻訳テキストの接頭辞
   textColor: "#9b9b9b",             // 翻訳テキストの色
   accentColor: "#4db6ac",           // アクセントカラー
   fontSize: "medium",               // フォントサイズ: small, medium, large
+  displayMode: "append",            // 表示方法: append（原文の下に追加）, replace（原文を置き換え）
+  displayToggleHotkey: "Alt+O",     // 表示中のメッセージの原文と翻訳を切り替えるホットキー（空欄で無効）
+  translationActionsEnabled: true,  // 表示した翻訳の右クリックで再翻訳・修正を行う
+  
+  // ユーザーフィルター設定
+  ignoredUsers: ["nightbot", "streamelements", "moobot", "fossabot", "streamlabs", "wizebot", "sery_bot", "soundalerts"], // 翻訳しないユーザー（ボットなど）
+  allowedUsers: [],                 // 常に翻訳するユーザー（バッジやメンションの設定より優先）
+  badgeFilter: "all",               // バッジによる絞り込み: all（すべて）, privileged（配信者・モデレーター・VIPのみ）, excludeSubscribers（サブスクライバー以外）
+  mentionsOnly: false,              // 自分へのメンションを含むメッセージのみ翻訳
+  myUsername: "",                   // メンションの判定に使う自分のユーザー名（空欄の場合は自動取得）
+  channelUserFilters: [],           // チャンネル別のルール（"チャンネル名 ignore=a,b allow=c badges=privileged mentions=on"）
+  
+  // 翻訳しないメッセージのルール
+  skipCommandPrefixes: ["!"],       // コマンドとして翻訳しないメッセージの接頭辞
+  skipPhrases: [],                  // 翻訳しないフレーズ（完全一致、大文字小文字を区別しない）
+  skipPatterns: [],                 // 翻訳しないメッセージの正規表現
+  skipBuiltInPatterns: true,        // 笑いの表現・エモートのみ・反応のみ・URLのみのメッセージを翻訳しない
   
   // キャッシュ設定
   useCache: true,                   // キャッシュ使用
   maxCacheAge: 24,                  // キャッシュ有効期間（時間）
+  maxCacheSizeMB: 10,               // キャッシュの最大容量（MB）
+  normalizeCacheKeys: true,         // 表記ゆれ（大文字小文字・文字の連続など）を無視してキャッシュを検索
+  fuzzyCacheMatch: false,           // 長いメッセージは類似したキャッシュも使用
+  fuzzyCacheThreshold: 90,          // 類似したキャッシュを使用する類似度（%）
+  usePhrasebook: true,              // フレーズ集（よく使われるスラングの訳）を翻訳APIより先に使用
+  allowOtherModelCache: false,      // 選択中のモデルの翻訳がない場合、別のモデルでキャッシュされた翻訳を使用
   
   // API設定
+  translationProvider: "gemini",    // 翻訳プロバイダー: gemini, openai（OpenAI互換）, libretranslate
   geminiModel: "gemini-2.0-flash-lite", // 使用するGeminiモデル: gemini-2.0-flash-lite, gemini-2.0-flash
+  openaiBaseUrl: "http://localhost:11434/v1", // OpenAI互換APIのベースURL
+  openaiApiKey: "",                 // OpenAI互換APIのAPIキー（ローカルサーバーでは不要な場合あり）
+  openaiModel: "",                  // OpenAI互換APIで使用するモデル名
+  libreTranslateUrl: "https://libretranslate.com", // LibreTranslateのサーバーURL
+  libreTranslateApiKey: "",         // LibreTranslateのAPIキー
+  fallbackChain: ["gemini:gemini-2.0-flash"], // 失敗時に順に試すモデル（"プロバイダー:モデル名"）
+  retranslateModel: "gemini:gemini-2.0-flash", // 再翻訳に使用するモデル（"プロバイダー:モデル名"）
+  maxRetries: 2,                    // レート制限・サーバーエラー時のモデルごとの再試行回数
+  retryBaseDelay: 500,              // 再試行の基準待機時間（ミリ秒、指数的に増加）
   requestDelay: 100,                // リクエスト間の遅延（ミリ秒）
+  batchMode: false,                 // 複数メッセージをまとめて翻訳するバッチモード
+  batchMaxSize: 10,                 // 1回のバッチに含める最大メッセージ数
+  batchWindow: 500,                 // バッチにまとめる待機時間（ミリ秒）
+  queueMaxAge: 30,                  // 翻訳待ちのメッセージを破棄するまでの時間（秒）
+  
+  // プロンプト設定
+  promptPreset: "casual",           // プロンプトのプリセット: casual（カジュアル）, polite（丁寧）, literal（直訳）, custom（カスタム）
+  promptTemplate: "",               // カスタムプロンプトのテンプレート（promptPresetがcustomの場合に使用）
+  temperature: 0.3,                 // サンプリングの温度（0〜2）
+  topP: 0.9,                        // サンプリングのtopP（0〜1）
+  topK: 40,                         // サンプリングのtopK（1〜100、Geminiのみ）
+  
+  // 送信メッセージの翻訳設定
+  composeEnabled: true,             // 入力欄のメッセージを翻訳する補助（ボタンとホットキー）
+  composeTargetLanguage: "en",      // 送信メッセージの翻訳先言語: ja, en, ko, zh, es, fr, de, pt
+  composeHotkey: "Alt+T",           // 翻訳プレビューを開くホットキー（空欄で無効）
+  
+  // チャンネル別のプロファイル
+  channelProfiles: [],              // チャンネルごとに上書きする設定（{ channel: "チャンネル名", settings: { 設定キー: 値 } }）
   
   // 詳細設定
   debugMode: false,                 // デバッグモード
 };
 
 // 現在の設定
+// chrome.storage.local に保存する設定（syncの項目ごとの容量制限（8KB）を超えるおそれがあるもの）
+const LOCAL_SETTING_KEYS = ['channelProfiles'];
+
 let currentSettings = { ...DEFAULT_SETTINGS };
 let settingsLoaded = false;
 
@@ -47,8 +111,11 @@ export async function loadSettings() {
   try {
     console.log("設定を読み込み中...");
     
-    // Chromeストレージから設定を取得
-    const result = await chrome.storage.sync.get(null);
+    // Chromeストレージから設定を取得（以前のバージョンでsyncに保存した設定よりlocalの設定を優先）
+    const result = {
+      ...await chrome.storage.sync.get(null),
+      ...await chrome.storage.local.get(LOCAL_SETTING_KEYS),
+    };
     
     // デフォルト設定をベースに、保存されている設定で上書き
     currentSettings = { ...DEFAULT_SETTINGS };
@@ -88,12 +155,41 @@ function validateSettings() {
   ensureNumericValue('japaneseThreshold', 10, 50);
   ensureNumericValue('englishThreshold', 30, 70);
   ensureNumericValue('maxCacheAge', 1, 168);
+  ensureNumericValue('maxCacheSizeMB', 1, 100);
+  ensureNumericValue('fuzzyCacheThreshold', 70, 100);
   ensureNumericValue('requestDelay', 0, 1000);
+  ensureNumericValue('contextSize', 0, 20);
+  ensureNumericValue('replayPrefetchSeconds', 0, 60);
+  ensureNumericValue('batchMaxSize', 2, 50);
+  ensureNumericValue('batchWindow', 100, 3000);
+  ensureNumericValue('queueMaxAge', 5, 300);
+  ensureNumericValue('maxRetries', 0, 5);
+  ensureNumericValue('retryBaseDelay', 100, 5000);
+  ensureNumericValue('temperature', 0, 2);
+  ensureNumericValue('topP', 0, 1);
+  ensureNumericValue('topK', 1, 100);
   
   // 列挙型の設定を検証
+  ensureEnumValue('targetLanguage', ['ja', 'en', 'ko', 'zh', 'es', 'fr', 'de', 'pt'], 'ja');
+  ensureEnumValue('composeTargetLanguage', ['ja', 'en', 'ko', 'zh', 'es', 'fr', 'de', 'pt'], 'en');
   ensureEnumValue('translationMode', ['selective', 'all', 'english'], 'selective');
   ensureEnumValue('fontSize', ['small', 'medium', 'large'], 'medium');
+  ensureEnumValue('displayMode', ['append', 'replace'], 'append');
+  ensureEnumValue('badgeFilter', ['all', 'privileged', 'excludeSubscribers'], 'all');
+  ensureEnumValue('translationProvider', ['gemini', 'openai', 'libretranslate'], 'gemini');
   ensureEnumValue('geminiModel', ['gemini-2.0-flash-lite', 'gemini-2.0-flash'], 'gemini-2.0-flash-lite');
+  ensureEnumValue('promptPreset', ['casual', 'polite', 'literal', 'custom'], 'casual');
+  
+  // 配列型の設定を検証
+  ensureArrayValue('fallbackChain');
+  ensureArrayValue('sourceLanguages');
+  ensureArrayValue('ignoredUsers');
+  ensureArrayValue('allowedUsers');
+  ensureArrayValue('channelUserFilters');
+  ensureArrayValue('skipCommandPrefixes');
+  ensureArrayValue('skipPhrases');
+  ensureArrayValue('skipPatterns');
+  ensureArrayValue('channelProfiles');
   
   // 色の検証
   if (!/^#[0-9A-F]{6}$/i.test(currentSettings.textColor)) {
@@ -114,9 +210,9 @@ function validateSettings() {
 function ensureNumericValue(key, min, max) {
   let value = currentSettings[key];
   
-  // 文字列の場合は数値に変換
+  // 文字列の場合は数値に変換（サンプリングパラメータなど小数の設定もある）
   if (typeof value === 'string') {
-    value = parseInt(value, 10);
+    value = parseFloat(value);
   }
   
   // 数値でない場合はデフォルト値を使用
@@ -153,9 +249,11 @@ function ensureArrayValue(key) {
 
 /**
  * 現在の設定を取得
+ * チャンネルを指定した場合は、そのチャンネルのプロファイルで上書きした設定を返します。
+ * @param {string|null} channel チャンネル名
  * @returns {object} 現在の設定
  */
-export function getSettings() {
+export function getSettings(channel = null) {
   // 設定がまだ読み込まれていない場合は読み込む
   if (!settingsLoaded) {
     loadSettings();
@@ -163,7 +261,7 @@ export function getSettings() {
     return { ...DEFAULT_SETTINGS };
   }
   
-  return { ...currentSettings };
+  return { ...getChannelSettings(currentSettings, channel) };
 }
 
 /**
@@ -183,16 +281,22 @@ export async function saveSettings(newSettings) {
     validateSettings();
     
     // 保存する設定オブジェクトを作成（デフォルト値と同じ場合は保存しない）
+    // LOCAL_SETTING_KEYS の設定は容量制限のないlocalに常に保存する
     const settingsToSave = {};
+    const localSettingsToSave = {};
     for (const key in currentSettings) {
-      // デフォルト値と異なる場合のみ保存
-      if (JSON.stringify(currentSettings[key]) !== JSON.stringify(DEFAULT_SETTINGS[key])) {
+      if (LOCAL_SETTING_KEYS.includes(key)) {
+        localSettingsToSave[key] = currentSettings[key];
+      } else if (JSON.stringify(currentSettings[key]) !== JSON.stringify(DEFAULT_SETTINGS[key])) {
+        // デフォルト値と異なる場合のみ保存
         settingsToSave[key] = currentSettings[key];
       }
     }
     
-    // Chromeストレージに保存
+    // Chromeストレージに保存（以前のバージョンでsyncに保存した分は削除）
     await chrome.storage.sync.set(settingsToSave);
+    await chrome.storage.local.set(localSettingsToSave);
+    await chrome.storage.sync.remove(LOCAL_SETTING_KEYS);
     
     console.log("設定を保存しました");
     
@@ -220,6 +324,7 @@ export async function resetSettings() {
     
     // Chromeストレージをクリア
     await chrome.storage.sync.clear();
+    await chrome.storage.local.remove(LOCAL_SETTING_KEYS);
     
     // APIキーのみ保存
     if (apiKey) {
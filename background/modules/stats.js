@@ -19,10 +19,26 @@ const DEFAULT_STATS = {
   // エンジン統計
   engineStats: {
     gemini: 0,           // Gemini APIによる翻訳数
-    chrome: 0,           // Chrome APIによる翻訳数
+    openai: 0,           // OpenAI互換APIによる翻訳数
+    libretranslate: 0,   // LibreTranslateによる翻訳数
     cached: 0            // キャッシュからの取得数
   },
   
+  // キャッシュヒットの一致方法
+  cacheMatchStats: {
+    exact: 0,            // 完全一致
+    normalized: 0,       // 正規化したテキストで一致
+    fuzzy: 0,            // 類似したテキストで一致
+    phrasebook: 0,       // フレーズ集で一致
+    otherModel: 0        // 別のモデルの翻訳結果で一致
+  },
+  
+  // モデル統計（モデル名 -> 翻訳数）
+  modelStats: {},
+  
+  // 言語統計（検出された元の言語コード -> メッセージ数）
+  languageStats: {},
+  
   // 時間統計
   startTime: Date.now(), // 統計開始時間
   lastReset: Date.now(), // 最後のリセット時間
@@ -33,8 +49,25 @@ const DEFAULT_STATS = {
   lastErrors: [],          // 最近のエラー（最大10件）
 };
 
+/**
+ * 統計情報の初期値を複製して作成
+ * ネストしたオブジェクトや配列を共有しないようにします。
+ * @returns {object} 新しい統計情報
+ */
+function createDefaultStats() {
+  return {
+    ...DEFAULT_STATS,
+    engineStats: { ...DEFAULT_STATS.engineStats },
+    cacheMatchStats: { ...DEFAULT_STATS.cacheMatchStats },
+    modelStats: {},
+    languageStats: {},
+    responseTimes: [],
+    lastErrors: [],
+  };
+}
+
 // 現在の統計情報
-let stats = { ...DEFAULT_STATS };
+let stats = createDefaultStats();
 
 /**
  * 統計情報を読み込む
@@ -49,7 +82,7 @@ export async function loadStats() {
     
     if (!result.translationStats) {
       console.log("保存された統計情報が見つかりませんでした。新しい統計情報を作成します。");
-      stats = { ...DEFAULT_STATS };
+      stats = createDefaultStats();
       return stats;
     }
     
@@ -65,7 +98,7 @@ export async function loadStats() {
       }
       
       // デフォルト値をベースに、保存されている統計情報で上書き
-      stats = { ...DEFAULT_STATS };
+      stats = createDefaultStats();
       
       // 保存されている統計情報をマージ
       for (const key in loadedStats) {
@@ -74,6 +107,15 @@ export async function loadStats() {
         }
       }
       
+      // エンジン統計は追加されたエンジンの項目を補い、廃止された項目を除く
+      stats.engineStats = { ...DEFAULT_STATS.engineStats };
+      for (const engine in loadedStats.engineStats || {}) {
+        if (engine in stats.engineStats) {
+          stats.engineStats[engine] = loadedStats.engineStats[engine];
+        }
+      }
+      stats.cacheMatchStats = { ...DEFAULT_STATS.cacheMatchStats, ...loadedStats.cacheMatchStats };
+      
       console.log("統計情報を読み込みました:", {
         totalRequests: stats.totalRequests,
         cacheHits: stats.cacheHits,
@@ -84,12 +126,12 @@ export async function loadStats() {
       return stats;
     } catch (parseError) {
       console.error("統計情報のパースに失敗しました:", parseError);
-      stats = { ...DEFAULT_STATS };
+      stats = createDefaultStats();
       return stats;
     }
   } catch (error) {
     console.error("統計情報の読み込み中にエラーが発生しました:", error);
-    stats = { ...DEFAULT_STATS };
+    stats = createDefaultStats();
     return stats;
   }
 }
@@ -118,7 +160,7 @@ export async function saveStats() {
 export async function resetStats() {
   try {
     // 統計情報をリセット
-    stats = { ...DEFAULT_STATS };
+    stats = createDefaultStats();
     stats.lastReset = Date.now();
     stats.startTime = Date.now();
     
@@ -142,11 +184,15 @@ export function incrementTotalRequests() {
 
 /**
  * キャッシュヒット数をインクリメント
+ * @param {string} matchType 一致方法（exact, normalized, fuzzy, phrasebook, otherModel）
  */
-export function incrementCacheHits() {
+export function incrementCacheHits(matchType = "exact") {
   stats.totalRequests++;
   stats.cacheHits++;
   stats.engineStats.cached++;
+  if (matchType in stats.cacheMatchStats) {
+    stats.cacheMatchStats[matchType]++;
+  }
 }
 
 /**
@@ -191,6 +237,26 @@ export function incrementEngineUsage(engine) {
   }
 }
 
+/**
+ * 翻訳に使用されたモデルの使用回数をインクリメント
+ * @param {string} model モデル名
+ */
+export function incrementModelUsage(model) {
+  if (!model) return;
+  
+  stats.modelStats[model] = (stats.modelStats[model] || 0) + 1;
+}
+
+/**
+ * 翻訳したメッセージの元の言語をカウント
+ * @param {string} language 検出された言語コード（検出できなかった場合は記録しない）
+ */
+export function incrementLanguageSeen(language) {
+  if (!language || language === "auto-detected") return;
+  
+  stats.languageStats[language] = (stats.languageStats[language] || 0) + 1;
+}
+
 /**
  * 応答時間を記録
  * @param {number} responseTime 応答時間（ミリ秒）
@@ -258,6 +324,9 @@ export function getStats(cacheSize = 0) {
     
     // エンジン統計
     engineStats: stats.engineStats,
+    cacheMatchStats: stats.cacheMatchStats,
+    modelStats: stats.modelStats,
+    languageStats: stats.languageStats,
     
     // 時間統計
     uptime: {
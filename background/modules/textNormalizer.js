@@ -0,0 +1,119 @@
+/**
+ * テキスト正規化モジュール
+ *
+ * チャットでよく見られる表記ゆれ（大文字小文字、空白、文字の連続、エモートの連打、末尾の記号）を
+ * 吸収したキャッシュ検索用のテキストを作成します。
+ * また、長いコピペの細かな違いを許容するための類似度の計算も提供します。
+ */
+
+// 翻訳用テキストのプレースホルダー（messageTokenizerで作成される ⟦n⟧）
+const PLACEHOLDER_PATTERN = /⟦\s*(\d+)\s*⟧/g;
+
+// 正規化後のプレースホルダー（番号は区別しない）
+const NORMALIZED_PLACEHOLDER = "⟦⟧";
+
+// 同じ文字がこの回数以上続いた場合に1文字にまとめる（"LMAOOOO" → "lmao"）
+const REPEATED_CHARACTER_MIN = 3;
+
+// 末尾の記号（感嘆符、疑問符、句読点、波線、三点リーダー）
+const TRAILING_PUNCTUATION_PATTERN = /[\s!?.,~。、！？～…]+$/u;
+
+// 類似度計算に使用するN-gramの長さ
+const SIMILARITY_NGRAM_SIZE = 3;
+
+/**
+ * キャッシュ検索用にテキストを正規化
+ * @param {string} text 翻訳するテキスト
+ * @returns {string} 正規化されたテキスト
+ */
+export function normalizeText(text) {
+  if (!text) {
+    return "";
+  }
+
+  const repeatedCharacterPattern = new RegExp(`(.)\\1{${REPEATED_CHARACTER_MIN - 1},}`, "gu");
+
+  const words = text
+    // 全角英数字などを半角にそろえ、大文字小文字を区別しない
+    .normalize("NFKC")
+    .toLowerCase()
+    // プレースホルダーは番号を区別しない
+    .replace(PLACEHOLDER_PATTERN, ` ${NORMALIZED_PLACEHOLDER} `)
+    // 同じ文字の連続をまとめる
+    .replace(repeatedCharacterPattern, "$1")
+    .split(/\s+/)
+    .filter(word => word.length > 0);
+
+  // 同じ単語（エモート名やプレースホルダー）の連打をまとめる
+  const collapsed = words.filter((word, index) => word !== words[index - 1]);
+
+  return collapsed.join(" ").replace(TRAILING_PUNCTUATION_PATTERN, "");
+}
+
+/**
+ * テキストのN-gramの出現回数を取得
+ * @param {string} text テキスト
+ * @returns {Map<string, number>} N-gramと出現回数
+ */
+function getNgramCounts(text) {
+  const counts = new Map();
+
+  for (let i = 0; i <= text.length - SIMILARITY_NGRAM_SIZE; i++) {
+    const ngram = text.slice(i, i + SIMILARITY_NGRAM_SIZE);
+    counts.set(ngram, (counts.get(ngram) || 0) + 1);
+  }
+
+  return counts;
+}
+
+/**
+ * 正規化されたテキスト同士の類似度を計算（N-gramのDice係数）
+ * @param {string} a テキスト
+ * @param {string} b テキスト
+ * @returns {number} 類似度（0〜1）
+ */
+export function calculateSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+
+  if (a.length < SIMILARITY_NGRAM_SIZE || b.length < SIMILARITY_NGRAM_SIZE) {
+    return 0;
+  }
+
+  const countsA = getNgramCounts(a);
+  const countsB = getNgramCounts(b);
+  let shared = 0;
+
+  for (const [ngram, count] of countsA) {
+    shared += Math.min(count, countsB.get(ngram) || 0);
+  }
+
+  const total = (a.length - SIMILARITY_NGRAM_SIZE + 1) + (b.length - SIMILARITY_NGRAM_SIZE + 1);
+  return (2 * shared) / total;
+}
+
+/**
+ * 別のメッセージの翻訳結果のプレースホルダーを、翻訳するテキストのプレースホルダーに合わせる
+ * 正規化や類似度で一致したキャッシュは元のメッセージとトークンの数が異なる場合があるため、
+ * テキストにない番号のプレースホルダーを取り除き、翻訳結果にない番号を末尾に追加します。
+ * @param {string} translation キャッシュされた翻訳結果
+ * @param {string} text 翻訳するテキスト
+ * @returns {string} プレースホルダーを合わせた翻訳結果
+ */
+export function alignPlaceholders(translation, text) {
+  const available = new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]));
+  const used = new Set();
+
+  const aligned = translation.replace(PLACEHOLDER_PATTERN, (placeholder, index) => {
+    if (!available.has(index)) {
+      return "";
+    }
+    used.add(index);
+    return placeholder;
+  });
+
+  const missing = [...available].filter(index => !used.has(index));
+
+  return [aligned.replace(/\s{2,}/g, " ").trim(), ...missing.map(index => `⟦${index}⟧`)].join(" ").trim();
+}
@@ -1,175 +1,114 @@
 /**
  * 翻訳APIモジュール
- * 
- * GeminiAPIを使用した翻訳機能を提供します。
+ *
+ * 設定で選択された翻訳プロバイダーを使用した翻訳機能を提供します。
  */
 
 import { getSettings } from './settings.js';
-import { incrementApiRequests, incrementErrors } from './stats.js';
+import { incrementApiRequests, incrementCacheHits, incrementTotalRequests, incrementErrors, incrementEngineUsage, incrementModelUsage, incrementLanguageSeen } from './stats.js';
 import { getCachedTranslation, cacheTranslation } from './cache.js';
-
-// Gemini API関連の定数
-const GEMINI_API_BASE = "https://generativelanguage.googleapis.com/v1beta/models/";
-const GEMINI_API_GENERATE = ":generateContent";
-
-// 翻訳用プロンプトテンプレート
-const TRANSLATION_PROMPT_TEMPLATE = `Translate the following {{SOURCE_LANG}} to Japanese. This is a Twitch livestream chat message that may contain internet slang, gaming terms, emotes, abbreviations, and stream-specific expressions.
-
-Please consider:
-- Preserve memes, jokes, and cultural references when possible
-- Keep emotes and symbols as they are
-- Use equivalent Japanese internet/streaming slang where appropriate
-- Maintain the casual, conversational tone of streaming culture
-- Translate abbreviations to their Japanese equivalents when possible
-
-Only return the Japanese translation without any explanations or notes:
-
-{{TEXT}}`;
+import { getProvider, getProviderConfig } from './providers/index.js';
+import { buildFallbackChain, runWithFallback } from './fallback.js';
+import { buildTranslationPrompt, getPromptTemplate, getSamplingParameters } from './prompts.js';
+import { findGlossaryMatches, applyGlossary, getGlossaryVersion } from './glossary.js';
+import { hashString } from './utils.js';
+import { findPhrase } from './phrasebook.js';
+import { alignPlaceholders } from './textNormalizer.js';
 
 /**
- * 翻訳用プロンプトを作成
- * @param {string} text 翻訳するテキスト
- * @param {string} sourceLang ソース言語
- * @returns {object} プロンプトオブジェクト
+ * 翻訳オプションを解決
+ * @param {object} options 呼び出し元から渡された翻訳オプション
+ * @param {object} settings 現在の設定
+ * @returns {object} 解決済みの翻訳オプション
  */
-function createTranslationPrompt(text, sourceLang) {
-  const langDisplay = sourceLang === "auto" ? "text" : `${sourceLang} text`;
-  
-  const promptText = TRANSLATION_PROMPT_TEMPLATE
-    .replace('{{SOURCE_LANG}}', langDisplay)
-    .replace('{{TEXT}}', text);
-    
+function resolveTranslationOptions(options, settings) {
+  const provider = getProvider(options.provider || settings.translationProvider);
+
   return {
-    contents: [
-      {
-        role: "user",
-        parts: [{ text: promptText }],
-      },
-    ],
-    generationConfig: {
-      temperature: 0.3,
-      topP: 0.9,
-      topK: 40,
-    },
+    provider: provider.PROVIDER_ID,
+    model: options.model,
+    sourceLanguage: options.sourceLanguage || "auto",
+    targetLanguage: options.targetLanguage || settings.targetLanguage || "ja",
+    channel: options.channel || null,
+    context: Array.isArray(options.context) ? options.context : [],
+    promptTemplate: options.promptTemplate || getPromptTemplate(settings),
+    sampling: options.sampling || getSamplingParameters(settings)
   };
 }
 
 /**
- * Gemini APIを使用してテキストを翻訳
+ * メッセージに含まれる用語集の用語を取得
+ * 用語集は設定の翻訳先言語への訳語のため、送信メッセージの翻訳など別の言語への翻訳では使用しません。
+ * 用語集を使用しない設定（チャンネルのプロファイルなど）の場合も使用しません。
  * @param {string} text 翻訳するテキスト
- * @param {string} apiKey Gemini APIキー
- * @param {string} sourceLang ソース言語 (デフォルト: "EN")
- * @returns {Promise<object>} 翻訳結果
+ * @param {object} translationOptions 解決済みの翻訳オプション
+ * @param {object} settings 現在の設定
+ * @returns {Array<{source: string, target: string}>} テキストに含まれる用語
  */
-export async function translateWithGeminiAPI(text, apiKey, sourceLang = "EN") {
-  // APIキーが空の場合はエラー
-  if (!apiKey) {
-    incrementErrors();
-    return { success: false, error: "APIキーが設定されていません" };
+function getGlossaryMatches(text, translationOptions, settings) {
+  if (settings.useGlossary === false || translationOptions.targetLanguage !== (settings.targetLanguage || "ja")) {
+    return [];
   }
 
-  try {
-    // 設定から使用するモデルを取得
-    const settings = getSettings();
-    const model = settings.geminiModel || "gemini-2.0-flash-lite";
-    
-    // 翻訳用のプロンプトを作成
-    const prompt = createTranslationPrompt(text, sourceLang);
-
-    // Gemini APIエンドポイントとAPIキーを組み合わせたURL
-    const apiUrl = `${GEMINI_API_BASE}${model}${GEMINI_API_GENERATE}?key=${apiKey}`;
-
-    console.log(`Gemini API リクエスト送信先: ${GEMINI_API_BASE}${model}${GEMINI_API_GENERATE}`);
-
-    // Gemini APIにリクエスト
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(prompt),
-    });
-
-    // レスポンスのステータスをログに記録
-    console.log(`Gemini API レスポンスステータス: ${response.status}`);
-
-    // エラーチェック
-    if (!response.ok) {
-      incrementErrors();
-      let errorMessage = `エラーステータス: ${response.status}`;
-
-      try {
-        const errorData = await response.json();
-        errorMessage = errorData.error?.message || errorMessage;
-      } catch (e) {
-        // エラーレスポンスのパースに失敗した場合は無視
-        console.warn("エラーレスポンスのパースに失敗:", e);
-      }
+  return findGlossaryMatches(text, translationOptions.channel);
+}
 
-      console.error("Gemini API エラー:", errorMessage);
-      return {
-        success: false,
-        error: errorMessage,
-      };
-    }
+/**
+ * キャッシュの区分を作成
+ * 翻訳に使用するモデルと、プロンプト・サンプリングパラメータ・用語集のバージョンで区別します。
+ * @param {object} translationOptions 解決済みの翻訳オプション
+ * @param {object} settings 現在の設定
+ * @returns {{model: string, promptHash: string, allowOtherModels: boolean}} キャッシュの区分
+ */
+function getCacheScope(translationOptions, settings) {
+  const provider = getProvider(translationOptions.provider);
 
-    // レスポンスを解析
-    const data = await response.json();
-    return extractTranslationFromResponse(data, sourceLang);
-  } catch (error) {
-    incrementErrors();
-    console.error("翻訳中のエラー:", error);
-    return {
-      success: false,
-      error: error.message || "翻訳中に予期せぬエラーが発生しました",
-    };
-  }
+  return {
+    model: translationOptions.model || getProviderConfig(settings, provider.PROVIDER_ID).model || provider.PROVIDER_ID,
+    promptHash: hashString(JSON.stringify([
+      translationOptions.promptTemplate,
+      translationOptions.sampling,
+      settings.useGlossary === false ? null : getGlossaryVersion(),
+    ])),
+    allowOtherModels: !!settings.allowOtherModelCache,
+  };
 }
 
 /**
- * APIレスポンスから翻訳結果を抽出
- * @param {object} data APIレスポンスデータ
- * @param {string} sourceLang ソース言語
- * @returns {object} 翻訳結果オブジェクト
+ * フレーズ集とキャッシュから翻訳結果を検索
+ * @param {string} text 翻訳するテキスト
+ * @param {object} translationOptions 解決済みの翻訳オプション
+ * @param {object} settings 現在の設定
+ * @returns {Promise<object|null>} 翻訳結果、またはnull
  */
-function extractTranslationFromResponse(data, sourceLang) {
-  // 翻訳結果を抽出
-  if (
-    data.candidates &&
-    data.candidates.length > 0 &&
-    data.candidates[0].content &&
-    data.candidates[0].content.parts &&
-    data.candidates[0].content.parts.length > 0
-  ) {
-    const translatedText = data.candidates[0].content.parts[0].text.trim();
-
-    // 翻訳結果
-    return {
-      success: true,
-      translation: translatedText, 
-      detectedLanguage: sourceLang === "auto" ? "auto-detected" : sourceLang,
-      engine: "gemini",
-    };
-  } else {
-    incrementErrors();
-    console.error("Gemini API から有効な翻訳結果が返されませんでした:", data);
-    return {
-      success: false,
-      error: "翻訳結果の取得に失敗しました",
-    };
+async function findStoredTranslation(text, translationOptions, settings) {
+  // フレーズ集はキャッシュより優先する
+  if (settings.usePhrasebook) {
+    const phrase = findPhrase(text, translationOptions.sourceLanguage, translationOptions.targetLanguage);
+    if (phrase) {
+      incrementCacheHits("phrasebook");
+      return phrase;
+    }
   }
+
+  return getCachedTranslation(
+    text,
+    translationOptions.sourceLanguage,
+    translationOptions.targetLanguage,
+    getCacheScope(translationOptions, settings)
+  );
 }
 
 /**
  * テキストを翻訳（キャッシュチェック付き）
  * @param {string} text 翻訳するテキスト
- * @param {object} options 翻訳オプション
+ * @param {object} options 翻訳オプション（provider, model, sourceLanguage, targetLanguage, channel, context, bypassCache）
  * @returns {Promise<object>} 翻訳結果
  */
 export async function translateText(text, options = {}) {
-  // 設定を取得
-  const settings = getSettings();
-  
+  // 設定を取得（チャンネルのプロファイルがある場合はプロファイルの設定を使用）
+  const settings = getSettings(options.channel);
+
   // 入力検証
   if (!text || text.trim().length === 0) {
     return {
@@ -177,51 +116,64 @@ export async function translateText(text, options = {}) {
       error: "翻訳するテキストが空です",
     };
   }
-  
+
   // オプションの設定
-  const translationOptions = {
-    model: options.model || settings.geminiModel || "gemini-2.0-flash-lite",
-    sourceLanguage: options.sourceLanguage || "auto",
-    targetLanguage: options.targetLanguage || "ja"
-  };
+  const translationOptions = resolveTranslationOptions(options, settings);
 
-  // キャッシュをチェック
-  const cachedResult = getCachedTranslation(text, translationOptions.sourceLanguage);
+  // フレーズ集とキャッシュをチェック（再翻訳の場合は使用しない）
+  const cachedResult = options.bypassCache ? null : await findStoredTranslation(text, translationOptions, settings);
   if (cachedResult) {
     return cachedResult;
   }
 
-  // APIキーがない場合はエラー
-  if (!settings.apiKey) {
+  // 試行するモデルの順序を作成（接続設定がないプロバイダーは除外される）
+  const chain = buildFallbackChain(settings, translationOptions);
+  if (chain.length === 0) {
+    const provider = getProvider(translationOptions.provider);
     return {
       success: false,
-      error: "Gemini APIキーが設定されていません",
+      error: `${provider.PROVIDER_NAME}の接続設定がされていません`,
+      errorCode: "api_key_missing",
     };
   }
 
   // API呼び出しの統計を更新
   incrementApiRequests(text.length);
 
+  // メッセージに含まれる用語集の用語
+  const glossary = getGlossaryMatches(text, translationOptions, settings);
+
   try {
-    // Gemini APIで翻訳を実行
-    const translationResult = await translateWithGeminiAPI(
-      text, 
-      settings.apiKey, 
-      translationOptions.sourceLanguage
+    // 選択されたモデルで翻訳し、失敗時はフォールバック先のモデルを順に試す
+    const translationResult = await runWithFallback(chain, settings, (provider, model, config) =>
+      provider.translate(text, { ...translationOptions, model, glossary }, config)
     );
-    
-    // モデル情報を追加
-    if (translationResult && translationResult.success) {
-      translationResult.model = translationOptions.model;
-      
-      // キャッシュに保存
-      cacheTranslation(text, translationOptions.sourceLanguage, translationResult);
+
+    if (!translationResult.success) {
+      incrementErrors(translationResult.error);
+      return translationResult;
     }
 
+    incrementEngineUsage(translationResult.engine);
+    incrementModelUsage(translationResult.model);
+    incrementLanguageSeen(translationResult.detectedLanguage);
+    translationResult.translation = applyGlossary(translationResult.translation, glossary);
+    translationResult.targetLanguage = translationOptions.targetLanguage;
+
+    // キャッシュに保存
+    // フォールバック先のモデルで翻訳した場合は、そのモデルの翻訳結果として保存する
+    cacheTranslation(
+      text,
+      translationOptions.sourceLanguage,
+      translationResult,
+      translationOptions.targetLanguage,
+      { ...getCacheScope(translationOptions, settings), model: translationResult.model, channel: translationOptions.channel }
+    );
+
     return translationResult;
   } catch (error) {
     console.error("翻訳中にエラーが発生しました:", error);
-    incrementErrors();
+    incrementErrors(error.message);
     return {
       success: false,
       error: error.message || "翻訳処理中にエラーが発生しました",
@@ -230,98 +182,252 @@ export async function translateText(text, options = {}) {
 }
 
 /**
- * APIキーのテスト
- * @param {string} apiKey テストするAPIキー
- * @returns {Promise<object>} テスト結果
+ * ユーザーによる翻訳の修正をキャッシュに保存
+ * 通常の翻訳と同じキャッシュの区分に上書き保存するため、以降の同じメッセージには修正した翻訳が使用されます。
+ * @param {string} text 翻訳したテキスト（プレースホルダーを含む）
+ * @param {string} translation 修正した翻訳
+ * @param {object} options 翻訳オプション（sourceLanguage, targetLanguage, channel）
+ * @returns {Promise<object>} 保存した翻訳結果
  */
-export async function testApiKey(apiKey) {
-  try {
-    // サンプルテキストで翻訳をテスト
-    console.log(`APIキーテスト: ${apiKey.substring(0, 5)}...`);
-
-    // 設定から使用するモデルを取得
-    const settings = getSettings();
-    const model = settings.geminiModel || "gemini-2.0-flash-lite";
-
-    // 簡単なテスト翻訳を実行
-    const prompt = {
-      contents: [
-        {
-          role: "user",
-          parts: [
-            {
-              text: "Translate the following English text to Japanese: Hello, this is a test.",
-            },
-          ],
-        },
-      ],
-      generationConfig: {
-        temperature: 0.2,
-        topP: 0.8,
-        topK: 40,
-      },
+export async function saveTranslationCorrection(text, translation, options = {}) {
+  const settings = getSettings(options.channel);
+
+  if (!text || !translation || translation.trim().length === 0) {
+    return {
+      success: false,
+      error: "修正する翻訳が空です",
     };
+  }
+
+  const translationOptions = resolveTranslationOptions(options, settings);
+  const scope = getCacheScope(translationOptions, settings);
+
+  const correctedResult = {
+    success: true,
+    // 修正した翻訳にないエモートなどは末尾に残す
+    translation: alignPlaceholders(translation.trim(), text),
+    detectedLanguage: translationOptions.sourceLanguage === "auto" ? "auto-detected" : translationOptions.sourceLanguage,
+    confidence: null,
+    isAlreadyTarget: false,
+    engine: "user",
+    model: scope.model,
+    corrected: true,
+    targetLanguage: translationOptions.targetLanguage,
+  };
+
+  await cacheTranslation(
+    text,
+    translationOptions.sourceLanguage,
+    correctedResult,
+    translationOptions.targetLanguage,
+    { ...scope, channel: translationOptions.channel }
+  );
+
+  return correctedResult;
+}
+
+/**
+ * 複数のメッセージを1回のリクエストでまとめて翻訳（キャッシュチェック付き）
+ * @param {Array<{id: string, text: string}>} items 翻訳するメッセージ
+ * @param {object} options 翻訳オプション（translateTextと同じ）
+ * @returns {Promise<Map<string, object>>} メッセージIDと翻訳結果の対応
+ */
+export async function translateBatch(items, options = {}) {
+  const settings = getSettings(options.channel);
+  const results = new Map();
+
+  const translationOptions = resolveTranslationOptions(options, settings);
+
+  // キャッシュにないメッセージだけを翻訳対象にする
+  const pendingItems = [];
+  for (const item of items) {
+    if (!item.text || item.text.trim().length === 0) {
+      results.set(item.id, { success: false, error: "翻訳するテキストが空です" });
+      continue;
+    }
+
+    const cachedResult = await findStoredTranslation(item.text, translationOptions, settings);
+
+    if (cachedResult) {
+      results.set(item.id, cachedResult);
+    } else {
+      pendingItems.push(item);
+    }
+  }
+
+  if (pendingItems.length === 0) {
+    return results;
+  }
 
-    // Gemini APIエンドポイントとAPIキーを組み合わせたURL
-    const apiUrl = `${GEMINI_API_BASE}${model}${GEMINI_API_GENERATE}?key=${apiKey}`;
+  // 1件だけなら通常の翻訳を使用
+  if (pendingItems.length === 1) {
+    const [item] = pendingItems;
+    results.set(item.id, await translateText(item.text, options));
+    return results;
+  }
 
-    // Gemini APIにリクエスト
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(prompt),
+  const failAll = (errorMessage, errorCode) => {
+    pendingItems.forEach(item => {
+      results.set(item.id, { success: false, error: errorMessage, errorCode });
     });
+    return results;
+  };
 
-    // エラーチェック
-    if (!response.ok) {
-      let errorMessage = `エラーステータス: ${response.status}`;
+  // 接続設定がない場合はすべてエラー
+  const chain = buildFallbackChain(settings, translationOptions);
+  if (chain.length === 0) {
+    return failAll(`${getProvider(translationOptions.provider).PROVIDER_NAME}の接続設定がされていません`, "api_key_missing");
+  }
 
-      try {
-        const errorData = await response.json();
-        errorMessage = errorData.error?.message || errorMessage;
-      } catch (e) {
-        // エラーレスポンスのパースに失敗した場合は無視
-      }
+  // API呼び出しの統計を更新（API呼び出しは1回、リクエストはメッセージ数分）
+  incrementApiRequests(pendingItems.reduce((sum, item) => sum + item.text.length, 0));
+  for (let i = 1; i < pendingItems.length; i++) {
+    incrementTotalRequests();
+  }
 
-      console.error("APIキーテストエラー:", errorMessage);
-      return {
-        valid: false,
-        error: errorMessage,
-      };
+  // メッセージごとの用語集の用語（プロンプトにはバッチ全体の用語をまとめて含める）
+  const itemGlossaries = new Map(
+    pendingItems.map(item => [item.id, getGlossaryMatches(item.text, translationOptions, settings)])
+  );
+  const cacheScope = { ...getCacheScope(translationOptions, settings), channel: translationOptions.channel };
+  const glossary = [...new Map(
+    [...itemGlossaries.values()].flat().map(entry => [entry.source.toLowerCase(), entry])
+  ).values()];
+
+  try {
+    const batchResult = await runWithFallback(chain, settings, (provider, model, config) =>
+      provider.translateBatch(pendingItems, { ...translationOptions, model, glossary }, config)
+    );
+
+    if (!batchResult.success) {
+      incrementErrors(batchResult.error);
+      return failAll(batchResult.error, batchResult.errorCode);
     }
 
-    // レスポンスを解析
-    const data = await response.json();
-
-    // 翻訳結果を抽出
-    if (
-      data.candidates &&
-      data.candidates.length > 0 &&
-      data.candidates[0].content &&
-      data.candidates[0].content.parts &&
-      data.candidates[0].content.parts.length > 0
-    ) {
-      const translatedText = data.candidates[0].content.parts[0].text.trim();
-      console.log("APIキーテスト成功:", translatedText);
-
-      return {
-        valid: true,
-        translatedText: translatedText,
-      };
-    } else {
-      console.error("APIキーテスト: 有効な翻訳結果が返されませんでした");
-      return {
-        valid: false,
-        error: "有効な翻訳結果が返されませんでした",
+    // IDごとに翻訳結果を振り分ける
+    pendingItems.forEach(item => {
+      const structured = batchResult.translations.get(item.id);
+
+      if (!structured || !structured.translation) {
+        results.set(item.id, { success: false, error: "バッチ翻訳結果にメッセージが含まれていません" });
+        return;
+      }
+
+      const translationResult = {
+        success: true,
+        translation: applyGlossary(structured.translation, itemGlossaries.get(item.id)),
+        detectedLanguage: structured.sourceLanguage || (translationOptions.sourceLanguage === "auto" ? "auto-detected" : translationOptions.sourceLanguage),
+        confidence: structured.confidence,
+        isAlreadyTarget: structured.isAlreadyTarget,
+        engine: batchResult.engine,
+        model: batchResult.model,
+        fallbackLevel: batchResult.fallbackLevel,
+        targetLanguage: translationOptions.targetLanguage,
       };
-    }
+
+      incrementEngineUsage(batchResult.engine);
+      incrementModelUsage(batchResult.model);
+      incrementLanguageSeen(translationResult.detectedLanguage);
+      cacheTranslation(
+        item.text,
+        translationOptions.sourceLanguage,
+        translationResult,
+        translationOptions.targetLanguage,
+        { ...cacheScope, model: batchResult.model }
+      );
+
+      results.set(item.id, translationResult);
+    });
+
+    return results;
+  } catch (error) {
+    incrementErrors(error.message);
+    console.error("バッチ翻訳中のエラー:", error);
+    return failAll(error.message || "バッチ翻訳中に予期せぬエラーが発生しました");
+  }
+}
+
+/**
+ * 翻訳プロバイダーの接続テスト
+ * @param {string} providerId プロバイダーID
+ * @param {object} config テストするプロバイダー設定（apiKey, baseUrl, model）
+ * @returns {Promise<object>} テスト結果 { valid, translatedText } または { valid: false, error }
+ */
+export async function testProviderConnection(providerId, config) {
+  const settings = getSettings();
+  const provider = getProvider(providerId);
+
+  try {
+    console.log(`接続テスト: ${provider.PROVIDER_NAME}`);
+    return await provider.testKey(config, settings.targetLanguage);
   } catch (error) {
-    console.error("APIキーテスト中のエラー:", error);
+    console.error("接続テスト中のエラー:", error);
     return {
       valid: false,
-      error: error.message || "APIキーのテスト中に予期せぬエラーが発生しました",
+      error: error.message || "接続テスト中に予期せぬエラーが発生しました",
+    };
+  }
+}
+
+/**
+ * プロンプトテンプレートのプレビュー
+ * 接続テストと同様に、キャッシュや統計に影響を与えずにサンプルのメッセージを翻訳します。
+ * @param {string} text サンプルのメッセージ
+ * @param {object} options プレビューオプション（provider, config, promptTemplate, sampling, channel）
+ * @returns {Promise<object>} { success, prompt, translation, sourceLanguage, confidence, model } または { success: false, prompt, error }
+ */
+export async function previewTranslation(text, options = {}) {
+  const settings = getSettings();
+  const translationOptions = {
+    ...resolveTranslationOptions(options, settings),
+    glossary: findGlossaryMatches(text, options.channel)
+  };
+  const provider = getProvider(translationOptions.provider);
+
+  // 実際に送信されるプロンプト本文（プロンプトを使用しないプロバイダーでも表示用に作成する）
+  const prompt = buildTranslationPrompt(text, translationOptions);
+
+  try {
+    console.log(`プロンプトのプレビュー: ${provider.PROVIDER_NAME}`);
+    const result = await provider.translate(text, translationOptions, options.config);
+
+    if (!result.success) {
+      return { success: false, prompt, error: result.error };
+    }
+
+    return {
+      success: true,
+      prompt,
+      translation: applyGlossary(result.translation, translationOptions.glossary),
+      sourceLanguage: result.detectedLanguage,
+      confidence: result.confidence,
+      isAlreadyTarget: result.isAlreadyTarget,
+      model: result.model,
+    };
+  } catch (error) {
+    console.error("プロンプトのプレビュー中のエラー:", error);
+    return {
+      success: false,
+      prompt,
+      error: error.message || "プレビュー中に予期せぬエラーが発生しました",
+    };
+  }
+}
+
+/**
+ * 翻訳プロバイダーで利用可能なモデルの一覧を取得
+ * @param {string} providerId プロバイダーID
+ * @param {object} config プロバイダー設定（apiKey, baseUrl）
+ * @returns {Promise<object>} { success, models } または { success: false, error }
+ */
+export async function listProviderModels(providerId, config) {
+  try {
+    return await getProvider(providerId).listModels(config);
+  } catch (error) {
+    console.error("モデル一覧の取得中のエラー:", error);
+    return {
+      success: false,
+      error: error.message || "モデル一覧の取得中に予期せぬエラーが発生しました",
     };
   }
 }
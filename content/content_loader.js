@@ -5,35 +5,61 @@
  * 翻訳機能を提供します。
  */
 
+// チャットの処理パイプラインをインポート
+import {
+  registerModule,
+  addHook,
+  runHook,
+  startPipeline,
+  startDetection,
+  stopDetection,
+  scanExistingMessages,
+  updatePipelineSettings,
+} from './pipeline.js';
+// パイプラインのモジュール（検出・抽出・フィルター・翻訳・表示）をインポート
+import { PIPELINE_MODULES } from './modules/index.js';
 // URL監視モジュールをインポート
 import { initUrlMonitor } from '../utils/urlMonitor.js';
-
-// 設定とデフォルト値
-const DEFAULT_SETTINGS = {
-  enabled: true,
-  targetLanguage: "ja",
-  showOriginal: true,
-  translationDelay: 300,
-  maxConcurrentRequests: 5,
-  debugMode: false,
-};
+// 送信メッセージの翻訳補助をインポート
+import { initComposeHelper, updateComposeSettings } from '../utils/composeHelper.js';
+// 翻訳の再翻訳・修正の機能をインポート
+import { initTranslationActions, updateTranslationActionSettings } from '../utils/translationActions.js';
+// アーカイブ・クリップのチャンネル名の取得をインポート
+import { getReplayChannel } from '../utils/replayChat.js';
+// ポップアウト・埋め込みのURLの判定をインポート
+import { getChannelFromUrl as getChannelFromPageUrl, isChatWindowUrl } from '../utils/urlUtils.js';
+// チャンネル別のプロファイルをインポート
+import { getChannelSettings, findChannelProfile } from '../utils/channelProfiles.js';
+// 配信の言語の判定をインポート
+import { getStreamLanguage } from '../utils/streamLanguage.js';
+// 設定のデフォルト値（バックグラウンドと共通）をインポート
+import { DEFAULT_SETTINGS } from '../shared/constants.js';
 
 // アプリケーションの状態
 const appState = {
   initialized: false,
   enabled: true,
-  settings: { ...DEFAULT_SETTINGS },
-  processingMessages: new Set(),
-  observerActive: false,
-  observer: null,
+  globalSettings: { ...DEFAULT_SETTINGS }, // 全体の設定
+  settings: { ...DEFAULT_SETTINGS }, // 現在のチャンネルのプロファイルを適用した設定
+  channelDisabled: false, // 現在のチャンネルのプロファイルで翻訳が無効になっているか
+  languageDisabled: false, // 配信の言語が翻訳先言語と同じため翻訳しないか
+  processingMessages: new Set(), // 処理中のメッセージID
   channelName: getChannelFromUrl(),
-  lastMessageTime: 0,
   debugMode: true, // デバッグモードを有効化
   urlMonitorInitialized: false // URL監視の初期化状態
 };
 
-// 翻訳済みメッセージのキャッシュ
-const translatedMessages = new Map();
+// パイプラインのモジュールに渡すコンテキスト
+const pipelineContext = {
+  state: appState,
+  get settings() {
+    return appState.settings;
+  },
+  isEnabled: () => appState.enabled && !appState.channelDisabled,
+  sendMessage: sendMessageToBackground,
+  recordContextLine,
+  debugLog,
+};
 
 /**
  * デバッグログを出力
@@ -60,18 +86,22 @@ async function initializeExtension() {
     // 設定を取得
     const response = await sendMessageToBackground("getSettings");
     if (response && response.success) {
-      appState.settings = { ...DEFAULT_SETTINGS, ...response.settings };
+      appState.globalSettings = { ...DEFAULT_SETTINGS, ...response.settings };
+      applyChannelProfile();
       appState.debugMode = appState.settings.debugMode || true; // 常にデバッグモードを有効化（開発中）
     }
     
     // 拡張機能の状態を取得
     const statusResponse = await sendMessageToBackground("getStatus");
+    let providerConfigured = false;
     if (statusResponse && statusResponse.success) {
       appState.enabled = statusResponse.status.enabled;
+      // 選択中の翻訳プロバイダーの接続設定があるか（Gemini以外ではAPIキーが不要な場合がある）
+      providerConfigured = statusResponse.status.apiKeyValid;
     }
     
     // 自動オン/オフ機能の確認
-    if (appState.settings.autoToggle && appState.settings.apiKey) {
+    if (appState.settings.autoToggle && providerConfigured) {
       // URL判定のためにバックグラウンドに確認
       const urlCheckResponse = await sendMessageToBackground("checkCurrentUrl", {
         url: window.location.href
@@ -99,6 +129,37 @@ async function initializeExtension() {
       debugLog('URL監視機能を初期化しました');
     }
     
+    // 送信メッセージの翻訳補助を初期化（チャットの翻訳の有効・無効に関わらず使用できる）
+    initComposeHelper({
+      settings: appState.settings,
+      translate: translateOutgoingMessage,
+    });
+    
+    // 表示した翻訳の再翻訳・修正の機能を初期化
+    initTranslationActions({
+      settings: appState.settings,
+      retranslate: (message) => sendMessageToBackground("retranslateMessage", {
+        message: message.text,
+        channel: message.channel,
+      }),
+      submitCorrection: (message, correction) => sendMessageToBackground("submitCorrection", {
+        message: message.text,
+        translation: correction.translation,
+        channel: message.channel,
+        glossaryEntry: correction.glossaryEntry,
+        glossaryChannel: message.channel,
+      }).then((response) => {
+        // 用語集に追加した場合は、以前の用語集で翻訳したページ内のキャッシュを使用しない
+        if (response?.success && correction.glossaryEntry) {
+          runHook("glossaryUpdated");
+        }
+        return response;
+      }),
+    });
+    
+    // チャットの処理パイプラインのモジュールを初期化（リプレイの監視・配信の言語の判定もここで開始する）
+    startPipeline(pipelineContext);
+    
     // 初期化完了
     appState.initialized = true;
     
@@ -106,11 +167,11 @@ async function initializeExtension() {
     if (appState.enabled) {
       // 既存メッセージの処理オプションをチェック
       if (appState.settings.processExistingMessages) {
-        processExistingMessages();
+        scanExistingMessages();
       }
       
       // チャット監視を開始
-      startChatObserver();
+      startDetection();
     } else {
       console.log("[Twitch Translator] 拡張機能は非配信ページのため無効化されています")
     }
@@ -161,399 +222,59 @@ function sendMessageToBackground(action, data = {}) {
 }
 
 /**
- * チャットメッセージを監視するObserverを開始
+ * 送信するメッセージを翻訳
+ * @param {string} text 翻訳するテキスト
+ * @param {string} targetLanguage 翻訳先言語コード
+ * @returns {Promise<object>} 翻訳結果
  */
-function startChatObserver() {
-  if (appState.observerActive) return;
-
-  debugLog("チャットコンテナの検索を開始");
-
-  // チャットコンテナを取得（複数のセレクタを試行）
-  const selectors = [
-    ".chat-scrollable-area__message-container",
-    ".chat-list--default",
-    ".chat-list",
-    '[data-test-selector="chat-scrollable-area__message-container"]',
-    '[data-a-target="chat-scroller"]',
-  ];
-
-  let chatContainer = null;
-  for (const selector of selectors) {
-    chatContainer = document.querySelector(selector);
-    if (chatContainer) {
-      debugLog(`チャットコンテナを発見: ${selector}`);
-      break;
-    }
-  }
-
-  if (!chatContainer) {
-    console.log(
-      "[Twitch Translator] チャットコンテナが見つかりません。後で再試行します。"
-    );
-    setTimeout(startChatObserver, 2000);
-    return;
-  }
-
-  // MutationObserverを作成
-  appState.observer = new MutationObserver((mutations) => {
-    if (!appState.enabled) return;
-
-    debugLog(`変更を検出: ${mutations.length}個の変更`);
-
-    for (const mutation of mutations) {
-      if (mutation.type === "childList" && mutation.addedNodes.length > 0) {
-        debugLog(`子要素の追加を検出: ${mutation.addedNodes.length}個`);
-
-        for (const node of mutation.addedNodes) {
-          // 複数のクラス名パターンを試行
-          const isMessage =
-            (node.classList && node.classList.contains("chat-line__message")) ||
-            (node.classList && node.classList.contains("chat-line")) ||
-            (node.classList && node.classList.contains("message")) ||
-            (node.nodeType === Node.ELEMENT_NODE &&
-              node.querySelector(".chat-line__message")) ||
-            (node.nodeType === Node.ELEMENT_NODE &&
-              node.querySelector(".message"));
-
-          if (isMessage) {
-            debugLog("チャットメッセージを検出:", node);
-            const messageElement =
-              node.classList && node.classList.contains("chat-line__message")
-                ? node
-                : node.querySelector(".chat-line__message");
-
-            if (messageElement) {
-              processMessage(messageElement);
-            } else {
-              processMessage(node); // 直接ノードを処理
-            }
-          }
-        }
-      }
-    }
+async function translateOutgoingMessage(text, targetLanguage) {
+  const response = await sendMessageToBackground("translate", {
+    text,
+    compose: true,
+    options: {
+      targetLanguage,
+      channel: appState.channelName,
+    },
   });
 
-  // 監視を開始
-  appState.observer.observe(chatContainer, { childList: true, subtree: true });
-  appState.observerActive = true;
-
-  console.log("[Twitch Translator] チャット監視を開始しました");
-}
-
-/**
- * 既存のチャットメッセージを処理
- */
-function processExistingMessages() {
-  if (!appState.enabled) return;
-
-  // 複数のセレクタを試行
-  const selectors = [
-    ".chat-line__message",
-    ".chat-line",
-    ".message",
-    '[data-a-target="chat-line-message"]',
-  ];
-
-  let messages = [];
-  for (const selector of selectors) {
-    const found = document.querySelectorAll(selector);
-    if (found && found.length > 0) {
-      messages = found;
-      debugLog(`既存メッセージを発見: ${selector} (${found.length}件)`);
-      break;
-    }
+  if (!response || !response.success) {
+    return { success: false, error: response?.error || "翻訳リクエストに失敗しました" };
   }
 
-  if (messages.length > 0) {
-    console.log(
-      `[Twitch Translator] ${messages.length}件の既存メッセージを処理します`
-    );
-
-    // 最新の20件のみ処理（パフォーマンスのため）
-    const recentMessages = Array.from(messages).slice(-20);
-    recentMessages.forEach((message) => {
-      processMessage(message);
-    });
-  } else {
-    debugLog("既存メッセージが見つかりませんでした");
-  }
+  return response.translation;
 }
 
 /**
- * チャットメッセージを処理
- * @param {Element} messageElement メッセージ要素
+ * 翻訳しないチャット行を会話の文脈としてバックグラウンドに記録
+ * @param {string} message メッセージのテキスト
+ * @param {string} username ユーザー名
  */
-async function processMessage(messageElement) {
-  if (!appState.enabled || !messageElement) return;
-
-  try {
-    debugLog("メッセージ処理開始:", messageElement);
-
-    // メッセージIDを取得
-    const messageId =
-      messageElement.id ||
-      messageElement.getAttribute("data-message-id") ||
-      Date.now().toString();
-
-    // 既に処理中または処理済みの場合はスキップ
-    if (
-      appState.processingMessages.has(messageId) ||
-      messageElement.querySelector(".twitch-translator-translation")
-    ) {
-      debugLog(`メッセージはすでに処理中または処理済み: ${messageId}`);
-      return;
-    }
-
-    // 処理中としてマーク
-    appState.processingMessages.add(messageId);
-
-    // メッセージテキストを取得（複数のセレクタを試行）
-    const selectors = [
-      ".chat-line__message-container",
-      ".message-container",
-      ".chat-line__message",
-      ".message",
-    ];
-
-    let messageContainer = null;
-    for (const selector of selectors) {
-      messageContainer =
-        messageElement.querySelector(selector) ||
-        (messageElement.classList &&
-        messageElement.classList.contains(selector.substring(1))
-          ? messageElement
-          : null);
-      if (messageContainer) {
-        debugLog(`メッセージコンテナを発見: ${selector}`);
-        break;
-      }
-    }
-
-    if (!messageContainer) {
-      debugLog("メッセージコンテナが見つかりません", messageElement);
-      appState.processingMessages.delete(messageId);
-      return;
-    }
-
-    // ユーザー名を取得（複数のセレクタを試行）
-    const usernameSelectors = [
-      ".chat-author__display-name",
-      ".chat-author",
-      ".username",
-      '[data-a-target="chat-message-username"]',
-    ];
-
-    let username = "不明なユーザー";
-    for (const selector of usernameSelectors) {
-      const usernameElement = messageElement.querySelector(selector);
-      if (usernameElement) {
-        username = usernameElement.textContent.trim();
-        debugLog(`ユーザー名を発見: ${username} (${selector})`);
-        break;
-      }
-    }
-
-    // メッセージ本文を取得（複数のセレクタを試行）
-    const messageBodySelectors = [
-      ".text-fragment",
-      ".message-text",
-      ".chat-line__message-body",
-      '[data-a-target="chat-message-text"]',
-    ];
-
-    let messageBody = null;
-    for (const selector of messageBodySelectors) {
-      messageBody = messageElement.querySelector(selector);
-      if (messageBody) {
-        debugLog(`メッセージ本文を発見: ${selector}`);
-        break;
-      }
-    }
-
-    if (!messageBody) {
-      debugLog("メッセージ本文が見つかりません", messageElement);
-      appState.processingMessages.delete(messageId);
-      return;
-    }
-
-    const messageText = messageBody.textContent.trim();
-    if (!messageText || messageText.length < 2) {
-      debugLog(`メッセージ本文が空または短すぎます: "${messageText}"`);
-      appState.processingMessages.delete(messageId);
-      return;
-    }
-
-    debugLog(`処理するメッセージ: ${username} - "${messageText}"`);
-
-    // キャッシュをチェック
-    if (translatedMessages.has(messageText)) {
-      debugLog(
-        "キャッシュから翻訳を取得:",
-        translatedMessages.get(messageText)
-      );
-      displayTranslation(messageElement, translatedMessages.get(messageText));
-      appState.processingMessages.delete(messageId);
-      return;
-    }
-
-    // 翻訳リクエスト
-    try {
-      debugLog("翻訳リクエストを送信:", messageText);
-      const response = await sendMessageToBackground("translateMessage", {
-        message: messageText,
-      });
-
-      if (response && response.success) {
-        // 翻訳をキャッシュ
-        translatedMessages.set(messageText, response.translation);
-        debugLog("翻訳結果を受信:", response.translation);
-
-        // 表示オプションを設定
-        const displayOptions = {
-          model: response.model || "Gemini",
-          sourceLanguage: response.sourceLanguage || "unknown",
-        };
-
-        // 翻訳を表示
-        displayTranslation(
-          messageElement,
-          response.translation,
-          displayOptions
-        );
-      } else {
-        console.warn(
-          "[Twitch Translator] 翻訳エラー:",
-          response?.error || "不明なエラー"
-        );
-      }
-    } catch (error) {
-      console.error("[Twitch Translator] 翻訳リクエスト例外:", error);
-    }
-
-    // 処理完了
-    appState.processingMessages.delete(messageId);
-  } catch (error) {
-    console.error("[Twitch Translator] メッセージ処理エラー:", error);
+function recordContextLine(message, username) {
+  if (appState.settings.contextSize <= 0) {
+    return;
   }
-}
-
-/**
- * 翻訳を表示
- * @param {Element} messageElement メッセージ要素
- * @param {string} translation 翻訳テキスト
- * @param {object} options 表示オプション
- */
-function displayTranslation(messageElement, translation, options = {}) {
-  if (!messageElement || !translation) return;
-
-  try {
-    debugLog("翻訳を表示:", translation);
-
-    // 設定の取得とデフォルト値の設定
-    const displaySettings = {
-      prefix: appState.settings.displayPrefix || "🇯🇵",
-      textColor: appState.settings.textColor || "#9b9b9b",
-      accentColor: appState.settings.accentColor || "#4db6ac",
-      fontSize: appState.settings.fontSize || "medium",
-      ...options,
-    };
-
-    // フォントサイズを決定
-    let fontSizeValue = "0.9em";
-    switch (displaySettings.fontSize) {
-      case "small":
-        fontSizeValue = "0.8em";
-        break;
-      case "medium":
-        fontSizeValue = "0.9em";
-        break;
-      case "large":
-        fontSizeValue = "1em";
-        break;
-    }
-
-    // 翻訳エンジン情報を取得
-    const modelInfo = options.model || "Gemini";
-
-    // 既に翻訳が表示されている場合は更新
-    const existingTranslation = messageElement.querySelector(
-      ".twitch-translator-translation"
-    );
-    if (existingTranslation) {
-      existingTranslation.textContent = `${displaySettings.prefix} ${translation}`;
-      debugLog("既存の翻訳を更新しました");
-      return;
-    }
-
-    // 翻訳表示要素を作成
-    const translationElement = document.createElement("div");
-    translationElement.className = "twitch-translator-translation";
-    translationElement.textContent = `${displaySettings.prefix} ${translation}`;
-
-    // スタイルを設定
-    translationElement.style.color = displaySettings.textColor;
-    translationElement.style.fontSize = fontSizeValue;
-    translationElement.style.marginTop = "4px";
-    translationElement.style.marginLeft = "20px";
-    translationElement.style.fontStyle = "italic";
-    translationElement.style.padding = "2px 0";
-    translationElement.style.borderLeft = `3px solid ${displaySettings.accentColor}`;
-    translationElement.style.paddingLeft = "8px";
-
-    // メッセージコンテナを取得（複数のセレクタを試行）
-    const containerSelectors = [
-      ".chat-line__message-container",
-      ".message-container",
-      ".chat-line__message",
-      ".message",
-    ];
-
-    let messageContainer = null;
-    for (const selector of containerSelectors) {
-      messageContainer =
-        messageElement.querySelector(selector) ||
-        (messageElement.classList &&
-        messageElement.classList.contains(selector.substring(1))
-          ? messageElement
-          : null);
-      if (messageContainer) {
-        debugLog(`翻訳表示用コンテナを発見: ${selector}`);
-        break;
-      }
-    }
 
-    if (messageContainer) {
-      // 翻訳を挿入
-      messageContainer.appendChild(translationElement);
-      debugLog("翻訳を挿入しました");
-    } else {
-      // 代替手段としてメッセージ要素の後に掛ける
-      try {
-        if (messageElement.parentElement) {
-          messageElement.parentElement.insertBefore(
-            translationElement,
-            messageElement.nextSibling
-          );
-          debugLog("代替手段で翻訳を挿入しました");
-        } else {
-          debugLog("翻訳表示用コンテナが見つかりません", messageElement);
-        }
-      } catch (error) {
-        console.error("[Twitch Translator] 代替手段での翻訳挿入エラー:", error);
-      }
-    }
-  } catch (error) {
-    console.error("[Twitch Translator] 翻訳表示エラー:", error);
-  }
+  sendMessageToBackground("recordChatLine", {
+    message,
+    username,
+    channel: appState.channelName,
+  }).catch(() => {
+    // 文脈の記録失敗は翻訳に影響しないため無視
+  });
 }
 
 /**
  * URLからチャンネル名を取得
+ * ポップアウトのチャット・モデレーター画面・埋め込みは、URLの決まった位置からチャンネル名を取得します。
  * @returns {string} チャンネル名
  */
 function getChannelFromUrl() {
-  const match = location.pathname.match(/^\/([^\/]+)/);
-  return match ? match[1] : "";
+  // アーカイブ（/videos/ID）とclips.twitch.tvのURLにはチャンネル名が含まれないため、ページ内のリンクから取得
+  if (/^\/videos\//.test(location.pathname) || location.hostname.startsWith("clips.")) {
+    return getReplayChannel();
+  }
+
+  return getChannelFromPageUrl(window.location.href);
 }
 
 /**
@@ -573,6 +294,9 @@ async function handleUrlChanged(url, method) {
       console.log(`[Twitch Translator] チャンネル変更を検出: ${appState.channelName} → ${newChannelName} (${method})`);
       appState.channelName = newChannelName;
       
+      // 新しいチャンネルのプロファイルを適用
+      applyChannelProfile();
+      
       // グレースピリオドの開始（チャンネル切り替え時の不要な処理を防止）
       startGracePeriod();
       
@@ -624,21 +348,16 @@ async function handleUrlChanged(url, method) {
  */
 function resetChatObserver() {
   // 現在の監視を停止
-  if (appState.observer) {
-    appState.observer.disconnect();
-    appState.observer = null;
-  }
-  
-  appState.observerActive = false;
+  stopDetection();
   
   if (appState.enabled) {
     // 監視を再開（少し遅延させる）
     setTimeout(() => {
-      startChatObserver();
+      startDetection();
       
       // 既存メッセージの処理（設定が有効な場合のみ）
       if (appState.settings.processExistingMessages) {
-        processExistingMessages();
+        scanExistingMessages();
       }
     }, 1000);
   }
@@ -650,12 +369,7 @@ function resetChatObserver() {
  */
 function startGracePeriod() {
   // 現在の監視を停止
-  if (appState.observer) {
-    appState.observer.disconnect();
-    appState.observer = null;
-  }
-  
-  appState.observerActive = false;
+  stopDetection();
   
   // 処理中のメッセージをクリア
   appState.processingMessages.clear();
@@ -668,11 +382,51 @@ function startGracePeriod() {
     
     // 有効な場合は監視を再開
     if (appState.enabled) {
-      startChatObserver();
+      startDetection();
     }
   }, 3000);
 }
 
+/**
+ * 現在のチャンネルのプロファイルを設定に適用
+ * プロファイルがないチャンネルでは全体の設定をそのまま使用します。
+ */
+function applyChannelProfile() {
+  const profile = findChannelProfile(appState.globalSettings, appState.channelName);
+
+  appState.settings = getChannelSettings(appState.globalSettings, appState.channelName);
+  appState.channelDisabled = profile?.settings?.enabled === false;
+
+  if (profile) {
+    debugLog(`チャンネル「${appState.channelName}」のプロファイルを適用しました`, profile.settings);
+  }
+
+  // 初期化前は各機能の初期化時に設定を渡す
+  if (appState.initialized) {
+    updateComposeSettings(appState.settings);
+    updateTranslationActionSettings(appState.settings);
+  }
+
+  // パイプラインのモジュール（リプレイの監視・配信の言語の判定など）に通知
+  updatePipelineSettings(appState.settings);
+}
+
+/**
+ * 更新された設定を適用
+ * @param {object} settings 新しい設定
+ */
+function applyUpdatedSettings(settings) {
+  appState.globalSettings = { ...DEFAULT_SETTINGS, ...settings };
+  appState.enabled = settings.enabled;
+  applyChannelProfile();
+  appState.debugMode = appState.settings.debugMode || true; // 常にデバッグモードを有効化（開発中）
+
+  console.log(
+    "[Twitch Translator] 設定が更新されました",
+    appState.settings
+  );
+}
+
 /**
  * バックグラウンドからのメッセージを処理
  */
@@ -681,19 +435,46 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     debugLog("バックグラウンドからメッセージを受信:", message);
 
     if (message.action === "settingsUpdated") {
+      // 設定が同梱されていない場合（オプションページからの通知）はバックグラウンドから取得
+      if (!message.settings) {
+        sendMessageToBackground("getSettings")
+          .then((response) => {
+            if (response && response.success) {
+              applyUpdatedSettings(response.settings);
+            }
+            sendResponse({ success: true });
+          })
+          .catch((error) => {
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+      }
+
       // 設定が更新された
-      appState.settings = { ...DEFAULT_SETTINGS, ...message.settings };
-      appState.enabled = message.settings.enabled;
-      appState.debugMode = appState.settings.debugMode || true; // 常にデバッグモードを有効化（開発中）
-      console.log(
-        "[Twitch Translator] 設定が更新されました",
-        appState.settings
-      );
+      applyUpdatedSettings(message.settings);
+      sendResponse({ success: true });
+    } else if (message.action === "glossaryUpdated") {
+      // 用語集が更新された（以前の用語集で翻訳したページ内のキャッシュを使用しない）
+      runHook("glossaryUpdated");
       sendResponse({ success: true });
     } else if (message.action === "apiKeyUpdated") {
       // APIキーが更新された
       console.log("[Twitch Translator] APIキーが更新されました");
       sendResponse({ success: true });
+    } else if (message.action === "getChannelInfo") {
+      // ポップアップからの表示中のチャンネルの問い合わせ（動作していないフレームは応答しない）
+      if (!appState.initialized) {
+        return false;
+      }
+      const profile = findChannelProfile(appState.globalSettings, appState.channelName);
+      sendResponse({
+        success: true,
+        channel: appState.channelName,
+        hasProfile: !!profile,
+        enabledOverride: profile?.settings?.enabled ?? null,
+        streamLanguage: getStreamLanguage(),
+        languageDisabled: appState.languageDisabled,
+      });
     }
   } catch (error) {
     console.error("[Twitch Translator] メッセージ処理エラー:", error);
@@ -703,16 +484,32 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // 非同期レスポンスを有効化
 });
 
-// 拡張機能を初期化
-console.log("[Twitch Translator] コンテンツローダーを起動します");
-initializeExtension();
+// ページ内のフレーム（広告や認証など）では動作しない
+// 別のサイトに埋め込まれたチャットやプレイヤー、ポップアウトのチャットはフレーム内でも翻訳する
+if (window === window.top || isChatWindowUrl(window.location.href)) {
+  // チャットの処理パイプラインにモジュールを登録
+  PIPELINE_MODULES.forEach(registerModule);
+
+  // リプレイのチャットの監視を開始したときに、チャンネル名を取得し直す
+  // （ページの読み込み直後はチャンネルへのリンクがまだ表示されていない場合がある）
+  addHook("replayAttached", () => {
+    if (!appState.channelName) {
+      appState.channelName = getChannelFromUrl();
+      applyChannelProfile();
+    }
+  });
 
-// URL変更監視はURLMonitorで行うため、この行は削除
+  // 拡張機能を初期化
+  console.log("[Twitch Translator] コンテンツローダーを起動します");
+  initializeExtension();
 
-// 初期化が失敗した場合のフォールバック
-setTimeout(() => {
-  if (!appState.initialized) {
-    console.log("[Twitch Translator] 初期化タイムアウト - 再試行します");
-    initializeExtension();
-  }
-}, 5000);
+  // URL変更監視はURLMonitorで行うため、この行は削除
+
+  // 初期化が失敗した場合のフォールバック
+  setTimeout(() => {
+    if (!appState.initialized) {
+      console.log("[Twitch Translator] 初期化タイムアウト - 再試行します");
+      initializeExtension();
+    }
+  }, 5000);
+}
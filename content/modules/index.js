@@ -0,0 +1,33 @@
+/**
+ * Twitch Gemini Translator チャットの処理パイプラインのモジュール
+ *
+ * コンテンツスクリプトがパイプラインに登録するモジュールの一覧です。
+ * 機能を追加する場合は、content/modules/ にモジュールを作成してこの一覧に加えます（実行順は段階と order で決まります）。
+ */
+
+import { liveChatDetector } from "./liveChatDetector.js";
+import { replayChatDetector } from "./replayChatDetector.js";
+import { messageExtractor } from "./messageExtractor.js";
+import { messageMasking } from "./messageMasking.js";
+import { userFilter } from "./userFilter.js";
+import { streamLanguageFilter } from "./streamLanguageFilter.js";
+import { translationDecisionFilter } from "./translationDecisionFilter.js";
+import { translationRequest } from "./translationRequest.js";
+import { translationRenderer } from "./translationRenderer.js";
+
+export const PIPELINE_MODULES = [
+  // 検出
+  liveChatDetector,
+  replayChatDetector,
+  // 抽出
+  messageExtractor,
+  messageMasking,
+  // フィルター
+  userFilter,
+  streamLanguageFilter,
+  translationDecisionFilter,
+  // 翻訳
+  translationRequest,
+  // 表示
+  translationRenderer,
+];
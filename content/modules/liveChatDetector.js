@@ -0,0 +1,160 @@
+/**
+ * Twitch Gemini Translator ライブのチャットの検出モジュール（検出の段階）
+ *
+ * ライブのチャットの一覧を監視し、追加されたメッセージをパイプラインで処理します。
+ * アーカイブ・クリップのチャットは replayChatDetector で検出します。
+ */
+
+import { processMessage } from "../pipeline.js";
+import { isReplayPage } from "../../utils/replayChat.js";
+
+// チャットコンテナのセレクタ（複数のセレクタを試行）
+const CHAT_CONTAINER_SELECTORS = [
+  ".chat-scrollable-area__message-container",
+  ".chat-list--default",
+  ".chat-list",
+  '[data-test-selector="chat-scrollable-area__message-container"]',
+  '[data-a-target="chat-scroller"]',
+];
+
+// 表示済みのメッセージのセレクタ（複数のセレクタを試行）
+const EXISTING_MESSAGE_SELECTORS = [
+  ".chat-line__message",
+  ".chat-line",
+  ".message",
+  '[data-a-target="chat-line-message"]',
+];
+
+// チャットコンテナが見つからない場合に再試行する間隔（ミリ秒）
+const RETRY_INTERVAL = 2000;
+
+// 表示済みのメッセージのうち処理する件数（新しいものから、パフォーマンスのため）
+const EXISTING_MESSAGE_LIMIT = 20;
+
+// ライブのチャットの監視の状態
+const liveChatState = {
+  observer: null,
+  retryTimer: null,
+};
+
+/**
+ * 追加されたノードがチャットのメッセージであればパイプラインで処理
+ * @param {Node} node 追加されたノード
+ * @param {object} context パイプラインのコンテキスト
+ */
+function handleAddedNode(node, context) {
+  // 複数のクラス名パターンを試行
+  const isMessage =
+    (node.classList && node.classList.contains("chat-line__message")) ||
+    (node.classList && node.classList.contains("chat-line")) ||
+    (node.classList && node.classList.contains("message")) ||
+    (node.nodeType === Node.ELEMENT_NODE && node.querySelector(".chat-line__message")) ||
+    (node.nodeType === Node.ELEMENT_NODE && node.querySelector(".message"));
+
+  if (!isMessage) return;
+
+  context.debugLog("チャットメッセージを検出:", node);
+  const messageElement =
+    node.classList && node.classList.contains("chat-line__message")
+      ? node
+      : node.querySelector(".chat-line__message");
+
+  // メッセージ要素が見つからない場合は直接ノードを処理
+  processMessage({ element: messageElement || node });
+}
+
+/**
+ * チャットメッセージの監視を開始
+ * チャットコンテナが見つからない場合は、表示されるまで再試行します。
+ * @param {object} context パイプラインのコンテキスト
+ */
+function startChatObserver(context) {
+  if (liveChatState.observer) return;
+
+  // アーカイブ・クリップのページのチャットはreplayChatDetectorで監視する
+  if (isReplayPage(window.location.href)) {
+    context.debugLog("リプレイのチャットのページのため、ライブのチャットの監視は開始しません");
+    return;
+  }
+
+  context.debugLog("チャットコンテナの検索を開始");
+
+  let chatContainer = null;
+  for (const selector of CHAT_CONTAINER_SELECTORS) {
+    chatContainer = document.querySelector(selector);
+    if (chatContainer) {
+      context.debugLog(`チャットコンテナを発見: ${selector}`);
+      break;
+    }
+  }
+
+  if (!chatContainer) {
+    console.log("[Twitch Translator] チャットコンテナが見つかりません。後で再試行します。");
+    clearTimeout(liveChatState.retryTimer);
+    liveChatState.retryTimer = setTimeout(() => startChatObserver(context), RETRY_INTERVAL);
+    return;
+  }
+
+  liveChatState.observer = new MutationObserver((mutations) => {
+    if (!context.isEnabled()) return;
+
+    context.debugLog(`変更を検出: ${mutations.length}個の変更`);
+
+    for (const mutation of mutations) {
+      if (mutation.type === "childList" && mutation.addedNodes.length > 0) {
+        mutation.addedNodes.forEach(node => handleAddedNode(node, context));
+      }
+    }
+  });
+
+  liveChatState.observer.observe(chatContainer, { childList: true, subtree: true });
+  console.log("[Twitch Translator] チャット監視を開始しました");
+}
+
+/**
+ * チャットメッセージの監視を停止
+ */
+function stopChatObserver() {
+  clearTimeout(liveChatState.retryTimer);
+  liveChatState.retryTimer = null;
+
+  liveChatState.observer?.disconnect();
+  liveChatState.observer = null;
+}
+
+/**
+ * 表示済みのチャットメッセージを処理
+ * @param {object} context パイプラインのコンテキスト
+ */
+function processExistingMessages(context) {
+  if (!context.isEnabled() || isReplayPage(window.location.href)) return;
+
+  let messages = [];
+  for (const selector of EXISTING_MESSAGE_SELECTORS) {
+    const found = document.querySelectorAll(selector);
+    if (found.length > 0) {
+      messages = found;
+      context.debugLog(`既存メッセージを発見: ${selector} (${found.length}件)`);
+      break;
+    }
+  }
+
+  if (messages.length === 0) {
+    context.debugLog("既存メッセージが見つかりませんでした");
+    return;
+  }
+
+  console.log(`[Twitch Translator] ${messages.length}件の既存メッセージを処理します`);
+  Array.from(messages).slice(-EXISTING_MESSAGE_LIMIT).forEach((element) => {
+    processMessage({ element });
+  });
+}
+
+// ライブのチャットの検出モジュール
+export const liveChatDetector = {
+  name: "liveChatDetector",
+  stage: "detect",
+  start: startChatObserver,
+  stop: stopChatObserver,
+  scan: processExistingMessages,
+};
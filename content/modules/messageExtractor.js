@@ -0,0 +1,153 @@
+/**
+ * Twitch Gemini Translator メッセージの抽出モジュール（抽出の段階）
+ *
+ * メッセージ要素からメッセージID・ユーザー・本文の要素を取り出し、処理中のメッセージとして記録します。
+ * 先読みするメッセージ（{ prefetch: true, id, body, user, username }）は、検出の段階で取り出した値をそのまま使用します。
+ *
+ * 設定するプロパティ: message.id, message.username, message.user, message.bodyElement
+ */
+
+import { addHook } from "../pipeline.js";
+import { getChatUser } from "../../utils/chatFilter.js";
+
+// メッセージコンテナのセレクタ（複数のセレクタを試行）
+export const MESSAGE_CONTAINER_SELECTORS = [
+  ".chat-line__message-container",
+  ".message-container",
+  ".chat-line__message",
+  ".message",
+  ".video-chat__message",
+];
+
+// ユーザー名のセレクタ（複数のセレクタを試行）
+const USERNAME_SELECTORS = [
+  ".chat-author__display-name",
+  ".chat-author",
+  ".username",
+  '[data-a-target="chat-message-username"]',
+  '[data-test-selector="comment-author-selector"]',
+];
+
+// メッセージ本文のセレクタ（複数のセレクタを試行）
+// エモートやメンションを含む本文全体を優先し、見つからない場合はテキスト部分のみを使用
+const MESSAGE_BODY_SELECTORS = [
+  '[data-a-target="chat-line-message-body"]',
+  ".chat-line__message-body",
+  ".message-text",
+  '[data-test-selector="comment-message-selector"]',
+  ".text-fragment",
+  '[data-a-target="chat-message-text"]',
+];
+
+/**
+ * メッセージ要素からメッセージコンテナを取得
+ * @param {Element} messageElement メッセージ要素
+ * @returns {Element|null} メッセージコンテナ（見つからない場合はnull）
+ */
+export function findMessageContainer(messageElement) {
+  for (const selector of MESSAGE_CONTAINER_SELECTORS) {
+    const container =
+      messageElement.querySelector(selector) ||
+      (messageElement.classList && messageElement.classList.contains(selector.substring(1))
+        ? messageElement
+        : null);
+    if (container) {
+      return container;
+    }
+  }
+  return null;
+}
+
+/**
+ * 処理が終わったメッセージを処理中の一覧から外すフックを登録
+ * @param {object} context パイプラインのコンテキスト
+ */
+function initMessageExtractor(context) {
+  addHook("finish", (message) => {
+    if (message.claimed) {
+      context.state.processingMessages.delete(message.id);
+    }
+  });
+}
+
+/**
+ * メッセージ要素からメッセージの情報を取り出す
+ * @param {object} message 処理中のメッセージ
+ * @param {object} context パイプラインのコンテキスト
+ * @returns {boolean} 処理を続ける場合はtrue
+ */
+function extractMessage(message, context) {
+  // 先読みするメッセージは検出の段階で本文とユーザーを取り出している
+  if (message.prefetch) {
+    message.bodyElement = message.body;
+    return true;
+  }
+
+  const messageElement = message.element;
+  if (!messageElement) {
+    message.skipReason = "メッセージ要素がありません";
+    return false;
+  }
+
+  context.debugLog("メッセージ処理開始:", messageElement);
+
+  // メッセージIDを取得
+  message.id =
+    messageElement.id ||
+    messageElement.getAttribute("data-message-id") ||
+    Date.now().toString();
+
+  // 既に処理中または処理済みの場合はスキップ
+  if (
+    context.state.processingMessages.has(message.id) ||
+    messageElement.querySelector(".twitch-translator-translation")
+  ) {
+    message.skipReason = `メッセージはすでに処理中または処理済み: ${message.id}`;
+    return false;
+  }
+
+  // 処理中としてマーク（処理が終わったら finish のフックで外す）
+  context.state.processingMessages.add(message.id);
+  message.claimed = true;
+
+  if (!findMessageContainer(messageElement)) {
+    message.skipReason = "メッセージコンテナが見つかりません";
+    return false;
+  }
+
+  message.username = "不明なユーザー";
+  for (const selector of USERNAME_SELECTORS) {
+    const usernameElement = messageElement.querySelector(selector);
+    if (usernameElement) {
+      message.username = usernameElement.textContent.trim();
+      context.debugLog(`ユーザー名を発見: ${message.username} (${selector})`);
+      break;
+    }
+  }
+
+  message.bodyElement = null;
+  for (const selector of MESSAGE_BODY_SELECTORS) {
+    message.bodyElement = messageElement.querySelector(selector);
+    if (message.bodyElement) {
+      context.debugLog(`メッセージ本文を発見: ${selector}`);
+      break;
+    }
+  }
+
+  if (!message.bodyElement) {
+    message.skipReason = "メッセージ本文が見つかりません";
+    return false;
+  }
+
+  message.user = getChatUser(messageElement, message.username);
+  return true;
+}
+
+// メッセージの抽出モジュール
+export const messageExtractor = {
+  name: "messageExtractor",
+  stage: "extract",
+  order: 0,
+  init: initMessageExtractor,
+  run: extractMessage,
+};
@@ -0,0 +1,38 @@
+/**
+ * Twitch Gemini Translator メッセージのマスクモジュール（抽出の段階）
+ *
+ * エモート・メンション・URLなどをプレースホルダーに置き換えて、翻訳時にモデルに変更されないようにします。
+ * プレースホルダーは表示の段階で元のトークンに戻します。
+ *
+ * 設定するプロパティ: message.tokenized（tokenizeMessage の結果）, message.text（翻訳に送信するテキスト）
+ */
+
+import { tokenizeMessage } from "../../utils/messageTokenizer.js";
+
+// 翻訳する本文の最低の文字数（トークンを除く）
+const MIN_TEXT_LENGTH = 2;
+
+/**
+ * メッセージ本文をトークン化
+ * @param {object} message 処理中のメッセージ
+ * @returns {boolean} 処理を続ける場合はtrue
+ */
+function maskMessage(message) {
+  message.tokenized = tokenizeMessage(message.bodyElement);
+  message.text = message.tokenized.text;
+
+  if (!message.tokenized.plainText || message.tokenized.plainText.length < MIN_TEXT_LENGTH) {
+    message.skipReason = `メッセージ本文が空または短すぎます: "${message.tokenized.originalText}"`;
+    return false;
+  }
+
+  return true;
+}
+
+// メッセージのマスクモジュール
+export const messageMasking = {
+  name: "messageMasking",
+  stage: "extract",
+  order: 10,
+  run: maskMessage,
+};
@@ -0,0 +1,33 @@
+/**
+ * Twitch Gemini Translator アーカイブ・クリップのチャットの検出モジュール（検出の段階）
+ *
+ * utils/replayChat.js で監視しているチャットのリプレイのメッセージと、
+ * 再生位置より先の先読みするメッセージをパイプラインで処理します。
+ */
+
+import { processMessage, runHook } from "../pipeline.js";
+import { initReplayChat, updateReplayChatSettings } from "../../utils/replayChat.js";
+
+/**
+ * チャットのリプレイの監視を初期化
+ * リプレイの監視は replayChat.js がページの種類を判定して開始・停止するため、start/stopは持ちません。
+ * @param {object} context パイプラインのコンテキスト
+ */
+function initReplayChatDetector(context) {
+  initReplayChat({
+    settings: context.settings,
+    isEnabled: () => context.state.enabled,
+    processMessage: element => processMessage({ element }),
+    prefetch: comment => processMessage({ ...comment, prefetch: true }),
+    // ページの読み込み直後はチャンネルへのリンクがまだ表示されていない場合があるため、コンテンツスクリプトで取得し直す
+    onAttach: () => runHook("replayAttached"),
+  });
+}
+
+// アーカイブ・クリップのチャットの検出モジュール
+export const replayChatDetector = {
+  name: "replayChatDetector",
+  stage: "detect",
+  init: initReplayChatDetector,
+  updateSettings: updateReplayChatSettings,
+};
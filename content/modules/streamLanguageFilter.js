@@ -0,0 +1,76 @@
+/**
+ * Twitch Gemini Translator 配信の言語のフィルターモジュール（フィルターの段階）
+ *
+ * チャットの最初のメッセージを配信の言語の判定に使用し、
+ * 配信の言語が翻訳先言語と同じチャンネルでは翻訳しません（自動オン/オフと配信の言語による判定が有効な場合）。
+ * チャンネルのプロファイルで翻訳の有効・無効を指定している場合は、その指定を優先します。
+ */
+
+import { initStreamLanguage, sampleChatLanguage, getStreamLanguage } from "../../utils/streamLanguage.js";
+import { findChannelProfile } from "../../utils/channelProfiles.js";
+
+/**
+ * 配信の言語に基づいて翻訳するかどうかを更新（context.state.languageDisabled）
+ * @param {object} context パイプラインのコンテキスト
+ */
+function applyStreamLanguage(context) {
+  const { state, settings } = context;
+  const streamLanguage = getStreamLanguage();
+  const profile = findChannelProfile(state.globalSettings, state.channelName);
+  const languageDisabled = !!(
+    settings.autoToggle &&
+    settings.languageAutoToggle &&
+    typeof profile?.settings?.enabled !== "boolean" &&
+    streamLanguage &&
+    streamLanguage.language === settings.targetLanguage
+  );
+
+  if (languageDisabled !== state.languageDisabled) {
+    console.log(
+      `[Twitch Translator] 配信の言語 (${streamLanguage?.language || "不明"}) に基づいて翻訳を${languageDisabled ? "停止" : "再開"}します`
+    );
+  }
+  state.languageDisabled = languageDisabled;
+}
+
+/**
+ * 配信の言語の判定を開始
+ * @param {object} context パイプラインのコンテキスト
+ */
+function initStreamLanguageFilter(context) {
+  initStreamLanguage({
+    getChannel: () => context.state.channelName,
+    onChange: () => applyStreamLanguage(context),
+  });
+  applyStreamLanguage(context);
+}
+
+/**
+ * チャットのメッセージで配信の言語を判定し、翻訳先言語と同じ配信では処理を中止
+ * @param {object} message 処理中のメッセージ
+ * @param {object} context パイプラインのコンテキスト
+ * @returns {boolean} 処理を続ける場合はtrue
+ */
+function filterByStreamLanguage(message, context) {
+  // 先読みするメッセージは再生位置より先のため、判定には表示されたメッセージのみを使用する
+  if (!message.prefetch) {
+    sampleChatLanguage(message.tokenized.plainText);
+  }
+
+  if (context.state.languageDisabled) {
+    message.skipReason = `配信の言語が翻訳先言語と同じため翻訳しません: "${message.tokenized.originalText}"`;
+    return false;
+  }
+
+  return true;
+}
+
+// 配信の言語のフィルターモジュール
+export const streamLanguageFilter = {
+  name: "streamLanguageFilter",
+  stage: "filter",
+  order: 10,
+  init: initStreamLanguageFilter,
+  updateSettings: (settings, context) => applyStreamLanguage(context),
+  run: filterByStreamLanguage,
+};
@@ -0,0 +1,37 @@
+/**
+ * Twitch Gemini Translator 翻訳するかどうかの判定モジュール（フィルターの段階）
+ *
+ * 翻訳しないルール（コマンド・笑いの表現など）と、翻訳モード・翻訳先言語に応じて翻訳するかどうかを判定します。
+ * 言語の判定にはエモートやURLを含めません。
+ */
+
+import { getTranslationDecision } from "../../utils/language.js";
+
+/**
+ * 翻訳しないルールと翻訳モードで翻訳するかどうかを判定
+ * @param {object} message 処理中のメッセージ
+ * @param {object} context パイプラインのコンテキスト
+ * @returns {boolean} 処理を続ける場合はtrue
+ */
+function filterByDecision(message, context) {
+  const decision = getTranslationDecision(message.tokenized, context.settings);
+  if (decision.translate) {
+    return true;
+  }
+
+  // 翻訳しない行も会話の文脈としてバックグラウンドに記録（先読みでは表示された時点で記録する）
+  if (!message.prefetch) {
+    context.recordContextLine(message.tokenized.originalText, message.username);
+  }
+
+  message.skipReason = `翻訳対象外のメッセージです (${decision.reason}): "${message.tokenized.originalText}"`;
+  return false;
+}
+
+// 翻訳するかどうかの判定モジュール
+export const translationDecisionFilter = {
+  name: "translationDecisionFilter",
+  stage: "filter",
+  order: 20,
+  run: filterByDecision,
+};
@@ -0,0 +1,254 @@
+/**
+ * Twitch Gemini Translator 翻訳の表示モジュール（表示の段階）
+ *
+ * 翻訳をメッセージの下に追加するか、メッセージの本文を翻訳に置き換えて表示します。
+ * 表示した翻訳は再翻訳・修正の対象として登録し、ホットキーで原文と翻訳を切り替えられるようにします。
+ */
+
+import { runHook } from "../pipeline.js";
+import { findMessageContainer } from "./messageExtractor.js";
+import { getDisplayPrefix } from "../../utils/language.js";
+import { renderTranslation } from "../../utils/messageTokenizer.js";
+import { registerTranslation } from "../../utils/translationActions.js";
+import { matchesHotkey } from "../../utils/utils.js";
+
+// 本文を置き換えて表示した翻訳のクラス名
+const REPLACED_TRANSLATION_CLASS = "twitch-translator-replaced";
+
+// 文字サイズの設定と表示する文字サイズの対応
+const FONT_SIZES = {
+  small: "0.8em",
+  medium: "0.9em",
+  large: "1em",
+};
+
+// 表示の状態
+const rendererState = {
+  context: null,
+  showOriginal: false, // ホットキーで原文の表示に切り替えているか
+};
+
+/**
+ * 翻訳を表示
+ * @param {object} message 処理中のメッセージ
+ * @param {string} translation 翻訳テキスト（プレースホルダーを含む場合がある）
+ * @param {object} options 表示オプション（model, sourceLanguage, confidence）
+ */
+function displayTranslation(message, translation, options = {}) {
+  const messageElement = message.element;
+  if (!messageElement || !translation) return;
+
+  const { settings, debugLog } = rendererState.context;
+
+  try {
+    debugLog("翻訳を表示:", translation);
+
+    // 設定の取得とデフォルト値の設定
+    const displaySettings = {
+      prefix: getDisplayPrefix(settings),
+      textColor: settings.textColor || "#9b9b9b",
+      accentColor: settings.accentColor || "#4db6ac",
+      fontSize: settings.fontSize || "medium",
+      displayMode: settings.displayMode || "append",
+    };
+
+    // 翻訳エンジン情報を取得
+    const modelInfo = options.model || "Gemini";
+
+    // 検出された元の言語（不明な場合は表示しない）
+    const sourceLanguage = /^[a-z]{2,3}(-[a-z0-9]+)?$/i.test(options.sourceLanguage || "")
+      ? options.sourceLanguage.toUpperCase()
+      : null;
+    const displayPrefix = sourceLanguage
+      ? `${displaySettings.prefix} [${sourceLanguage}] `
+      : `${displaySettings.prefix} `;
+
+    // プレースホルダーをエモート画像やリンクに戻した表示内容を作成
+    const createDisplayContent = () => {
+      const content = renderTranslation(translation, message.tokenized.tokens);
+      content.prepend(displayPrefix);
+      return content;
+    };
+
+    // 実際に翻訳したモデルと言語判定の信頼度をツールチップで表示
+    const tooltip = typeof options.confidence === "number"
+      ? `翻訳: ${modelInfo} / 言語判定の信頼度: ${Math.round(options.confidence * 100)}%`
+      : `翻訳: ${modelInfo}`;
+    const originalText = message.tokenized.originalText;
+
+    // 置き換え表示の場合はメッセージの本文を翻訳に置き換える
+    if (displaySettings.displayMode === "replace" && message.bodyElement) {
+      const replacedElement = displayReplacedTranslation(message.bodyElement, createDisplayContent(), {
+        tooltip: originalText ? `原文: ${originalText}\n${tooltip}` : tooltip,
+        accentColor: displaySettings.accentColor,
+      });
+      registerTranslationActions(replacedElement, message, translation, options);
+      return;
+    }
+
+    // 既に翻訳が表示されている場合は更新
+    const existingTranslation = messageElement.querySelector(".twitch-translator-translation");
+    if (existingTranslation) {
+      existingTranslation.replaceChildren(createDisplayContent());
+      existingTranslation.title = tooltip;
+      registerTranslationActions(existingTranslation, message, translation, options);
+      debugLog("既存の翻訳を更新しました");
+      return;
+    }
+
+    // 翻訳表示要素を作成
+    const translationElement = document.createElement("div");
+    translationElement.className = "twitch-translator-translation";
+    translationElement.append(createDisplayContent());
+    translationElement.title = tooltip;
+
+    // スタイルを設定
+    translationElement.style.color = displaySettings.textColor;
+    translationElement.style.fontSize = FONT_SIZES[displaySettings.fontSize] || FONT_SIZES.medium;
+    translationElement.style.marginTop = "4px";
+    translationElement.style.marginLeft = "20px";
+    translationElement.style.fontStyle = "italic";
+    translationElement.style.padding = "2px 0";
+    translationElement.style.borderLeft = `3px solid ${displaySettings.accentColor}`;
+    translationElement.style.paddingLeft = "8px";
+
+    // ホットキーで原文の表示に切り替えている場合は翻訳を隠す
+    setOriginalVisible(translationElement, rendererState.showOriginal);
+    registerTranslationActions(translationElement, message, translation, options);
+
+    const messageContainer = findMessageContainer(messageElement);
+    if (messageContainer) {
+      // 翻訳を挿入
+      messageContainer.appendChild(translationElement);
+      debugLog("翻訳を挿入しました");
+    } else if (messageElement.parentElement) {
+      // 代替手段としてメッセージ要素の後に挿入
+      messageElement.parentElement.insertBefore(translationElement, messageElement.nextSibling);
+      debugLog("代替手段で翻訳を挿入しました");
+    } else {
+      debugLog("翻訳表示用コンテナが見つかりません", messageElement);
+    }
+  } catch (error) {
+    console.error("[Twitch Translator] 翻訳表示エラー:", error);
+  }
+}
+
+/**
+ * メッセージの本文を翻訳に置き換えて表示
+ * 本文は削除せずに隠し、翻訳をクリックすると原文と翻訳を切り替えます。
+ * @param {Element} bodyElement メッセージ本文の要素
+ * @param {DocumentFragment} content 翻訳の表示内容
+ * @param {object} options 表示オプション（tooltip, accentColor）
+ * @returns {Element} 翻訳の要素
+ */
+function displayReplacedTranslation(bodyElement, content, options) {
+  let translationElement = bodyElement.nextElementSibling;
+
+  if (!translationElement || !translationElement.classList.contains(REPLACED_TRANSLATION_CLASS)) {
+    translationElement = document.createElement("span");
+    translationElement.className = `twitch-translator-translation ${REPLACED_TRANSLATION_CLASS}`;
+    translationElement.style.cursor = "pointer";
+    translationElement.style.borderBottom = `1px dotted ${options.accentColor}`;
+
+    // 翻訳をクリックすると原文を表示
+    translationElement.addEventListener("click", (event) => {
+      event.stopPropagation();
+      setOriginalVisible(translationElement, true);
+    });
+
+    // 原文をクリックすると翻訳に戻す（リンクやエモートのクリックは除く）
+    bodyElement.addEventListener("click", (event) => {
+      if (translationElement.isConnected && !event.target.closest("a, button, img")) {
+        setOriginalVisible(translationElement, false);
+      }
+    });
+
+    bodyElement.after(translationElement);
+  }
+
+  translationElement.replaceChildren(content);
+  translationElement.title = options.tooltip;
+  setOriginalVisible(translationElement, rendererState.showOriginal);
+  rendererState.context.debugLog("本文を翻訳に置き換えました");
+  return translationElement;
+}
+
+/**
+ * 翻訳の要素を再翻訳・修正の対象として登録
+ * 再翻訳や修正で翻訳が変わった場合は、translationUpdated のフックで通知してから表示を更新します。
+ * @param {Element} translationElement 翻訳の要素
+ * @param {object} message 処理中のメッセージ
+ * @param {string} translation 表示した翻訳
+ * @param {object} options 表示オプション（displayTranslationと同じ）
+ */
+function registerTranslationActions(translationElement, message, translation, options) {
+  registerTranslation(translationElement, {
+    text: message.text,
+    originalText: message.tokenized.originalText || "",
+    translation,
+    channel: rendererState.context.state.channelName,
+    onUpdate: (updatedTranslation, result) => {
+      const updatedOptions = {
+        model: result.corrected ? "ユーザーによる修正" : result.model,
+        sourceLanguage: result.sourceLanguage || options.sourceLanguage,
+        confidence: result.confidence ?? null,
+      };
+
+      runHook("translationUpdated", message, { translation: updatedTranslation, ...updatedOptions });
+      displayTranslation(message, updatedTranslation, updatedOptions);
+    },
+  });
+}
+
+/**
+ * 翻訳の代わりに原文を表示するかを切り替える
+ * 置き換え表示では本文と翻訳を入れ替え、追加表示では翻訳の表示・非表示を切り替えます。
+ * @param {Element} translationElement 翻訳の要素
+ * @param {boolean} showOriginal 原文を表示するかどうか
+ */
+function setOriginalVisible(translationElement, showOriginal) {
+  translationElement.style.display = showOriginal ? "none" : "";
+
+  if (translationElement.classList.contains(REPLACED_TRANSLATION_CLASS)) {
+    const bodyElement = translationElement.previousElementSibling;
+    if (bodyElement) {
+      bodyElement.style.display = showOriginal ? "" : "none";
+    }
+  }
+}
+
+/**
+ * ホットキーで表示中のすべてのメッセージの原文と翻訳を切り替える
+ * @param {KeyboardEvent} event キーボードイベント
+ */
+function handleDisplayToggleHotkey(event) {
+  if (!matchesHotkey(event, rendererState.context.settings.displayToggleHotkey)) {
+    return;
+  }
+
+  event.preventDefault();
+  rendererState.showOriginal = !rendererState.showOriginal;
+
+  document.querySelectorAll(".twitch-translator-translation").forEach((translationElement) => {
+    setOriginalVisible(translationElement, rendererState.showOriginal);
+  });
+
+  rendererState.context.debugLog(`表示を${rendererState.showOriginal ? "原文" : "翻訳"}に切り替えました`);
+}
+
+/**
+ * 原文と翻訳を切り替えるホットキーを登録
+ * @param {object} context パイプラインのコンテキスト
+ */
+function initTranslationRenderer(context) {
+  rendererState.context = context;
+  document.addEventListener("keydown", handleDisplayToggleHotkey, true);
+}
+
+// 翻訳の表示モジュール
+export const translationRenderer = {
+  name: "translationRenderer",
+  stage: "render",
+  init: initTranslationRenderer,
+  run: (message) => displayTranslation(message, message.translation.translation, message.translation),
+};
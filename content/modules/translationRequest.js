@@ -0,0 +1,300 @@
+/**
+ * Twitch Gemini Translator 翻訳リクエストモジュール（翻訳の段階）
+ *
+ * メッセージの翻訳をバックグラウンドに依頼し、結果をコンテンツスクリプト内にキャッシュします。
+ * 翻訳待ちの間はメッセージの表示状態を監視し、画面に表示されているメッセージの翻訳を優先させます。
+ * 先読みするメッセージ（アーカイブのチャット）は翻訳をキャッシュに保持するだけで、表示の段階には進みません。
+ * キャッシュはチャンネルと翻訳先言語・モデル・プロンプト・サンプリングパラメータ・用語集の使用有無ごとに区別し、
+ * 設定や用語集が変わるとクリアします（用語集の内容はバックグラウンドにのみあるため、glossaryUpdated のフックで通知を受けます）。
+ *
+ * 設定するプロパティ: message.cacheKey, message.translation（{ translation, model, sourceLanguage, confidence }）
+ */
+
+import { addHook } from "../pipeline.js";
+import { LRUCache, hashString } from "../../utils/utils.js";
+
+// 翻訳済みメッセージのキャッシュの最大件数
+const MAX_TRANSLATED_MESSAGES = 500;
+
+// 翻訳済みメッセージのキャッシュ（キャッシュの区分|チャンネル|テキスト -> 翻訳結果）
+const translatedMessages = new LRUCache(MAX_TRANSLATED_MESSAGES);
+
+// キャッシュの区分（翻訳先言語・モデル・プロンプトなど翻訳結果に影響する設定のハッシュ）
+let cacheScope = "";
+
+// 先読み中の翻訳（キャッシュのキー -> 翻訳の完了を待つPromise）
+const pendingPrefetches = new Map();
+
+// 翻訳待ちのメッセージ要素 -> メッセージID（表示状態の監視用）
+const observedMessages = new WeakMap();
+
+// 翻訳待ちのメッセージが画面に表示されているかを監視（表示中のメッセージの翻訳を優先する）
+let visibilityObserver = null;
+
+// パイプラインのコンテキスト
+let pipelineContext = null;
+
+/**
+ * 翻訳結果をキャッシュする形式に変換
+ * @param {object} result 翻訳結果（バックグラウンドの応答など）
+ * @returns {object} キャッシュする翻訳結果
+ */
+function toCachedTranslation(result) {
+  return {
+    translation: result.translation,
+    model: result.model,
+    sourceLanguage: result.sourceLanguage,
+    confidence: result.confidence,
+    isAlreadyTarget: result.isAlreadyTarget,
+  };
+}
+
+/**
+ * 翻訳結果に影響する設定からキャッシュの区分を作成
+ * @param {object} settings 設定
+ * @returns {string} キャッシュの区分
+ */
+function getCacheScope(settings) {
+  const model = settings.translationProvider === "openai"
+    ? settings.openaiModel
+    : settings.translationProvider === "libretranslate" ? "" : settings.geminiModel;
+
+  return hashString(JSON.stringify([
+    settings.targetLanguage,
+    settings.translationProvider,
+    model,
+    settings.promptPreset,
+    settings.promptTemplate,
+    settings.temperature,
+    settings.topP,
+    settings.topK,
+    settings.useGlossary,
+  ]));
+}
+
+/**
+ * 設定が変わった場合はキャッシュをクリア（プロファイルやモデルの切り替え前の翻訳を使用しないようにする）
+ * @param {object} settings 新しい設定
+ */
+function updateTranslationRequestSettings(settings) {
+  cacheScope = getCacheScope(settings);
+  translatedMessages.clear();
+}
+
+/**
+ * 要素が画面に表示されているかを判定
+ * @param {Element} element 要素
+ * @returns {boolean} 表示されているかどうか
+ */
+function isElementVisible(element) {
+  const rect = element.getBoundingClientRect();
+  return rect.height > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
+}
+
+/**
+ * 翻訳待ちのメッセージの表示状態の監視を開始
+ * @param {Element} messageElement メッセージ要素
+ * @param {string} messageId メッセージID
+ */
+function observeMessageVisibility(messageElement, messageId) {
+  if (typeof IntersectionObserver === "undefined") return;
+
+  if (!visibilityObserver) {
+    visibilityObserver = new IntersectionObserver(handleVisibilityChange);
+  }
+
+  observedMessages.set(messageElement, messageId);
+  visibilityObserver.observe(messageElement);
+}
+
+/**
+ * メッセージの表示状態の監視を終了
+ * @param {Element} messageElement メッセージ要素
+ */
+function unobserveMessageVisibility(messageElement) {
+  if (!visibilityObserver) return;
+
+  observedMessages.delete(messageElement);
+  visibilityObserver.unobserve(messageElement);
+}
+
+/**
+ * メッセージの表示状態が変わったときの処理
+ * 翻訳待ちのメッセージの優先度をバックグラウンドに通知します。
+ * @param {Array<IntersectionObserverEntry>} entries 表示状態が変わった要素
+ */
+function handleVisibilityChange(entries) {
+  for (const entry of entries) {
+    const messageId = observedMessages.get(entry.target);
+    if (!messageId || !pipelineContext.state.processingMessages.has(messageId)) continue;
+
+    pipelineContext.sendMessage("updateMessagePriority", {
+      messageId,
+      visible: entry.isIntersecting,
+    }).catch(() => {
+      // 優先度の更新失敗は翻訳に影響しないため無視
+    });
+  }
+}
+
+/**
+ * 再翻訳・修正で翻訳が変わった場合にキャッシュを更新し、用語集が変わった場合にキャッシュをクリアするフックを登録
+ * @param {object} context パイプラインのコンテキスト
+ */
+function initTranslationRequest(context) {
+  pipelineContext = context;
+  cacheScope = getCacheScope(context.settings);
+
+  addHook("translationUpdated", (message, result) => {
+    translatedMessages.set(message.cacheKey, { ...toCachedTranslation(result), isAlreadyTarget: false });
+  });
+
+  addHook("glossaryUpdated", () => {
+    translatedMessages.clear();
+  });
+}
+
+/**
+ * 再生位置より先のメッセージを先読みして翻訳し、キャッシュに保持
+ * 文脈にはメッセージが表示された時点で記録されるよう、先読みではバックグラウンドの文脈に記録しません。
+ * @param {object} message 先読みするメッセージ
+ * @param {object} context パイプラインのコンテキスト
+ */
+function prefetchTranslation(message, context) {
+  const cacheKey = message.cacheKey;
+  if (translatedMessages.get(cacheKey) || pendingPrefetches.has(cacheKey)) return;
+
+  context.debugLog(`リプレイのメッセージを先読みして翻訳: "${message.text}"`);
+
+  const request = context.sendMessage("translateMessage", {
+    message: message.text,
+    contextMessage: message.tokenized.originalText,
+    username: message.username,
+    channel: context.state.channelName,
+    messageId: `prefetch-${message.id}`,
+    prefetch: true,
+  })
+    .then((response) => {
+      if (response && response.success) {
+        translatedMessages.set(cacheKey, toCachedTranslation(response));
+      }
+    })
+    .catch(() => {
+      // 先読みの失敗は、メッセージが表示されたときに改めて翻訳するため無視
+    })
+    .finally(() => {
+      pendingPrefetches.delete(cacheKey);
+    });
+
+  pendingPrefetches.set(cacheKey, request);
+}
+
+/**
+ * メッセージを翻訳（キャッシュにある場合はキャッシュを使用）
+ * @param {object} message 処理中のメッセージ
+ * @param {object} context パイプラインのコンテキスト
+ * @returns {Promise<boolean>} 翻訳を表示する場合はtrue
+ */
+async function translateMessage(message, context) {
+  // キャッシュのキー（チャンネルと設定ごとに保持、トークンはメッセージごとに復元する）
+  message.cacheKey = `${cacheScope}|${context.state.channelName || ""}|${message.text}`;
+
+  if (message.prefetch) {
+    prefetchTranslation(message, context);
+    message.skipReason = "先読みした翻訳はメッセージが表示されたときに使用します";
+    return false;
+  }
+
+  context.debugLog(`処理するメッセージ: ${message.username} - "${message.text}"`);
+
+  // リプレイで先読み中の翻訳がある場合は、同じメッセージを重複して翻訳しないよう完了を待つ
+  if (pendingPrefetches.has(message.cacheKey)) {
+    await pendingPrefetches.get(message.cacheKey);
+  }
+
+  let result = translatedMessages.get(message.cacheKey);
+  if (result) {
+    context.debugLog("キャッシュから翻訳を取得:", result.translation);
+    // バックグラウンドに翻訳を依頼しないため、会話の文脈には別途記録する
+    context.recordContextLine(message.tokenized.originalText, message.username);
+  } else {
+    result = await requestTranslation(message, context);
+    if (!result) {
+      return false;
+    }
+  }
+
+  // 既に翻訳先言語で書かれていると判定された場合は表示しない
+  if (result.isAlreadyTarget) {
+    message.skipReason = `翻訳先言語のメッセージのため表示をスキップします: "${message.text}"`;
+    return false;
+  }
+
+  message.translation = result;
+  return true;
+}
+
+/**
+ * バックグラウンドに翻訳を依頼
+ * @param {object} message 処理中のメッセージ
+ * @param {object} context パイプラインのコンテキスト
+ * @returns {Promise<object|null>} 翻訳結果（翻訳できなかった場合はnull）
+ */
+async function requestTranslation(message, context) {
+  const messageElement = message.element;
+
+  try {
+    context.debugLog("翻訳リクエストを送信:", message.text);
+
+    // 翻訳待ちの間に表示状態が変わった場合に優先度を更新できるよう監視を開始
+    // （監視開始直後の通知は翻訳リクエストの送信後に処理される）
+    observeMessageVisibility(messageElement, message.id);
+
+    const response = await context.sendMessage("translateMessage", {
+      message: message.text,
+      contextMessage: message.tokenized.originalText,
+      username: message.username,
+      channel: context.state.channelName,
+      messageId: message.id,
+      visible: isElementVisible(messageElement),
+    });
+
+    if (response && response.expired) {
+      // 翻訳待ちの間に古くなったため破棄された（画面から流れたメッセージ）
+      message.skipReason = `翻訳待ちの期限切れのため翻訳されませんでした: "${message.text}"`;
+      return null;
+    }
+
+    if (!response || !response.success) {
+      console.warn("[Twitch Translator] 翻訳エラー:", response?.error || "不明なエラー");
+      message.skipReason = "翻訳に失敗しました";
+      return null;
+    }
+
+    // 翻訳をキャッシュ（翻訳したモデルと検出された言語も保持）
+    const result = toCachedTranslation(response);
+    translatedMessages.set(message.cacheKey, result);
+    context.debugLog("翻訳結果を受信:", response.translation);
+
+    return {
+      ...result,
+      model: result.model || "Gemini",
+      sourceLanguage: result.sourceLanguage || "unknown",
+    };
+  } catch (error) {
+    console.error("[Twitch Translator] 翻訳リクエスト例外:", error);
+    message.skipReason = "翻訳リクエストでエラーが発生しました";
+    return null;
+  } finally {
+    unobserveMessageVisibility(messageElement);
+  }
+}
+
+// 翻訳リクエストモジュール
+export const translationRequest = {
+  name: "translationRequest",
+  stage: "translate",
+  init: initTranslationRequest,
+  updateSettings: updateTranslationRequestSettings,
+  run: translateMessage,
+};
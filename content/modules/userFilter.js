@@ -0,0 +1,40 @@
+/**
+ * Twitch Gemini Translator ユーザーのフィルターモジュール（フィルターの段階）
+ *
+ * ユーザー・バッジ・メンションのフィルターで翻訳するかどうかを判定します（ボットなどのメッセージはAPIに送信しない）。
+ */
+
+import { getUserFilterRules, checkUserFilter } from "../../utils/chatFilter.js";
+
+/**
+ * ユーザー・バッジ・メンションのフィルターで翻訳するかどうかを判定
+ * @param {object} message 処理中のメッセージ
+ * @param {object} context パイプラインのコンテキスト
+ * @returns {boolean} 処理を続ける場合はtrue
+ */
+function filterUser(message, context) {
+  const result = checkUserFilter(
+    message.user,
+    message.tokenized.originalText,
+    getUserFilterRules(context.settings, context.state.channelName)
+  );
+  if (result.allowed) {
+    return true;
+  }
+
+  // 無視リストのユーザー（ボットなど）の行は文脈にも含めない
+  if (!message.prefetch && result.reason !== "ignored") {
+    context.recordContextLine(message.tokenized.originalText, message.username);
+  }
+
+  message.skipReason = `フィルターにより翻訳しません (${result.reason}): ${message.username}`;
+  return false;
+}
+
+// ユーザーのフィルターモジュール
+export const userFilter = {
+  name: "userFilter",
+  stage: "filter",
+  order: 0,
+  run: filterUser,
+};
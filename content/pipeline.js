@@ -0,0 +1,187 @@
+/**
+ * Twitch Gemini Translator チャットの処理パイプライン
+ *
+ * チャットのメッセージを 検出(detect) → 抽出(extract) → フィルター(filter) → 翻訳(translate) → 表示(render) の
+ * 段階で処理します。各段階の処理は content/modules/ のモジュールとして登録し、
+ * コアを変更せずにフィルター・マスク・表示方法などの機能を追加できるようにします。
+ *
+ * モジュールは次のプロパティを持つオブジェクトです。
+ *   name: モジュール名
+ *   stage: 処理する段階（PIPELINE_STAGESのいずれか）
+ *   order: 同じ段階の中での実行順（小さいものから、省略時は0）
+ *   init(context): パイプラインの開始時の処理（省略可）
+ *   updateSettings(settings, context): 設定が変わったときの処理（省略可）
+ *   start(context) / stop(context): チャットの監視の開始・停止（検出の段階のみ、省略可）
+ *   scan(context): 表示済みのメッセージの処理（検出の段階のみ、省略可）
+ *   run(message, context): メッセージの処理（検出以外の段階）。falseを返すと以降の処理を中止します
+ *
+ * フックは addHook で登録し、モジュールやコンテンツスクリプトから runHook で呼び出します。
+ *   before:<stage> / after:<stage>: 各段階の前後（message）
+ *   skip: 処理が中止されたとき（message, モジュール名）。中止の理由は message.skipReason に設定します
+ *   finish: 処理が終わったとき（message）。中止された場合も呼び出されます
+ *   glossaryUpdated: 用語集が変わったとき（コンテンツスクリプトから呼び出します）
+ */
+
+// 処理の段階（この順に実行）
+export const PIPELINE_STAGES = ["detect", "extract", "filter", "translate", "render"];
+
+// パイプラインの状態
+const pipelineState = {
+  context: null,
+  modules: new Map(PIPELINE_STAGES.map(stage => [stage, []])),
+  hooks: new Map(),
+  started: false,
+};
+
+/**
+ * モジュールを登録
+ * @param {object} module 登録するモジュール
+ */
+export function registerModule(module) {
+  const modules = pipelineState.modules.get(module?.stage);
+  if (!modules) {
+    throw new Error(`不明な処理の段階です: ${module?.stage} (${module?.name})`);
+  }
+
+  modules.push(module);
+  modules.sort((a, b) => (a.order || 0) - (b.order || 0));
+
+  // 初期化後に登録されたモジュールはすぐに初期化する
+  if (pipelineState.started) {
+    module.init?.(pipelineState.context);
+  }
+}
+
+/**
+ * フックを登録
+ * @param {string} name フック名
+ * @param {function(...any): void} handler フックの処理
+ * @returns {function(): void} 登録を解除する関数
+ */
+export function addHook(name, handler) {
+  if (!pipelineState.hooks.has(name)) {
+    pipelineState.hooks.set(name, new Set());
+  }
+  pipelineState.hooks.get(name).add(handler);
+
+  return () => pipelineState.hooks.get(name)?.delete(handler);
+}
+
+/**
+ * フックを呼び出す
+ * フックの処理のエラーは他のフックやメッセージの処理に影響させません。
+ * @param {string} name フック名
+ * @param {...any} args フックに渡す引数
+ */
+export function runHook(name, ...args) {
+  const handlers = pipelineState.hooks.get(name);
+  if (!handlers) return;
+
+  for (const handler of handlers) {
+    try {
+      handler(...args);
+    } catch (error) {
+      console.error(`[Twitch Translator] フック「${name}」の処理エラー:`, error);
+    }
+  }
+}
+
+/**
+ * パイプラインと各モジュールを初期化
+ * チャットの監視は startDetection で開始します。
+ * @param {object} context モジュールに渡すコンテキスト（状態・設定・バックグラウンドとの通信など）
+ */
+export function startPipeline(context) {
+  if (pipelineState.started) return;
+
+  pipelineState.context = context;
+  pipelineState.started = true;
+
+  for (const stage of PIPELINE_STAGES) {
+    for (const module of pipelineState.modules.get(stage)) {
+      module.init?.(context);
+    }
+  }
+}
+
+/**
+ * 検出の段階のモジュールを開始（チャットの監視を開始）
+ */
+export function startDetection() {
+  if (!pipelineState.started) return;
+
+  for (const module of pipelineState.modules.get("detect")) {
+    module.start?.(pipelineState.context);
+  }
+}
+
+/**
+ * 検出の段階のモジュールを停止（チャットの監視を停止）
+ */
+export function stopDetection() {
+  if (!pipelineState.started) return;
+
+  for (const module of pipelineState.modules.get("detect")) {
+    module.stop?.(pipelineState.context);
+  }
+}
+
+/**
+ * 表示済みのメッセージを検出の段階のモジュールで処理
+ */
+export function scanExistingMessages() {
+  if (!pipelineState.started) return;
+
+  for (const module of pipelineState.modules.get("detect")) {
+    module.scan?.(pipelineState.context);
+  }
+}
+
+/**
+ * 各モジュールに設定の変更を通知
+ * @param {object} settings 新しい設定
+ */
+export function updatePipelineSettings(settings) {
+  if (!pipelineState.started) return;
+
+  for (const stage of PIPELINE_STAGES) {
+    for (const module of pipelineState.modules.get(stage)) {
+      module.updateSettings?.(settings, pipelineState.context);
+    }
+  }
+}
+
+/**
+ * メッセージをパイプラインで処理
+ * 検出の段階のモジュールから呼び出します。抽出以降の段階のモジュールを順に実行し、
+ * いずれかのモジュールがfalseを返した場合は処理を中止します。
+ * @param {object} message 処理するメッセージ（ライブのチャットは { element }、先読みは { prefetch: true, ... }）
+ * @returns {Promise<boolean>} 表示の段階まで処理した場合はtrue
+ */
+export async function processMessage(message) {
+  const context = pipelineState.context;
+  if (!context || !context.isEnabled()) return false;
+
+  try {
+    for (const stage of PIPELINE_STAGES.slice(1)) {
+      runHook(`before:${stage}`, message);
+
+      for (const module of pipelineState.modules.get(stage)) {
+        if (await module.run(message, context) === false) {
+          context.debugLog(`${module.name}: ${message.skipReason || "処理を中止しました"}`);
+          runHook("skip", message, module.name);
+          return false;
+        }
+      }
+
+      runHook(`after:${stage}`, message);
+    }
+
+    return true;
+  } catch (error) {
+    console.error("[Twitch Translator] メッセージ処理エラー:", error);
+    return false;
+  } finally {
+    runHook("finish", message);
+  }
+}
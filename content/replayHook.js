@@ -0,0 +1,122 @@
+/**
+ * Twitch Gemini Translator アーカイブのチャットの受け渡し
+ *
+ * ページのコンテキスト（MAIN world）で実行し、Twitchのプレイヤーが再生位置より先まで読み込んだ
+ * アーカイブのチャット（GraphQLの応答）をコンテンツスクリプトに渡します。
+ * 応答の内容は変更せず、Twitchへのリクエストも追加しません。
+ * TwitchはページをURLの変更だけで切り替えるため、fetchの置き換えはすべてのページで行い、
+ * アーカイブのページ以外のリクエストとチャット以外のクエリは応答を読まずにそのまま返します。
+ */
+(() => {
+  // コンテンツスクリプトに送るメッセージの送信元
+  const MESSAGE_SOURCE = "twitch-translator-replay";
+
+  // TwitchのGraphQLのURL
+  const GQL_URL_PATTERN = /^https:\/\/gql\.twitch\.tv\/gql/;
+
+  // 先読みを行うアーカイブのページのパス（クリップは再生位置がアーカイブと異なるため先読みしない）
+  const VIDEO_PATH_PATTERN = /^\/videos\/\d+/;
+
+  // アーカイブのチャットを取得するGraphQLのクエリ名
+  const COMMENTS_OPERATION_PATTERN = /"operationName"\s*:\s*"VideoComments/;
+
+  // 二重に読み込まれた場合は何もしない
+  if (window.__twitchTranslatorReplayHook) {
+    return;
+  }
+  window.__twitchTranslatorReplayHook = true;
+
+  /**
+   * GraphQLの応答からアーカイブのチャットを取り出す
+   * @param {object|Array<object>} payload GraphQLの応答（複数のクエリをまとめた場合は配列）
+   * @returns {Array<object>} チャットのメッセージ { id, offset, login, displayName, fragments, badges }
+   */
+  function extractComments(payload) {
+    const results = Array.isArray(payload) ? payload : [payload];
+    const comments = [];
+
+    for (const result of results) {
+      const edges = result?.data?.video?.comments?.edges;
+      if (!Array.isArray(edges)) continue;
+
+      for (const edge of edges) {
+        const node = edge?.node;
+        if (!node || !node.id || typeof node.contentOffsetSeconds !== "number") continue;
+
+        comments.push({
+          id: node.id,
+          offset: node.contentOffsetSeconds,
+          login: node.commenter?.login || "",
+          displayName: node.commenter?.displayName || "",
+          fragments: (node.message?.fragments || []).map(fragment => ({
+            text: fragment.text || "",
+            emote: !!fragment.emote,
+          })),
+          badges: (node.message?.userBadges || []).map(badge => badge.setID).filter(Boolean),
+        });
+      }
+    }
+
+    return comments;
+  }
+
+  /**
+   * fetchの第1引数からURLを取得
+   * @param {string|URL|Request} input fetchの第1引数
+   * @returns {string} URL（取得できない場合は空文字）
+   */
+  function getRequestUrl(input) {
+    if (typeof input === "string") {
+      return input;
+    }
+    if (input instanceof URL) {
+      return input.href;
+    }
+    if (input instanceof Request) {
+      return input.url;
+    }
+    return "";
+  }
+
+  /**
+   * アーカイブのチャットを取得するリクエストかどうかを判定
+   * リクエストの本文を文字列で渡していない場合は、クエリ名を確認できないため対象とします。
+   * @param {Array} args fetchの引数
+   * @returns {boolean} 応答を確認する場合はtrue
+   */
+  function isCommentsRequest(args) {
+    if (!VIDEO_PATH_PATTERN.test(window.location.pathname)) {
+      return false;
+    }
+
+    const url = getRequestUrl(args[0]);
+    if (!url || !GQL_URL_PATTERN.test(url)) {
+      return false;
+    }
+
+    const body = args[1]?.body;
+    return typeof body !== "string" || COMMENTS_OPERATION_PATTERN.test(body);
+  }
+
+  const originalFetch = window.fetch;
+
+  window.fetch = function (...args) {
+    const responsePromise = originalFetch.apply(this, args);
+
+    if (isCommentsRequest(args)) {
+      responsePromise
+        .then(response => response.clone().json())
+        .then((payload) => {
+          const comments = extractComments(payload);
+          if (comments.length > 0) {
+            window.postMessage({ source: MESSAGE_SOURCE, comments }, window.location.origin);
+          }
+        })
+        .catch(() => {
+          // 応答の解析の失敗はページの動作に影響させない
+        });
+    }
+
+    return responsePromise;
+  };
+})();
@@ -4,13 +4,22 @@
  * 拡張機能の設定ページを制御するスクリプト
  */
 
-import { loadSettings, saveSettings, resetSettings } from '../shared/settingsManager.js';
+import { loadSettings, saveSettings, resetSettings, updateSetting, validateSettings } from '../shared/settingsManager.js';
+import { loadGlossary, saveGlossary, parseGlossaryCsv, formatGlossaryCsv } from '../shared/glossaryManager.js';
+import { loadPhrasebooks, savePhrasebooks, parsePhrasebook } from '../shared/phrasebookManager.js';
 import { 
   notifySettingsUpdated, 
-  testApiKey,
+  notifyGlossaryUpdated,
+  notifyPhrasebookUpdated,
+  testProviderConnection,
+  listProviderModels,
+  getPromptPresets,
+  previewPrompt,
   getStats,
   resetStats,
-  clearCache
+  clearCache,
+  exportCache,
+  importCache
 } from '../shared/messaging.js';
 import { 
   showStatusMessage, 
@@ -25,27 +34,84 @@ import {
   onDOMReady
 } from '../shared/ui/index.js';
 import { MESSAGE_TYPE } from '../shared/constants.js';
+import { getTranslationDecision } from '../utils/language.js';
+import { compileSkipRules } from '../utils/skipRules.js';
+import { tokenizeMessage } from '../utils/messageTokenizer.js';
+import {
+  PROFILE_SETTING_KEYS,
+  normalizeChannelName,
+  pickProfileSettings,
+  setChannelProfile,
+  removeChannelProfile
+} from '../utils/channelProfiles.js';
 
 // DOMが読み込まれたときの処理
 onDOMReady(async () => {
   // 要素のマッピング
   const elements = {
     // 設定要素
+    translationProvider: document.getElementById('translationProvider'),
     apiKey: document.getElementById('apiKey'),
+    openaiBaseUrl: document.getElementById('openaiBaseUrl'),
+    openaiApiKey: document.getElementById('openaiApiKey'),
+    openaiModel: document.getElementById('openaiModel'),
+    libreTranslateUrl: document.getElementById('libreTranslateUrl'),
+    libreTranslateApiKey: document.getElementById('libreTranslateApiKey'),
     enabled: document.getElementById('translationEnabled'),
     autoToggle: document.getElementById('autoToggle'),
+    languageAutoToggle: document.getElementById('languageAutoToggle'),
     geminiModel: document.getElementById('geminiModel'),
+    targetLanguage: document.getElementById('targetLanguage'),
     translationMode: document.getElementById('translationMode'),
     japaneseThreshold: document.getElementById('japaneseThreshold'),
     englishThreshold: document.getElementById('englishThreshold'),
+    contextSize: document.getElementById('contextSize'),
+    useGlossary: document.getElementById('useGlossary'),
     displayPrefix: document.getElementById('displayPrefix'),
     textColor: document.getElementById('textColor'),
     accentColor: document.getElementById('accentColor'),
     fontSize: document.getElementById('fontSize'),
+    displayMode: document.getElementById('displayMode'),
+    displayToggleHotkey: document.getElementById('displayToggleHotkey'),
+    translationActionsEnabled: document.getElementById('translationActionsEnabled'),
+    ignoredUsers: document.getElementById('ignoredUsers'),
+    allowedUsers: document.getElementById('allowedUsers'),
+    badgeFilter: document.getElementById('badgeFilter'),
+    mentionsOnly: document.getElementById('mentionsOnly'),
+    myUsername: document.getElementById('myUsername'),
+    channelUserFilters: document.getElementById('channelUserFilters'),
+    skipCommandPrefixes: document.getElementById('skipCommandPrefixes'),
+    skipPhrases: document.getElementById('skipPhrases'),
+    skipPatterns: document.getElementById('skipPatterns'),
+    skipBuiltInPatterns: document.getElementById('skipBuiltInPatterns'),
     useCache: document.getElementById('useCache'),
     maxCacheAge: document.getElementById('maxCacheAge'),
+    maxCacheSizeMB: document.getElementById('maxCacheSizeMB'),
+    normalizeCacheKeys: document.getElementById('normalizeCacheKeys'),
+    fuzzyCacheMatch: document.getElementById('fuzzyCacheMatch'),
+    fuzzyCacheThreshold: document.getElementById('fuzzyCacheThreshold'),
+    usePhrasebook: document.getElementById('usePhrasebook'),
+    allowOtherModelCache: document.getElementById('allowOtherModelCache'),
+    composeEnabled: document.getElementById('composeEnabled'),
+    composeTargetLanguage: document.getElementById('composeTargetLanguage'),
+    composeHotkey: document.getElementById('composeHotkey'),
     processExistingMessages: document.getElementById('processExistingMessages'),
+    replayChatEnabled: document.getElementById('replayChatEnabled'),
+    replayPrefetchSeconds: document.getElementById('replayPrefetchSeconds'),
     requestDelay: document.getElementById('requestDelay'),
+    fallbackChain: document.getElementById('fallbackChain'),
+    retranslateModel: document.getElementById('retranslateModel'),
+    maxRetries: document.getElementById('maxRetries'),
+    retryBaseDelay: document.getElementById('retryBaseDelay'),
+    batchMode: document.getElementById('batchMode'),
+    batchMaxSize: document.getElementById('batchMaxSize'),
+    batchWindow: document.getElementById('batchWindow'),
+    queueMaxAge: document.getElementById('queueMaxAge'),
+    promptPreset: document.getElementById('promptPreset'),
+    promptTemplate: document.getElementById('promptTemplate'),
+    temperature: document.getElementById('temperature'),
+    topP: document.getElementById('topP'),
+    topK: document.getElementById('topK'),
     
     // 表示要素
     japaneseThresholdValue: document.getElementById('japaneseThresholdValue'),
@@ -56,6 +122,7 @@ onDOMReady(async () => {
     toggleApiKeyVisibilityButton: document.getElementById('toggleApiKeyVisibility'),
     saveButton: document.getElementById('saveButton'),
     testButton: document.getElementById('testButton'),
+    listModelsButton: document.getElementById('listModelsButton'),
     resetButton: document.getElementById('resetButton'),
     clearCacheButton: document.getElementById('clearCacheButton'),
     resetStatsButton: document.getElementById('resetStatsButton'),
@@ -63,6 +130,8 @@ onDOMReady(async () => {
     // 統計要素
     totalRequests: document.getElementById('totalRequests'),
     cacheHits: document.getElementById('cacheHits'),
+    cacheMatchStats: document.getElementById('cacheMatchStats'),
+    phrasebookHits: document.getElementById('phrasebookHits'),
     apiRequests: document.getElementById('apiRequests'),
     errors: document.getElementById('errors'),
     charactersTranslated: document.getElementById('charactersTranslated'),
@@ -70,9 +139,113 @@ onDOMReady(async () => {
     lastReset: document.getElementById('lastReset')
   };
   
+  // プロンプトのプレビュー要素（設定値ではないため要素のマッピングには含めない）
+  const previewElements = {
+    text: document.getElementById('previewText'),
+    button: document.getElementById('previewButton'),
+    status: document.getElementById('previewStatus'),
+    prompt: document.getElementById('previewPrompt')
+  };
+  
+  // 用語集の要素（設定値ではないため要素のマッピングには含めない）
+  const glossaryElements = {
+    csv: document.getElementById('glossaryCsv'),
+    file: document.getElementById('glossaryFile'),
+    status: document.getElementById('glossaryStatus'),
+    saveButton: document.getElementById('saveGlossaryButton'),
+    importButton: document.getElementById('importGlossaryButton'),
+    exportButton: document.getElementById('exportGlossaryButton')
+  };
+  
+  // 翻訳しないメッセージのテストの要素（設定値ではないため要素のマッピングには含めない）
+  const skipTestElements = {
+    text: document.getElementById('skipTestText'),
+    button: document.getElementById('skipTestButton'),
+    result: document.getElementById('skipTestResult')
+  };
+  
+  // キャッシュの書き出し・読み込みとフレーズ集の要素（設定値ではないため要素のマッピングには含めない）
+  const cacheElements = {
+    status: document.getElementById('cacheStatus'),
+    file: document.getElementById('cacheFile'),
+    exportButton: document.getElementById('exportCacheButton'),
+    importButton: document.getElementById('importCacheButton'),
+    phrasebookList: document.getElementById('phrasebookList'),
+    phrasebookFile: document.getElementById('phrasebookFile'),
+    importPhrasebookButton: document.getElementById('importPhrasebookButton'),
+    clearPhrasebooksButton: document.getElementById('clearPhrasebooksButton')
+  };
+  
+  // チャンネル別プロファイルの要素（設定値ではないため要素のマッピングには含めない）
+  const profileElements = {
+    select: document.getElementById('profileSelect'),
+    channel: document.getElementById('profileChannel'),
+    settings: document.getElementById('profileSettings'),
+    keys: document.getElementById('profileSettingKeys'),
+    status: document.getElementById('profileStatus'),
+    saveButton: document.getElementById('saveProfileButton'),
+    loadCurrentButton: document.getElementById('loadCurrentProfileButton'),
+    deleteButton: document.getElementById('deleteProfileButton')
+  };
+  
+  // 翻訳する言語のチェックボックス（複数の値を持つため要素のマッピングには含めない）
+  const sourceLanguageCheckboxes = document.querySelectorAll('#sourceLanguages input[type="checkbox"]');
+  
+  /**
+   * 翻訳する言語のチェックボックスに設定値を反映
+   * @param {Array<string>} languages 翻訳する言語
+   */
+  const populateSourceLanguages = (languages) => {
+    sourceLanguageCheckboxes.forEach(checkbox => {
+      checkbox.checked = languages.includes(checkbox.value);
+    });
+  };
+  
+  // 1行1項目のテキストエリアで編集する配列の設定
+  const lineListKeys = ['fallbackChain', 'ignoredUsers', 'allowedUsers', 'channelUserFilters', 'skipCommandPrefixes', 'skipPhrases', 'skipPatterns'];
+  
+  /**
+   * フォームから設定値を取得（1行1項目の設定は配列に変換）
+   * @returns {object} 設定値
+   */
+  const getFormSettings = () => {
+    const formValues = getFormValues(elements);
+    
+    lineListKeys.forEach(key => {
+      formValues[key] = elements[key].value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0);
+    });
+    
+    formValues.sourceLanguages = Array.from(sourceLanguageCheckboxes)
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.value);
+    
+    return formValues;
+  };
+  
   // 保存された設定を読み込む
   const settings = await loadSettings();
   
+  // 用語集を読み込んでCSV形式で表示
+  glossaryElements.csv.value = formatGlossaryCsv(await loadGlossary());
+  
+  // 読み込んだフレーズ集を表示
+  showPhrasebooks(await loadPhrasebooks());
+  
+  // チャンネル別プロファイルを表示
+  let channelProfiles = settings.channelProfiles;
+  profileElements.keys.textContent = PROFILE_SETTING_KEYS.join(', ');
+  showChannelProfiles('');
+  
+  // プロンプトのプリセットを取得
+  const presetsResponse = await getPromptPresets();
+  const promptPresets = presetsResponse.success ? presetsResponse.presets : {};
+  
+  // カスタムテンプレート（プリセットを切り替えても編集内容を失わないよう保持）
+  let customTemplate = settings.promptTemplate;
+  
   // APIキーのマスク機能をセットアップ
   const apiKeyManager = setupApiKeyMasking(
     elements.apiKey, 
@@ -82,6 +255,35 @@ onDOMReady(async () => {
   
   // UIに設定値を反映
   populateFormValues(settings, elements);
+  lineListKeys.forEach(key => {
+    elements[key].value = settings[key].join('\n');
+  });
+  populateSourceLanguages(settings.sourceLanguages);
+  showPresetTemplate();
+  
+  // プリセットを選択したらテンプレートとサンプリングパラメータを反映
+  elements.promptPreset.addEventListener('change', () => {
+    const preset = promptPresets[elements.promptPreset.value];
+    
+    if (preset) {
+      elements.promptTemplate.value = preset.template;
+      elements.temperature.value = preset.sampling.temperature;
+      elements.topP.value = preset.sampling.topP;
+      elements.topK.value = preset.sampling.topK;
+    } else if (customTemplate) {
+      elements.promptTemplate.value = customTemplate;
+    }
+  });
+  
+  // テンプレートを編集したらカスタムに切り替える
+  elements.promptTemplate.addEventListener('input', () => {
+    elements.promptPreset.value = 'custom';
+    customTemplate = elements.promptTemplate.value;
+  });
+  
+  // 選択中のプロバイダーの設定項目だけを表示
+  updateProviderSections();
+  elements.translationProvider.addEventListener('change', updateProviderSections);
   
   // スライダーと値表示を連動させる
   setupSliders([
@@ -91,13 +293,25 @@ onDOMReady(async () => {
   
   // 保存ボタンのイベントリスナー
   elements.saveButton.addEventListener('click', async () => {
+    if (elements.promptPreset.value === 'custom' && !elements.promptTemplate.value.includes('{{TEXT}}')) {
+      showStatusMessage(elements.statusMessage, 'プロンプトテンプレートに{{TEXT}}を含めてください', MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
     try {
-      // フォームから設定値を取得
-      const formValues = getFormValues(elements);
+      // ユーザー指定のサーバーへのアクセス許可を要求（ユーザー操作の直後に行う必要がある）
+      const provider = elements.translationProvider.value;
+      const hostGranted = await requestProviderHostPermission(provider, getProviderFormConfig(provider));
+      
+      // フォームから設定値を取得（フォールバックするモデルやユーザーの一覧は1行1項目の配列として保存）
+      const formValues = getFormSettings();
       
       // APIキーを設定（マスク表示を考慮）
       formValues.apiKey = apiKeyManager.getApiKey();
       
+      // プリセットのテンプレートはプリセット側で管理するため、カスタムの場合のみ保存
+      formValues.promptTemplate = formValues.promptPreset === 'custom' ? formValues.promptTemplate : '';
+      
       // 設定を保存
       await saveSettings(formValues);
       
@@ -105,22 +319,32 @@ onDOMReady(async () => {
       await notifySettingsUpdated();
       
       // 成功メッセージを表示
-      showStatusMessage(elements.statusMessage, '設定を保存しました', MESSAGE_TYPE.SUCCESS);
+      if (hostGranted) {
+        showStatusMessage(elements.statusMessage, '設定を保存しました', MESSAGE_TYPE.SUCCESS);
+      } else {
+        showStatusMessage(elements.statusMessage, '設定を保存しましたが、サーバーへのアクセスが許可されていないため翻訳できません', MESSAGE_TYPE.WARNING);
+      }
     } catch (error) {
       console.error('設定保存中のエラー:', error);
       showStatusMessage(elements.statusMessage, '設定の保存に失敗しました', MESSAGE_TYPE.ERROR);
     }
   });
   
-  // APIテストボタンのイベントリスナー
+  // 接続テストボタンのイベントリスナー
   elements.testButton.addEventListener('click', async () => {
-    const apiKey = apiKeyManager.getApiKey();
+    const provider = elements.translationProvider.value;
+    const config = getProviderFormConfig(provider);
     
-    if (!apiKey) {
+    if (provider === 'gemini' && !config.apiKey) {
       showStatusMessage(elements.statusMessage, 'APIキーを入力してください', MESSAGE_TYPE.ERROR);
       return;
     }
     
+    if (!(await requestProviderHostPermission(provider, config))) {
+      showStatusMessage(elements.statusMessage, 'サーバーへのアクセスが許可されませんでした', MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
     // ボタンの状態を一時的に変更
     const originalState = setTemporaryButtonState(
       elements.testButton, 
@@ -131,8 +355,8 @@ onDOMReady(async () => {
     );
     
     try {
-      // APIテストを実行
-      const response = await testApiKey(apiKey);
+      // 接続テストを実行
+      const response = await testProviderConnection(provider, config);
       
       // ボタンを元に戻す
       setTemporaryButtonState(
@@ -144,7 +368,7 @@ onDOMReady(async () => {
       );
       
       if (response.valid) {
-        showStatusMessage(elements.statusMessage, 'APIキーは有効です！接続に成功しました。', MESSAGE_TYPE.SUCCESS);
+        showStatusMessage(elements.statusMessage, `接続に成功しました！テスト翻訳: ${response.translation}`, MESSAGE_TYPE.SUCCESS);
       } else {
         showStatusMessage(elements.statusMessage, `APIテストに失敗しました: ${response.error || '不明なエラー'}`, MESSAGE_TYPE.ERROR);
       }
@@ -163,6 +387,418 @@ onDOMReady(async () => {
     }
   });
   
+  // モデル一覧取得ボタンのイベントリスナー
+  elements.listModelsButton.addEventListener('click', async () => {
+    const config = getProviderFormConfig('openai');
+    
+    if (!(await requestProviderHostPermission('openai', config))) {
+      showStatusMessage(elements.statusMessage, 'サーバーへのアクセスが許可されませんでした', MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
+    const response = await listProviderModels('openai', config);
+    
+    if (!response.success) {
+      showStatusMessage(elements.statusMessage, `モデル一覧の取得に失敗しました: ${response.error || '不明なエラー'}`, MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
+    // 入力候補として表示
+    const modelList = document.getElementById('openaiModelList');
+    modelList.replaceChildren(...response.models.map(model => {
+      const option = document.createElement('option');
+      option.value = model.id;
+      return option;
+    }));
+    
+    showStatusMessage(elements.statusMessage, `${response.models.length}件のモデルが見つかりました`, MESSAGE_TYPE.SUCCESS);
+  });
+  
+  // プレビューボタンのイベントリスナー
+  skipTestElements.button.addEventListener('click', () => {
+    const text = skipTestElements.text.value.trim();
+    
+    if (!text) {
+      showStatusMessage(skipTestElements.result, 'サンプルのメッセージを入力してください', MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
+    const formSettings = getFormSettings();
+    
+    // 不正な正規表現は無視されるため、判定結果と一緒に表示する
+    const { errors } = compileSkipRules(formSettings);
+    if (errors.length > 0) {
+      showStatusMessage(skipTestElements.result, `不正な正規表現があります: ${errors.join(', ')}`, MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
+    // チャットと同じようにメンションやURLを除いたテキストで言語を判定する
+    const sample = document.createElement('div');
+    sample.textContent = text;
+    const decision = getTranslationDecision(tokenizeMessage(sample), formSettings);
+    
+    showStatusMessage(
+      skipTestElements.result,
+      `${decision.translate ? '翻訳します' : '翻訳しません'}: ${decision.reason}`,
+      decision.translate ? MESSAGE_TYPE.SUCCESS : MESSAGE_TYPE.INFO
+    );
+  });
+  
+  previewElements.button.addEventListener('click', async () => {
+    const text = previewElements.text.value.trim();
+    const promptTemplate = elements.promptTemplate.value;
+    
+    if (!text) {
+      showStatusMessage(previewElements.status, 'サンプルのメッセージを入力してください', MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
+    if (!promptTemplate.includes('{{TEXT}}')) {
+      showStatusMessage(previewElements.status, 'プロンプトテンプレートに{{TEXT}}を含めてください', MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
+    const provider = elements.translationProvider.value;
+    const config = getProviderFormConfig(provider);
+    
+    if (!(await requestProviderHostPermission(provider, config))) {
+      showStatusMessage(previewElements.status, 'サーバーへのアクセスが許可されませんでした', MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
+    const originalState = setTemporaryButtonState(
+      previewElements.button, 
+      '翻訳中...', 
+      true, 
+      30000, // 最大30秒
+      null
+    );
+    
+    const response = await previewPrompt(text, {
+      provider,
+      config,
+      promptTemplate,
+      sampling: {
+        temperature: parseFloat(elements.temperature.value),
+        topP: parseFloat(elements.topP.value),
+        topK: parseInt(elements.topK.value, 10)
+      }
+    });
+    
+    setTemporaryButtonState(
+      previewElements.button, 
+      originalState.text, 
+      originalState.disabled, 
+      0, 
+      null
+    );
+    
+    // 実際に送信されたプロンプトを表示
+    if (response.prompt) {
+      previewElements.prompt.textContent = response.prompt;
+      previewElements.prompt.classList.add('visible');
+    }
+    
+    if (response.success) {
+      const language = response.sourceLanguage ? ` (${response.sourceLanguage})` : '';
+      showStatusMessage(previewElements.status, `翻訳結果${language}: ${response.translation}`, MESSAGE_TYPE.SUCCESS);
+    } else {
+      showStatusMessage(previewElements.status, `プレビューに失敗しました: ${response.error || '不明なエラー'}`, MESSAGE_TYPE.ERROR);
+    }
+  });
+  
+  // 用語集の保存ボタンのイベントリスナー
+  glossaryElements.saveButton.addEventListener('click', async () => {
+    const { glossary, errors } = parseGlossaryCsv(glossaryElements.csv.value);
+    
+    if (errors.length > 0) {
+      showStatusMessage(glossaryElements.status, `${errors.join(', ')}行目に用語または訳語がありません`, MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
+    try {
+      await saveGlossary(glossary);
+      
+      // 用語集の変更を通知
+      await notifyGlossaryUpdated();
+      
+      const count = glossary.global.length + Object.values(glossary.channels).reduce((sum, entries) => sum + entries.length, 0);
+      showStatusMessage(glossaryElements.status, `用語集を保存しました（${count}件）`, MESSAGE_TYPE.SUCCESS);
+    } catch (error) {
+      console.error('用語集の保存中のエラー:', error);
+      showStatusMessage(glossaryElements.status, '用語集の保存に失敗しました', MESSAGE_TYPE.ERROR);
+    }
+  });
+  
+  // CSV読み込みボタンのイベントリスナー
+  glossaryElements.importButton.addEventListener('click', () => {
+    glossaryElements.file.click();
+  });
+  
+  glossaryElements.file.addEventListener('change', async () => {
+    const [file] = glossaryElements.file.files;
+    if (!file) return;
+    
+    try {
+      const { glossary, errors } = parseGlossaryCsv(await file.text());
+      
+      // 読み込んだ内容は保存ボタンを押すまで反映しない
+      glossaryElements.csv.value = formatGlossaryCsv(glossary);
+      
+      if (errors.length > 0) {
+        showStatusMessage(glossaryElements.status, `CSVを読み込みました（${errors.join(', ')}行目は用語または訳語がないため無視しました）。内容を確認して保存してください`, MESSAGE_TYPE.WARNING);
+      } else {
+        showStatusMessage(glossaryElements.status, 'CSVを読み込みました。内容を確認して保存してください', MESSAGE_TYPE.SUCCESS);
+      }
+    } catch (error) {
+      console.error('CSVの読み込み中のエラー:', error);
+      showStatusMessage(glossaryElements.status, 'CSVの読み込みに失敗しました', MESSAGE_TYPE.ERROR);
+    } finally {
+      // 同じファイルを再度選択できるようにする
+      glossaryElements.file.value = '';
+    }
+  });
+  
+  // CSV書き出しボタンのイベントリスナー
+  glossaryElements.exportButton.addEventListener('click', () => {
+    const { glossary } = parseGlossaryCsv(glossaryElements.csv.value);
+    downloadFile(formatGlossaryCsv(glossary), 'twitch-translator-glossary.csv', 'text/csv');
+  });
+  
+  // プロファイルを選択したら内容を表示
+  profileElements.select.addEventListener('change', showSelectedProfile);
+  
+  // 現在の設定を読み込むボタンのイベントリスナー
+  profileElements.loadCurrentButton.addEventListener('click', () => {
+    const formValues = getFormSettings();
+    formValues.promptTemplate = formValues.promptPreset === 'custom' ? formValues.promptTemplate : '';
+    
+    // 翻訳の有効/無効は必要な場合のみ追加する
+    const { enabled, ...overrides } = pickProfileSettings(formValues);
+    profileElements.settings.value = JSON.stringify(overrides, null, 2);
+    showStatusMessage(profileElements.status, 'フォームの設定値を読み込みました。上書きしない設定を削除してから保存してください', MESSAGE_TYPE.INFO);
+  });
+  
+  // プロファイルの保存ボタンのイベントリスナー
+  profileElements.saveButton.addEventListener('click', async () => {
+    const channel = normalizeChannelName(profileElements.channel.value);
+    if (!channel) {
+      showStatusMessage(profileElements.status, 'チャンネル名を入力してください', MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
+    let overrides;
+    try {
+      overrides = JSON.parse(profileElements.settings.value.trim() || '{}');
+    } catch (error) {
+      showStatusMessage(profileElements.status, `JSONの形式が正しくありません: ${error.message}`, MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      showStatusMessage(profileElements.status, '上書きする設定は { } で囲んで入力してください', MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
+    const unknownKeys = Object.keys(overrides).filter(key => !PROFILE_SETTING_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      showStatusMessage(profileElements.status, `プロファイルで上書きできない設定です: ${unknownKeys.join(', ')}`, MESSAGE_TYPE.ERROR);
+      return;
+    }
+    
+    try {
+      const currentSettings = await loadSettings();
+      
+      const picked = pickProfileSettings(overrides, currentSettings);
+      const invalidKeys = Object.keys(overrides).filter(key => !(key in picked));
+      if (invalidKeys.length > 0) {
+        showStatusMessage(profileElements.status, `設定値の型が正しくありません: ${invalidKeys.join(', ')}`, MESSAGE_TYPE.ERROR);
+        return;
+      }
+      
+      // 範囲外の値や選択肢にない値は全体の設定と同じ検証で補正
+      const validatedSettings = validateSettings({ ...currentSettings, ...picked });
+      const validatedOverrides = Object.fromEntries(Object.keys(picked).map(key => [key, validatedSettings[key]]));
+      
+      // チャンネル名を変更した場合は元のプロファイルを置き換える
+      const previousChannel = profileElements.select.value;
+      const profiles = previousChannel && previousChannel !== channel
+        ? removeChannelProfile(currentSettings.channelProfiles, previousChannel)
+        : currentSettings.channelProfiles;
+      
+      channelProfiles = setChannelProfile(profiles, channel, validatedOverrides);
+      await updateSetting('channelProfiles', channelProfiles);
+      
+      // 設定変更を通知
+      await notifySettingsUpdated();
+      
+      showChannelProfiles(channel);
+      showStatusMessage(profileElements.status, `${channel} のプロファイルを保存しました`, MESSAGE_TYPE.SUCCESS);
+    } catch (error) {
+      console.error('プロファイルの保存中のエラー:', error);
+      showStatusMessage(profileElements.status, 'プロファイルの保存に失敗しました', MESSAGE_TYPE.ERROR);
+    }
+  });
+  
+  // プロファイルの削除ボタンのイベントリスナー
+  profileElements.deleteButton.addEventListener('click', async () => {
+    const channel = profileElements.select.value;
+    if (!channel || !confirmAction(`${channel} のプロファイルを削除しますか？`)) {
+      return;
+    }
+    
+    try {
+      const currentSettings = await loadSettings();
+      channelProfiles = removeChannelProfile(currentSettings.channelProfiles, channel);
+      await updateSetting('channelProfiles', channelProfiles);
+      
+      // 設定変更を通知
+      await notifySettingsUpdated();
+      
+      showChannelProfiles('');
+      showStatusMessage(profileElements.status, `${channel} のプロファイルを削除しました`, MESSAGE_TYPE.SUCCESS);
+    } catch (error) {
+      console.error('プロファイルの削除中のエラー:', error);
+      showStatusMessage(profileElements.status, 'プロファイルの削除に失敗しました', MESSAGE_TYPE.ERROR);
+    }
+  });
+  
+  /**
+   * テキストをファイルとしてダウンロード
+   * @param {string} content ファイルの内容
+   * @param {string} fileName ファイル名
+   * @param {string} type MIMEタイプ
+   */
+  function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+  }
+  
+  /**
+   * 読み込んだフレーズ集の一覧を表示
+   * @param {Array<object>} phrasebooks フレーズ集の配列
+   */
+  function showPhrasebooks(phrasebooks) {
+    const names = phrasebooks.map(phrasebook => `${phrasebook.name}（${phrasebook.entries.length}件）`);
+    cacheElements.phrasebookList.textContent = names.length > 0
+      ? `読み込んだフレーズ集: ${names.join('、')}`
+      : '読み込んだフレーズ集はありません（組み込みのフレーズ集のみ使用）';
+  }
+  
+  /**
+   * チャンネル別プロファイルの一覧を表示
+   * @param {string} selectedChannel 選択するチャンネル（空文字の場合は新しいプロファイル）
+   */
+  function showChannelProfiles(selectedChannel) {
+    const newOption = document.createElement('option');
+    newOption.value = '';
+    newOption.textContent = '新しいプロファイル';
+    
+    profileElements.select.replaceChildren(newOption, ...channelProfiles.map(profile => {
+      const option = document.createElement('option');
+      option.value = profile.channel;
+      option.textContent = profile.channel;
+      return option;
+    }));
+    
+    profileElements.select.value = selectedChannel;
+    showSelectedProfile();
+  }
+  
+  /**
+   * 選択中のプロファイルの内容を表示
+   */
+  function showSelectedProfile() {
+    const channel = profileElements.select.value;
+    const profile = channelProfiles.find(item => item.channel === channel);
+    
+    profileElements.channel.value = channel;
+    profileElements.settings.value = profile ? JSON.stringify(profile.settings, null, 2) : '';
+    profileElements.deleteButton.disabled = !profile;
+  }
+  
+  /**
+   * プリセット選択時はプリセットのテンプレートを表示
+   */
+  function showPresetTemplate() {
+    const preset = promptPresets[elements.promptPreset.value];
+    
+    if (preset) {
+      elements.promptTemplate.value = preset.template;
+    }
+  }
+  
+  /**
+   * 選択中のプロバイダーの設定項目だけを表示
+   */
+  function updateProviderSections() {
+    const provider = elements.translationProvider.value;
+    
+    document.querySelectorAll('[data-provider]').forEach(section => {
+      section.style.display = section.dataset.provider === provider ? '' : 'none';
+    });
+  }
+  
+  /**
+   * フォームの入力値からプロバイダー設定を作成
+   * @param {string} provider プロバイダーID
+   * @returns {object} プロバイダー設定（apiKey, baseUrl, model）
+   */
+  function getProviderFormConfig(provider) {
+    switch (provider) {
+      case 'openai':
+        return {
+          baseUrl: elements.openaiBaseUrl.value.trim(),
+          apiKey: elements.openaiApiKey.value.trim(),
+          model: elements.openaiModel.value.trim()
+        };
+      case 'libretranslate':
+        return {
+          baseUrl: elements.libreTranslateUrl.value.trim(),
+          apiKey: elements.libreTranslateApiKey.value.trim()
+        };
+      default:
+        return {
+          apiKey: apiKeyManager.getApiKey(),
+          model: elements.geminiModel.value
+        };
+    }
+  }
+  
+  /**
+   * ユーザー指定のサーバーへのアクセス許可を要求
+   * Gemini APIはマニフェストで許可済みのため要求しません。
+   * @param {string} provider プロバイダーID
+   * @param {object} config プロバイダー設定
+   * @returns {Promise<boolean>} アクセスが許可されているかどうか
+   */
+  async function requestProviderHostPermission(provider, config) {
+    if (provider === 'gemini' || !config.baseUrl) {
+      return true;
+    }
+    
+    let origin;
+    try {
+      origin = new URL(config.baseUrl).origin;
+    } catch (error) {
+      return false;
+    }
+    
+    try {
+      return await chrome.permissions.request({ origins: [`${origin}/*`] });
+    } catch (error) {
+      console.error('ホスト権限の要求中のエラー:', error);
+      return false;
+    }
+  }
+  
   // リセットボタンのイベントリスナー
   elements.resetButton.addEventListener('click', async () => {
     if (confirmAction('すべての設定をデフォルトに戻しますか？APIキーは保持されます。')) {
@@ -172,6 +808,15 @@ onDOMReady(async () => {
         
         // UIに反映
         populateFormValues(resetSettings, elements);
+        lineListKeys.forEach(key => {
+          elements[key].value = resetSettings[key].join('\n');
+        });
+        populateSourceLanguages(resetSettings.sourceLanguages);
+        customTemplate = resetSettings.promptTemplate;
+        showPresetTemplate();
+        updateProviderSections();
+        channelProfiles = resetSettings.channelProfiles;
+        showChannelProfiles('');
         
         // 設定変更を通知
         await notifySettingsUpdated();
@@ -205,6 +850,92 @@ onDOMReady(async () => {
     }
   });
   
+  // キャッシュ書き出しボタンのイベントリスナー
+  cacheElements.exportButton.addEventListener('click', async () => {
+    try {
+      const data = await exportCache();
+      downloadFile(JSON.stringify(data), 'twitch-translator-cache.json', 'application/json');
+      showStatusMessage(cacheElements.status, `キャッシュを書き出しました（${data.entries.length}件）`, MESSAGE_TYPE.SUCCESS);
+    } catch (error) {
+      console.error('キャッシュ書き出しエラー:', error);
+      showStatusMessage(cacheElements.status, 'キャッシュの書き出しに失敗しました', MESSAGE_TYPE.ERROR);
+    }
+  });
+  
+  // キャッシュ読み込みボタンのイベントリスナー
+  cacheElements.importButton.addEventListener('click', () => {
+    cacheElements.file.click();
+  });
+  
+  cacheElements.file.addEventListener('change', async () => {
+    const [file] = cacheElements.file.files;
+    if (!file) return;
+    
+    try {
+      const { imported, skipped } = await importCache(JSON.parse(await file.text()));
+      
+      if (skipped > 0) {
+        showStatusMessage(cacheElements.status, `キャッシュを読み込みました（${imported}件、形式が正しくない${skipped}件は無視しました）`, MESSAGE_TYPE.WARNING);
+      } else {
+        showStatusMessage(cacheElements.status, `キャッシュを読み込みました（${imported}件）`, MESSAGE_TYPE.SUCCESS);
+      }
+      
+      loadStats();
+    } catch (error) {
+      console.error('キャッシュ読み込みエラー:', error);
+      showStatusMessage(cacheElements.status, `キャッシュの読み込みに失敗しました: ${error.message}`, MESSAGE_TYPE.ERROR);
+    } finally {
+      // 同じファイルを再度選択できるようにする
+      cacheElements.file.value = '';
+    }
+  });
+  
+  // フレーズ集読み込みボタンのイベントリスナー
+  cacheElements.importPhrasebookButton.addEventListener('click', () => {
+    cacheElements.phrasebookFile.click();
+  });
+  
+  cacheElements.phrasebookFile.addEventListener('change', async () => {
+    const [file] = cacheElements.phrasebookFile.files;
+    if (!file) return;
+    
+    try {
+      const phrasebook = parsePhrasebook(await file.text(), file.name.replace(/\.json$/i, ''));
+      
+      // 同じ名前のフレーズ集は置き換える
+      const phrasebooks = (await loadPhrasebooks()).filter(existing => existing.name !== phrasebook.name);
+      phrasebooks.push(phrasebook);
+      
+      await savePhrasebooks(phrasebooks);
+      await notifyPhrasebookUpdated();
+      
+      showPhrasebooks(phrasebooks);
+      showStatusMessage(cacheElements.status, `フレーズ集「${phrasebook.name}」を読み込みました（${phrasebook.entries.length}件）`, MESSAGE_TYPE.SUCCESS);
+    } catch (error) {
+      console.error('フレーズ集読み込みエラー:', error);
+      showStatusMessage(cacheElements.status, `フレーズ集の読み込みに失敗しました: ${error.message}`, MESSAGE_TYPE.ERROR);
+    } finally {
+      // 同じファイルを再度選択できるようにする
+      cacheElements.phrasebookFile.value = '';
+    }
+  });
+  
+  // フレーズ集削除ボタンのイベントリスナー
+  cacheElements.clearPhrasebooksButton.addEventListener('click', async () => {
+    if (confirmAction('読み込んだフレーズ集を削除しますか？（組み込みのフレーズ集は削除されません）')) {
+      try {
+        await savePhrasebooks([]);
+        await notifyPhrasebookUpdated();
+        
+        showPhrasebooks([]);
+        showStatusMessage(cacheElements.status, '読み込んだフレーズ集を削除しました', MESSAGE_TYPE.SUCCESS);
+      } catch (error) {
+        console.error('フレーズ集削除エラー:', error);
+        showStatusMessage(cacheElements.status, 'フレーズ集の削除に失敗しました', MESSAGE_TYPE.ERROR);
+      }
+    }
+  });
+  
   // 統計リセットボタンのイベントリスナー
   elements.resetStatsButton.addEventListener('click', async () => {
     if (confirmAction('翻訳統計をリセットしますか？')) {
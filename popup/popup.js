@@ -4,8 +4,16 @@
  * 拡張機能のポップアップUIを制御するスクリプト
  */
 
-import { loadSettings } from '../shared/settingsManager.js';
-import { toggleTranslation } from '../shared/messaging.js';
+import { loadSettings, updateSetting, hasProviderCredentials } from '../shared/settingsManager.js';
+import { toggleTranslation, getActiveTabChannel, notifySettingsUpdated } from '../shared/messaging.js';
+import {
+  findChannelProfile,
+  getChannelSettings,
+  pickProfileSettings,
+  setChannelProfile,
+  setChannelEnabledOverride
+} from '../utils/channelProfiles.js';
+import { STREAM_LANGUAGE_NAMES } from '../utils/streamLanguage.js';
 import { 
   updateStatusText, 
   updateApiStatus, 
@@ -20,6 +28,11 @@ onDOMReady(async () => {
   const apiStatusElement = document.getElementById('api-status');
   const enableTranslationCheckbox = document.getElementById('enableTranslation');
   const openOptionsButton = document.getElementById('openOptions');
+  const profileChannelElement = document.getElementById('profile-channel');
+  const profileStatusElement = document.getElementById('profile-status');
+  const saveProfileButton = document.getElementById('saveProfile');
+  const streamLanguageElement = document.getElementById('stream-language');
+  const channelTranslationSelect = document.getElementById('channelTranslation');
 
   // 設定を読み込む
   const settings = await loadSettings();
@@ -27,7 +40,7 @@ onDOMReady(async () => {
   // UIを更新
   enableTranslationCheckbox.checked = settings.enabled;
   updateStatusText(statusElement, settings.enabled);
-  updateApiStatus(apiStatusElement, settings.apiKey);
+  updateApiStatus(apiStatusElement, hasProviderCredentials(settings));
 
   // トグルスイッチのイベントリスナー
   enableTranslationCheckbox.addEventListener('change', async () => {
@@ -48,6 +61,84 @@ onDOMReady(async () => {
     }
   });
 
+  // 表示中のチャンネルのプロファイル
+  const channelInfo = await getActiveTabChannel();
+  if (channelInfo) {
+    profileChannelElement.textContent = channelInfo.channel;
+    profileStatusElement.textContent = channelInfo.hasProfile
+      ? 'このチャンネルのプロファイルを使用中'
+      : 'プロファイルなし（全体の設定を使用中）';
+    saveProfileButton.disabled = false;
+    streamLanguageElement.textContent = formatStreamLanguage(channelInfo);
+    channelTranslationSelect.value = channelInfo.enabledOverride === true ? 'on'
+      : channelInfo.enabledOverride === false ? 'off' : 'auto';
+    channelTranslationSelect.disabled = false;
+  } else {
+    profileStatusElement.textContent = 'Twitchのチャンネルを開くとプロファイルを保存できます';
+  }
+
+  // プロファイル保存ボタンのイベントリスナー
+  saveProfileButton.addEventListener('click', async () => {
+    try {
+      const currentSettings = await loadSettings();
+      const existingProfile = findChannelProfile(currentSettings, channelInfo.channel);
+
+      // チャンネルで使用中の設定（既存のプロファイルを含む）をそのまま保存
+      // 翻訳の有効/無効は全体の設定に従うため、既存のプロファイルで指定している場合のみ含める
+      const overrides = pickProfileSettings(getChannelSettings(currentSettings, channelInfo.channel));
+      delete overrides.enabled;
+      if (typeof existingProfile?.settings?.enabled === 'boolean') {
+        overrides.enabled = existingProfile.settings.enabled;
+      }
+
+      await updateSetting('channelProfiles', setChannelProfile(currentSettings.channelProfiles, channelInfo.channel, overrides));
+      await notifySettingsUpdated();
+
+      // 保存した設定は全体の設定を変更しても変わらないため、不要な設定はオプションページで削除できることを案内
+      profileStatusElement.textContent = 'プロファイルを保存しました（全体の設定に従わせる項目はオプションページで削除できます）';
+    } catch (error) {
+      console.error('プロファイルの保存中にエラー:', error);
+      profileStatusElement.textContent = 'プロファイルの保存に失敗しました';
+    }
+  });
+
+  // チャンネルでの翻訳の指定のイベントリスナー（指定はチャンネルのプロファイルに保存する）
+  channelTranslationSelect.addEventListener('change', async () => {
+    const value = channelTranslationSelect.value;
+    const enabled = value === 'auto' ? null : value === 'on';
+
+    try {
+      const currentSettings = await loadSettings();
+      const profiles = setChannelEnabledOverride(currentSettings.channelProfiles, channelInfo.channel, enabled);
+      await updateSetting('channelProfiles', profiles);
+      await notifySettingsUpdated();
+
+      profileStatusElement.textContent = value === 'auto'
+        ? 'このチャンネルでは配信の言語で翻訳するかどうかを判定します'
+        : `このチャンネルでは${value === 'on' ? '常に翻訳します' : '翻訳しません'}`;
+    } catch (error) {
+      console.error('チャンネルでの翻訳の指定の保存中にエラー:', error);
+      profileStatusElement.textContent = '指定の保存に失敗しました';
+    }
+  });
+
   // 設定ボタンのイベントリスナー
   openOptionsButton.addEventListener('click', openOptionsPage);
 });
+
+/**
+ * 配信の言語の判定結果を表示用の文字列に変換
+ * @param {object} channelInfo チャンネルの情報（streamLanguage, languageDisabled）
+ * @returns {string} 表示する文字列
+ */
+function formatStreamLanguage(channelInfo) {
+  const streamLanguage = channelInfo.streamLanguage;
+  if (!streamLanguage) {
+    return '判定中（チャットから判定します）';
+  }
+
+  const name = STREAM_LANGUAGE_NAMES[streamLanguage.language] || streamLanguage.language;
+  const source = streamLanguage.source === 'tag' ? 'タグ' : 'チャット';
+  const suffix = channelInfo.languageDisabled ? ' - 翻訳先言語と同じため翻訳しません' : '';
+  return `${name}（${source}から判定）${suffix}`;
+}
@@ -8,31 +8,93 @@ export const DEFAULT_SETTINGS = {
   enabled: false,                    // 翻訳機能の有効/無効
   apiKey: "",                        // Gemini APIキー
   autoToggle: true,                  // URLに基づいて自動的にON/OFF
+  languageAutoToggle: true,          // 配信の言語が翻訳先言語と同じチャンネルでは翻訳しない
   
   // 翻訳設定
+  targetLanguage: "ja",              // 翻訳先言語: ja, en, ko, zh, es, fr, de, pt
   translationMode: "selective",      // 翻訳モード: selective（選択的）, all（すべて）, english（英語のみ）
-  japaneseThreshold: 30,             // 日本語判定しきい値（%）
+  sourceLanguages: [],               // 翻訳する言語（空の場合は翻訳先言語以外のすべての言語）
+  japaneseThreshold: 30,             // 翻訳先言語の判定しきい値（%）
   englishThreshold: 50,              // 英語判定しきい値（%）
   processExistingMessages: false,    // 既存メッセージの処理
+  replayChatEnabled: true,           // アーカイブ・クリップのリプレイのチャットを翻訳
+  replayPrefetchSeconds: 10,         // アーカイブの再生位置より先のメッセージを先読みして翻訳する秒数（0で無効）
+  contextSize: 5,                    // 文脈として翻訳に含める直近のチャット行数（0で無効）
+  useGlossary: true,                 // 用語集の訳語を翻訳に使用
   
   // 表示設定
   displayPrefix: "🇯🇵",              // 翻訳テキストの接頭辞
   textColor: "#9b9b9b",              // 翻訳テキストの色
   accentColor: "#4db6ac",            // アクセントカラー
   fontSize: "medium",                // フォントサイズ: small, medium, large
+  displayMode: "append",             // 表示方法: append（原文の下に追加）, replace（原文を置き換え）
+  displayToggleHotkey: "Alt+O",      // 表示中のメッセージの原文と翻訳を切り替えるホットキー（空欄で無効）
+  translationActionsEnabled: true,   // 表示した翻訳の右クリックで再翻訳・修正を行う
+  
+  // ユーザーフィルター設定
+  ignoredUsers: ["nightbot", "streamelements", "moobot", "fossabot", "streamlabs", "wizebot", "sery_bot", "soundalerts"], // 翻訳しないユーザー（ボットなど）
+  allowedUsers: [],                  // 常に翻訳するユーザー（バッジやメンションの設定より優先）
+  badgeFilter: "all",                // バッジによる絞り込み: all（すべて）, privileged（配信者・モデレーター・VIPのみ）, excludeSubscribers（サブスクライバー以外）
+  mentionsOnly: false,               // 自分へのメンションを含むメッセージのみ翻訳
+  myUsername: "",                    // メンションの判定に使う自分のユーザー名（空欄の場合は自動取得）
+  channelUserFilters: [],            // チャンネル別のルール（"チャンネル名 ignore=a,b allow=c badges=privileged mentions=on"）
+  
+  // 翻訳しないメッセージのルール
+  skipCommandPrefixes: ["!"],        // コマンドとして翻訳しないメッセージの接頭辞
+  skipPhrases: [],                   // 翻訳しないフレーズ（完全一致、大文字小文字を区別しない）
+  skipPatterns: [],                  // 翻訳しないメッセージの正規表現
+  skipBuiltInPatterns: true,         // 笑いの表現・エモートのみ・反応のみ・URLのみのメッセージを翻訳しない
   
   // キャッシュ設定
   useCache: true,                    // キャッシュ使用
   maxCacheAge: 24,                   // キャッシュ有効期間（時間）
+  maxCacheSizeMB: 10,                // キャッシュの最大容量（MB）
+  normalizeCacheKeys: true,          // 表記ゆれ（大文字小文字・文字の連続など）を無視してキャッシュを検索
+  fuzzyCacheMatch: false,            // 長いメッセージは類似したキャッシュも使用
+  fuzzyCacheThreshold: 90,           // 類似したキャッシュを使用する類似度（%）
+  usePhrasebook: true,               // フレーズ集（よく使われるスラングの訳）を翻訳APIより先に使用
+  allowOtherModelCache: false,       // 選択中のモデルの翻訳がない場合、別のモデルでキャッシュされた翻訳を使用
   
   // API設定
+  translationProvider: "gemini",     // 翻訳プロバイダー: gemini, openai（OpenAI互換）, libretranslate
   geminiModel: "gemini-2.0-flash-lite", // 使用するGeminiモデル: gemini-2.0-flash-lite, gemini-2.0-flash
+  openaiBaseUrl: "http://localhost:11434/v1", // OpenAI互換APIのベースURL
+  openaiApiKey: "",                  // OpenAI互換APIのAPIキー（ローカルサーバーでは不要な場合あり）
+  openaiModel: "",                   // OpenAI互換APIで使用するモデル名
+  libreTranslateUrl: "https://libretranslate.com", // LibreTranslateのサーバーURL
+  libreTranslateApiKey: "",          // LibreTranslateのAPIキー
+  fallbackChain: ["gemini:gemini-2.0-flash"], // 失敗時に順に試すモデル（"プロバイダー:モデル名"）
+  retranslateModel: "gemini:gemini-2.0-flash", // 再翻訳に使用するモデル（"プロバイダー:モデル名"）
+  maxRetries: 2,                     // レート制限・サーバーエラー時のモデルごとの再試行回数
+  retryBaseDelay: 500,               // 再試行の基準待機時間（ミリ秒、指数的に増加）
   requestDelay: 100,                 // リクエスト間の遅延（ミリ秒）
+  batchMode: false,                  // 複数メッセージをまとめて翻訳するバッチモード
+  batchMaxSize: 10,                  // 1回のバッチに含める最大メッセージ数
+  batchWindow: 500,                  // バッチにまとめる待機時間（ミリ秒）
+  queueMaxAge: 30,                   // 翻訳待ちのメッセージを破棄するまでの時間（秒）
+  
+  // プロンプト設定
+  promptPreset: "casual",            // プロンプトのプリセット: casual（カジュアル）, polite（丁寧）, literal（直訳）, custom（カスタム）
+  promptTemplate: "",                // カスタムプロンプトのテンプレート（promptPresetがcustomの場合に使用）
+  temperature: 0.3,                  // サンプリングの温度（0〜2）
+  topP: 0.9,                         // サンプリングのtopP（0〜1）
+  topK: 40,                          // サンプリングのtopK（1〜100、Geminiのみ）
+  
+  // 送信メッセージの翻訳設定
+  composeEnabled: true,              // 入力欄のメッセージを翻訳する補助（ボタンとホットキー）
+  composeTargetLanguage: "en",       // 送信メッセージの翻訳先言語: ja, en, ko, zh, es, fr, de, pt
+  composeHotkey: "Alt+T",            // 翻訳プレビューを開くホットキー（空欄で無効）
+  
+  // チャンネル別のプロファイル
+  channelProfiles: [],               // チャンネルごとに上書きする設定（{ channel: "チャンネル名", settings: { 設定キー: 値 } }）
   
   // 詳細設定
   debugMode: false,                  // デバッグモード
 };
 
+// chrome.storage.local に保存する設定（syncの項目ごとの容量制限（8KB）を超えるおそれがあるもの）
+export const LOCAL_SETTING_KEYS = ['channelProfiles'];
+
 // メッセージタイプ
 export const MESSAGE_TYPE = {
   SUCCESS: 'success',
@@ -46,13 +108,21 @@ export const ACTION = {
   TRANSLATE: 'translate',
   GET_SETTINGS: 'getSettings',
   TEST_API_KEY: 'testApiKey',
+  LIST_MODELS: 'listModels',
+  GET_PROMPT_PRESETS: 'getPromptPresets',
+  PREVIEW_PROMPT: 'previewPrompt',
   CHECK_API_KEY: 'checkApiKey',
   SETTINGS_UPDATED: 'settingsUpdated',
+  GLOSSARY_UPDATED: 'glossaryUpdated',
+  PHRASEBOOK_UPDATED: 'phrasebookUpdated',
   GET_STATS: 'getStats',
   RESET_STATS: 'resetStats',
   CLEAR_CACHE: 'clearCache',
+  EXPORT_CACHE: 'exportCache',
+  IMPORT_CACHE: 'importCache',
   TOGGLE_TRANSLATION: 'toggleTranslation',
   CONTENT_SCRIPT_INITIALIZED: 'contentScriptInitialized',
+  GET_CHANNEL_INFO: 'getChannelInfo',
   PING: 'ping'
 };
 
@@ -62,24 +132,43 @@ export const VALIDATION_RULES = {
     japaneseThreshold: { min: 10, max: 50 },
     englishThreshold: { min: 30, max: 70 },
     maxCacheAge: { min: 1, max: 168 },
-    requestDelay: { min: 0, max: 1000 }
+    maxCacheSizeMB: { min: 1, max: 100 },
+    fuzzyCacheThreshold: { min: 70, max: 100 },
+    requestDelay: { min: 0, max: 1000 },
+    contextSize: { min: 0, max: 20 },
+    replayPrefetchSeconds: { min: 0, max: 60 },
+    batchMaxSize: { min: 2, max: 50 },
+    batchWindow: { min: 100, max: 3000 },
+    queueMaxAge: { min: 5, max: 300 },
+    maxRetries: { min: 0, max: 5 },
+    retryBaseDelay: { min: 100, max: 5000 },
+    temperature: { min: 0, max: 2 },
+    topP: { min: 0, max: 1 },
+    topK: { min: 1, max: 100 }
   },
   enumValues: {
+    targetLanguage: ['ja', 'en', 'ko', 'zh', 'es', 'fr', 'de', 'pt'],
+    composeTargetLanguage: ['ja', 'en', 'ko', 'zh', 'es', 'fr', 'de', 'pt'],
     translationMode: ['selective', 'all', 'english'],
     fontSize: ['small', 'medium', 'large'],
-    geminiModel: ['gemini-2.0-flash-lite', 'gemini-2.0-flash']
-  }
+    displayMode: ['append', 'replace'],
+    badgeFilter: ['all', 'privileged', 'excludeSubscribers'],
+    translationProvider: ['gemini', 'openai', 'libretranslate'],
+    geminiModel: ['gemini-2.0-flash-lite', 'gemini-2.0-flash'],
+    promptPreset: ['casual', 'polite', 'literal', 'custom']
+  },
+  arrayValues: ['fallbackChain', 'sourceLanguages', 'ignoredUsers', 'allowedUsers', 'channelUserFilters', 'skipCommandPrefixes', 'skipPhrases', 'skipPatterns', 'channelProfiles']
 };
 
 // UI関連の定数
 export const UI = {
   STATUS_DISPLAY_TIME: 5000, // ステータスメッセージの表示時間（ミリ秒）
   API_STATUS: {
-    CHECKING: 'Gemini API: チェック中...',
-    MISSING_KEY: 'Gemini API: キーが未設定です',
-    CONNECTION_OK: 'Gemini API: 接続OK',
-    CONNECTION_ERROR: 'Gemini API: エラー',
-    CHECK_FAILED: 'Gemini API: 確認できませんでした'
+    CHECKING: '翻訳API: チェック中...',
+    MISSING_KEY: '翻訳API: 接続設定が未設定です',
+    CONNECTION_OK: '翻訳API: 接続OK',
+    CONNECTION_ERROR: '翻訳API: エラー',
+    CHECK_FAILED: '翻訳API: 確認できませんでした'
   },
   TRANSLATION_STATUS: {
     LOADING: '読み込み中...',
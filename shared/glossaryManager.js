@@ -0,0 +1,152 @@
+/**
+ * 用語集管理モジュール
+ *
+ * 用語集の読み込み、保存、CSV形式との変換などの機能を提供します。
+ * CSVは「用語,訳語,チャンネル」の3列で、チャンネルが空の行は全チャンネル共通の用語になります。
+ */
+
+// ストレージのキー
+const GLOSSARY_STORAGE_KEY = 'glossary';
+
+// CSVのヘッダー行
+const CSV_HEADER = ['term', 'translation', 'channel'];
+
+/**
+ * 用語集を読み込む
+ * @returns {Promise<object>} 用語集 { global: Array<{source, target}>, channels: { チャンネル名: Array<{source, target}> } }
+ */
+export async function loadGlossary() {
+  try {
+    const result = await chrome.storage.local.get([GLOSSARY_STORAGE_KEY]);
+    const glossary = result[GLOSSARY_STORAGE_KEY];
+
+    return {
+      global: Array.isArray(glossary?.global) ? glossary.global : [],
+      channels: glossary?.channels && typeof glossary.channels === 'object' ? glossary.channels : {}
+    };
+  } catch (error) {
+    console.error('UI: 用語集の読み込み中にエラーが発生しました:', error);
+    return { global: [], channels: {} };
+  }
+}
+
+/**
+ * 用語集を保存
+ * @param {object} glossary 保存する用語集
+ * @returns {Promise<object>} 保存された用語集
+ */
+export async function saveGlossary(glossary) {
+  try {
+    await chrome.storage.local.set({ [GLOSSARY_STORAGE_KEY]: glossary });
+
+    console.log('UI: 用語集を保存しました');
+
+    return glossary;
+  } catch (error) {
+    console.error('UI: 用語集の保存中にエラーが発生しました:', error);
+    throw error;
+  }
+}
+
+/**
+ * CSVの1行を列に分割
+ * ダブルクォートで囲まれた列（カンマや""を含む）に対応します。
+ * @param {string} line CSVの1行
+ * @returns {Array<string>} 列の配列
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields.map(value => value.trim());
+}
+
+/**
+ * CSVの列の値をエスケープ
+ * @param {string} value 値
+ * @returns {string} エスケープされた値
+ */
+function escapeCsvField(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * CSV形式のテキストから用語集を作成
+ * @param {string} csvText CSV形式のテキスト（用語,訳語,チャンネル）
+ * @returns {{glossary: object, errors: Array<number>}} 用語集と、読み込めなかった行番号の配列
+ */
+export function parseGlossaryCsv(csvText) {
+  const glossary = { global: [], channels: {} };
+  const errors = [];
+
+  csvText.split(/\r?\n/).forEach((line, index) => {
+    // 空行とコメント行は無視
+    if (!line.trim() || line.trim().startsWith('#')) {
+      return;
+    }
+
+    const [source = '', target = '', channel = ''] = parseCsvLine(line);
+
+    // ヘッダー行は無視
+    if (index === 0 && source.toLowerCase() === CSV_HEADER[0] && target.toLowerCase() === CSV_HEADER[1]) {
+      return;
+    }
+
+    if (!source || !target) {
+      errors.push(index + 1);
+      return;
+    }
+
+    if (channel) {
+      const channelName = channel.toLowerCase();
+      glossary.channels[channelName] = glossary.channels[channelName] || [];
+      glossary.channels[channelName].push({ source, target });
+    } else {
+      glossary.global.push({ source, target });
+    }
+  });
+
+  return { glossary, errors };
+}
+
+/**
+ * 用語集をCSV形式のテキストに変換
+ * @param {object} glossary 用語集
+ * @returns {string} CSV形式のテキスト（ヘッダー行付き）
+ */
+export function formatGlossaryCsv(glossary) {
+  const rows = [
+    ...glossary.global.map(entry => [entry.source, entry.target, '']),
+    ...Object.entries(glossary.channels).flatMap(([channel, entries]) =>
+      entries.map(entry => [entry.source, entry.target, channel])
+    )
+  ];
+
+  return [CSV_HEADER, ...rows]
+    .map(row => row.map(escapeCsvField).join(','))
+    .join('\n');
+}
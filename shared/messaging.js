@@ -71,6 +71,25 @@ export async function notifyTwitchTabs(message) {
   }
 }
 
+/**
+ * アクティブなタブで表示中のTwitchのチャンネルを取得
+ * @returns {Promise<object|null>} チャンネルの情報 { channel, hasProfile, enabledOverride, streamLanguage, languageDisabled }（Twitchのチャンネルを表示していない場合はnull）
+ */
+export async function getActiveTabChannel() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+      return null;
+    }
+    
+    const response = await chrome.tabs.sendMessage(tab.id, { action: ACTION.GET_CHANNEL_INFO });
+    return response && response.success && response.channel ? response : null;
+  } catch (error) {
+    // コンテンツスクリプトが読み込まれていないタブ（Twitch以外のページ）
+    return null;
+  }
+}
+
 /**
  * 設定変更をバックグラウンドスクリプトとTwitchタブに通知
  * @returns {Promise<void>}
@@ -88,6 +107,36 @@ export async function notifySettingsUpdated() {
   }
 }
 
+/**
+ * 用語集の変更をバックグラウンドスクリプトとTwitchタブに通知
+ * バックグラウンドでは用語集を読み込み直し（以前の用語集で翻訳されたキャッシュは使用されなくなります）、
+ * Twitchタブではページ内の翻訳のキャッシュをクリアします。
+ * @returns {Promise<void>}
+ */
+export async function notifyGlossaryUpdated() {
+  try {
+    await sendMessageToBackground({ action: ACTION.GLOSSARY_UPDATED });
+    await notifyTwitchTabs({ action: ACTION.GLOSSARY_UPDATED });
+  } catch (error) {
+    console.error('用語集の変更通知中のエラー:', error);
+    throw error;
+  }
+}
+
+/**
+ * フレーズ集の変更をバックグラウンドに通知
+ * バックグラウンドではフレーズ集を読み込み直します。
+ * @returns {Promise<void>}
+ */
+export async function notifyPhrasebookUpdated() {
+  try {
+    await sendMessageToBackground({ action: ACTION.PHRASEBOOK_UPDATED });
+  } catch (error) {
+    console.error('フレーズ集の変更通知中のエラー:', error);
+    throw error;
+  }
+}
+
 /**
  * APIキーのテスト
  * @param {string} apiKey テストするAPIキー
@@ -107,6 +156,86 @@ export async function testApiKey(apiKey) {
   }
 }
 
+/**
+ * 翻訳プロバイダーの接続テスト
+ * @param {string} provider プロバイダーID（gemini, openai, libretranslate）
+ * @param {object} config テストするプロバイダー設定（apiKey, baseUrl, model）
+ * @returns {Promise<object>} テスト結果
+ */
+export async function testProviderConnection(provider, config) {
+  try {
+    const response = await sendMessageToBackground({
+      action: ACTION.TEST_API_KEY,
+      provider,
+      config
+    });
+    
+    return response || { valid: false, error: '応答がありません' };
+  } catch (error) {
+    console.error('接続テスト中のエラー:', error);
+    return { valid: false, error: error.message || 'テスト中に不明なエラーが発生しました' };
+  }
+}
+
+/**
+ * 翻訳プロバイダーのモデル一覧を取得
+ * @param {string} provider プロバイダーID
+ * @param {object} config プロバイダー設定（apiKey, baseUrl）
+ * @returns {Promise<object>} { success, models } または { success: false, error }
+ */
+export async function listProviderModels(provider, config) {
+  try {
+    const response = await sendMessageToBackground({
+      action: ACTION.LIST_MODELS,
+      provider,
+      config
+    });
+    
+    return response || { success: false, error: '応答がありません' };
+  } catch (error) {
+    console.error('モデル一覧の取得中のエラー:', error);
+    return { success: false, error: error.message || 'モデル一覧の取得中に不明なエラーが発生しました' };
+  }
+}
+
+/**
+ * プロンプトのプリセットを取得
+ * @returns {Promise<object>} { success, presets, placeholders } または { success: false, error }
+ */
+export async function getPromptPresets() {
+  try {
+    const response = await sendMessageToBackground({
+      action: ACTION.GET_PROMPT_PRESETS
+    });
+    
+    return response || { success: false, error: '応答がありません' };
+  } catch (error) {
+    console.error('プロンプトのプリセットの取得中のエラー:', error);
+    return { success: false, error: error.message || 'プリセットの取得中に不明なエラーが発生しました' };
+  }
+}
+
+/**
+ * プロンプトテンプレートでサンプルのメッセージを翻訳してプレビュー
+ * @param {string} text サンプルのメッセージ
+ * @param {object} options プレビューオプション（provider, config, promptTemplate, sampling, channel）
+ * @returns {Promise<object>} { success, prompt, translation } または { success: false, error }
+ */
+export async function previewPrompt(text, options) {
+  try {
+    const response = await sendMessageToBackground({
+      action: ACTION.PREVIEW_PROMPT,
+      text,
+      ...options
+    });
+    
+    return response || { success: false, error: '応答がありません' };
+  } catch (error) {
+    console.error('プロンプトのプレビュー中のエラー:', error);
+    return { success: false, error: error.message || 'プレビュー中に不明なエラーが発生しました' };
+  }
+}
+
 /**
  * 現在のAPIキーの有効性をチェック
  * @returns {Promise<object>} チェック結果
@@ -198,3 +327,37 @@ export async function clearCache() {
     return false;
   }
 }
+
+/**
+ * キャッシュを書き出す
+ * @returns {Promise<object>} 書き出したキャッシュ（JSON形式のオブジェクト）
+ */
+export async function exportCache() {
+  const response = await sendMessageToBackground({
+    action: ACTION.EXPORT_CACHE
+  });
+  
+  if (!response?.success) {
+    throw new Error(response?.error || 'キャッシュの書き出しに失敗しました');
+  }
+  
+  return response.data;
+}
+
+/**
+ * 書き出したキャッシュを読み込む
+ * @param {object} data 書き出したキャッシュ（JSON形式のオブジェクト）
+ * @returns {Promise<{imported: number, skipped: number}>} 読み込んだアイテム数と無視したアイテム数
+ */
+export async function importCache(data) {
+  const response = await sendMessageToBackground({
+    action: ACTION.IMPORT_CACHE,
+    data
+  });
+  
+  if (!response?.success) {
+    throw new Error(response?.error || 'キャッシュの読み込みに失敗しました');
+  }
+  
+  return { imported: response.imported, skipped: response.skipped };
+}
@@ -0,0 +1,73 @@
+/**
+ * フレーズ集管理モジュール
+ *
+ * オプションページから読み込むフレーズ集（JSON形式）の検証と保存の機能を提供します。
+ * フレーズ集の形式:
+ * { "name": "名前", "sourceLanguage": "en", "targetLanguage": "ja", "entries": [{ "text": "lol", "translation": "笑" }] }
+ */
+
+// ストレージのキー
+const PHRASEBOOK_STORAGE_KEY = 'phrasebooks';
+
+/**
+ * 読み込んだフレーズ集の一覧を取得
+ * @returns {Promise<Array<object>>} フレーズ集の配列
+ */
+export async function loadPhrasebooks() {
+  try {
+    const result = await chrome.storage.local.get([PHRASEBOOK_STORAGE_KEY]);
+    return Array.isArray(result[PHRASEBOOK_STORAGE_KEY]) ? result[PHRASEBOOK_STORAGE_KEY] : [];
+  } catch (error) {
+    console.error('UI: フレーズ集の読み込み中にエラーが発生しました:', error);
+    return [];
+  }
+}
+
+/**
+ * フレーズ集の一覧を保存
+ * @param {Array<object>} phrasebooks 保存するフレーズ集の配列
+ * @returns {Promise<Array<object>>} 保存されたフレーズ集の配列
+ */
+export async function savePhrasebooks(phrasebooks) {
+  try {
+    await chrome.storage.local.set({ [PHRASEBOOK_STORAGE_KEY]: phrasebooks });
+
+    console.log('UI: フレーズ集を保存しました');
+
+    return phrasebooks;
+  } catch (error) {
+    console.error('UI: フレーズ集の保存中にエラーが発生しました:', error);
+    throw error;
+  }
+}
+
+/**
+ * JSON形式のテキストからフレーズ集を作成
+ * @param {string} jsonText JSON形式のテキスト
+ * @param {string} fallbackName 名前が指定されていない場合の名前（ファイル名など）
+ * @returns {object} フレーズ集 { name, sourceLanguage, targetLanguage, entries }
+ * @throws {Error} フレーズ集の形式でない場合
+ */
+export function parsePhrasebook(jsonText, fallbackName = '') {
+  const data = JSON.parse(jsonText);
+
+  if (!data || !Array.isArray(data.entries)) {
+    throw new Error('entriesの配列がありません');
+  }
+
+  const entries = data.entries
+    .filter(entry => typeof entry?.text === 'string' && typeof entry.translation === 'string')
+    .map(entry => ({ text: entry.text.trim(), translation: entry.translation.trim() }))
+    .filter(entry => entry.text.length > 0 && entry.translation.length > 0);
+
+  if (entries.length === 0) {
+    throw new Error('フレーズが含まれていません');
+  }
+
+  return {
+    name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : fallbackName,
+    sourceLanguage: typeof data.sourceLanguage === 'string' ? data.sourceLanguage : null,
+    targetLanguage: typeof data.targetLanguage === 'string' ? data.targetLanguage : 'ja',
+    entries
+  };
+}
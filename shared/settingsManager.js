@@ -4,7 +4,7 @@
  * 設定の読み込み、保存、検証などの機能を提供します。
  */
 
-import { DEFAULT_SETTINGS, VALIDATION_RULES } from './constants.js';
+import { DEFAULT_SETTINGS, VALIDATION_RULES, LOCAL_SETTING_KEYS } from './constants.js';
 
 /**
  * 設定を読み込む
@@ -14,8 +14,11 @@ export async function loadSettings() {
   try {
     console.log("UI: 設定を読み込み中...");
     
-    // Chromeストレージから設定を取得
-    const result = await chrome.storage.sync.get(null);
+    // Chromeストレージから設定を取得（以前のバージョンでsyncに保存した設定よりlocalの設定を優先）
+    const result = {
+      ...await chrome.storage.sync.get(null),
+      ...await chrome.storage.local.get(LOCAL_SETTING_KEYS),
+    };
     
     // デフォルト設定をベースに、保存されている設定で上書き
     let currentSettings = { ...DEFAULT_SETTINGS };
@@ -58,7 +61,7 @@ export async function saveSettings(settings) {
     
     // 保存する設定オブジェクトを作成（デフォルト値と同じ場合でも保存）
     // フロントエンドでは簡略化のためすべて保存
-    await chrome.storage.sync.set(validatedSettings);
+    await storeSettings(validatedSettings);
     
     console.log("UI: 設定を保存しました");
     
@@ -98,14 +101,14 @@ export async function resetSettings() {
     // 現在の設定を取得
     const currentSettings = await loadSettings();
     
-    // APIキーを保持
-    const apiKey = currentSettings.apiKey;
+    // 各プロバイダーのAPIキーを保持
+    const { apiKey, openaiApiKey, libreTranslateApiKey } = currentSettings;
     
     // デフォルト設定に戻す（APIキーは保持）
-    const resetSettings = { ...DEFAULT_SETTINGS, apiKey };
+    const resetSettings = { ...DEFAULT_SETTINGS, apiKey, openaiApiKey, libreTranslateApiKey };
     
     // 保存
-    await chrome.storage.sync.set(resetSettings);
+    await storeSettings(resetSettings);
     
     console.log("UI: 設定をリセットしました");
     
@@ -116,6 +119,44 @@ export async function resetSettings() {
   }
 }
 
+/**
+ * 設定をChromeストレージに保存
+ * LOCAL_SETTING_KEYS の設定はlocalに、それ以外はsyncに保存し、以前のバージョンでsyncに保存した分は削除します。
+ * @param {object} settings 保存する設定
+ * @returns {Promise<void>}
+ */
+async function storeSettings(settings) {
+  const syncSettings = { ...settings };
+  const localSettings = {};
+  
+  for (const key of LOCAL_SETTING_KEYS) {
+    if (key in syncSettings) {
+      localSettings[key] = syncSettings[key];
+      delete syncSettings[key];
+    }
+  }
+  
+  await chrome.storage.sync.set(syncSettings);
+  await chrome.storage.local.set(localSettings);
+  await chrome.storage.sync.remove(LOCAL_SETTING_KEYS);
+}
+
+/**
+ * 選択中の翻訳プロバイダーの接続設定が揃っているかを確認
+ * @param {object} settings 現在の設定
+ * @returns {boolean} 翻訳に必要な設定があるかどうか
+ */
+export function hasProviderCredentials(settings) {
+  switch (settings.translationProvider) {
+    case 'openai':
+      return !!settings.openaiBaseUrl && !!settings.openaiModel;
+    case 'libretranslate':
+      return !!settings.libreTranslateUrl;
+    default:
+      return !!settings.apiKey;
+  }
+}
+
 /**
  * 設定の検証と修正
  * @param {object} settings 検証する設定
@@ -140,6 +181,13 @@ export function validateSettings(settings) {
     }
   }
   
+  // 配列型の設定を検証
+  for (const key of VALIDATION_RULES.arrayValues) {
+    if (key in validatedSettings && !Array.isArray(validatedSettings[key])) {
+      validatedSettings[key] = DEFAULT_SETTINGS[key];
+    }
+  }
+  
   // 色の検証
   if ('textColor' in validatedSettings && !/^#[0-9A-F]{6}$/i.test(validatedSettings.textColor)) {
     validatedSettings.textColor = DEFAULT_SETTINGS.textColor;
@@ -162,9 +210,9 @@ export function validateSettings(settings) {
 function ensureNumericValue(settings, key, min, max) {
   let value = settings[key];
   
-  // 文字列の場合は数値に変換
+  // 文字列の場合は数値に変換（サンプリングパラメータなど小数の設定もある）
   if (typeof value === 'string') {
-    value = parseInt(value, 10);
+    value = parseFloat(value);
   }
   
   // 数値でない場合はデフォルト値を使用
@@ -41,12 +41,12 @@ export function updateStatusText(statusElement, enabled) {
 /**
  * API状態テキストを更新
  * @param {HTMLElement} apiStatusElement API状態テキストを表示する要素
- * @param {string} apiKey APIキー
+ * @param {boolean} hasCredentials 翻訳プロバイダーの接続設定があるかどうか
  */
-export async function updateApiStatus(apiStatusElement, apiKey) {
+export async function updateApiStatus(apiStatusElement, hasCredentials) {
   if (!apiStatusElement) return;
   
-  if (!apiKey) {
+  if (!hasCredentials) {
     apiStatusElement.textContent = UI.API_STATUS.MISSING_KEY;
     apiStatusElement.className = MESSAGE_TYPE.ERROR;
     return;
@@ -62,7 +62,7 @@ export async function updateApiStatus(apiStatusElement, apiKey) {
       apiStatusElement.textContent = UI.API_STATUS.CONNECTION_OK;
       apiStatusElement.className = MESSAGE_TYPE.SUCCESS;
     } else {
-      apiStatusElement.textContent = `Gemini API: ${response.error || 'エラー'}`;
+      apiStatusElement.textContent = `翻訳API: ${response.error || 'エラー'}`;
       apiStatusElement.className = MESSAGE_TYPE.ERROR;
     }
   } catch (error) {
@@ -118,6 +118,15 @@ export function updateStatsDisplay(stats, elements) {
     elements.cacheHits.textContent = stats.cacheHits.toLocaleString();
   }
   
+  if (elements.cacheMatchStats && stats.cacheMatchStats) {
+    const { normalized, fuzzy } = stats.cacheMatchStats;
+    elements.cacheMatchStats.textContent = `${normalized.toLocaleString()} / ${fuzzy.toLocaleString()}`;
+  }
+  
+  if (elements.phrasebookHits && stats.cacheMatchStats) {
+    elements.phrasebookHits.textContent = (stats.cacheMatchStats.phrasebook || 0).toLocaleString();
+  }
+  
   if (elements.apiRequests) {
     elements.apiRequests.textContent = stats.apiRequests.toLocaleString();
   }
@@ -131,7 +140,11 @@ export function updateStatsDisplay(stats, elements) {
   }
   
   if (elements.cacheSize) {
-    elements.cacheSize.textContent = stats.cacheSize.toLocaleString();
+    // 使用容量がある場合はMB単位で併記
+    const cacheMegabytes = typeof stats.cacheBytes === 'number'
+      ? ` (${(stats.cacheBytes / (1024 * 1024)).toFixed(2)} MB)`
+      : '';
+    elements.cacheSize.textContent = `${stats.cacheSize.toLocaleString()}${cacheMegabytes}`;
   }
   
   if (elements.lastReset) {
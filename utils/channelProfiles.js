@@ -0,0 +1,178 @@
+/**
+ * Twitch Gemini Translator チャンネル別のプロファイル
+ *
+ * チャンネルごとに設定の一部（翻訳モード・しきい値・表示・モデル・用語集・フィルター）を上書きするプロファイルを扱います。
+ * プロファイルは設定の channelProfiles に { channel, settings } の配列として chrome.storage.local に保存され、
+ * 表示中のチャンネルにプロファイルがある場合は全体の設定に重ねて使用します。
+ */
+
+// プロファイルで上書きできる設定
+export const PROFILE_SETTING_KEYS = [
+  // 翻訳
+  "enabled",
+  "targetLanguage",
+  "translationMode",
+  "sourceLanguages",
+  "japaneseThreshold",
+  "englishThreshold",
+  "contextSize",
+  // 表示
+  "displayPrefix",
+  "textColor",
+  "accentColor",
+  "fontSize",
+  "displayMode",
+  // モデル・プロンプト
+  "translationProvider",
+  "geminiModel",
+  "openaiModel",
+  "fallbackChain",
+  "retranslateModel",
+  "promptPreset",
+  "promptTemplate",
+  "temperature",
+  // 用語集
+  "useGlossary",
+  // フィルター
+  "ignoredUsers",
+  "allowedUsers",
+  "badgeFilter",
+  "mentionsOnly",
+  "skipCommandPrefixes",
+  "skipPhrases",
+  "skipPatterns",
+  "skipBuiltInPatterns",
+];
+
+// プロファイルを適用した設定（設定オブジェクト -> チャンネル名 -> 設定）
+const appliedSettings = new WeakMap();
+
+/**
+ * チャンネル名を比較用に正規化
+ * @param {string} channel チャンネル名
+ * @returns {string} 正規化されたチャンネル名
+ */
+export function normalizeChannelName(channel) {
+  return (channel || "").trim().replace(/^@/, "").toLowerCase();
+}
+
+/**
+ * プロファイルの設定から上書きできる設定だけを取り出す
+ * 全体の設定と型が異なる値は無視します。
+ * @param {object} overrides プロファイルの設定
+ * @param {object} baseSettings 全体の設定（型の確認に使用）
+ * @returns {object} 上書きする設定
+ */
+export function pickProfileSettings(overrides, baseSettings = null) {
+  const picked = {};
+
+  if (!overrides || typeof overrides !== "object") {
+    return picked;
+  }
+
+  for (const key of PROFILE_SETTING_KEYS) {
+    if (!(key in overrides)) continue;
+
+    const value = overrides[key];
+    if (baseSettings && key in baseSettings) {
+      const baseValue = baseSettings[key];
+      const sameType = Array.isArray(baseValue) ? Array.isArray(value) : typeof value === typeof baseValue;
+      if (!sameType) continue;
+    }
+
+    picked[key] = value;
+  }
+
+  return picked;
+}
+
+/**
+ * チャンネルのプロファイルを取得
+ * @param {object} settings 全体の設定（channelProfiles）
+ * @param {string|null} channel チャンネル名
+ * @returns {{channel: string, settings: object}|null} プロファイル（ない場合はnull）
+ */
+export function findChannelProfile(settings, channel) {
+  const channelKey = normalizeChannelName(channel);
+  if (!channelKey || !Array.isArray(settings?.channelProfiles)) {
+    return null;
+  }
+
+  return settings.channelProfiles.find(profile => normalizeChannelName(profile?.channel) === channelKey) || null;
+}
+
+/**
+ * チャンネルのプロファイルを適用した設定を取得
+ * プロファイルがない場合は全体の設定をそのまま返します。
+ * @param {object} settings 全体の設定
+ * @param {string|null} channel チャンネル名
+ * @returns {object} チャンネルで使用する設定
+ */
+export function getChannelSettings(settings, channel) {
+  const profile = findChannelProfile(settings, channel);
+  if (!profile) {
+    return settings;
+  }
+
+  let channelCache = appliedSettings.get(settings);
+  if (!channelCache) {
+    channelCache = new Map();
+    appliedSettings.set(settings, channelCache);
+  }
+
+  const channelKey = normalizeChannelName(channel);
+  if (!channelCache.has(channelKey)) {
+    channelCache.set(channelKey, { ...settings, ...pickProfileSettings(profile.settings, settings) });
+  }
+
+  return channelCache.get(channelKey);
+}
+
+/**
+ * プロファイルを追加または更新したプロファイルの配列を作成
+ * @param {Array<object>} profiles 現在のプロファイルの配列
+ * @param {string} channel チャンネル名
+ * @param {object} overrides 上書きする設定
+ * @returns {Array<object>} 更新されたプロファイルの配列
+ */
+export function setChannelProfile(profiles, channel, overrides) {
+  const channelKey = normalizeChannelName(channel);
+  const others = (Array.isArray(profiles) ? profiles : [])
+    .filter(profile => normalizeChannelName(profile?.channel) !== channelKey);
+
+  return [...others, { channel: channelKey, settings: pickProfileSettings(overrides) }]
+    .sort((a, b) => a.channel.localeCompare(b.channel));
+}
+
+/**
+ * プロファイルを削除したプロファイルの配列を作成
+ * @param {Array<object>} profiles 現在のプロファイルの配列
+ * @param {string} channel チャンネル名
+ * @returns {Array<object>} 更新されたプロファイルの配列
+ */
+export function removeChannelProfile(profiles, channel) {
+  const channelKey = normalizeChannelName(channel);
+  return (Array.isArray(profiles) ? profiles : [])
+    .filter(profile => normalizeChannelName(profile?.channel) !== channelKey);
+}
+
+/**
+ * チャンネルでの翻訳の有効・無効の指定を変更したプロファイルの配列を作成
+ * 指定を解除した結果、上書きする設定がなくなった場合はプロファイルを削除します。
+ * @param {Array<object>} profiles 現在のプロファイルの配列
+ * @param {string} channel チャンネル名
+ * @param {boolean|null} enabled 常に翻訳する場合はtrue、翻訳しない場合はfalse、指定を解除する（自動）場合はnull
+ * @returns {Array<object>} 更新されたプロファイルの配列
+ */
+export function setChannelEnabledOverride(profiles, channel, enabled) {
+  const profile = findChannelProfile({ channelProfiles: profiles }, channel);
+  const { enabled: previous, ...overrides } = profile?.settings || {};
+
+  if (typeof enabled === "boolean") {
+    return setChannelProfile(profiles, channel, { ...overrides, enabled });
+  }
+
+  return Object.keys(overrides).length > 0
+    ? setChannelProfile(profiles, channel, overrides)
+    : removeChannelProfile(profiles, channel);
+}
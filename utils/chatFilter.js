@@ -0,0 +1,228 @@
+/**
+ * Twitch Gemini Translator チャットのユーザーフィルター
+ *
+ * ボットの無視リスト、常に翻訳するユーザーの許可リスト、バッジ（配信者・モデレーター・VIP・サブスクライバー）による絞り込み、
+ * 自分へのメンションだけを翻訳するモードにより、翻訳APIに送信するメッセージを絞り込みます。
+ * ルールは全チャンネル共通の設定と、チャンネル別のルール（1行に1チャンネル）を組み合わせて使用します。
+ *
+ * チャンネル別のルールの形式:
+ *   チャンネル名 ignore=ユーザー1,ユーザー2 allow=ユーザー3 badges=privileged mentions=on
+ */
+
+// バッジの要素のセレクタ
+const BADGE_SELECTOR = '.chat-badge, [data-a-target="chat-badge"], img.badge';
+
+// ユーザーのログイン名を持つ要素のセレクタ（表示名がログイン名と異なる場合がある）
+const USER_LOGIN_SELECTOR = "[data-a-user]";
+
+// バッジの説明文から役割を判定するパターン
+const BADGE_ROLES = [
+  { role: "broadcaster", pattern: /broadcaster|配信者/i },
+  { role: "moderator", pattern: /moderator|モデレーター/i },
+  { role: "vip", pattern: /\bvip\b/i },
+  { role: "subscriber", pattern: /subscriber|founder|サブスクライバー|ファウンダー/i },
+];
+
+// バッジによる絞り込みの種類
+// all: すべてのユーザー, privileged: 配信者・モデレーター・VIPのみ, excludeSubscribers: サブスクライバー以外
+const BADGE_FILTERS = ["all", "privileged", "excludeSubscribers"];
+
+// 配信者・モデレーター・VIPの役割
+const PRIVILEGED_ROLES = ["broadcaster", "moderator", "vip"];
+
+// 解析済みのルール（設定オブジェクト -> チャンネル名 -> ルール）
+const parsedRules = new WeakMap();
+
+/**
+ * ユーザー名を比較用に正規化
+ * @param {string} name ユーザー名
+ * @returns {string} 正規化されたユーザー名
+ */
+function normalizeUserName(name) {
+  return (name || "").trim().replace(/^@/, "").toLowerCase();
+}
+
+/**
+ * ユーザー名の配列を集合に変換
+ * @param {Array<string>|undefined} names ユーザー名の配列
+ * @returns {Set<string>} 正規化されたユーザー名の集合
+ */
+function toUserSet(names) {
+  return new Set((Array.isArray(names) ? names : []).map(normalizeUserName).filter(name => name.length > 0));
+}
+
+/**
+ * チャンネル別のルールの1行を解析
+ * @param {string} line ルールの行
+ * @returns {{channel: string, ignore: Array<string>, allow: Array<string>, badges: string|null, mentions: boolean|null}|null} 解析結果（不正な形式の場合はnull）
+ */
+export function parseChannelFilterRule(line) {
+  const [channel, ...options] = (line || "").trim().split(/\s+/);
+  if (!channel) {
+    return null;
+  }
+
+  const rule = { channel: normalizeUserName(channel.replace(/:$/, "")), ignore: [], allow: [], badges: null, mentions: null };
+
+  for (const option of options) {
+    const [key, value = ""] = option.split("=");
+
+    switch (key.toLowerCase()) {
+      case "ignore":
+        rule.ignore.push(...value.split(","));
+        break;
+      case "allow":
+        rule.allow.push(...value.split(","));
+        break;
+      case "badges":
+        rule.badges = BADGE_FILTERS.includes(value) ? value : null;
+        break;
+      case "mentions":
+        rule.mentions = /^(on|true|1)$/i.test(value);
+        break;
+    }
+  }
+
+  return rule.channel ? rule : null;
+}
+
+/**
+ * チャンネルで有効なフィルターのルールを取得
+ * 無視リストと許可リストは共通の設定にチャンネル別の設定を追加し、
+ * バッジとメンションの設定はチャンネル別の設定が優先されます。
+ * @param {object} settings 設定（ignoredUsers, allowedUsers, badgeFilter, mentionsOnly, myUsername, channelUserFilters）
+ * @param {string|null} channel チャンネル名
+ * @returns {{ignoredUsers: Set<string>, allowedUsers: Set<string>, badgeFilter: string, mentionsOnly: boolean, myUsername: string}} ルール
+ */
+export function getUserFilterRules(settings, channel) {
+  const channelKey = normalizeUserName(channel);
+  let channelCache = parsedRules.get(settings);
+  if (!channelCache) {
+    channelCache = new Map();
+    parsedRules.set(settings, channelCache);
+  }
+
+  if (channelCache.has(channelKey)) {
+    return channelCache.get(channelKey);
+  }
+
+  const channelRules = (Array.isArray(settings.channelUserFilters) ? settings.channelUserFilters : [])
+    .map(parseChannelFilterRule)
+    .filter(rule => rule && rule.channel === channelKey);
+
+  const rules = {
+    ignoredUsers: toUserSet([...(settings.ignoredUsers || []), ...channelRules.flatMap(rule => rule.ignore)]),
+    allowedUsers: toUserSet([...(settings.allowedUsers || []), ...channelRules.flatMap(rule => rule.allow)]),
+    badgeFilter: BADGE_FILTERS.includes(settings.badgeFilter) ? settings.badgeFilter : "all",
+    mentionsOnly: !!settings.mentionsOnly,
+    myUsername: normalizeUserName(settings.myUsername),
+  };
+
+  for (const rule of channelRules) {
+    if (rule.badges) {
+      rules.badgeFilter = rule.badges;
+    }
+    if (rule.mentions !== null) {
+      rules.mentionsOnly = rule.mentions;
+    }
+  }
+
+  channelCache.set(channelKey, rules);
+  return rules;
+}
+
+/**
+ * メッセージの送信者の情報を取得
+ * @param {Element} messageElement メッセージ要素
+ * @param {string} displayName 表示名
+ * @returns {{login: string, displayName: string, roles: Set<string>}} 送信者の情報
+ */
+export function getChatUser(messageElement, displayName) {
+  const loginElement = messageElement.querySelector(USER_LOGIN_SELECTOR);
+  const roles = new Set();
+
+  messageElement.querySelectorAll(BADGE_SELECTOR).forEach((badge) => {
+    const description = [
+      badge.getAttribute("alt"),
+      badge.getAttribute("aria-label"),
+      badge.getAttribute("title"),
+      badge.getAttribute("data-badge"),
+    ].filter(Boolean).join(" ");
+
+    for (const { role, pattern } of BADGE_ROLES) {
+      if (pattern.test(description)) {
+        roles.add(role);
+      }
+    }
+  });
+
+  return {
+    login: normalizeUserName(loginElement?.getAttribute("data-a-user") || displayName),
+    displayName: normalizeUserName(displayName),
+    roles,
+  };
+}
+
+/**
+ * ログイン中のユーザー名を取得
+ * 設定で指定されていない場合は、Twitchのログイン情報のCookieから取得します。
+ * @param {object} rules フィルターのルール
+ * @returns {string} ユーザー名（分からない場合は空文字列）
+ */
+function getMyUsername(rules) {
+  if (rules.myUsername) {
+    return rules.myUsername;
+  }
+
+  const match = document.cookie.match(/(?:^|;\s*)login=([^;]+)/);
+  return match ? normalizeUserName(decodeURIComponent(match[1])) : "";
+}
+
+/**
+ * メッセージが自分へのメンションを含むかどうかを判定
+ * @param {string} text メッセージのテキスト
+ * @param {string} username 自分のユーザー名
+ * @returns {boolean} メンションを含む場合はtrue
+ */
+function mentionsUser(text, username) {
+  const escaped = username.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^\\w])@?${escaped}(?!\\w)`, "i").test(text);
+}
+
+/**
+ * 送信者とメッセージがフィルターのルールで翻訳対象かどうかを判定
+ * @param {{login: string, displayName: string, roles: Set<string>}} user 送信者の情報
+ * @param {string} text メッセージのテキスト
+ * @param {object} rules フィルターのルール
+ * @returns {{allowed: boolean, reason: string}} 判定結果と理由（ignored, allowed, notMentioned, badge, passed）
+ */
+export function checkUserFilter(user, text, rules) {
+  const names = [user.login, user.displayName];
+
+  if (names.some(name => rules.ignoredUsers.has(name))) {
+    return { allowed: false, reason: "ignored" };
+  }
+
+  // 許可リストのユーザーはバッジやメンションの設定に関わらず翻訳する
+  if (names.some(name => rules.allowedUsers.has(name))) {
+    return { allowed: true, reason: "allowed" };
+  }
+
+  if (rules.mentionsOnly) {
+    // ユーザー名が分からない場合は絞り込まない
+    const myUsername = getMyUsername(rules);
+    if (myUsername && !mentionsUser(text, myUsername)) {
+      return { allowed: false, reason: "notMentioned" };
+    }
+  }
+
+  if (rules.badgeFilter === "privileged" && !PRIVILEGED_ROLES.some(role => user.roles.has(role))) {
+    return { allowed: false, reason: "badge" };
+  }
+
+  if (rules.badgeFilter === "excludeSubscribers" && user.roles.has("subscriber")) {
+    return { allowed: false, reason: "badge" };
+  }
+
+  return { allowed: true, reason: "passed" };
+}
@@ -0,0 +1,383 @@
+/**
+ * Twitch Gemini Translator 送信メッセージの翻訳補助
+ *
+ * Twitchのチャット入力欄に入力したメッセージを配信のチャットの言語に翻訳し、
+ * 編集できるプレビューを表示してから入力欄に反映します。
+ * メッセージの送信は行わず、送信は常にユーザー自身が行います。
+ */
+
+import { tokenizeMessage, renderTranslation } from './messageTokenizer.js';
+import { matchesHotkey } from './utils.js';
+import { getStreamLanguage } from './streamLanguage.js';
+
+// チャット入力欄のセレクタ（新しいUIはcontenteditableの要素、古いUIはtextarea）
+const CHAT_INPUT_SELECTOR = '[data-a-target="chat-input"]';
+
+// 翻訳ボタンを追加するコンテナのセレクタ（複数のセレクタを試行）
+const BUTTON_CONTAINER_SELECTORS = [
+  '[data-a-target="chat-input-buttons-container"]',
+  ".chat-input__buttons-container",
+];
+
+// 入力欄が再描画された場合に翻訳ボタンを追加し直す間隔（ミリ秒）
+const ATTACH_INTERVAL = 2000;
+
+// 追加する要素のクラス名
+const COMPOSE_BUTTON_CLASS = "twitch-translator-compose-button";
+const COMPOSE_PANEL_CLASS = "twitch-translator-compose-panel";
+
+// 入力欄のエディタが挿入するゼロ幅文字
+const ZERO_WIDTH_PATTERN = /[\u200B-\u200D\uFEFF]/g;
+
+// 翻訳補助の状態
+const composeState = {
+  settings: {},
+  translate: null,
+  panel: null,
+  attachTimer: null,
+  requestId: 0,
+};
+
+/**
+ * チャット入力欄を取得
+ * @returns {HTMLElement|null} チャット入力欄
+ */
+function findChatInput() {
+  return document.querySelector(CHAT_INPUT_SELECTOR);
+}
+
+/**
+ * チャット入力欄のテキストを取得
+ * @param {HTMLElement} input チャット入力欄
+ * @returns {string} 入力されたテキスト
+ */
+function getInputText(input) {
+  const text = "value" in input ? input.value : input.innerText;
+  return (text || "").replace(ZERO_WIDTH_PATTERN, "").trim();
+}
+
+/**
+ * チャット入力欄のテキストを置き換える
+ * Twitchの入力欄はReactやエディタで状態を管理しているため、入力イベントを通して置き換えます。
+ * @param {HTMLElement} input チャット入力欄
+ * @param {string} text 設定するテキスト
+ */
+function setInputText(input, text) {
+  input.focus();
+
+  if (input instanceof HTMLTextAreaElement || input instanceof HTMLInputElement) {
+    // Reactに変更を検知させるため、ネイティブのsetterで値を設定してinputイベントを発火
+    const prototype = Object.getPrototypeOf(input);
+    const setter = Object.getOwnPropertyDescriptor(prototype, "value")?.set;
+    setter ? setter.call(input, text) : (input.value = text);
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+    return;
+  }
+
+  // contenteditableのエディタは入力内容を選択してから文字列の入力として置き換える
+  const selection = window.getSelection();
+  const range = document.createRange();
+  range.selectNodeContents(input);
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  if (!document.execCommand("insertText", false, text)) {
+    input.textContent = text;
+    input.dispatchEvent(new InputEvent("input", { bubbles: true, inputType: "insertText", data: text }));
+  }
+}
+
+/**
+ * 翻訳ボタンを追加（設定が無効な場合は削除）
+ */
+function attachComposeButton() {
+  const existingButton = document.querySelector(`.${COMPOSE_BUTTON_CLASS}`);
+
+  if (!composeState.settings.composeEnabled) {
+    existingButton?.remove();
+    closeComposePanel();
+    return;
+  }
+
+  if (existingButton || !findChatInput()) {
+    return;
+  }
+
+  let container = null;
+  for (const selector of BUTTON_CONTAINER_SELECTORS) {
+    container = document.querySelector(selector);
+    if (container) break;
+  }
+
+  // ボタンを追加できない場合もホットキーは使用できる
+  if (!container) {
+    return;
+  }
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = COMPOSE_BUTTON_CLASS;
+  button.textContent = "訳";
+  button.title = composeState.settings.composeHotkey
+    ? `入力したメッセージを翻訳 (${composeState.settings.composeHotkey})`
+    : "入力したメッセージを翻訳";
+  button.style.padding = "0 8px";
+  button.style.marginRight = "4px";
+  button.style.border = `1px solid ${composeState.settings.accentColor || "#4db6ac"}`;
+  button.style.borderRadius = "4px";
+  button.style.background = "transparent";
+  button.style.color = "inherit";
+  button.style.cursor = "pointer";
+  button.addEventListener("click", () => openComposePanel());
+
+  container.prepend(button);
+}
+
+/**
+ * プレビュー用のボタンを作成
+ * @param {string} label ボタンのラベル
+ * @param {Function} onClick クリック時の処理
+ * @returns {HTMLButtonElement} ボタン
+ */
+function createPanelButton(label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.style.marginLeft = "6px";
+  button.style.padding = "2px 10px";
+  button.style.border = "1px solid #53535f";
+  button.style.borderRadius = "4px";
+  button.style.background = "#26262c";
+  button.style.color = "#efeff1";
+  button.style.cursor = "pointer";
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * 翻訳プレビューのパネルを作成
+ * @param {HTMLElement} input チャット入力欄
+ * @param {string} targetLanguage 翻訳先言語コード
+ * @returns {object} パネルの要素 { root, status, textarea, insertButton, input }
+ */
+function createComposePanel(input, targetLanguage) {
+  const rect = input.getBoundingClientRect();
+
+  const root = document.createElement("div");
+  root.className = COMPOSE_PANEL_CLASS;
+  root.style.position = "fixed";
+  root.style.left = `${Math.max(8, rect.left)}px`;
+  root.style.bottom = `${Math.max(8, window.innerHeight - rect.top + 8)}px`;
+  root.style.width = `${Math.max(240, rect.width)}px`;
+  root.style.boxSizing = "border-box";
+  root.style.zIndex = "10000";
+  root.style.padding = "8px";
+  root.style.background = "#18181b";
+  root.style.color = "#efeff1";
+  root.style.border = `1px solid ${composeState.settings.accentColor || "#4db6ac"}`;
+  root.style.borderRadius = "4px";
+  root.style.fontSize = "13px";
+  root.style.boxShadow = "0 4px 12px rgba(0, 0, 0, 0.5)";
+
+  const title = document.createElement("div");
+  title.textContent = `翻訳プレビュー（${targetLanguage.toUpperCase()}）`;
+  title.style.fontWeight = "bold";
+  title.style.marginBottom = "4px";
+
+  const status = document.createElement("div");
+  status.style.marginBottom = "4px";
+  status.style.color = "#adadb8";
+
+  const textarea = document.createElement("textarea");
+  textarea.rows = 3;
+  textarea.disabled = true;
+  textarea.style.width = "100%";
+  textarea.style.boxSizing = "border-box";
+  textarea.style.resize = "vertical";
+  textarea.style.background = "#0e0e10";
+  textarea.style.color = "#efeff1";
+  textarea.style.border = "1px solid #53535f";
+  textarea.style.borderRadius = "4px";
+  textarea.style.padding = "4px";
+
+  const help = document.createElement("div");
+  help.textContent = "Ctrl+Enterで入力欄に挿入、Escでキャンセル。送信はご自身で行ってください。";
+  help.style.marginTop = "4px";
+  help.style.fontSize = "11px";
+  help.style.color = "#adadb8";
+
+  const insertButton = createPanelButton("入力欄に挿入", () => insertTranslation());
+  insertButton.disabled = true;
+  const cancelButton = createPanelButton("キャンセル", () => closeComposePanel());
+
+  const buttons = document.createElement("div");
+  buttons.style.display = "flex";
+  buttons.style.justifyContent = "flex-end";
+  buttons.style.marginTop = "6px";
+  buttons.append(cancelButton, insertButton);
+
+  textarea.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      insertTranslation();
+    } else if (event.key === "Escape") {
+      event.preventDefault();
+      closeComposePanel();
+    }
+    // Twitchのショートカットが反応しないようにする
+    event.stopPropagation();
+  });
+
+  root.append(title, status, textarea, buttons, help);
+  document.body.appendChild(root);
+
+  return { root, status, textarea, insertButton, input };
+}
+
+/**
+ * 送信メッセージの翻訳先言語を取得
+ * 配信の言語を判定できている場合は配信の言語、判定できていない場合や自分の言語（翻訳先言語）と同じ場合は設定の言語を使用します。
+ * @returns {string} 翻訳先言語コード
+ */
+function getComposeTargetLanguage() {
+  const streamLanguage = getStreamLanguage()?.language;
+  if (streamLanguage && streamLanguage !== composeState.settings.targetLanguage) {
+    return streamLanguage;
+  }
+  return composeState.settings.composeTargetLanguage || "en";
+}
+
+/**
+ * 入力欄のメッセージを翻訳してプレビューを表示
+ */
+async function openComposePanel() {
+  const input = findChatInput();
+  if (!input || typeof composeState.translate !== "function") {
+    return;
+  }
+
+  const text = getInputText(input);
+  const targetLanguage = getComposeTargetLanguage();
+
+  closeComposePanel();
+  const panel = createComposePanel(input, targetLanguage);
+  composeState.panel = panel;
+
+  if (!text) {
+    panel.status.textContent = "翻訳するメッセージを入力欄に入力してください";
+    return;
+  }
+
+  // メンションやURLはプレースホルダーに置き換えて、翻訳で変更されないようにする
+  const source = document.createElement("div");
+  source.textContent = text;
+  const tokenized = tokenizeMessage(source);
+
+  const requestId = ++composeState.requestId;
+  panel.status.textContent = "翻訳中...";
+
+  try {
+    const result = await composeState.translate(tokenized.text, targetLanguage);
+
+    // 待っている間にパネルが閉じられた、または別の翻訳が開始された場合は無視
+    if (requestId !== composeState.requestId || composeState.panel !== panel) {
+      return;
+    }
+
+    if (!result || !result.success) {
+      panel.status.textContent = `翻訳に失敗しました: ${result?.error || "不明なエラー"}`;
+      return;
+    }
+
+    panel.textarea.value = renderTranslation(result.translation, tokenized.tokens).textContent.trim();
+    panel.status.textContent = result.isAlreadyTarget
+      ? "すでに翻訳先の言語のようです。必要に応じて編集してください"
+      : "内容を確認・編集してから入力欄に挿入してください";
+    panel.textarea.disabled = false;
+    panel.insertButton.disabled = false;
+    panel.textarea.focus();
+  } catch (error) {
+    if (composeState.panel === panel) {
+      panel.status.textContent = `翻訳に失敗しました: ${error.message}`;
+    }
+  }
+}
+
+/**
+ * プレビューの内容を入力欄に挿入（送信はしない）
+ */
+function insertTranslation() {
+  const panel = composeState.panel;
+  if (!panel || panel.textarea.disabled) {
+    return;
+  }
+
+  const text = panel.textarea.value.trim();
+  const input = panel.input.isConnected ? panel.input : findChatInput();
+  closeComposePanel();
+
+  if (input && text) {
+    setInputText(input, text);
+  }
+}
+
+/**
+ * 翻訳プレビューを閉じる
+ */
+function closeComposePanel() {
+  if (composeState.panel) {
+    composeState.panel.root.remove();
+    composeState.panel = null;
+  }
+}
+
+/**
+ * ホットキーの処理
+ * @param {KeyboardEvent} event キーボードイベント
+ */
+function handleKeydown(event) {
+  if (!composeState.settings.composeEnabled || !matchesHotkey(event, composeState.settings.composeHotkey)) {
+    return;
+  }
+
+  // チャット入力欄にフォーカスがある場合のみ反応する
+  const input = findChatInput();
+  if (!input || !input.contains(document.activeElement)) {
+    return;
+  }
+
+  event.preventDefault();
+  event.stopPropagation();
+  openComposePanel();
+}
+
+/**
+ * 送信メッセージの翻訳補助を初期化
+ * @param {object} options 初期化オプション
+ * @param {object} options.settings 設定（composeEnabled, composeTargetLanguage, composeHotkey, accentColor, targetLanguage）
+ * @param {function(string, string): Promise<object>} options.translate 翻訳関数 (テキスト, 翻訳先言語) => 翻訳結果
+ */
+export function initComposeHelper({ settings, translate }) {
+  composeState.settings = settings || {};
+  composeState.translate = translate;
+
+  if (composeState.attachTimer) {
+    return;
+  }
+
+  document.addEventListener("keydown", handleKeydown, true);
+  attachComposeButton();
+  composeState.attachTimer = setInterval(attachComposeButton, ATTACH_INTERVAL);
+}
+
+/**
+ * 送信メッセージの翻訳補助の設定を更新
+ * @param {object} settings 新しい設定
+ */
+export function updateComposeSettings(settings) {
+  composeState.settings = settings || {};
+
+  // ホットキーの表示やアクセントカラーを反映するためボタンを作り直す
+  document.querySelector(`.${COMPOSE_BUTTON_CLASS}`)?.remove();
+  attachComposeButton();
+}
@@ -5,7 +5,251 @@
  * 複数の場所で使用される言語関連の機能をまとめています。
  */
 
-import { getJapaneseRatio, getEnglishRatio, getContentCharsCount } from './utils.js';
+import { getEnglishRatio, getContentCharsCount } from './utils.js';
+import { checkSkipRules } from './skipRules.js';
+import { LATIN_LANGUAGE_SAMPLES } from './languageProfiles.js';
+
+// 翻訳先言語ごとの文字種判定用正規表現
+const TARGET_LANGUAGE_SCRIPTS = {
+  ja: /[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/g,
+  zh: /[\u4E00-\u9FFF]/g,
+  ko: /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/g,
+  en: /[a-zA-Z]/g,
+  es: /[a-zA-Z\u00C0-\u024F]/g,
+  fr: /[a-zA-Z\u00C0-\u024F]/g,
+  de: /[a-zA-Z\u00C0-\u024F]/g,
+  pt: /[a-zA-Z\u00C0-\u024F]/g,
+};
+
+// 翻訳先言語ごとのデフォルト接頭辞
+export const TARGET_LANGUAGE_PREFIXES = {
+  ja: "🇯🇵",
+  en: "🇺🇸",
+  ko: "🇰🇷",
+  zh: "🇨🇳",
+  es: "🇪🇸",
+  fr: "🇫🇷",
+  de: "🇩🇪",
+  pt: "🇧🇷",
+};
+
+// 文字の種類ごとの正規表現（言語判定用）
+const SCRIPT_PATTERNS = {
+  kana: /[\u3040-\u30FF\u31F0-\u31FF\uFF66-\uFF9F]/g,
+  hangul: /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/g,
+  han: /[\u3400-\u4DBF\u4E00-\u9FFF]/g,
+  cyrillic: /[\u0400-\u04FF]/g,
+  latin: /[a-zA-Z\u00C0-\u024F]/g,
+};
+
+// 文字の種類から判定する言語（かなを含む場合は日本語とする）
+// 漢字のみの場合は中国語とするが、日本語と区別できないため HAN_ONLY_LANGUAGES を候補として返す
+const SCRIPT_LANGUAGES = {
+  hangul: "ko",
+  han: "zh",
+  cyrillic: "ru",
+};
+
+// 漢字のみのテキストで区別できない言語
+const HAN_ONLY_LANGUAGES = ["ja", "zh"];
+
+// 判定できなかった場合の言語コード
+export const UNDETERMINED_LANGUAGE = "und";
+
+// 判定結果を翻訳モードに使用する最低の信頼度（これより低い場合は文字の割合で判定する）
+const MIN_DETECTION_CONFIDENCE = 0.5;
+
+// 言語判定に使用するN-gramの長さ
+const DETECTION_NGRAM_SIZE = 3;
+
+// N-gramの出現確率の平滑化の値
+const NGRAM_SMOOTHING = 0.5;
+
+// 信頼度を下げずに判定できるN-gramの数（短いメッセージほど信頼度を下げる）
+const FULL_CONFIDENCE_NGRAMS = 15;
+
+// 信頼度を下げずに判定できる文字数（漢字のみ・ハングルのみのメッセージなど）
+const FULL_CONFIDENCE_CHARS = 4;
+
+// ラテン文字の言語のN-gramモデル（初めて判定する際に作成）
+let ngramModels = null;
+
+/**
+ * テキストから単語ごとの文字N-gramを取得
+ * 単語の前後に空白を付け、単語の先頭と末尾の特徴も含めます。
+ * @param {string} text テキスト
+ * @returns {Array<string>} N-gramの配列
+ */
+function extractNgrams(text) {
+  const ngrams = [];
+  const words = text.toLowerCase().split(/[^\p{L}']+/u).filter(word => word.length > 0);
+
+  for (const word of words) {
+    const padded = ` ${word} `;
+    for (let i = 0; i <= padded.length - DETECTION_NGRAM_SIZE; i++) {
+      ngrams.push(padded.slice(i, i + DETECTION_NGRAM_SIZE));
+    }
+  }
+
+  return ngrams;
+}
+
+/**
+ * サンプルテキストからラテン文字の言語のN-gramモデルを作成
+ * @returns {{vocabularySize: number, languages: Array<{language: string, counts: Map<string, number>, total: number}>}} N-gramモデル
+ */
+function getNgramModels() {
+  if (ngramModels) {
+    return ngramModels;
+  }
+
+  const vocabulary = new Set();
+  const languages = Object.entries(LATIN_LANGUAGE_SAMPLES).map(([language, sample]) => {
+    const counts = new Map();
+    const ngrams = extractNgrams(sample);
+
+    for (const ngram of ngrams) {
+      counts.set(ngram, (counts.get(ngram) || 0) + 1);
+      vocabulary.add(ngram);
+    }
+
+    return { language, counts, total: ngrams.length };
+  });
+
+  ngramModels = { vocabularySize: vocabulary.size, languages };
+  return ngramModels;
+}
+
+/**
+ * ラテン文字のテキストの言語をN-gramの出現確率から判定（ナイーブベイズ）
+ * @param {string} text テキスト
+ * @returns {{language: string, confidence: number}} 言語コードと信頼度（0～1）
+ */
+function detectLatinLanguage(text) {
+  const ngrams = extractNgrams(text);
+  if (ngrams.length === 0) {
+    return { language: UNDETERMINED_LANGUAGE, confidence: 0 };
+  }
+
+  const { vocabularySize, languages } = getNgramModels();
+
+  const scores = languages.map(({ language, counts, total }) => {
+    const denominator = total + NGRAM_SMOOTHING * vocabularySize;
+    const logLikelihood = ngrams.reduce(
+      (sum, ngram) => sum + Math.log(((counts.get(ngram) || 0) + NGRAM_SMOOTHING) / denominator),
+      0
+    );
+    return { language, logLikelihood };
+  });
+
+  // 対数尤度から各言語の事後確率を計算
+  const best = scores.reduce((a, b) => (b.logLikelihood > a.logLikelihood ? b : a));
+  const normalizer = scores.reduce((sum, score) => sum + Math.exp(score.logLikelihood - best.logLikelihood), 0);
+  const probability = 1 / normalizer;
+
+  return {
+    language: best.language,
+    confidence: probability * Math.min(1, ngrams.length / FULL_CONFIDENCE_NGRAMS),
+  };
+}
+
+/**
+ * テキストの言語を判定する
+ * 日本語・韓国語・中国語・ロシア語は文字の種類から、ラテン文字の言語（英語・スペイン語・ポルトガル語・フランス語・ドイツ語・イタリア語）は
+ * 文字N-gramの統計から判定します。
+ * @param {string} text 分析対象のテキスト（エモートやURLを除いたもの）
+ * @returns {{language: string, confidence: number, candidates?: string[]}} 言語コード（判定できない場合は"und"）と信頼度（0～1）。
+ *   漢字のみのテキストなど文字の種類から言語を区別できない場合は、candidates に候補の言語を含めます
+ */
+export function detectLanguage(text) {
+  if (!text) {
+    return { language: UNDETERMINED_LANGUAGE, confidence: 0 };
+  }
+
+  const cleaned = text.replace(/https?:\/\/\S+|www\.\S+|@\w+/gi, " ");
+  const counts = Object.fromEntries(
+    Object.entries(SCRIPT_PATTERNS).map(([script, pattern]) => [script, (cleaned.match(pattern) || []).length])
+  );
+  const letters = (cleaned.match(/\p{L}/gu) || []).length;
+
+  if (letters === 0) {
+    return { language: UNDETERMINED_LANGUAGE, confidence: 0 };
+  }
+
+  // かなを含む場合は漢字も日本語の文字として扱う
+  if (counts.kana > 0) {
+    counts.kana += counts.han;
+    counts.han = 0;
+  }
+
+  const [script, count] = Object.entries(counts).reduce((a, b) => (b[1] > a[1] ? b : a));
+  const share = count / letters;
+
+  if (count === 0) {
+    return { language: UNDETERMINED_LANGUAGE, confidence: 0 };
+  }
+
+  if (script === "latin") {
+    const result = detectLatinLanguage(cleaned);
+    return { language: result.language, confidence: result.confidence * share };
+  }
+
+  const result = {
+    language: script === "kana" ? "ja" : SCRIPT_LANGUAGES[script],
+    confidence: share * Math.min(1, count / FULL_CONFIDENCE_CHARS),
+  };
+
+  // 漢字のみの場合は日本語の可能性もある（「神回確定」「配信開始」など）
+  if (script === "han") {
+    result.candidates = HAN_ONLY_LANGUAGES;
+  }
+
+  return result;
+}
+
+/**
+ * 翻訳先言語の文字が占める割合を計算する
+ * @param {string} text 分析対象のテキスト
+ * @param {string} targetLanguage 翻訳先言語コード
+ * @returns {number} 翻訳先言語の文字の割合（0～1）
+ */
+export function getTargetLanguageRatio(text, targetLanguage = "ja") {
+  if (!text || text.length === 0) return 0;
+  const script = TARGET_LANGUAGE_SCRIPTS[targetLanguage] || TARGET_LANGUAGE_SCRIPTS.ja;
+  const targetChars = (text.match(script) || []).length;
+  return targetChars / text.length;
+}
+
+/**
+ * 翻訳先言語以外の文字（アルファベットや他言語の文字）が占める割合を計算する
+ * @param {string} text 分析対象のテキスト
+ * @param {string} targetLanguage 翻訳先言語コード
+ * @returns {number} 翻訳先言語以外の文字の割合（0～1）
+ */
+export function getForeignLetterRatio(text, targetLanguage = "ja") {
+  if (!text || text.length === 0) return 0;
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  const targetChars = getTargetLanguageRatio(text, targetLanguage) * text.length;
+  return Math.max(0, letters - targetChars) / text.length;
+}
+
+/**
+ * 翻訳テキストの接頭辞を取得する
+ * 接頭辞が未設定、または既定の国旗のままの場合は翻訳先言語の国旗を使用します。
+ * @param {object} settings 設定オブジェクト
+ * @returns {string} 接頭辞
+ */
+export function getDisplayPrefix(settings) {
+  const targetPrefix =
+    TARGET_LANGUAGE_PREFIXES[settings.targetLanguage] || TARGET_LANGUAGE_PREFIXES.ja;
+  const prefix = settings.displayPrefix;
+
+  if (!prefix || Object.values(TARGET_LANGUAGE_PREFIXES).includes(prefix)) {
+    return targetPrefix;
+  }
+
+  return prefix;
+}
 
 /**
  * 英語テキスト判定（シンプル版）
@@ -19,255 +263,155 @@ export function isEnglishText(text) {
 }
 
 /**
- * テキストが翻訳対象かどうかを判定する
+ * テキストが翻訳対象かどうかを言語判定の結果から判定し、理由とともに返す
+ * 言語を十分な信頼度で判定できない場合は、文字の割合から判定します。
+ * @param {string} text テキスト
+ * @param {object} settings 設定オブジェクト（targetLanguage, sourceLanguages: 翻訳する言語, 空の場合はすべての言語）
+ * @returns {{translate: boolean, reason: string, language: string}} 判定結果と理由、判定した言語
+ */
+export function getLanguageDecision(text, settings) {
+  const targetLanguage = settings.targetLanguage || "ja";
+  const detection = detectLanguage(text);
+
+  if (detection.confidence < MIN_DETECTION_CONFIDENCE) {
+    return { ...getRatioDecision(text, settings), language: UNDETERMINED_LANGUAGE };
+  }
+
+  const detected = `言語判定: ${detection.language} (信頼度 ${Math.round(detection.confidence * 100)}%)`;
+  const sourceLanguages = Array.isArray(settings.sourceLanguages) ? settings.sourceLanguages : [];
+  const candidates = detection.candidates || [detection.language];
+
+  if (detection.language === targetLanguage) {
+    return { translate: false, reason: `${detected} - 翻訳先言語のため翻訳しません`, language: detection.language };
+  }
+
+  // 漢字のみのテキストは、翻訳先言語で書かれている可能性がある場合は翻訳しない
+  if (candidates.includes(targetLanguage)) {
+    return {
+      translate: false,
+      reason: `${detected} - 漢字のみのため翻訳先言語(${targetLanguage})と区別できず翻訳しません`,
+      language: UNDETERMINED_LANGUAGE,
+    };
+  }
+
+  if (sourceLanguages.length > 0 && !candidates.some(language => sourceLanguages.includes(language))) {
+    return { translate: false, reason: `${detected} - 翻訳する言語に含まれていないため翻訳しません`, language: detection.language };
+  }
+
+  return { translate: true, reason: `${detected} - 翻訳対象です`, language: detection.language };
+}
+
+/**
+ * テキストが翻訳対象かどうかを文字の割合から判定し、理由とともに返す
  * @param {string} text テキスト
  * @param {object} settings 設定オブジェクト
- * @returns {boolean} 翻訳対象かどうか
+ * @returns {{translate: boolean, reason: string}} 判定結果と理由
  */
-export function shouldTranslate(text, settings) {
+function getRatioDecision(text, settings) {
   // 空のテキストは翻訳しない
   if (!text || text.length === 0) {
-    return false;
+    return { translate: false, reason: "テキストが空のため翻訳しません" };
   }
 
-  // 設定から閾値を取得
-  const japaneseThreshold = settings.japaneseThreshold / 100;
-  const englishThreshold = settings.englishThreshold / 100;
+  // 設定から翻訳先言語と閾値を取得
+  const targetLanguage = settings.targetLanguage || "ja";
+  const targetThreshold = settings.japaneseThreshold / 100;
+  const foreignThreshold = settings.englishThreshold / 100;
 
   // 文章の内容を分析
-  const japaneseRatio = getJapaneseRatio(text);
-  const englishRatio = getEnglishRatio(text);
+  const targetRatio = getTargetLanguageRatio(text, targetLanguage);
+  const foreignRatio = getForeignLetterRatio(text, targetLanguage);
   const contentChars = getContentCharsCount(text);
   
-  // 日本語が多ければ翻訳しない
-  if (japaneseRatio >= japaneseThreshold) {
-    console.log(`日本語率: ${(japaneseRatio * 100).toFixed(1)}% - 翻訳しません`);
-    return false;
+  // 翻訳先言語が多ければ翻訳しない
+  if (targetRatio >= targetThreshold) {
+    return { translate: false, reason: `翻訳先言語(${targetLanguage})率: ${(targetRatio * 100).toFixed(1)}% - 翻訳しません` };
   }
 
-  // 英語が十分にあれば翻訳する
-  if (englishRatio >= englishThreshold) {
-    console.log(`英語率: ${(englishRatio * 100).toFixed(1)}% - 翻訳対象です`);
-    return true;
+  // 翻訳先言語以外の文字が十分にあれば翻訳する
+  if (foreignRatio >= foreignThreshold) {
+    return { translate: true, reason: `外国語率: ${(foreignRatio * 100).toFixed(1)}% - 翻訳対象です` };
   }
 
   // 内容がほとんどない場合（絵文字や記号だけなど）は翻訳しない
   if (contentChars < 3) {
-    console.log("実質的な内容が少ないため翻訳しません");
-    return false;
+    return { translate: false, reason: "実質的な内容が少ないため翻訳しません" };
   }
 
-  // 英語が日本語より多い場合は翻訳する
-  const japaneseChars = japaneseRatio * text.length;
-  const englishChars = englishRatio * text.length;
-  if (englishChars > japaneseChars) {
-    console.log("英語が日本語より多いため翻訳対象です");
-    return true;
+  // 翻訳先言語以外の文字が翻訳先言語より多い場合は翻訳する
+  if (foreignRatio > targetRatio) {
+    return { translate: true, reason: "翻訳先言語以外の文字が多いため翻訳対象です" };
   }
 
   // デフォルトでは翻訳しない
-  return false;
+  return { translate: false, reason: "翻訳先言語以外の文字が少ないため翻訳しません" };
 }
 
 /**
- * 翻訳モードに基づいて翻訳すべきかどうかを判定
+ * テキストが翻訳対象かどうかを判定する
  * @param {string} text テキスト
  * @param {object} settings 設定オブジェクト
  * @returns {boolean} 翻訳対象かどうか
  */
-export function shouldTranslateBasedOnMode(text, settings) {
+export function shouldTranslate(text, settings) {
+  return getLanguageDecision(text, settings).translate;
+}
+
+/**
+ * 翻訳モードに基づいて翻訳すべきかどうかを判定し、理由とともに返す
+ * @param {string} text テキスト
+ * @param {object} settings 設定オブジェクト
+ * @returns {{translate: boolean, reason: string}} 判定結果と理由
+ */
+export function getModeDecision(text, settings) {
   // 翻訳モードに応じて判定
   switch (settings.translationMode) {
     // すべてのメッセージを翻訳
     case "all":
-      return true;
-
-    // 英語メッセージのみ翻訳
-    case "english":
-      return isEnglishText(text);
+      return { translate: true, reason: "すべてのメッセージを翻訳するモードです" };
+
+    // 英語メッセージのみ翻訳（翻訳先が英語の場合は対象外）
+    // 言語を十分な信頼度で判定できない場合は、アルファベットの割合から判定する
+    case "english": {
+      const detection = detectLanguage(text);
+      const isEnglish = detection.confidence >= MIN_DETECTION_CONFIDENCE
+        ? detection.language === "en"
+        : isEnglishText(text);
+
+      return settings.targetLanguage !== "en" && isEnglish
+        ? { translate: true, reason: "英語のメッセージのため翻訳対象です" }
+        : { translate: false, reason: "英語のメッセージではないため翻訳しません" };
+    }
 
     // 選択的翻訳（デフォルト）- 言語判定ロジックを使用
     case "selective":
     default:
-      return shouldTranslate(text, settings);
-  }
-}
-
-/**
- * メッセージテキストの抽出
- * @param {Element} messageElement メッセージ要素
- * @returns {string|null} 抽出されたテキストまたはnull
- */
-export function extractMessageText(messageElement) {
-  if (!messageElement) return null;
-
-  // 新しいDOMパスを優先的に使用
-  const textElement =
-    messageElement.querySelector('[data-a-target="chat-message-text"]') ||
-    messageElement.querySelector('[data-a-target="chat-line-message-body"] .text-fragment') ||
-    messageElement.querySelector(".text-fragment");
-
-  if (textElement) {
-    return textElement.textContent.trim();
-  }
-
-  // バックアップ方法: テキストを含む可能性のある要素を探す
-  const possibleTextContainers = [
-    ".text-token",
-    ".message-text",
-    '[data-a-target="chat-line-message-body"]',
-  ];
-
-  for (const selector of possibleTextContainers) {
-    const element = messageElement.querySelector(selector);
-    if (element && element.textContent.trim()) {
-      return element.textContent.trim();
-    }
+      return getLanguageDecision(text, settings);
   }
-
-  return null;
 }
 
 /**
- * 翻訳リクエストをバックグラウンドスクリプトに送信
- * @param {string} text 翻訳するテキスト
- * @param {string} sourceLang ソース言語 (デフォルト: "auto")
- * @param {function} handleContextInvalidated コンテキスト無効時の処理関数
- * @returns {Promise<object>} 翻訳結果
+ * 翻訳モードに基づいて翻訳すべきかどうかを判定
+ * @param {string} text テキスト
+ * @param {object} settings 設定オブジェクト
+ * @returns {boolean} 翻訳対象かどうか
  */
-export function sendTranslationRequest(text, sourceLang = "auto", handleContextInvalidated) {
-  return new Promise((resolve, reject) => {
-    try {
-      chrome.runtime.sendMessage(
-        { action: "translate", text, sourceLang },
-        (response) => {
-          if (chrome.runtime.lastError) {
-            console.warn(
-              "翻訳リクエストエラー:",
-              chrome.runtime.lastError.message
-            );
-
-            // コンテキスト無効化エラーの場合は再初期化を試みる
-            if (
-              chrome.runtime.lastError.message.includes(
-                "Extension context invalidated"
-              ) && 
-              typeof handleContextInvalidated === "function"
-            ) {
-              handleContextInvalidated();
-            }
-
-            reject(chrome.runtime.lastError);
-          } else {
-            resolve(response);
-          }
-        }
-      );
-    } catch (error) {
-      console.error("メッセージ送信エラー:", error);
-
-      // 拡張機能コンテキストが無効になった場合の処理
-      if (
-        error.message &&
-        error.message.includes("Extension context invalidated") && 
-        typeof handleContextInvalidated === "function"
-      ) {
-        handleContextInvalidated();
-      }
-
-      resolve({ success: false, error: error.message });
-    }
-  });
+export function shouldTranslateBasedOnMode(text, settings) {
+  return getModeDecision(text, settings).translate;
 }
 
 /**
- * 翻訳表示関数
- * @param {Element} messageElement メッセージ要素
- * @param {string} translatedText 翻訳されたテキスト
- * @param {string} engine 翻訳エンジン (デフォルト: "")
+ * メッセージを翻訳するかどうかを、翻訳しないルールと翻訳モードから判定
+ * @param {{plainText: string, originalText: string, tokens: Array<object>}} message メッセージ（plainText: 言語判定用のテキスト, originalText: エモート名やURLを含む元のテキスト, tokens: エモートなどのトークン）
  * @param {object} settings 設定オブジェクト
+ * @returns {{translate: boolean, reason: string, skipRule: string|null}} 判定結果と理由（skipRule: 一致した翻訳しないルール）
  */
-export function displayTranslation(messageElement, translatedText, engine = "", settings) {
-  console.log(`翻訳表示: "${translatedText}"`);
-  console.log(`翻訳エンジン: ${engine || "不明"}`);
-
-  // 翻訳エンジンに応じた接頭辞を作成
-  let prefix = settings.displayPrefix;
-  if (engine === "gemini") {
-    prefix = "🤖 " + prefix; // ロボットアイコン + 通常の接頭辞
-  } else if (engine === "cached") {
-    prefix = "💾 " + prefix; // ディスクアイコン + 通常の接頭辞
+export function getTranslationDecision(message, settings) {
+  const emoteNames = (message.tokens || []).filter(token => token.type === "emote" && token.text).map(token => token.text);
+  const skipResult = checkSkipRules(message.originalText, settings, emoteNames);
+  if (skipResult.skip) {
+    return { translate: false, reason: `${skipResult.detail}に一致するため翻訳しません`, skipRule: skipResult.rule };
   }
 
-  // 既に翻訳要素があれば更新
-  let translationElement = messageElement.querySelector(
-    ".twitch-gemini-translation"
-  );
-
-  if (translationElement) {
-    translationElement.textContent = `${prefix} ${translatedText}`;
-    return;
-  }
-
-  // 翻訳表示用の要素を作成
-  translationElement = document.createElement("div");
-  translationElement.className = "twitch-gemini-translation";
-  translationElement.textContent = `${prefix} ${translatedText}`;
-
-  // フォントサイズの設定
-  let fontSize = "0.9em";
-  switch (settings.fontSize) {
-    case "small":
-      fontSize = "0.8em";
-      break;
-    case "medium":
-      fontSize = "0.9em";
-      break;
-    case "large":
-      fontSize = "1.0em";
-      break;
-  }
-
-  // スタイル設定
-  translationElement.style.color = settings.textColor;
-  translationElement.style.fontSize = fontSize;
-  translationElement.style.marginTop = "4px";
-  translationElement.style.marginLeft = "20px";
-  translationElement.style.fontStyle = "italic";
-  translationElement.style.padding = "2px 0";
-  translationElement.style.borderLeft = `3px solid ${settings.accentColor}`;
-  translationElement.style.paddingLeft = "8px";
-
-  // 最適な挿入位置を探す
-  // 1. メッセージコンテナ
-  const messageContainer = messageElement.querySelector(
-    ".chat-line__message-container"
-  );
-
-  // 2. サブコンテナ（確認された構造から）
-  const subContainer = messageElement.querySelector(".cwtKyw");
-
-  // 挿入先の決定
-  const insertTarget = messageContainer || subContainer || messageElement;
-
-  try {
-    // 要素の最後に追加
-    insertTarget.appendChild(translationElement);
-    console.log("翻訳を表示しました");
-  } catch (error) {
-    console.error("翻訳表示エラー:", error);
-
-    // 代替手段としてmessageElementの後に挿入
-    try {
-      if (messageElement.parentElement) {
-        messageElement.parentElement.insertBefore(
-          translationElement,
-          messageElement.nextSibling
-        );
-        console.log("代替方法で翻訳を表示しました");
-      }
-    } catch (fallbackError) {
-      console.error("翻訳表示の代替手段も失敗:", fallbackError);
-    }
-  }
+  return { ...getModeDecision(message.plainText, settings), skipRule: null };
 }
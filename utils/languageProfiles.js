@@ -0,0 +1,71 @@
+/**
+ * Twitch Gemini Translator 言語判定用のサンプルテキスト
+ *
+ * ラテン文字の言語を文字N-gramで判定するため、配信のチャットでよく見られる表現のサンプルテキストを言語ごとに保持します。
+ * N-gramの出現頻度は、初めて言語を判定する際にこのテキストから計算されます。
+ * 日本語・韓国語・中国語・ロシア語などは文字の種類で判定するため、ここには含めません。
+ */
+
+export const LATIN_LANGUAGE_SAMPLES = {
+  en: "hello everyone how are you doing today this stream is so much fun i can't believe he made that jump " +
+    "what a play that was insane let's go chat is going crazy right now does anyone know what game this is " +
+    "i think he should have waited for the other team to come to him that was the best round i have seen in a long time " +
+    "thank you for the stream see you tomorrow where did you get that skin it looks really good " +
+    "i was not ready for that at all please do not die again we need to win this one " +
+    "the boss is really hard but you can do it just keep trying and watch out for the trap on the left side " +
+    "what is the name of this song i love it good morning from the united states have a nice day everybody " +
+    "i just got here what did i miss why would you do that he is the best player in the world right now " +
+    "that's so funny oh my god no way he actually did it what are they doing there with the other guys",
+
+  es: "hola a todos cómo están hoy este directo está muy divertido no puedo creer que hizo ese salto " +
+    "qué jugada tan increíble vamos el chat se está volviendo loco alguien sabe qué juego es este " +
+    "creo que debería haber esperado al otro equipo esa fue la mejor ronda que he visto en mucho tiempo " +
+    "gracias por el directo nos vemos mañana dónde conseguiste esa skin se ve muy bien " +
+    "no estaba listo para eso por favor no te mueras otra vez tenemos que ganar esta " +
+    "el jefe es muy difícil pero tú puedes sigue intentando y cuidado con la trampa del lado izquierdo " +
+    "cómo se llama esta canción me encanta buenos días desde méxico que tengan un buen día " +
+    "acabo de llegar qué me perdí por qué harías eso es el mejor jugador del mundo ahora mismo " +
+    "qué risa no manches de verdad lo hizo qué están haciendo ellos ahí con los demás",
+
+  pt: "olá pessoal como vocês estão hoje essa live está muito divertida não acredito que ele fez esse pulo " +
+    "que jogada incrível vamos lá o chat está ficando louco alguém sabe que jogo é esse " +
+    "acho que ele deveria ter esperado o outro time essa foi a melhor rodada que eu vi em muito tempo " +
+    "obrigado pela live até amanhã onde você conseguiu essa skin ficou muito bonita " +
+    "eu não estava pronto para isso por favor não morra de novo a gente precisa ganhar essa " +
+    "o chefe é muito difícil mas você consegue continua tentando e cuidado com a armadilha do lado esquerdo " +
+    "qual é o nome dessa música eu amo bom dia do brasil tenham um ótimo dia " +
+    "acabei de chegar o que eu perdi por que você faria isso ele é o melhor jogador do mundo agora " +
+    "que engraçado meu deus não acredito ele conseguiu mesmo o que eles estão fazendo lá com os outros",
+
+  fr: "salut tout le monde comment ça va aujourd'hui ce live est vraiment trop drôle " +
+    "je n'arrive pas à croire qu'il a fait ce saut quelle action incroyable allez le chat devient fou " +
+    "est-ce que quelqu'un sait quel jeu c'est je pense qu'il aurait dû attendre l'autre équipe " +
+    "c'était la meilleure manche que j'ai vue depuis longtemps merci pour le live à demain " +
+    "où est-ce que tu as eu ce skin il est vraiment beau je n'étais pas prêt pour ça " +
+    "s'il te plaît ne meurs pas encore une fois il faut gagner celle-ci le boss est très difficile " +
+    "mais tu peux le faire continue d'essayer et fais attention au piège sur le côté gauche " +
+    "comment s'appelle cette chanson je l'adore bonjour de france bonne journée à tous " +
+    "je viens d'arriver qu'est-ce que j'ai raté pourquoi tu ferais ça c'est le meilleur joueur du monde en ce moment " +
+    "trop marrant oh mon dieu il l'a vraiment fait qu'est-ce qu'ils font là avec les autres",
+
+  de: "hallo zusammen wie geht es euch heute dieser stream macht richtig spaß " +
+    "ich kann nicht glauben dass er diesen sprung geschafft hat was für ein spielzug los geht's " +
+    "der chat dreht gerade völlig durch weiß jemand welches spiel das ist " +
+    "ich glaube er hätte auf das andere team warten sollen das war die beste runde die ich seit langem gesehen habe " +
+    "danke für den stream bis morgen woher hast du diesen skin der sieht echt gut aus " +
+    "darauf war ich überhaupt nicht vorbereitet bitte stirb nicht schon wieder wir müssen diese runde gewinnen " +
+    "der boss ist wirklich schwer aber du schaffst das einfach weiter versuchen und pass auf die falle auf der linken seite auf " +
+    "wie heißt dieses lied ich liebe es guten morgen aus deutschland schönen tag noch an alle " +
+    "ich bin gerade erst gekommen was habe ich verpasst warum würdest du das machen er ist gerade der beste spieler der welt " +
+    "wie lustig oh mein gott er hat es wirklich gemacht was machen die da mit den anderen",
+
+  it: "ciao a tutti come state oggi questa live è davvero divertente non ci credo che ha fatto quel salto " +
+    "che giocata incredibile andiamo la chat sta impazzendo qualcuno sa che gioco è questo " +
+    "penso che avrebbe dovuto aspettare l'altra squadra è stato il miglior round che ho visto da molto tempo " +
+    "grazie per la live a domani dove hai preso quella skin è molto bella " +
+    "non ero pronto per questo per favore non morire di nuovo dobbiamo vincere questa " +
+    "il boss è molto difficile ma puoi farcela continua a provare e attento alla trappola sul lato sinistro " +
+    "come si chiama questa canzone la adoro buongiorno dall'italia buona giornata a tutti " +
+    "sono appena arrivato cosa mi sono perso perché dovresti fare questo è il miglior giocatore del mondo adesso " +
+    "che ridere oddio l'ha fatto davvero cosa stanno facendo lì con gli altri",
+};
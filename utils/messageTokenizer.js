@@ -0,0 +1,208 @@
+/**
+ * Twitch Gemini Translator メッセージトークナイザー
+ *
+ * チャットメッセージに含まれるエモート（Twitch標準・画像ベースの拡張エモート）、
+ * メンション、URL、コードのようなトークンをプレースホルダーに置き換えてから翻訳し、
+ * 翻訳後にプレースホルダーを元のトークンに戻して表示するための機能を提供します。
+ */
+
+// プレースホルダーの形式（モデルが翻訳・変更しにくい記号で囲む）
+const PLACEHOLDER_OPEN = "⟦";
+const PLACEHOLDER_CLOSE = "⟧";
+
+// 翻訳結果からプレースホルダーを検出する正規表現（モデルが空白を挟んだ場合も許容）
+const PLACEHOLDER_PATTERN = /⟦\s*(\d+)\s*⟧/g;
+
+// テキスト中のトークンを検出する正規表現
+// 1: URL, 2: メンション, 3: バッククォートで囲まれたコード, 4: 関数呼び出し風の記述, 5: snake_case の識別子
+const TEXT_TOKEN_PATTERN = /(https?:\/\/\S+|www\.\S+)|(@\w+)|(`[^`]+`)|(\b\w+(?:\.\w+)*\(\))|(\b[A-Za-z]\w*_\w+\b)/g;
+
+// テキストトークンの種類（TEXT_TOKEN_PATTERNのグループ順）
+const TEXT_TOKEN_TYPES = ["url", "mention", "code", "code", "code"];
+
+// メンションを表す要素のセレクタ
+const MENTION_SELECTOR = '.mention-fragment, [data-a-target="chat-message-mention"]';
+
+/**
+ * プレースホルダーを作成
+ * @param {number} index トークンの番号
+ * @returns {string} プレースホルダー
+ */
+function createPlaceholder(index) {
+  return `${PLACEHOLDER_OPEN}${index}${PLACEHOLDER_CLOSE}`;
+}
+
+/**
+ * 要素がエモートかどうかを判定し、エモート画像を取得
+ * 画像だけを含む要素（Twitch標準のエモートボタンやBTTV・FFZ・7TVのエモート）もエモートとして扱います。
+ * @param {Element} element 要素
+ * @returns {HTMLImageElement|null} エモート画像（エモートでない場合はnull）
+ */
+function getEmoteImage(element) {
+  if (element.tagName === "IMG") {
+    return element;
+  }
+
+  const image = element.querySelector("img");
+  return image && element.textContent.trim() === "" ? image : null;
+}
+
+/**
+ * メッセージ本文の要素をトークン化
+ * @param {Element} bodyElement メッセージ本文の要素
+ * @returns {{text: string, plainText: string, originalText: string, tokens: Array<object>}}
+ *   text: 翻訳に送信するテキスト（トークンはプレースホルダーに置換）
+ *   plainText: トークンを除いたテキスト（言語判定用）
+ *   originalText: エモート名などを含む元のテキスト（文脈用）
+ *   tokens: トークンの配列（プレースホルダーの番号順）
+ */
+export function tokenizeMessage(bodyElement) {
+  const tokens = [];
+  let text = "";
+  let plainText = "";
+  let originalText = "";
+
+  const addToken = (token) => {
+    text += createPlaceholder(tokens.length);
+    originalText += token.text;
+    tokens.push(token);
+  };
+
+  const addText = (value) => {
+    let lastIndex = 0;
+
+    for (const match of value.matchAll(TEXT_TOKEN_PATTERN)) {
+      const before = value.slice(lastIndex, match.index);
+      text += before;
+      plainText += before;
+      originalText += before;
+
+      const groupIndex = match.slice(1).findIndex(group => group !== undefined);
+      addToken({ type: TEXT_TOKEN_TYPES[groupIndex], text: match[0] });
+
+      lastIndex = match.index + match[0].length;
+    }
+
+    const rest = value.slice(lastIndex);
+    text += rest;
+    plainText += rest;
+    originalText += rest;
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      addText(node.textContent);
+      return;
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return;
+    }
+
+    if (node.matches(MENTION_SELECTOR)) {
+      addToken({ type: "mention", text: node.textContent.trim() });
+      return;
+    }
+
+    if (node.tagName === "A") {
+      addToken({ type: "url", text: node.textContent.trim(), href: node.href });
+      return;
+    }
+
+    const emoteImage = getEmoteImage(node);
+    if (emoteImage) {
+      const alt = emoteImage.alt || "";
+      addToken({
+        type: "emote",
+        text: alt,
+        src: emoteImage.currentSrc || emoteImage.src,
+        srcset: emoteImage.getAttribute("srcset") || "",
+        alt,
+      });
+      return;
+    }
+
+    node.childNodes.forEach(walk);
+  };
+
+  bodyElement.childNodes.forEach(walk);
+
+  return {
+    text: text.replace(/\s+/g, " ").trim(),
+    plainText: plainText.replace(/\s+/g, " ").trim(),
+    originalText: originalText.replace(/\s+/g, " ").trim(),
+    tokens,
+  };
+}
+
+/**
+ * トークンを表示用のノードに変換
+ * @param {object} token トークン
+ * @returns {Node} 表示用のノード
+ */
+function createTokenNode(token) {
+  if (token.type === "emote" && token.src) {
+    const image = document.createElement("img");
+    image.className = "twitch-translator-emote";
+    image.src = token.src;
+    if (token.srcset) {
+      image.srcset = token.srcset;
+    }
+    image.alt = token.alt;
+    image.title = token.alt;
+    image.style.height = "1.5em";
+    image.style.verticalAlign = "middle";
+    image.style.margin = "0 2px";
+    return image;
+  }
+
+  // リンクはhttp(s)のURLのみ再現する
+  const href = token.href || (token.type === "url" ? token.text : "");
+  if (token.type === "url" && /^https?:\/\//i.test(href)) {
+    const link = document.createElement("a");
+    link.href = href;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    link.textContent = token.text;
+    return link;
+  }
+
+  return document.createTextNode(token.text);
+}
+
+/**
+ * 翻訳結果のプレースホルダーを元のトークンに戻して表示用のノードを作成
+ * モデルが削除してしまったエモートは末尾に追加します。
+ * @param {string} translation 翻訳結果（プレースホルダーを含む）
+ * @param {Array<object>} tokens tokenizeMessageで取得したトークン
+ * @returns {DocumentFragment} 表示用のノード
+ */
+export function renderTranslation(translation, tokens = []) {
+  const fragment = document.createDocumentFragment();
+  const restored = new Set();
+  let lastIndex = 0;
+
+  for (const match of translation.matchAll(PLACEHOLDER_PATTERN)) {
+    const index = Number(match[1]);
+    const token = tokens[index];
+
+    // 対応するトークンがないプレースホルダーはそのまま表示
+    if (!token) {
+      continue;
+    }
+
+    fragment.append(translation.slice(lastIndex, match.index), createTokenNode(token));
+    restored.add(index);
+    lastIndex = match.index + match[0].length;
+  }
+
+  fragment.append(translation.slice(lastIndex));
+
+  tokens.forEach((token, index) => {
+    if (token.type === "emote" && !restored.has(index)) {
+      fragment.append(" ", createTokenNode(token));
+    }
+  });
+
+  return fragment;
+}
@@ -0,0 +1,343 @@
+/**
+ * Twitch Gemini Translator アーカイブ・クリップのチャットのリプレイ
+ *
+ * アーカイブ（/videos/ID）とクリップのページで、再生に合わせて表示されるチャットのリプレイを監視して翻訳します。
+ * 再生位置を移動した場合は、移動先で表示されたメッセージをまとめて翻訳します。
+ * アーカイブでは、プレイヤーが読み込んだチャット（content/replayHook.jsから受け取る）のうち
+ * 再生位置より少し先のメッセージを先に翻訳し、表示された時点でキャッシュから表示できるようにします。
+ */
+
+// リプレイのチャットの一覧のセレクタ（複数のセレクタを試行）
+const REPLAY_LIST_SELECTORS = [
+  ".video-chat__message-list-wrapper",
+  '[data-test-selector="video-chat-message-list-wrapper"]',
+];
+
+// リプレイのチャットのメッセージのセレクタ
+const REPLAY_MESSAGE_SELECTOR = ".vod-message";
+
+// チャンネルへのリンクのセレクタ（アーカイブのURLにはチャンネル名が含まれないため）
+const CHANNEL_LINK_SELECTORS = [
+  '[data-a-target="video-info-channel-link"]',
+  ".channel-info-content a[href]",
+];
+
+// プレイヤーのvideo要素のセレクタ
+const VIDEO_SELECTOR = "video";
+
+// content/replayHook.jsから受け取るメッセージの送信元
+const MESSAGE_SOURCE = "twitch-translator-replay";
+
+// チャットの一覧・プレイヤーが再描画された場合に監視し直す間隔（ミリ秒）
+const ATTACH_INTERVAL = 2000;
+
+// 再生位置の移動後、チャットの表示が落ち着くまで待つ時間（ミリ秒）
+const SEEK_SETTLE_DELAY = 500;
+
+// 再生位置の移動後にまとめて翻訳する最大のメッセージ数（新しいものから）
+const SEEK_BATCH_SIZE = 30;
+
+// 1回の再生位置の更新で先読みする最大のメッセージ数
+const PREFETCH_BATCH_SIZE = 20;
+
+// 再生位置より前のメッセージを保持する時間（秒）
+const COMMENT_RETENTION = 60;
+
+// バッジのセットIDと役割の対応（chatFilter.jsの役割に合わせる）
+const BADGE_ROLES = {
+  broadcaster: "broadcaster",
+  moderator: "moderator",
+  vip: "vip",
+  subscriber: "subscriber",
+  founder: "subscriber",
+};
+
+// リプレイの状態
+const replayState = {
+  settings: {},
+  isEnabled: null,
+  processMessage: null,
+  prefetch: null,
+  onAttach: null,
+  list: null,
+  observer: null,
+  video: null,
+  attachTimer: null,
+  seekTimer: null,
+  messageCounter: 0,
+  comments: new Map(),
+  prefetchedIds: new Set(),
+};
+
+/**
+ * URLがチャットのリプレイのあるページ（アーカイブ・クリップ）かどうかを判定
+ * @param {string} url 判定するURL
+ * @returns {boolean} アーカイブまたはクリップのページの場合はtrue
+ */
+export function isReplayPage(url = window.location.href) {
+  try {
+    const urlObj = new URL(url);
+    return /^\/videos\/\d+/.test(urlObj.pathname)
+      || /^\/[^/]+\/clip\/[^/]+/.test(urlObj.pathname)
+      || urlObj.hostname.startsWith("clips.");
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * URLがアーカイブのページかどうかを判定
+ * クリップのチャットの再生位置はアーカイブの再生位置と異なるため、先読みはアーカイブのみで行います。
+ * @param {string} url 判定するURL
+ * @returns {boolean} アーカイブのページの場合はtrue
+ */
+function isVideoPage(url = window.location.href) {
+  try {
+    return /^\/videos\/\d+/.test(new URL(url).pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * ページ内のチャンネルへのリンクからチャンネル名を取得
+ * @returns {string} チャンネル名（見つからない場合は空文字）
+ */
+export function getReplayChannel() {
+  for (const selector of CHANNEL_LINK_SELECTORS) {
+    const link = document.querySelector(selector);
+    const match = link?.getAttribute("href")?.match(/^\/([^\/?#]+)/);
+    if (match && match[1] !== "videos") {
+      return match[1];
+    }
+  }
+  return "";
+}
+
+/**
+ * リプレイの翻訳が有効かどうかを判定
+ * @returns {boolean} 有効な場合はtrue
+ */
+function isReplayActive() {
+  return replayState.settings.replayChatEnabled !== false
+    && isReplayPage()
+    && (typeof replayState.isEnabled !== "function" || replayState.isEnabled());
+}
+
+/**
+ * リプレイのメッセージを翻訳
+ * アーカイブのメッセージにはIDがないため、処理済みの判定に使うIDを付けてから渡します。
+ * @param {Element} messageElement メッセージ要素
+ */
+function processReplayMessage(messageElement) {
+  if (!messageElement.getAttribute("data-message-id")) {
+    messageElement.setAttribute("data-message-id", `replay-${++replayState.messageCounter}`);
+  }
+  replayState.processMessage(messageElement);
+}
+
+/**
+ * 追加された要素からリプレイのメッセージを探して翻訳
+ * @param {Array<MutationRecord>} mutations 変更の一覧
+ */
+function handleListMutations(mutations) {
+  if (!isReplayActive()) return;
+
+  for (const mutation of mutations) {
+    for (const node of mutation.addedNodes) {
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+      if (node.matches(REPLAY_MESSAGE_SELECTOR)) {
+        processReplayMessage(node);
+      } else {
+        node.querySelectorAll(REPLAY_MESSAGE_SELECTOR).forEach(processReplayMessage);
+      }
+    }
+  }
+}
+
+/**
+ * 表示中のリプレイのメッセージをまとめて翻訳（再生位置の移動後）
+ * 翻訳済みのメッセージは processMessage の側でスキップされます。
+ */
+function processVisibleReplayMessages() {
+  if (!isReplayActive() || !replayState.list) return;
+
+  const messages = Array.from(replayState.list.querySelectorAll(REPLAY_MESSAGE_SELECTOR));
+  messages.slice(-SEEK_BATCH_SIZE).reverse().forEach(processReplayMessage);
+}
+
+/**
+ * 再生位置が移動したときの処理
+ * Twitchは移動先のメッセージを描画し直すため、描画が落ち着いてから表示中のメッセージを翻訳します。
+ */
+function handleSeeked() {
+  clearTimeout(replayState.seekTimer);
+  replayState.seekTimer = setTimeout(processVisibleReplayMessages, SEEK_SETTLE_DELAY);
+}
+
+/**
+ * アーカイブのチャットの本文を、チャットの表示と同じ構造の要素に変換
+ * トークン化の結果を表示されたメッセージと一致させ、先読みした翻訳のキャッシュを使えるようにします。
+ * @param {Array<{text: string, emote: boolean}>} fragments 本文の断片
+ * @returns {HTMLElement} 本文の要素
+ */
+function createCommentBody(fragments) {
+  const body = document.createElement("span");
+
+  for (const fragment of fragments) {
+    if (fragment.emote) {
+      const image = document.createElement("img");
+      image.alt = fragment.text;
+      body.appendChild(image);
+    } else {
+      body.appendChild(document.createTextNode(fragment.text));
+    }
+  }
+
+  return body;
+}
+
+/**
+ * 再生位置より少し先のメッセージを先読みして翻訳
+ */
+function handleTimeUpdate() {
+  const video = replayState.video;
+  const prefetchSeconds = Number(replayState.settings.replayPrefetchSeconds) || 0;
+  if (!video || prefetchSeconds <= 0 || !isReplayActive() || !isVideoPage()) return;
+
+  const currentTime = video.currentTime;
+  let prefetched = 0;
+
+  for (const [id, comment] of replayState.comments) {
+    // 再生位置よりかなり前のメッセージは破棄（再生位置を戻した場合はプレイヤーが読み込み直す）
+    if (comment.offset < currentTime - COMMENT_RETENTION) {
+      replayState.comments.delete(id);
+      replayState.prefetchedIds.delete(id);
+      continue;
+    }
+
+    if (prefetched >= PREFETCH_BATCH_SIZE
+      || replayState.prefetchedIds.has(id)
+      || comment.offset < currentTime
+      || comment.offset > currentTime + prefetchSeconds) {
+      continue;
+    }
+
+    replayState.prefetchedIds.add(id);
+    prefetched++;
+    replayState.prefetch({
+      id,
+      body: createCommentBody(comment.fragments),
+      user: {
+        login: comment.login.toLowerCase(),
+        displayName: comment.displayName.toLowerCase(),
+        roles: new Set(comment.badges.map(badge => BADGE_ROLES[badge]).filter(Boolean)),
+      },
+      username: comment.displayName || comment.login,
+    });
+  }
+}
+
+/**
+ * ページのコンテキストから受け取ったアーカイブのチャットを保持
+ * @param {MessageEvent} event メッセージイベント
+ */
+function handleWindowMessage(event) {
+  if (event.source !== window || event.data?.source !== MESSAGE_SOURCE || !Array.isArray(event.data.comments)) {
+    return;
+  }
+
+  for (const comment of event.data.comments) {
+    replayState.comments.set(comment.id, comment);
+  }
+}
+
+/**
+ * チャットの一覧とプレイヤーを監視（再描画された場合は監視し直す）
+ */
+function attachReplayChat() {
+  if (!isReplayActive()) {
+    detachReplayChat();
+    return;
+  }
+
+  if (!replayState.list || !replayState.list.isConnected) {
+    replayState.observer?.disconnect();
+    replayState.observer = null;
+    replayState.list = null;
+
+    for (const selector of REPLAY_LIST_SELECTORS) {
+      replayState.list = document.querySelector(selector);
+      if (replayState.list) break;
+    }
+
+    if (replayState.list) {
+      replayState.observer = new MutationObserver(handleListMutations);
+      replayState.observer.observe(replayState.list, { childList: true, subtree: true });
+      processVisibleReplayMessages();
+      replayState.onAttach?.();
+      console.log("[Twitch Translator] リプレイのチャットの監視を開始しました");
+    }
+  }
+
+  const video = document.querySelector(VIDEO_SELECTOR);
+  if (video !== replayState.video) {
+    replayState.video?.removeEventListener("seeked", handleSeeked);
+    replayState.video?.removeEventListener("timeupdate", handleTimeUpdate);
+    replayState.video = video;
+    video?.addEventListener("seeked", handleSeeked);
+    video?.addEventListener("timeupdate", handleTimeUpdate);
+  }
+}
+
+/**
+ * チャットの一覧とプレイヤーの監視を終了
+ */
+function detachReplayChat() {
+  replayState.observer?.disconnect();
+  replayState.observer = null;
+  replayState.list = null;
+
+  replayState.video?.removeEventListener("seeked", handleSeeked);
+  replayState.video?.removeEventListener("timeupdate", handleTimeUpdate);
+  replayState.video = null;
+
+  clearTimeout(replayState.seekTimer);
+  replayState.comments.clear();
+  replayState.prefetchedIds.clear();
+}
+
+/**
+ * アーカイブ・クリップのチャットの翻訳を初期化
+ * @param {object} options 初期化オプション
+ * @param {object} options.settings 設定（replayChatEnabled, replayPrefetchSeconds）
+ * @param {function(): boolean} options.isEnabled 翻訳が有効かどうか
+ * @param {function(Element): void} options.processMessage メッセージ要素を翻訳する関数
+ * @param {function(object): void} options.prefetch 先読みするメッセージを翻訳する関数 ({ id, body, user, username }) => void
+ * @param {function(): void} [options.onAttach] チャットの一覧の監視を開始したときの処理
+ */
+export function initReplayChat({ settings, isEnabled, processMessage, prefetch, onAttach }) {
+  replayState.settings = settings || {};
+  replayState.isEnabled = isEnabled;
+  replayState.processMessage = processMessage;
+  replayState.prefetch = prefetch;
+  replayState.onAttach = onAttach;
+
+  if (replayState.attachTimer) {
+    return;
+  }
+
+  window.addEventListener("message", handleWindowMessage);
+  attachReplayChat();
+  replayState.attachTimer = setInterval(attachReplayChat, ATTACH_INTERVAL);
+}
+
+/**
+ * アーカイブ・クリップのチャットの翻訳の設定を更新
+ * @param {object} settings 新しい設定
+ */
+export function updateReplayChatSettings(settings) {
+  replayState.settings = settings || {};
+  attachReplayChat();
+}
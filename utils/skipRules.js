@@ -0,0 +1,124 @@
+/**
+ * Twitch Gemini Translator 翻訳しないメッセージのルール
+ *
+ * ボットのコマンド（!drop など）、決まり文句、ユーザーが指定した正規表現、
+ * 組み込みのパターン（笑いの表現、エモートだけのメッセージ、+1 などの反応、URLだけのメッセージ）に一致する
+ * メッセージを翻訳対象から外し、翻訳APIの使用量を抑えます。
+ */
+
+// 笑いの表現（1語ごとに判定する）
+const LAUGHTER_PATTERN = /^(w{2,}|ｗ+|草+|l+o+l+|lu+l+|lmf?a+o+|kekw?|a?(ha){2,}h?|(he){2,}|(hi){3,}|(ja){2,}|(je){2,}|k{3,}|ㅋ{2,}|ㅎ{2,}|x+d+|rofl|哈{2,}|5{3,}|(rs){2,})$/i;
+
+// よく使われるエモート名（Twitch標準・BTTV・FFZ・7TV）
+// エモートの拡張機能を使用していない場合は、エモートが名前のテキストとして表示される
+// 普通の単語と同じ名前のエモート（Aware など）は、エモートの画像として表示された場合のみエモートとみなす
+const COMMON_EMOTES = new Set([
+  "kekw", "lul", "omegalul", "pogchamp", "pog", "poggers", "pogu", "kappa", "keepo", "monkas", "monkaw",
+  "sadge", "pepehands", "pepega", "pepelaugh", "feelsbadman", "feelsgoodman", "feelsstrongman",
+  "biblethump", "residentsleeper", "notlikethis", "wutface", "trihard", "4head", "lulw", "icant",
+  "clueless", "copium", "catjam", "pepejam", "gigachad", "modcheck", "hypers",
+  "widepeepohappy", "peeposhy", "peepoclap", "sourpls", "ratjam", "pausechamp", "weirdchamp",
+]);
+
+// 反応だけのメッセージ（+1, -2, 数字だけ, F/W/L, 記号だけ）
+const REACTION_PATTERN = /^([+-]?\d+|[fwl]|[\p{P}\p{S}\s]+)$/iu;
+
+// URLだけのメッセージ
+const URL_ONLY_PATTERN = /^((https?:\/\/|www\.)\S+\s*)+$/i;
+
+// 組み込みのパターン（rule: 判定結果の理由, label: 説明）
+const BUILT_IN_RULES = [
+  { rule: "laughter", label: "笑いの表現", test: (words) => words.every(word => LAUGHTER_PATTERN.test(word)) },
+  {
+    rule: "emoteOnly",
+    label: "エモートのみ",
+    // すべての語がよく使われるエモート名、またはエモートの画像の名前（"KEKW KEKW" などの連打を含む）
+    test: (words, text, emotes) => words.every(word => COMMON_EMOTES.has(word.toLowerCase()) || emotes.has(word.toLowerCase())),
+  },
+  { rule: "reaction", label: "反応のみ", test: (words, text) => REACTION_PATTERN.test(text) },
+  { rule: "urlOnly", label: "URLのみ", test: (words, text) => URL_ONLY_PATTERN.test(text) },
+];
+
+// コンパイル済みのルール（設定オブジェクト -> ルール）
+const compiledRules = new WeakMap();
+
+/**
+ * 設定からルールを作成
+ * 正規表現として不正なパターンは無視し、エラーとして返します。
+ * @param {object} settings 設定（skipCommandPrefixes, skipPhrases, skipPatterns, skipBuiltInPatterns）
+ * @returns {{prefixes: Array<string>, phrases: Set<string>, patterns: Array<{source: string, regex: RegExp}>, builtIn: boolean, errors: Array<string>}} ルール
+ */
+export function compileSkipRules(settings) {
+  if (compiledRules.has(settings)) {
+    return compiledRules.get(settings);
+  }
+
+  const toList = (values) => (Array.isArray(values) ? values : [])
+    .filter(value => typeof value === "string")
+    .map(value => value.trim())
+    .filter(value => value.length > 0);
+
+  const patterns = [];
+  const errors = [];
+
+  for (const source of toList(settings.skipPatterns)) {
+    try {
+      patterns.push({ source, regex: new RegExp(source, "iu") });
+    } catch (error) {
+      errors.push(`${source}: ${error.message}`);
+    }
+  }
+
+  const rules = {
+    prefixes: toList(settings.skipCommandPrefixes),
+    phrases: new Set(toList(settings.skipPhrases).map(phrase => phrase.toLowerCase())),
+    patterns,
+    builtIn: settings.skipBuiltInPatterns !== false,
+    errors,
+  };
+
+  compiledRules.set(settings, rules);
+  return rules;
+}
+
+/**
+ * メッセージが翻訳しないルールに一致するかどうかを判定
+ * @param {string} text メッセージのテキスト（エモート名やURLを含む元のテキスト）
+ * @param {object} settings 設定
+ * @param {Array<string>} emoteNames メッセージ内のエモートの画像の名前
+ * @returns {{skip: boolean, rule: string|null, detail: string}} 判定結果（rule: command, phrase, pattern, laughter, emoteOnly, reaction, urlOnly）
+ */
+export function checkSkipRules(text, settings, emoteNames = []) {
+  const trimmed = (text || "").trim();
+  if (!trimmed) {
+    return { skip: false, rule: null, detail: "" };
+  }
+
+  const rules = compileSkipRules(settings);
+
+  // コマンドは接頭辞の直後に文字が続く場合のみ（"!!!" などの記号の連続は除く）
+  const prefix = rules.prefixes.find(value => trimmed.startsWith(value) && /^[\p{L}\p{N}]/u.test(trimmed.slice(value.length)));
+  if (prefix) {
+    return { skip: true, rule: "command", detail: `コマンド（${prefix}）` };
+  }
+
+  if (rules.phrases.has(trimmed.toLowerCase())) {
+    return { skip: true, rule: "phrase", detail: `翻訳しないフレーズ「${trimmed}」` };
+  }
+
+  const pattern = rules.patterns.find(({ regex }) => regex.test(trimmed));
+  if (pattern) {
+    return { skip: true, rule: "pattern", detail: `正規表現 /${pattern.source}/` };
+  }
+
+  if (rules.builtIn) {
+    const words = trimmed.split(/\s+/);
+    const emotes = new Set(emoteNames.map(name => name.toLowerCase()));
+    const builtIn = BUILT_IN_RULES.find(({ test }) => test(words, trimmed, emotes));
+    if (builtIn) {
+      return { skip: true, rule: builtIn.rule, detail: `組み込みのパターン（${builtIn.label}）` };
+    }
+  }
+
+  return { skip: false, rule: null, detail: "" };
+}
@@ -0,0 +1,224 @@
+/**
+ * Twitch Gemini Translator 配信の言語の判定
+ *
+ * 表示中のチャンネルの配信の言語を、チャンネルのヘッダー・配信情報に表示される言語のタグと、
+ * チャットの最初のメッセージの言語から判定します。
+ * 配信者が設定した言語のタグがある場合はタグを優先し、タグがない場合（ポップアウトのチャットなど）はチャットから判定します。
+ */
+
+import { detectLanguage } from "./language.js";
+
+// 言語のタグのセレクタ（複数のセレクタを試行）
+const LANGUAGE_TAG_SELECTORS = [
+  '.channel-info-content a[href*="/tags/"]',
+  '[data-a-target="stream-info-card-component--tags"] a',
+  '.metadata-layout__support a[href*="/tags/"]',
+];
+
+// タグの表示名と言語コードの対応（Twitchの表示言語によりタグの表示名が変わるため、英語・各言語・日本語の名前を含める）
+const LANGUAGE_TAG_NAMES = {
+  ja: ["japanese", "日本語"],
+  en: ["english", "英語"],
+  ko: ["korean", "한국어", "韓国語"],
+  zh: ["chinese", "中文", "中国語"],
+  es: ["spanish", "español", "スペイン語"],
+  fr: ["french", "français", "フランス語"],
+  de: ["german", "deutsch", "ドイツ語"],
+  pt: ["portuguese", "português", "ポルトガル語"],
+  it: ["italian", "italiano", "イタリア語"],
+  ru: ["russian", "русский", "ロシア語"],
+};
+
+// 言語コードの表示名
+export const STREAM_LANGUAGE_NAMES = {
+  ja: "日本語",
+  en: "英語",
+  ko: "韓国語",
+  zh: "中国語",
+  es: "スペイン語",
+  fr: "フランス語",
+  de: "ドイツ語",
+  pt: "ポルトガル語",
+  it: "イタリア語",
+  ru: "ロシア語",
+};
+
+// 言語の判定に使用するチャットのメッセージ数
+const CHAT_SAMPLE_SIZE = 20;
+
+// チャットのメッセージを判定に含める最低の信頼度
+const MIN_SAMPLE_CONFIDENCE = 0.6;
+
+// 配信の言語とみなすメッセージの割合（これより少ない場合は複数の言語が混在しているとして判定しない）
+const MIN_LANGUAGE_SHARE = 0.6;
+
+// 言語のタグを確認する間隔（ミリ秒）
+const TAG_CHECK_INTERVAL = 2000;
+
+// 配信の言語の判定の状態
+const streamLanguageState = {
+  getChannel: null,
+  onChange: null,
+  channel: null,
+  tagLanguage: null,
+  chatLanguage: null,
+  samples: [],
+  sampling: true,
+  checkTimer: null,
+};
+
+/**
+ * タグの表示名から言語コードを取得
+ * @param {string} name タグの表示名
+ * @returns {string|null} 言語コード（言語のタグでない場合はnull）
+ */
+function getTagLanguage(name) {
+  const normalized = (name || "").trim().toLowerCase();
+
+  for (const [language, names] of Object.entries(LANGUAGE_TAG_NAMES)) {
+    if (names.includes(normalized)) {
+      return language;
+    }
+  }
+  return null;
+}
+
+/**
+ * ページに表示されている言語のタグから配信の言語を取得
+ * @returns {string|null} 言語コード（タグが見つからない場合はnull）
+ */
+function findPageLanguage() {
+  for (const selector of LANGUAGE_TAG_SELECTORS) {
+    for (const tag of document.querySelectorAll(selector)) {
+      const language = getTagLanguage(tag.textContent) || getTagLanguage(tag.getAttribute("aria-label"));
+      if (language) {
+        return language;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 表示中のチャンネルが変わった場合は判定をやり直す
+ * @returns {boolean} チャンネルが変わった場合はtrue
+ */
+function syncChannel() {
+  const channel = streamLanguageState.getChannel?.() || null;
+  if (channel === streamLanguageState.channel) {
+    return false;
+  }
+
+  streamLanguageState.channel = channel;
+  streamLanguageState.tagLanguage = null;
+  streamLanguageState.chatLanguage = null;
+  streamLanguageState.samples = [];
+  streamLanguageState.sampling = true;
+  return true;
+}
+
+/**
+ * 配信の言語の判定結果が変わったことを通知
+ */
+function notifyChange() {
+  streamLanguageState.onChange?.(getStreamLanguage());
+}
+
+/**
+ * 言語のタグを確認（チャンネルの切り替え後はタグが表示されるまで確認を続ける）
+ */
+function checkLanguageTag() {
+  const channelChanged = syncChannel();
+
+  if (!streamLanguageState.tagLanguage) {
+    streamLanguageState.tagLanguage = findPageLanguage();
+    if (streamLanguageState.tagLanguage) {
+      console.log(`[Twitch Translator] 言語のタグから配信の言語を判定しました: ${streamLanguageState.tagLanguage}`);
+      notifyChange();
+      return;
+    }
+  }
+
+  if (channelChanged) {
+    notifyChange();
+  }
+}
+
+/**
+ * チャットのメッセージを配信の言語の判定に使用
+ * 最初の数十件のメッセージのうち、十分な信頼度で判定できた言語の多数決で配信の言語を決めます。
+ * @param {string} text メッセージのテキスト（エモートやURLを除いたもの）
+ */
+export function sampleChatLanguage(text) {
+  if (syncChannel()) {
+    notifyChange();
+  }
+
+  if (!streamLanguageState.sampling) {
+    return;
+  }
+
+  // 漢字のみのメッセージなど、言語を区別できないメッセージは判定に含めない
+  const detection = detectLanguage(text);
+  if (detection.confidence < MIN_SAMPLE_CONFIDENCE || detection.candidates) {
+    return;
+  }
+
+  streamLanguageState.samples.push(detection.language);
+  if (streamLanguageState.samples.length < CHAT_SAMPLE_SIZE) {
+    return;
+  }
+
+  streamLanguageState.sampling = false;
+
+  const counts = new Map();
+  for (const language of streamLanguageState.samples) {
+    counts.set(language, (counts.get(language) || 0) + 1);
+  }
+  const [language, count] = [...counts].reduce((a, b) => (b[1] > a[1] ? b : a));
+
+  if (count / streamLanguageState.samples.length < MIN_LANGUAGE_SHARE) {
+    console.log("[Twitch Translator] チャットに複数の言語が混在しているため、配信の言語を判定しません");
+    return;
+  }
+
+  streamLanguageState.chatLanguage = language;
+  console.log(`[Twitch Translator] チャットから配信の言語を判定しました: ${language}`);
+  notifyChange();
+}
+
+/**
+ * 表示中のチャンネルの配信の言語を取得
+ * @returns {{language: string, source: string}|null} 言語コードと判定方法（"tag" または "chat"）。判定できていない場合はnull
+ */
+export function getStreamLanguage() {
+  // チャンネルの切り替え直後に以前のチャンネルの判定結果を返さないようにする
+  syncChannel();
+
+  if (streamLanguageState.tagLanguage) {
+    return { language: streamLanguageState.tagLanguage, source: "tag" };
+  }
+  if (streamLanguageState.chatLanguage) {
+    return { language: streamLanguageState.chatLanguage, source: "chat" };
+  }
+  return null;
+}
+
+/**
+ * 配信の言語の判定を初期化
+ * @param {object} options 初期化オプション
+ * @param {function(): string} options.getChannel 表示中のチャンネル名を取得する関数
+ * @param {function(object|null): void} options.onChange 判定結果が変わったときの処理（getStreamLanguage() の結果を渡す）
+ */
+export function initStreamLanguage({ getChannel, onChange }) {
+  streamLanguageState.getChannel = getChannel;
+  streamLanguageState.onChange = onChange;
+
+  if (streamLanguageState.checkTimer) {
+    return;
+  }
+
+  syncChannel();
+  checkLanguageTag();
+  streamLanguageState.checkTimer = setInterval(checkLanguageTag, TAG_CHECK_INTERVAL);
+}
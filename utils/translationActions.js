@@ -0,0 +1,393 @@
+/**
+ * Twitch Gemini Translator 翻訳の再翻訳・修正
+ *
+ * 表示した翻訳を右クリックするとメニューを表示し、
+ * 再翻訳用のモデルでの翻訳し直しと、ユーザーによる翻訳の修正（用語集への追加も可能）を行います。
+ * Shiftキーを押しながら右クリックした場合はブラウザのメニューを表示します。
+ */
+
+// 翻訳の要素のセレクタ
+const TRANSLATION_SELECTOR = ".twitch-translator-translation";
+
+// 追加する要素のクラス名
+const ACTION_PANEL_CLASS = "twitch-translator-action-panel";
+
+// 用語集に追加する用語の最大文字数（文全体ではなく短い語句のみを追加する）
+const MAX_GLOSSARY_TERM_LENGTH = 30;
+
+// 翻訳の要素 -> メッセージの情報
+const registeredTranslations = new WeakMap();
+
+// 再翻訳・修正の状態
+const actionState = {
+  settings: {},
+  retranslate: null,
+  submitCorrection: null,
+  panel: null,
+  selectedText: "", // メニューを開いたときに選択していたテキスト（用語の初期値に使用）
+  initialized: false,
+};
+
+/**
+ * パネル用のボタンを作成
+ * @param {string} label ボタンのラベル
+ * @param {Function} onClick クリック時の処理
+ * @returns {HTMLButtonElement} ボタン
+ */
+function createPanelButton(label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.style.display = "block";
+  button.style.width = "100%";
+  button.style.marginTop = "4px";
+  button.style.padding = "4px 10px";
+  button.style.border = "1px solid #53535f";
+  button.style.borderRadius = "4px";
+  button.style.background = "#26262c";
+  button.style.color = "#efeff1";
+  button.style.textAlign = "left";
+  button.style.cursor = "pointer";
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * テキスト入力欄を作成
+ * @param {string} value 初期値
+ * @param {string} placeholder プレースホルダー
+ * @returns {HTMLInputElement} 入力欄
+ */
+function createTextInput(value, placeholder = "") {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = value;
+  input.placeholder = placeholder;
+  input.style.width = "100%";
+  input.style.boxSizing = "border-box";
+  input.style.marginTop = "4px";
+  input.style.background = "#0e0e10";
+  input.style.color = "#efeff1";
+  input.style.border = "1px solid #53535f";
+  input.style.borderRadius = "4px";
+  input.style.padding = "4px";
+  return input;
+}
+
+/**
+ * マウスの位置にパネルを作成
+ * @param {number} x 表示するX座標
+ * @param {number} y 表示するY座標
+ * @returns {object} パネルの要素 { root, status, body }
+ */
+function createActionPanel(x, y) {
+  const root = document.createElement("div");
+  root.className = ACTION_PANEL_CLASS;
+  root.style.position = "fixed";
+  root.style.left = `${Math.max(8, Math.min(x, window.innerWidth - 328))}px`;
+  root.style.top = `${Math.max(8, Math.min(y, window.innerHeight - 240))}px`;
+  root.style.width = "320px";
+  root.style.boxSizing = "border-box";
+  root.style.zIndex = "10000";
+  root.style.padding = "8px";
+  root.style.background = "#18181b";
+  root.style.color = "#efeff1";
+  root.style.border = `1px solid ${actionState.settings.accentColor || "#4db6ac"}`;
+  root.style.borderRadius = "4px";
+  root.style.fontSize = "13px";
+  root.style.boxShadow = "0 4px 12px rgba(0, 0, 0, 0.5)";
+
+  const status = document.createElement("div");
+  status.style.color = "#adadb8";
+
+  const body = document.createElement("div");
+
+  // パネル内のキー入力でTwitchのショートカットが反応しないようにする
+  root.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      closeActionPanel();
+    }
+    event.stopPropagation();
+  });
+
+  root.append(status, body);
+  document.body.appendChild(root);
+
+  return { root, status, body };
+}
+
+/**
+ * パネルを閉じる
+ */
+function closeActionPanel() {
+  if (actionState.panel) {
+    actionState.panel.root.remove();
+    actionState.panel = null;
+  }
+}
+
+/**
+ * 再翻訳・修正のメニューを表示
+ * @param {object} message メッセージの情報
+ * @param {number} x 表示するX座標
+ * @param {number} y 表示するY座標
+ */
+function openActionMenu(message, x, y) {
+  closeActionPanel();
+  const panel = createActionPanel(x, y);
+  actionState.panel = panel;
+
+  panel.status.textContent = `原文: ${message.originalText}`;
+  panel.body.append(
+    createPanelButton("強いモデルで再翻訳", () => retranslateMessage(panel, message)),
+    createPanelButton("翻訳を修正", () => openCorrectionForm(panel, message)),
+    createPanelButton("閉じる", () => closeActionPanel())
+  );
+}
+
+/**
+ * 再翻訳用のモデルでメッセージを翻訳し直す
+ * @param {object} panel パネルの要素
+ * @param {object} message メッセージの情報
+ */
+async function retranslateMessage(panel, message) {
+  if (typeof actionState.retranslate !== "function") {
+    return;
+  }
+
+  panel.body.replaceChildren();
+  panel.status.textContent = "再翻訳中...";
+
+  try {
+    const result = await actionState.retranslate(message);
+
+    if (actionState.panel !== panel) {
+      return;
+    }
+
+    if (!result || !result.success) {
+      panel.status.textContent = `再翻訳に失敗しました: ${result?.error || "不明なエラー"}`;
+      return;
+    }
+
+    message.translation = result.translation;
+    message.onUpdate(result.translation, result);
+    closeActionPanel();
+  } catch (error) {
+    if (actionState.panel === panel) {
+      panel.status.textContent = `再翻訳に失敗しました: ${error.message}`;
+    }
+  }
+}
+
+/**
+ * 用語集に追加する用語の初期値を取得
+ * メニューを開いたときに原文の一部を選択していた場合は、選択していたテキストを使用します。
+ * @param {object} message メッセージの情報
+ * @returns {string} 用語の初期値（選択していない場合は空文字）
+ */
+function getInitialGlossaryTerm(message) {
+  const selected = actionState.selectedText;
+  if (!selected || selected.length > MAX_GLOSSARY_TERM_LENGTH || !(message.originalText || "").includes(selected)) {
+    return "";
+  }
+  return selected;
+}
+
+/**
+ * 翻訳の修正フォームを表示
+ * @param {object} panel パネルの要素
+ * @param {object} message メッセージの情報
+ */
+function openCorrectionForm(panel, message) {
+  panel.status.textContent = "正しい翻訳を入力してください。⟦数字⟧はエモートやメンションのため、そのまま残してください。";
+
+  const textarea = document.createElement("textarea");
+  textarea.rows = 3;
+  textarea.value = message.translation;
+  textarea.style.width = "100%";
+  textarea.style.boxSizing = "border-box";
+  textarea.style.marginTop = "4px";
+  textarea.style.resize = "vertical";
+  textarea.style.background = "#0e0e10";
+  textarea.style.color = "#efeff1";
+  textarea.style.border = "1px solid #53535f";
+  textarea.style.borderRadius = "4px";
+  textarea.style.padding = "4px";
+
+  // 用語集への追加（チャンネルが分かる場合はチャンネル別の用語集に追加する）
+  const glossaryLabel = document.createElement("label");
+  glossaryLabel.style.display = "block";
+  glossaryLabel.style.marginTop = "6px";
+  const glossaryCheckbox = document.createElement("input");
+  glossaryCheckbox.type = "checkbox";
+  glossaryLabel.append(glossaryCheckbox, message.channel ? " このチャンネルの用語集にも追加" : " 用語集にも追加");
+
+  const glossaryFields = document.createElement("div");
+  glossaryFields.style.display = "none";
+  const sourceInput = createTextInput(getInitialGlossaryTerm(message), `用語（原文の語句、${MAX_GLOSSARY_TERM_LENGTH}文字以内）`);
+  const targetInput = createTextInput("", "訳語");
+  glossaryFields.append(sourceInput, targetInput);
+
+  glossaryCheckbox.addEventListener("change", () => {
+    glossaryFields.style.display = glossaryCheckbox.checked ? "" : "none";
+  });
+
+  const submit = () => submitCorrection(panel, message, {
+    translation: textarea.value,
+    glossaryEntry: glossaryCheckbox.checked
+      ? { source: sourceInput.value.trim(), target: targetInput.value.trim() }
+      : null,
+  });
+
+  textarea.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      submit();
+    }
+  });
+
+  const buttons = document.createElement("div");
+  buttons.style.display = "flex";
+  buttons.style.gap = "6px";
+  buttons.append(
+    createPanelButton("キャンセル", () => closeActionPanel()),
+    createPanelButton("修正を保存", submit)
+  );
+
+  panel.body.replaceChildren(textarea, glossaryLabel, glossaryFields, buttons);
+  textarea.focus();
+}
+
+/**
+ * 翻訳の修正を保存
+ * @param {object} panel パネルの要素
+ * @param {object} message メッセージの情報
+ * @param {object} correction 修正内容 { translation, glossaryEntry }
+ */
+async function submitCorrection(panel, message, correction) {
+  if (typeof actionState.submitCorrection !== "function") {
+    return;
+  }
+
+  if (!correction.translation.trim()) {
+    panel.status.textContent = "修正した翻訳を入力してください";
+    return;
+  }
+
+  // 用語集には短い語句のみを追加する（文全体を追加すると、その文以外に一致しないままプロンプトに含まれ続ける）
+  const glossaryEntry = correction.glossaryEntry;
+  if (glossaryEntry) {
+    if (!glossaryEntry.source || !glossaryEntry.target) {
+      panel.status.textContent = "用語集に追加する用語と訳語を入力してください";
+      return;
+    }
+    if (glossaryEntry.source.length > MAX_GLOSSARY_TERM_LENGTH) {
+      panel.status.textContent = `用語は${MAX_GLOSSARY_TERM_LENGTH}文字以内の短い語句で入力してください`;
+      return;
+    }
+  }
+
+  panel.status.textContent = "保存中...";
+
+  try {
+    const result = await actionState.submitCorrection(message, correction);
+
+    if (actionState.panel !== panel) {
+      return;
+    }
+
+    if (!result || !result.success) {
+      panel.status.textContent = `修正の保存に失敗しました: ${result?.error || "不明なエラー"}`;
+      return;
+    }
+
+    message.translation = result.translation;
+    message.onUpdate(result.translation, result);
+    closeActionPanel();
+  } catch (error) {
+    if (actionState.panel === panel) {
+      panel.status.textContent = `修正の保存に失敗しました: ${error.message}`;
+    }
+  }
+}
+
+/**
+ * 翻訳の右クリックの処理
+ * @param {MouseEvent} event マウスイベント
+ */
+function handleContextMenu(event) {
+  if (event.shiftKey || !actionState.settings.translationActionsEnabled) {
+    return;
+  }
+
+  const translationElement = event.target.closest?.(TRANSLATION_SELECTOR);
+  const message = translationElement && registeredTranslations.get(translationElement);
+  if (!message) {
+    return;
+  }
+
+  event.preventDefault();
+  actionState.selectedText = window.getSelection()?.toString().trim() || "";
+  openActionMenu(message, event.clientX, event.clientY);
+}
+
+/**
+ * パネルの外をクリックした場合はパネルを閉じる
+ * @param {MouseEvent} event マウスイベント
+ */
+function handleDocumentMouseDown(event) {
+  if (actionState.panel && !actionState.panel.root.contains(event.target)) {
+    closeActionPanel();
+  }
+}
+
+/**
+ * 翻訳の要素を再翻訳・修正の対象として登録
+ * @param {Element} translationElement 翻訳の要素
+ * @param {object} message メッセージの情報
+ * @param {string} message.text 翻訳したテキスト（プレースホルダーを含む）
+ * @param {string} message.originalText 元のメッセージ
+ * @param {string} message.translation 表示中の翻訳（プレースホルダーを含む）
+ * @param {string|null} message.channel チャンネル名
+ * @param {function(string, object): void} message.onUpdate 翻訳が更新された場合の処理 (翻訳, 結果) => void
+ */
+export function registerTranslation(translationElement, message) {
+  if (translationElement && message && message.text) {
+    registeredTranslations.set(translationElement, message);
+  }
+}
+
+/**
+ * 再翻訳・修正の機能を初期化
+ * @param {object} options 初期化オプション
+ * @param {object} options.settings 設定（translationActionsEnabled, accentColor）
+ * @param {function(object): Promise<object>} options.retranslate 再翻訳の関数 (メッセージの情報) => 翻訳結果
+ * @param {function(object, object): Promise<object>} options.submitCorrection 修正を保存する関数 (メッセージの情報, 修正内容) => 保存結果
+ */
+export function initTranslationActions({ settings, retranslate, submitCorrection }) {
+  actionState.settings = settings || {};
+  actionState.retranslate = retranslate;
+  actionState.submitCorrection = submitCorrection;
+
+  if (actionState.initialized) {
+    return;
+  }
+
+  document.addEventListener("contextmenu", handleContextMenu, true);
+  document.addEventListener("mousedown", handleDocumentMouseDown, true);
+  actionState.initialized = true;
+}
+
+/**
+ * 再翻訳・修正の機能の設定を更新
+ * @param {object} settings 新しい設定
+ */
+export function updateTranslationActionSettings(settings) {
+  actionState.settings = settings || {};
+
+  if (!actionState.settings.translationActionsEnabled) {
+    closeActionPanel();
+  }
+}
@@ -4,6 +4,48 @@
  * Twitch URLの分析と判定を行う関数群を提供します。
  */
 
+// チャットを表示する別ウィンドウ・埋め込みのパス（1つ目のグループがチャンネル名）
+const CHAT_WINDOW_PATH_PATTERNS = [
+  /^\/popout\/([^\/]+)\/chat/i,  // ポップアウトのチャット（/popout/チャンネル名/chat）
+  /^\/moderator\/([^\/]+)/i,      // モデレーター画面（/moderator/チャンネル名）
+  /^\/embed\/([^\/]+)\/chat/i,   // 埋め込みのチャット（/embed/チャンネル名/chat）
+];
+
+/**
+ * ポップアウトのチャット・モデレーター画面・埋め込みのプレイヤーとチャットのURLからチャンネル名を取得
+ * これらのURLではパスの最初のセグメントがチャンネル名ではないため、決まった位置から取得します。
+ * @param {URL} urlObj URLオブジェクト
+ * @returns {string|null} チャンネル名（該当するURLでない場合はnull、チャンネル名がない場合は空文字）
+ */
+function getChatWindowChannel(urlObj) {
+  // 埋め込みのプレイヤー（player.twitch.tv/?channel=チャンネル名）
+  if (urlObj.hostname.startsWith("player.")) {
+    return urlObj.searchParams.get("channel") || "";
+  }
+
+  for (const pattern of CHAT_WINDOW_PATH_PATTERNS) {
+    const match = urlObj.pathname.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * URLがポップアウトのチャット・モデレーター画面・埋め込みのプレイヤーとチャットかどうかを判定
+ * @param {string} url 判定するURL
+ * @returns {boolean} 該当する場合はtrue
+ */
+export function isChatWindowUrl(url) {
+  try {
+    return getChatWindowChannel(new URL(url)) !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * URLが配信視聴ページかどうかを判定
  * @param {string} url 判定するURL
@@ -24,6 +66,11 @@ export function isStreamPage(url) {
       return false;
     }
 
+    // ポップアウトのチャット・モデレーター画面・埋め込みはチャットを翻訳するページとして扱う
+    if (getChatWindowChannel(urlObj) !== null) {
+      return true;
+    }
+
     const pathname = urlObj.pathname.toLowerCase();
 
     // ホーム画面のパスは配信ページではない
@@ -69,7 +116,8 @@ export function isStreamPage(url) {
     }
 
     // 特定のホスト名の除外（配信ページではないサブドメイン）
-    const nonStreamSubdomains = ["dashboard", "dev", "blog", "help", "clips"];
+    // clips.twitch.tv のクリップはチャットのリプレイがあるため除外しない
+    const nonStreamSubdomains = ["dashboard", "dev", "blog", "help"];
     
     // サブドメインを取得
     const subdomain = urlObj.hostname.split('.')[0];
@@ -80,12 +128,10 @@ export function isStreamPage(url) {
     }
 
     // 特定のパスパターンを含む場合
+    // アーカイブ（/videos/）とクリップ（/clip/）のページはチャットのリプレイを翻訳するため除外しない
     const containsNonStreamPatterns = [
-      "/clip/",    // クリップページ
-      "/videos/",  // ビデオページ
       "/about/",   // アバウトページ
       "/schedule", // スケジュールページ
-      "/chat",     // チャットポップアウト
     ];
     
     for (const pattern of containsNonStreamPatterns) {
@@ -110,6 +156,13 @@ export function isStreamPage(url) {
 export function getChannelFromUrl(url) {
   try {
     const urlObj = new URL(url);
+
+    // ポップアウト・モデレーター画面・埋め込みはパスやクエリの決まった位置にチャンネル名がある
+    const chatWindowChannel = getChatWindowChannel(urlObj);
+    if (chatWindowChannel !== null) {
+      return chatWindowChannel;
+    }
+
     // パスの最初のセグメントを取得
     const match = urlObj.pathname.match(/^\/([^\/]+)/);
     
@@ -124,7 +177,8 @@ export function getChannelFromUrl(url) {
       "directory", "settings", "wallet", "drops", "privacy",
       "following", "search", "subscriptions", "inventory",
       "store", "games", "downloads", "events", "messages",
-      "turbo", "prime", "p", "products", "user", "notifications"
+      "turbo", "prime", "p", "products", "user", "notifications",
+      "videos" // アーカイブのURL（/videos/ID）にはチャンネル名が含まれない
     ];
     
     if (nonChannelPaths.includes(potentialChannel)) {
@@ -132,6 +132,21 @@ export function getContentCharsCount(text) {
   return text.length - symbolsAndSpaces;
 }
 
+/**
+ * 文字列をハッシュ化
+ * @param {string} str ハッシュ化する文字列
+ * @returns {string} ハッシュ値
+ */
+export function hashString(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // 32bit整数に変換
+  }
+  return hash.toString(16);
+}
+
 /**
  * LRU (Least Recently Used) キャッシュの実装
  * メモリ使用量を抑えるため、一定サイズを超えると古いアイテムから削除する
@@ -224,6 +239,51 @@ export function extractChannelFromUrl(url) {
   return channelMatch ? channelMatch[1] : "不明";
 }
 
+/**
+ * ホットキーの文字列を解析
+ * @param {string} hotkey ホットキー（例: "Alt+T", "Ctrl+Shift+Y"）
+ * @returns {{key: string, ctrl: boolean, alt: boolean, shift: boolean, meta: boolean}|null} 解析結果（空の場合はnull）
+ */
+function parseHotkey(hotkey) {
+  const parts = (hotkey || '').split('+').map(part => part.trim().toLowerCase()).filter(Boolean);
+  const key = parts.pop();
+
+  if (!key) {
+    return null;
+  }
+
+  return {
+    key,
+    ctrl: parts.includes('ctrl') || parts.includes('control'),
+    alt: parts.includes('alt') || parts.includes('option'),
+    shift: parts.includes('shift'),
+    meta: parts.includes('meta') || parts.includes('cmd'),
+  };
+}
+
+/**
+ * キーボードイベントがホットキーに一致するかを判定
+ * Altキーとの組み合わせでは入力される文字が変わる場合があるため、物理キー（event.code）でも判定します。
+ * @param {KeyboardEvent} event キーボードイベント
+ * @param {string} hotkey ホットキー
+ * @returns {boolean} 一致するかどうか
+ */
+export function matchesHotkey(event, hotkey) {
+  const parsed = parseHotkey(hotkey);
+  if (!parsed) {
+    return false;
+  }
+
+  const key = (event.key || '').toLowerCase();
+  const code = (event.code || '').toLowerCase();
+
+  return (key === parsed.key || code === `key${parsed.key}` || code === `digit${parsed.key}`) &&
+    event.ctrlKey === parsed.ctrl &&
+    event.altKey === parsed.alt &&
+    event.shiftKey === parsed.shift &&
+    event.metaKey === parsed.meta;
+}
+
 /**
  * エラーログを出力する
  * @param {string} context エラーが発生したコンテキスト